@@ -0,0 +1,59 @@
+-- Migration: Per-recipient outbound message records
+-- Run this SQL in your Supabase SQL Editor AFTER 005_subscriptions_and_topups.sql
+--
+-- One row per recipient for every message sent through the backend (OTP, API, bulk,
+-- announcement, test). Stores the WhatsApp message id so message_ack events can move the
+-- row through its status lifecycle: queued -> sent -> delivered -> read, or failed.
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- NULL for dashboard sends
+
+  -- Message details
+  message_type TEXT NOT NULL, -- 'otp', 'api_message', 'api_media', 'bulk', 'announcement', 'test_message'
+  recipient TEXT NOT NULL, -- Normalized phone number (digits only)
+  chat_id TEXT, -- Resolved WhatsApp chat id (LID)
+  body TEXT,
+
+  -- References
+  whatsapp_message_id TEXT, -- Serialized WhatsApp message id returned by sendMessage
+  client_reference TEXT, -- Caller-supplied reference for reconciliation
+  batch_id TEXT, -- Shared by all recipients of one bulk/announcement request
+
+  -- Status lifecycle
+  status TEXT NOT NULL DEFAULT 'queued',
+  error_message TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_outbound_status CHECK (status IN ('queued', 'sent', 'delivered', 'read', 'failed'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_user_id ON outbound_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_session_id ON outbound_messages(session_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_created_at ON outbound_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_whatsapp_id ON outbound_messages(whatsapp_message_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_client_reference ON outbound_messages(client_reference);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_batch_id ON outbound_messages(batch_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE outbound_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own outbound_messages" ON outbound_messages;
+CREATE POLICY "Users can view own outbound_messages" ON outbound_messages
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_outbound_messages_updated_at
+  BEFORE UPDATE ON outbound_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,36 @@
+-- Migration: Idempotency keys for v1 send endpoints
+-- Run this SQL in your Supabase SQL Editor AFTER 006_outbound_messages.sql
+--
+-- Stores the first response for each Idempotency-Key so retried requests replay it
+-- instead of sending (and charging) twice.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL,
+
+  -- Request fingerprint (SHA-256 of method, path and body)
+  request_method TEXT NOT NULL,
+  request_path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+
+  -- Stored response
+  status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'completed'
+  response_status INTEGER,
+  response_body JSONB,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  UNIQUE(api_key_id, idempotency_key),
+  CONSTRAINT valid_idempotency_status CHECK (status IN ('processing', 'completed'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_user_id ON idempotency_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Enable Row Level Security (RLS) - only the service role reads and writes this table
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
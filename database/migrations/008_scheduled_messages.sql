@@ -0,0 +1,53 @@
+-- Migration: Scheduled message delivery
+-- Run this SQL in your Supabase SQL Editor AFTER 007_idempotency_keys.sql
+--
+-- Messages passed with sendAt are stored here and delivered by the backend's scheduler.
+-- The cost is reserved (debited) when the message is scheduled and refunded on cancel
+-- or for recipients that fail at delivery time.
+
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- NULL for dashboard announcements
+
+  -- Message details
+  message_type TEXT NOT NULL, -- 'api_message', 'bulk', 'announcement'
+  recipients JSONB NOT NULL, -- Array of phone numbers
+  message TEXT NOT NULL,
+  client_reference TEXT,
+
+  -- Scheduling
+  send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'sent', 'partially_sent', 'failed', 'cancelled'
+  reserved_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+
+  -- Outcome
+  result JSONB, -- { sent, failed, errors, refunded }
+  error_message TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_scheduled_status CHECK (status IN ('pending', 'processing', 'sent', 'partially_sent', 'failed', 'cancelled'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_user_id ON scheduled_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_session_id ON scheduled_messages(session_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_send_at ON scheduled_messages(status, send_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own scheduled_messages" ON scheduled_messages;
+CREATE POLICY "Users can view own scheduled_messages" ON scheduled_messages
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_scheduled_messages_updated_at
+  BEFORE UPDATE ON scheduled_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,41 @@
+-- Migration: Message templates
+-- Run this SQL in your Supabase SQL Editor AFTER 008_scheduled_messages.sql
+--
+-- Reusable message bodies with {{variable}} placeholders. A template name can have one
+-- variant per language; send endpoints take a templateId (plus optional language) and a
+-- variables object instead of raw message text.
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Template details
+  name TEXT NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en', -- Language code, e.g. 'en', 'ar', 'ku'
+  body TEXT NOT NULL, -- Message text with {{variable}} placeholders
+  variables TEXT[] NOT NULL DEFAULT '{}', -- Placeholder names found in body; all are required when sending
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, name, language)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_message_templates_user_id ON message_templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_message_templates_name ON message_templates(user_id, name);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own message_templates" ON message_templates;
+CREATE POLICY "Users can view own message_templates" ON message_templates
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_message_templates_updated_at
+  BEFORE UPDATE ON message_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,82 @@
+-- Migration: Asynchronous bulk send jobs
+-- Run this SQL in your Supabase SQL Editor AFTER 009_message_templates.sql
+--
+-- /api/v1/messages/send-bulk and /api/whatsapp/send-announcement no longer send inside the
+-- HTTP request. They create a bulk_jobs row (cost reserved up front) plus one
+-- bulk_job_recipients row per recipient, and a background worker sends them in order.
+-- Jobs can be paused, resumed and cancelled; failed and cancelled recipients are refunded.
+
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- NULL for dashboard announcements
+
+  -- Job details
+  job_type TEXT NOT NULL, -- 'bulk' or 'announcement'
+  message TEXT NOT NULL,
+  client_reference TEXT,
+  batch_id TEXT NOT NULL, -- outbound_messages.batch_id of every message sent by this job
+
+  -- Progress
+  status TEXT NOT NULL DEFAULT 'queued',
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+  sent_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  cancelled_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Billing
+  cost_per_message DECIMAL(10, 2) NOT NULL,
+  reserved_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- Deducted when the job was created
+  refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- Returned for failed and cancelled recipients so far
+
+  error_message TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_bulk_job_status CHECK (status IN ('queued', 'running', 'paused', 'completed', 'cancelled'))
+);
+
+CREATE TABLE IF NOT EXISTS bulk_job_recipients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID NOT NULL REFERENCES bulk_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL, -- Index in the submitted recipients array; sending follows this order
+  recipient TEXT NOT NULL, -- As submitted by the caller
+  status TEXT NOT NULL DEFAULT 'pending',
+  outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE SET NULL,
+  whatsapp_message_id TEXT,
+  error_message TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_bulk_job_recipient_status CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_user_id ON bulk_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_session_id ON bulk_jobs(session_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status ON bulk_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_bulk_job_recipients_job_status ON bulk_job_recipients(job_id, status, position);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bulk_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_job_recipients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own bulk_jobs" ON bulk_jobs;
+CREATE POLICY "Users can view own bulk_jobs" ON bulk_jobs
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own bulk_job_recipients" ON bulk_job_recipients;
+CREATE POLICY "Users can view own bulk_job_recipients" ON bulk_job_recipients
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM bulk_jobs WHERE bulk_jobs.id = bulk_job_recipients.job_id AND bulk_jobs.user_id = auth.uid())
+  );
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_bulk_jobs_updated_at
+  BEFORE UPDATE ON bulk_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,9 @@
+-- Migration: Per-recipient personalization in bulk sends
+-- Run this SQL in your Supabase SQL Editor AFTER 010_bulk_jobs.sql
+--
+-- Bulk recipients can be { phone, variables } objects rendered against the message (or
+-- template) placeholders. The rendered text is stored per recipient; NULL means the job's
+-- shared message is sent unchanged.
+
+-- Add personalized message column to bulk_job_recipients
+ALTER TABLE bulk_job_recipients ADD COLUMN IF NOT EXISTS message TEXT;
@@ -0,0 +1,32 @@
+-- Migration: WhatsApp registration checks
+-- Run this SQL in your Supabase SQL Editor AFTER 011_bulk_personalization.sql
+--
+-- One row per number looked up through /api/v1/contacts/check. Used for billing history
+-- and for the check endpoint's own rate limit, which is separate from message rate limits.
+
+CREATE TABLE IF NOT EXISTS contact_checks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+
+  -- Result
+  phone_number TEXT NOT NULL, -- Normalized (digits only)
+  is_registered BOOLEAN, -- NULL when the lookup itself failed
+  whatsapp_id TEXT, -- Resolved WhatsApp id when registered
+  error_message TEXT,
+  cost DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+
+  checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_contact_checks_user_checked_at ON contact_checks(user_id, checked_at);
+CREATE INDEX IF NOT EXISTS idx_contact_checks_phone_number ON contact_checks(phone_number);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE contact_checks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own contact_checks" ON contact_checks;
+CREATE POLICY "Users can view own contact_checks" ON contact_checks
+  FOR SELECT USING (user_id = auth.uid());
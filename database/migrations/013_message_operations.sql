@@ -0,0 +1,45 @@
+-- Migration: Reply, react, edit and revoke operations on messages
+-- Run this SQL in your Supabase SQL Editor AFTER 012_contact_checks.sql
+--
+-- message_operations is the history of every operation performed on a message through
+-- the API. Replies are also regular outbound_messages rows that reference the quoted message.
+
+-- Add operation columns to outbound_messages
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS quoted_message_id TEXT; -- WhatsApp id of the message a reply quotes
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS message_operations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+
+  -- Target
+  outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE CASCADE, -- NULL when the target was not sent through the API (e.g. an incoming message)
+  target_message_id TEXT NOT NULL, -- WhatsApp id of the message operated on
+
+  -- Operation
+  operation TEXT NOT NULL, -- 'reply', 'react', 'edit', 'revoke'
+  content TEXT, -- Reply/edit text or reaction emoji
+  result_message_id TEXT, -- WhatsApp id of the reply
+  status TEXT NOT NULL DEFAULT 'success', -- 'success', 'failed'
+  error_message TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_message_operation CHECK (operation IN ('reply', 'react', 'edit', 'revoke')),
+  CONSTRAINT valid_message_operation_status CHECK (status IN ('success', 'failed'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_message_operations_user_id ON message_operations(user_id);
+CREATE INDEX IF NOT EXISTS idx_message_operations_outbound_message_id ON message_operations(outbound_message_id);
+CREATE INDEX IF NOT EXISTS idx_message_operations_target_message_id ON message_operations(target_message_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE message_operations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own message_operations" ON message_operations;
+CREATE POLICY "Users can view own message_operations" ON message_operations
+  FOR SELECT USING (user_id = auth.uid());
@@ -0,0 +1,142 @@
+-- Migration: Conversation store (inbound and outbound message history)
+-- Run this SQL in your Supabase SQL Editor AFTER 013_message_operations.sql
+--
+-- Every message a session sends or receives is stored here before any webhook is called,
+-- so the inbox does not depend on webhook delivery. conversations has one row per chat;
+-- conversation_messages has one row per WhatsApp message.
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+
+  -- Chat details
+  chat_id TEXT NOT NULL, -- WhatsApp chat id (9647...@c.us, ...@lid or ...@g.us)
+  name TEXT, -- Contact push name or group subject
+  is_group BOOLEAN NOT NULL DEFAULT false,
+
+  -- Summary
+  last_message_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_message_preview TEXT,
+  last_message_direction TEXT,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_read_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(session_id, chat_id)
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+
+  -- Message details
+  whatsapp_message_id TEXT NOT NULL,
+  direction TEXT NOT NULL, -- 'inbound', 'outbound'
+  sender TEXT, -- WhatsApp id of the sender (the participant in groups)
+  message_type TEXT NOT NULL, -- WhatsApp type: 'chat', 'image', 'location', 'poll_creation', ...
+  body TEXT,
+  has_media BOOLEAN NOT NULL DEFAULT false,
+  quoted_message_id TEXT,
+
+  -- Status: outbound messages follow acks (sent -> delivered -> read), inbound are received -> read
+  status TEXT NOT NULL,
+  read_at TIMESTAMP WITH TIME ZONE,
+
+  message_at TIMESTAMP WITH TIME ZONE NOT NULL, -- WhatsApp timestamp of the message
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(session_id, whatsapp_message_id),
+  CONSTRAINT valid_conversation_message_direction CHECK (direction IN ('inbound', 'outbound')),
+  CONSTRAINT valid_conversation_message_status CHECK (status IN ('received', 'sent', 'delivered', 'read', 'failed'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_session_last_message ON conversations(session_id, last_message_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, message_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_user_id ON conversation_messages(user_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own conversations" ON conversations;
+CREATE POLICY "Users can view own conversations" ON conversations
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own conversation_messages" ON conversation_messages;
+CREATE POLICY "Users can view own conversation_messages" ON conversation_messages
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Triggers to update updated_at timestamp
+CREATE TRIGGER update_conversations_updated_at
+  BEFORE UPDATE ON conversations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_conversation_messages_updated_at
+  BEFORE UPDATE ON conversation_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Store one message and update its conversation in a single transaction.
+-- Duplicate deliveries of the same WhatsApp message are ignored (and don't bump unread_count).
+CREATE OR REPLACE FUNCTION record_conversation_message(
+  p_user_id UUID,
+  p_session_id TEXT,
+  p_chat_id TEXT,
+  p_chat_name TEXT,
+  p_is_group BOOLEAN,
+  p_whatsapp_message_id TEXT,
+  p_direction TEXT,
+  p_sender TEXT,
+  p_message_type TEXT,
+  p_body TEXT,
+  p_has_media BOOLEAN,
+  p_quoted_message_id TEXT,
+  p_message_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS UUID AS $$
+DECLARE
+  v_conversation_id UUID;
+  v_message_id UUID;
+BEGIN
+  INSERT INTO conversations (user_id, session_id, chat_id, name, is_group, last_message_at)
+  VALUES (p_user_id, p_session_id, p_chat_id, p_chat_name, p_is_group, p_message_at)
+  ON CONFLICT (session_id, chat_id) DO UPDATE
+    SET name = COALESCE(EXCLUDED.name, conversations.name)
+  RETURNING id INTO v_conversation_id;
+
+  INSERT INTO conversation_messages (
+    conversation_id, user_id, session_id, whatsapp_message_id, direction, sender,
+    message_type, body, has_media, quoted_message_id, status, message_at
+  )
+  VALUES (
+    v_conversation_id, p_user_id, p_session_id, p_whatsapp_message_id, p_direction, p_sender,
+    p_message_type, p_body, p_has_media, p_quoted_message_id,
+    CASE WHEN p_direction = 'inbound' THEN 'received' ELSE 'sent' END, p_message_at
+  )
+  ON CONFLICT (session_id, whatsapp_message_id) DO NOTHING
+  RETURNING id INTO v_message_id;
+
+  IF v_message_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE conversations
+  SET
+    last_message_at = GREATEST(last_message_at, p_message_at),
+    last_message_preview = CASE WHEN p_message_at >= last_message_at THEN LEFT(COALESCE(NULLIF(p_body, ''), '[' || p_message_type || ']'), 200) ELSE last_message_preview END,
+    last_message_direction = CASE WHEN p_message_at >= last_message_at THEN p_direction ELSE last_message_direction END,
+    unread_count = CASE WHEN p_direction = 'inbound' THEN unread_count + 1 ELSE unread_count END
+  WHERE id = v_conversation_id;
+
+  RETURN v_message_id;
+END;
+$$ LANGUAGE plpgsql;
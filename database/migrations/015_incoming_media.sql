@@ -0,0 +1,46 @@
+-- Migration: Stored incoming media
+-- Run this SQL in your Supabase SQL Editor AFTER 014_conversations.sql
+--
+-- Media attached to incoming messages is uploaded to the private 'whatsapp-media' storage
+-- bucket (created by the backend on first use). Webhooks carry a signed URL to the file.
+-- Files are deleted from storage after the retention period; the row is kept with deleted_at set.
+
+CREATE TABLE IF NOT EXISTS incoming_media (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+
+  -- Source message
+  whatsapp_message_id TEXT NOT NULL,
+  chat_id TEXT NOT NULL,
+  media_type TEXT NOT NULL, -- 'image', 'video', 'audio', 'document'
+
+  -- File
+  storage_path TEXT NOT NULL,
+  mimetype TEXT NOT NULL,
+  filename TEXT,
+  size_bytes BIGINT NOT NULL,
+  sha256 TEXT NOT NULL,
+
+  -- Retention
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(session_id, whatsapp_message_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_incoming_media_user_id ON incoming_media(user_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_media_expires_at ON incoming_media(expires_at) WHERE deleted_at IS NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE incoming_media ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own incoming_media" ON incoming_media;
+CREATE POLICY "Users can view own incoming_media" ON incoming_media
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Link stored messages to their media
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS media_id UUID REFERENCES incoming_media(id) ON DELETE SET NULL;
@@ -0,0 +1,97 @@
+-- Migration: Keyword / regex auto-reply rules
+-- Run this SQL in your Supabase SQL Editor AFTER 015_incoming_media.sql
+--
+-- Rules are evaluated per session against incoming one-to-one text messages, in priority
+-- order (lowest number first). The first matching rule that is inside its active hours and
+-- not in cooldown for the contact sends its reply. Replies are billed like any outbound message.
+
+CREATE TABLE IF NOT EXISTS auto_reply_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- Matching
+  match_type TEXT NOT NULL DEFAULT 'keyword', -- 'keyword', 'contains', 'exact', 'regex'
+  pattern TEXT NOT NULL, -- Comma-separated keywords, a phrase, or a regular expression
+  case_sensitive BOOLEAN NOT NULL DEFAULT false,
+  priority INTEGER NOT NULL DEFAULT 100, -- Lower runs first
+
+  -- Reply: a fixed message or a template
+  reply_message TEXT,
+  template_id UUID REFERENCES message_templates(id) ON DELETE SET NULL,
+  template_language TEXT,
+
+  -- Active hours (NULL = always); a window with start > end wraps past midnight
+  active_from TIME,
+  active_to TIME,
+  active_days INTEGER[], -- 0 = Sunday ... 6 = Saturday; NULL = every day
+  timezone TEXT NOT NULL DEFAULT 'Asia/Baghdad',
+
+  -- Per-contact cooldown
+  cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+
+  -- Counters
+  hit_count INTEGER NOT NULL DEFAULT 0, -- Incoming messages that matched
+  reply_count INTEGER NOT NULL DEFAULT 0, -- Replies actually sent
+  last_triggered_at TIMESTAMP WITH TIME ZONE,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_auto_reply_match_type CHECK (match_type IN ('keyword', 'contains', 'exact', 'regex')),
+  CONSTRAINT auto_reply_has_reply CHECK (reply_message IS NOT NULL OR template_id IS NOT NULL),
+  CONSTRAINT valid_auto_reply_cooldown CHECK (cooldown_minutes >= 0)
+);
+
+-- One row per matched incoming message, used for cooldowns and as the rule's history
+CREATE TABLE IF NOT EXISTS auto_reply_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rule_id UUID NOT NULL REFERENCES auto_reply_rules(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  chat_id TEXT NOT NULL, -- Contact the rule matched for
+  incoming_message_id TEXT, -- WhatsApp id of the message that matched
+  outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE SET NULL,
+  status TEXT NOT NULL, -- 'sent', 'cooldown', 'failed', 'insufficient_balance', 'rate_limited', 'template_error'
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_session ON auto_reply_rules(session_id, priority) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_user_id ON auto_reply_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_auto_reply_events_cooldown ON auto_reply_events(rule_id, chat_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auto_reply_events_user_id ON auto_reply_events(user_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE auto_reply_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auto_reply_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own auto_reply_rules" ON auto_reply_rules;
+CREATE POLICY "Users can view own auto_reply_rules" ON auto_reply_rules
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own auto_reply_events" ON auto_reply_events;
+CREATE POLICY "Users can view own auto_reply_events" ON auto_reply_events
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_auto_reply_rules_updated_at
+  BEFORE UPDATE ON auto_reply_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to bump a rule's counters atomically
+CREATE OR REPLACE FUNCTION increment_auto_reply_rule_counters(p_rule_id UUID, p_replied BOOLEAN)
+RETURNS void AS $$
+BEGIN
+  UPDATE auto_reply_rules
+  SET
+    hit_count = hit_count + 1,
+    reply_count = CASE WHEN p_replied THEN reply_count + 1 ELSE reply_count END,
+    last_triggered_at = NOW()
+  WHERE id = p_rule_id;
+END;
+$$ LANGUAGE plpgsql;
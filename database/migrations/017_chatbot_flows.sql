@@ -0,0 +1,102 @@
+-- Migration: Chatbot flows with per-contact state
+-- Run this SQL in your Supabase SQL Editor AFTER 016_auto_reply_rules.sql
+--
+-- A flow is a JSON definition of steps (message, question, menu, end) stored per session.
+-- An incoming one-to-one text that matches the flow's trigger starts it for that contact;
+-- chatbot_flow_sessions keeps where each contact is in the flow and the answers collected.
+
+CREATE TABLE IF NOT EXISTS chatbot_flows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- Trigger (same matching as auto-reply rules)
+  match_type TEXT NOT NULL DEFAULT 'keyword', -- 'keyword', 'contains', 'exact', 'regex'
+  pattern TEXT NOT NULL,
+  case_sensitive BOOLEAN NOT NULL DEFAULT false,
+  priority INTEGER NOT NULL DEFAULT 100, -- Lower is checked first
+
+  -- Definition: { start, steps: { id: { type, message, ... } }, cancelKeywords, timeoutMessage }
+  definition JSONB NOT NULL,
+  timeout_minutes INTEGER NOT NULL DEFAULT 30, -- Inactivity before a contact's run times out
+
+  -- Counters
+  started_count INTEGER NOT NULL DEFAULT 0,
+  completed_count INTEGER NOT NULL DEFAULT 0,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_chatbot_flow_match_type CHECK (match_type IN ('keyword', 'contains', 'exact', 'regex')),
+  CONSTRAINT valid_chatbot_flow_timeout CHECK (timeout_minutes > 0)
+);
+
+CREATE TABLE IF NOT EXISTS chatbot_flow_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  flow_id UUID NOT NULL REFERENCES chatbot_flows(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  chat_id TEXT NOT NULL, -- Contact running the flow
+
+  -- State
+  current_step TEXT,
+  variables JSONB NOT NULL DEFAULT '{}',
+  attempts INTEGER NOT NULL DEFAULT 0, -- Invalid answers to the current step
+  status TEXT NOT NULL DEFAULT 'active', -- 'active', 'completed', 'timed_out', 'cancelled', 'failed'
+  error_message TEXT,
+
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_chatbot_flow_session_status CHECK (status IN ('active', 'completed', 'timed_out', 'cancelled', 'failed'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_chatbot_flows_session ON chatbot_flows(session_id, priority) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_chatbot_flows_user_id ON chatbot_flows(user_id);
+CREATE INDEX IF NOT EXISTS idx_chatbot_flow_sessions_flow_id ON chatbot_flow_sessions(flow_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chatbot_flow_sessions_expires_at ON chatbot_flow_sessions(expires_at) WHERE status = 'active';
+-- A contact runs at most one flow at a time per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chatbot_flow_sessions_one_active ON chatbot_flow_sessions(session_id, chat_id) WHERE status = 'active';
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE chatbot_flows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chatbot_flow_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own chatbot_flows" ON chatbot_flows;
+CREATE POLICY "Users can view own chatbot_flows" ON chatbot_flows
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own chatbot_flow_sessions" ON chatbot_flow_sessions;
+CREATE POLICY "Users can view own chatbot_flow_sessions" ON chatbot_flow_sessions
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Triggers to update updated_at timestamp
+CREATE TRIGGER update_chatbot_flows_updated_at
+  BEFORE UPDATE ON chatbot_flows
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_chatbot_flow_sessions_updated_at
+  BEFORE UPDATE ON chatbot_flow_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to bump a flow's counters atomically
+CREATE OR REPLACE FUNCTION increment_chatbot_flow_counter(p_flow_id UUID, p_counter TEXT)
+RETURNS void AS $$
+BEGIN
+  UPDATE chatbot_flows
+  SET
+    started_count = CASE WHEN p_counter = 'started' THEN started_count + 1 ELSE started_count END,
+    completed_count = CASE WHEN p_counter = 'completed' THEN completed_count + 1 ELSE completed_count END
+  WHERE id = p_flow_id;
+END;
+$$ LANGUAGE plpgsql;
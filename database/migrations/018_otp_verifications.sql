@@ -0,0 +1,103 @@
+-- Migration: Server-side OTP verifications
+-- Run this SQL in your Supabase SQL Editor AFTER 017_chatbot_flows.sql
+--
+-- One row per code sent through /api/v1/otp/send. Only an HMAC of the code is stored.
+-- /api/v1/otp/verify checks a code against it: limited attempts, expiry and single use.
+
+CREATE TABLE IF NOT EXISTS otp_verifications (
+  id UUID PRIMARY KEY, -- verificationId; generated by the backend because it is part of the code hash
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE SET NULL,
+
+  recipient TEXT NOT NULL,
+  client_reference TEXT,
+
+  -- Code
+  code_hash TEXT NOT NULL, -- HMAC-SHA256 of verificationId and code
+  code_length INTEGER NOT NULL,
+  generated BOOLEAN NOT NULL DEFAULT true, -- false when the caller supplied the code
+
+  -- Verification state
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'verified', 'expired', 'failed', 'cancelled'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  verified_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_otp_verification_status CHECK (status IN ('pending', 'verified', 'expired', 'failed', 'cancelled'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_id ON otp_verifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_session_id ON otp_verifications(session_id);
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_recipient ON otp_verifications(recipient, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE otp_verifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own otp_verifications" ON otp_verifications;
+CREATE POLICY "Users can view own otp_verifications" ON otp_verifications
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_otp_verifications_updated_at
+  BEFORE UPDATE ON otp_verifications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Record one verification attempt under a row lock, so concurrent attempts can't reuse a code
+-- or exceed max_attempts. The backend compares the code hash and passes the result in.
+-- Returns { result, attempts, max_attempts, verified_at } where result is one of:
+-- 'verified', 'invalid_code', 'expired', 'max_attempts_exceeded', 'already_verified', 'cancelled', 'not_found'
+CREATE OR REPLACE FUNCTION consume_otp_attempt(p_verification_id UUID, p_code_matches BOOLEAN)
+RETURNS JSON AS $$
+DECLARE
+  v_row otp_verifications%ROWTYPE;
+BEGIN
+  SELECT * INTO v_row FROM otp_verifications WHERE id = p_verification_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN json_build_object('result', 'not_found');
+  END IF;
+
+  IF v_row.status = 'verified' THEN
+    RETURN json_build_object('result', 'already_verified', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts, 'verified_at', v_row.verified_at);
+  END IF;
+
+  IF v_row.status = 'cancelled' THEN
+    RETURN json_build_object('result', 'cancelled', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts);
+  END IF;
+
+  IF v_row.status = 'failed' OR v_row.attempts >= v_row.max_attempts THEN
+    UPDATE otp_verifications SET status = 'failed' WHERE id = p_verification_id AND status = 'pending';
+    RETURN json_build_object('result', 'max_attempts_exceeded', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts);
+  END IF;
+
+  IF v_row.status = 'expired' OR v_row.expires_at <= NOW() THEN
+    UPDATE otp_verifications SET status = 'expired' WHERE id = p_verification_id AND status = 'pending';
+    RETURN json_build_object('result', 'expired', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts);
+  END IF;
+
+  IF p_code_matches THEN
+    UPDATE otp_verifications
+    SET attempts = attempts + 1, status = 'verified', verified_at = NOW()
+    WHERE id = p_verification_id
+    RETURNING * INTO v_row;
+    RETURN json_build_object('result', 'verified', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts, 'verified_at', v_row.verified_at);
+  END IF;
+
+  UPDATE otp_verifications
+  SET
+    attempts = attempts + 1,
+    status = CASE WHEN attempts + 1 >= max_attempts THEN 'failed' ELSE status END
+  WHERE id = p_verification_id
+  RETURNING * INTO v_row;
+
+  RETURN json_build_object('result', 'invalid_code', 'attempts', v_row.attempts, 'max_attempts', v_row.max_attempts);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,49 @@
+-- Migration: OTP abuse and toll-fraud protection
+-- Run this SQL in your Supabase SQL Editor AFTER 018_otp_verifications.sql
+--
+-- Per-account OTP safeguards on /api/v1/otp/send: limits per recipient and per country,
+-- a country allow/deny list by dialling code, and sequential-number burst detection.
+-- Every blocked send is recorded in otp_blocked_attempts for the dashboard report.
+
+-- Add OTP protection settings to user_settings (0 disables a limit)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_limit_per_number_per_hour INTEGER DEFAULT 5;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_limit_per_number_per_day INTEGER DEFAULT 10;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_limit_per_country_per_hour INTEGER DEFAULT 200;
+-- 'off' = all countries, 'allow' = only otp_country_codes, 'deny' = all except otp_country_codes
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_country_mode TEXT DEFAULT 'off';
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_country_codes TEXT[] DEFAULT '{}'; -- Dialling codes, e.g. {'964'}
+-- Block when this many near-consecutive numbers get codes within the window
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_sequential_burst_threshold INTEGER DEFAULT 5;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS otp_sequential_window_minutes INTEGER DEFAULT 10;
+
+ALTER TABLE user_settings DROP CONSTRAINT IF EXISTS valid_otp_country_mode;
+ALTER TABLE user_settings ADD CONSTRAINT valid_otp_country_mode CHECK (otp_country_mode IN ('off', 'allow', 'deny'));
+
+-- Add dialling code to OTP verifications for per-country counting
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS country_code TEXT;
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_country ON otp_verifications(user_id, country_code, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_recipient ON otp_verifications(user_id, recipient, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS otp_blocked_attempts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+
+  recipient TEXT NOT NULL,
+  country_code TEXT,
+  code TEXT NOT NULL, -- 'otp_number_limit', 'otp_country_limit', 'otp_country_blocked', 'otp_sequential_burst'
+  details JSONB, -- Limit, current count, window, neighbouring numbers...
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_otp_blocked_attempts_user_created ON otp_blocked_attempts(user_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE otp_blocked_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own otp_blocked_attempts" ON otp_blocked_attempts;
+CREATE POLICY "Users can view own otp_blocked_attempts" ON otp_blocked_attempts
+  FOR SELECT USING (user_id = auth.uid());
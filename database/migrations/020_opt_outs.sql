@@ -0,0 +1,41 @@
+-- Migration: Opt-out keywords and suppression list
+-- Run this SQL in your Supabase SQL Editor AFTER 019_otp_protection.sql
+--
+-- A contact who replies with an opt-out keyword (e.g. STOP, إيقاف) is added to the account's
+-- suppression list; an opt-in keyword (e.g. START) removes them again. Announcements, bulk
+-- sends and single API messages skip suppressed numbers without charging. OTPs are not affected.
+
+-- Add opt-out settings to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS opt_out_enabled BOOLEAN DEFAULT true;
+-- A message opts out / in when its whole text is one of these (case, diacritics and trailing punctuation ignored)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS opt_out_keywords TEXT[] DEFAULT ARRAY['STOP', 'STOPALL', 'UNSUBSCRIBE', 'إيقاف', 'ايقاف', 'توقف', 'الغاء الاشتراك'];
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS opt_in_keywords TEXT[] DEFAULT ARRAY['START', 'UNSTOP', 'SUBSCRIBE', 'اشتراك', 'تفعيل'];
+-- Optional confirmations sent back to the contact (NULL = no reply); billed like auto-replies
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS opt_out_confirmation TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS opt_in_confirmation TEXT;
+
+CREATE TABLE IF NOT EXISTS suppressed_numbers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  phone_number TEXT NOT NULL, -- International format, digits only
+
+  source TEXT NOT NULL DEFAULT 'keyword', -- 'keyword', 'api', 'dashboard'
+  keyword TEXT, -- Opt-out keyword the contact sent
+  session_id TEXT REFERENCES whatsapp_sessions(session_id) ON DELETE SET NULL, -- Session the opt-out arrived on
+  reason TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, phone_number),
+  CONSTRAINT valid_suppression_source CHECK (source IN ('keyword', 'api', 'dashboard'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_suppressed_numbers_user_created ON suppressed_numbers(user_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE suppressed_numbers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own suppressed_numbers" ON suppressed_numbers;
+CREATE POLICY "Users can view own suppressed_numbers" ON suppressed_numbers
+  FOR SELECT USING (user_id = auth.uid());
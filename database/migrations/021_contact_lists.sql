@@ -0,0 +1,64 @@
+-- Migration: Contact lists and audiences
+-- Run this SQL in your Supabase SQL Editor AFTER 020_opt_outs.sql
+--
+-- Named lists of contacts per account, each contact with a name, city, tags and free-form
+-- custom fields. send-announcement and send-bulk can target a list (optionally narrowed by a
+-- segment such as "tag = vip AND city = Baghdad") instead of a raw recipients array.
+
+CREATE TABLE IF NOT EXISTS contact_lists (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  contact_count INTEGER NOT NULL DEFAULT 0, -- Refreshed after contacts are added or removed
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS contact_list_contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  list_id UUID NOT NULL REFERENCES contact_lists(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  phone_number TEXT NOT NULL, -- International format, digits only
+
+  name TEXT,
+  city TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}', -- Lowercase
+  custom_fields JSONB NOT NULL DEFAULT '{}', -- { "plan": "gold", ... }
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(list_id, phone_number)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_contact_lists_user_id ON contact_lists(user_id);
+CREATE INDEX IF NOT EXISTS idx_contact_list_contacts_list ON contact_list_contacts(list_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_list_contacts_user ON contact_list_contacts(user_id, phone_number);
+CREATE INDEX IF NOT EXISTS idx_contact_list_contacts_tags ON contact_list_contacts USING GIN(tags);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE contact_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contact_list_contacts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own contact_lists" ON contact_lists;
+CREATE POLICY "Users can view own contact_lists" ON contact_lists
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own contact_list_contacts" ON contact_list_contacts;
+CREATE POLICY "Users can view own contact_list_contacts" ON contact_list_contacts
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Triggers to update updated_at timestamp
+CREATE TRIGGER update_contact_lists_updated_at
+  BEFORE UPDATE ON contact_lists
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contact_list_contacts_updated_at
+  BEFORE UPDATE ON contact_list_contacts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
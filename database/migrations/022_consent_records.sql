@@ -0,0 +1,64 @@
+-- Migration: Consent (opt-in) records for marketing sends
+-- Run this SQL in your Supabase SQL Editor AFTER 021_contact_lists.sql
+--
+-- consents holds the current consent of each number per account; consent_events is the
+-- append-only history (every capture and revocation with its source and proof) used for
+-- audits. send-announcement and send-bulk can require active consent with strictConsent.
+
+CREATE TABLE IF NOT EXISTS consents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  phone_number TEXT NOT NULL, -- International format, digits only
+
+  status TEXT NOT NULL, -- 'granted', 'revoked'
+  source TEXT NOT NULL, -- Where the latest change came from, e.g. 'web_form', 'in_store', 'whatsapp_keyword', 'whatsapp_opt_in_keyword'
+  proof TEXT, -- Evidence of the latest change, e.g. the form text the contact agreed to
+  granted_at TIMESTAMP WITH TIME ZONE, -- When the contact last gave consent
+  revoked_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, phone_number),
+  CONSTRAINT valid_consent_status CHECK (status IN ('granted', 'revoked'))
+);
+
+CREATE TABLE IF NOT EXISTS consent_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  phone_number TEXT NOT NULL,
+
+  action TEXT NOT NULL, -- 'granted', 'revoked'
+  source TEXT NOT NULL,
+  proof TEXT,
+  captured_at TIMESTAMP WITH TIME ZONE NOT NULL, -- When it happened (may be earlier than created_at for imported consent)
+  recorded_by TEXT NOT NULL, -- 'api', 'dashboard', 'keyword'
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_consent_event_action CHECK (action IN ('granted', 'revoked'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_consents_user_status ON consents(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_consent_events_user_created ON consent_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_consent_events_user_phone ON consent_events(user_id, phone_number, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE consents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE consent_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own consents" ON consents;
+CREATE POLICY "Users can view own consents" ON consents
+  FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view own consent_events" ON consent_events;
+CREATE POLICY "Users can view own consent_events" ON consent_events
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_consents_updated_at
+  BEFORE UPDATE ON consents
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
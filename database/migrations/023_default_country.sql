@@ -0,0 +1,9 @@
+-- Migration: Default country for phone numbers
+-- Run this SQL in your Supabase SQL Editor AFTER 022_consent_records.sql
+--
+-- Numbers in national format (e.g. 07812345678) are read as numbers of the account's default
+-- country on every send path, contact list and suppression/consent endpoint. Numbers starting
+-- with + or 00 are always international.
+
+-- ISO 3166-1 alpha-2 code; see SUPPORTED_COUNTRIES in services/phone-numbers.js
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS default_country TEXT DEFAULT 'IQ';
@@ -0,0 +1,57 @@
+-- Migration: Durable outbound queue with automatic retries
+-- Run this SQL in your Supabase SQL Editor AFTER 023_default_country.sql
+--
+-- A single send that fails for a transient reason (session reconnecting, timeout) is kept
+-- here instead of being refunded, and retried with backoff up to the account's
+-- max_retry_attempts while auto_retry_failed_messages is on. Items survive restarts and are
+-- drained when their session becomes ready; unsent items are refunded once they expire.
+
+CREATE TABLE IF NOT EXISTS outbound_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE SET NULL, -- Stays 'queued' until sent or given up
+
+  recipient TEXT NOT NULL,
+  message_type TEXT NOT NULL,
+  label TEXT NOT NULL, -- Used in wallet descriptions, e.g. 'OTP', 'Media message (image)'
+  content JSONB NOT NULL, -- { "type": "text" | "media" | "location" | "poll", ... }; media files are kept in the whatsapp-media bucket under outbound/
+  send_options JSONB NOT NULL DEFAULT '{}', -- e.g. caption, sendMediaAsDocument
+  log_type TEXT NOT NULL, -- automation_logs type once sent
+  log_message TEXT,
+  cost DECIMAL(10, 2) NOT NULL, -- Already charged; refunded if the message is never sent
+  reference TEXT NOT NULL,
+  webhook JSONB NOT NULL, -- { "type", "event", "payload" } fired as <event>_sent / <event>_failed
+
+  status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'sending', 'sent', 'failed', 'expired', 'cancelled'
+  attempts INTEGER NOT NULL DEFAULT 0, -- Retries made (the original send is not counted)
+  max_attempts INTEGER NOT NULL,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- e.g. the OTP expiry
+  last_error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+
+  CONSTRAINT valid_outbound_queue_status CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'expired', 'cancelled'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_due ON outbound_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_session_status ON outbound_queue(session_id, status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_user_created ON outbound_queue(user_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE outbound_queue ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own outbound_queue" ON outbound_queue;
+CREATE POLICY "Users can view own outbound_queue" ON outbound_queue
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Trigger to update updated_at timestamp
+CREATE TRIGGER update_outbound_queue_updated_at
+  BEFORE UPDATE ON outbound_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
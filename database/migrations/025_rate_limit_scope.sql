@@ -0,0 +1,17 @@
+-- Migration: Sliding-window message rate limits with a configurable scope
+-- Run this SQL in your Supabase SQL Editor AFTER 024_outbound_queue.sql
+--
+-- Rate limits are now counted in memory per recipient message instead of by counting
+-- automation_logs rows on every send. rate_limit_scope chooses whether the per-minute/hour/day
+-- limits apply to the whole account, to each API key or to each session. After a restart a
+-- sender's counters are seeded once from outbound_messages, which the indexes below keep cheap.
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS rate_limit_scope TEXT DEFAULT 'user';
+
+ALTER TABLE user_settings DROP CONSTRAINT IF EXISTS valid_rate_limit_scope;
+ALTER TABLE user_settings ADD CONSTRAINT valid_rate_limit_scope CHECK (rate_limit_scope IN ('user', 'api_key', 'session'));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_user_created ON outbound_messages(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_session_created ON outbound_messages(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_api_key_created ON outbound_messages(api_key_id, created_at);
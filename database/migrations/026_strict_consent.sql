@@ -0,0 +1,9 @@
+-- Migration: Keep strict consent mode on bulk jobs and scheduled messages
+-- Run this SQL in your Supabase SQL Editor AFTER 025_rate_limit_scope.sql
+--
+-- strictConsent was only checked when a bulk job or scheduled message was created. It is now
+-- stored with the job so consent is checked again when each recipient is sent to; recipients
+-- whose consent was revoked in between are skipped and refunded.
+
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS strict_consent BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS strict_consent BOOLEAN NOT NULL DEFAULT FALSE;
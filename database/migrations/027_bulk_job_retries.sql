@@ -0,0 +1,14 @@
+-- Migration: Retry bulk job and scheduled sends that fail transiently through the outbound queue
+-- Run this SQL in your Supabase SQL Editor AFTER 026_strict_consent.sql
+--
+-- A bulk job recipient whose send fails for a temporary reason (session reconnecting, timeout) is
+-- handed to outbound_queue instead of failing. It is then 'queued': the queue retries it and refunds
+-- it only if it is given up, so the job itself no longer refunds it.
+
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS queued_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE bulk_job_recipients DROP CONSTRAINT IF EXISTS valid_bulk_job_recipient_status;
+ALTER TABLE bulk_job_recipients ADD CONSTRAINT valid_bulk_job_recipient_status CHECK (status IN ('pending', 'sending', 'queued', 'sent', 'failed', 'cancelled'));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_outbound_message ON outbound_queue(outbound_message_id);
@@ -1,14 +1,24 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
 const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
+const vm = require('vm');
 const { URL } = require('url');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
+const multer = require('multer');
+const safeRegex = require('safe-regex2');
 const { createClient } = require('@supabase/supabase-js');
 const { backupSession, restoreSession, deleteSession, ensureBucketExists } = require('./services/session-storage');
+const { storeMedia, storeOutboundMedia, loadMedia, createMediaSignedUrl, deleteMedia } = require('./services/media-storage');
+const { getDialingCode, isDialingCode } = require('./services/country-codes');
+const { normalizePhoneNumber, isSupportedCountry, SUPPORTED_COUNTRIES, DEFAULT_COUNTRY } = require('./services/phone-numbers');
+const { seedRateLimitCounter, takeRateLimit, releaseRateLimit, getRateLimitStatus, pruneRateLimitCounters } = require('./services/rate-limiter');
+const { MAX_OPT_OUT_KEYWORD_LENGTH, normalizeOptOutText, isOptOutKeywordCandidate, matchOptOutKeyword } = require('./services/opt-out-keywords');
 require('dotenv').config();
 
 const app = express();
@@ -33,9 +43,9 @@ app.use((req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Idempotency-Key');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type, Idempotent-Replayed, X-RateLimit-Limit, X-RateLimit-Remaining, Retry-After');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
   
   // Handle preflight OPTIONS requests
@@ -54,17 +64,22 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 204,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Idempotent-Replayed', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After']
 }));
 
-app.use(express.json());
+// Raised from the 100kb default so base64 media payloads fit
+app.use(express.json({ limit: '25mb' }));
 
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
   if (Object.keys(req.body).length > 0) {
-    console.log('Body:', JSON.stringify(req.body, null, 2));
+    // Don't dump base64 media into the logs
+    const loggedBody = req.body.mediaBase64
+      ? { ...req.body, mediaBase64: `<${req.body.mediaBase64.length} chars>` }
+      : req.body;
+    console.log('Body:', JSON.stringify(loggedBody, null, 2));
   }
   next();
 });
@@ -96,7 +111,17 @@ const clients = new Map();
 
 // Constants
 const MESSAGE_COST_IQD = 10.00;
+const MEDIA_MESSAGE_COST_IQD = 20.00;
+const CONTACT_CHECK_COST_IQD = 1.00; // Per number looked up via /api/v1/contacts/check
 const DEFAULT_WALLET_BALANCE = 1000.00;
+const MAX_MEDIA_SIZE_BYTES = 16 * 1024 * 1024; // WhatsApp's limit for media messages
+const MEDIA_TYPES = ['image', 'document', 'audio', 'video'];
+
+// Multipart uploads for media messages are kept in memory and forwarded as base64
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_SIZE_BYTES }
+});
 
 // Helper function to generate API key
 function generateApiKey() {
@@ -160,7 +185,7 @@ async function initializeWalletBalance(userId) {
 }
 
 // Helper function to deduct wallet balance
-async function deductBalance(userId, sessionId, description, referenceId = null) {
+async function deductBalance(userId, sessionId, description, referenceId = null, amount = MESSAGE_COST_IQD) {
   try {
     // Get current balance from user_profiles (Supabase Auth)
     const { data: userProfile, error: fetchError } = await supabase
@@ -176,17 +201,17 @@ async function deductBalance(userId, sessionId, description, referenceId = null)
     const currentBalance = userProfile?.wallet_balance || DEFAULT_WALLET_BALANCE;
 
     // Check if sufficient balance
-    if (currentBalance < MESSAGE_COST_IQD) {
+    if (currentBalance < amount) {
       return {
         success: false,
         error: 'Insufficient balance',
         currentBalance,
-        required: MESSAGE_COST_IQD
+        required: amount
       };
     }
 
     // Deduct balance
-    const newBalance = currentBalance - MESSAGE_COST_IQD;
+    const newBalance = currentBalance - amount;
     const { error: updateError } = await supabase
       .from('user_profiles')
       .update({ wallet_balance: newBalance })
@@ -201,7 +226,7 @@ async function deductBalance(userId, sessionId, description, referenceId = null)
       user_id: userId,
       session_id: sessionId,
       transaction_type: 'debit',
-      amount: MESSAGE_COST_IQD,
+      amount,
       balance_before: currentBalance,
       balance_after: newBalance,
       description,
@@ -212,7 +237,7 @@ async function deductBalance(userId, sessionId, description, referenceId = null)
       success: true,
       balanceBefore: currentBalance,
       balanceAfter: newBalance,
-      amountDeducted: MESSAGE_COST_IQD
+      amountDeducted: amount
     };
   } catch (error) {
     console.error('❌ Error deducting balance:', error);
@@ -223,6 +248,50 @@ async function deductBalance(userId, sessionId, description, referenceId = null)
   }
 }
 
+// Helper function to refund wallet balance (credits the amount back and logs the transaction)
+async function refundBalance(userId, sessionId, amount, description, referenceId = null) {
+  try {
+    const { data: userProfile, error: fetchError } = await supabase
+      .from('user_profiles')
+      .select('wallet_balance')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch balance: ${fetchError.message}`);
+    }
+
+    const currentBalance = userProfile?.wallet_balance || 0;
+    const newBalance = currentBalance + amount;
+
+    const { error: updateError } = await supabase
+      .from('user_profiles')
+      .update({ wallet_balance: newBalance })
+      .eq('id', userId);
+
+    if (updateError) {
+      throw new Error(`Failed to update balance: ${updateError.message}`);
+    }
+
+    await supabase.from('wallet_transactions').insert({
+      user_id: userId,
+      session_id: sessionId,
+      transaction_type: 'credit',
+      amount,
+      balance_before: currentBalance,
+      balance_after: newBalance,
+      description,
+      reference_id: referenceId
+    });
+
+    console.log(`💰 Refunded ${amount} IQD to user ${userId}`);
+    return { success: true, balanceBefore: currentBalance, balanceAfter: newBalance };
+  } catch (error) {
+    console.error('❌ Error refunding balance:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -394,6 +463,9 @@ async function restoreClient(userId, sessionId) {
             backupSession(sessionId).catch(err => {
               console.error(`⚠️ Failed to backup session ${sessionId}:`, err.message);
             });
+
+            // Send messages that were waiting for the session to come back
+            resumeOutboundQueue(sessionId);
             
             // Log connection event (reuse session variable from above)
             if (session) {
@@ -649,6 +721,9 @@ async function initializeClient(userId, sessionId) {
         console.error(`⚠️ Failed to backup session ${sessionId}:`, err.message);
       });
 
+      // Send messages that were waiting for the session to come back
+      resumeOutboundQueue(sessionId);
+
       // Disconnect any other sessions for this user
       const { error: disconnectError } = await supabase
         .from('whatsapp_sessions')
@@ -887,291 +962,59 @@ app.post('/api/whatsapp/send-otp', async (req, res) => {
     console.log('📤 Send OTP request:', req.body);
     const { sessionId, recipient, otp, userId, language } = req.body;
 
-    let client = clients.get(sessionId);
-    if (!client) {
-      console.error(`❌ Session ${sessionId} not found in active clients`);
-      
-      // Check if session exists in database
-      const { data: session } = await supabase
-        .from('whatsapp_sessions')
-        .select('status')
-        .eq('session_id', sessionId)
-        .eq('user_id', userId)
-        .single();
-      
-      if (session) {
-        if (session.status === 'connected') {
-          // Session exists but wasn't restored - try to restore it now
-          console.log(`🔄 Attempting to restore session ${sessionId} on demand...`);
-          try {
-            client = await restoreClient(userId, sessionId);
-            // Wait a bit for client to potentially become ready
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          } catch (restoreError) {
-            console.error(`❌ Failed to restore session ${sessionId}:`, restoreError);
-            return res.status(503).json({ 
-              error: 'Session is being restored. Please wait a moment and try again.',
-              sessionStatus: 'restoring'
-            });
-          }
-        } else {
-          return res.status(400).json({ 
-            error: `Session exists but is ${session.status}. Please reconnect your WhatsApp account via the dashboard.`,
-            sessionStatus: session.status
-          });
-        }
-      } else {
-        return res.status(404).json({ error: 'Session not found. Please reconnect your WhatsApp account via the dashboard.' });
-      }
-    }
-
-    // Check if client is still ready
-    if (!isClientReady(client)) {
-      // Check if client exists but isn't ready yet (still initializing)
-      if (client && !client.info) {
-        console.log(`⏳ Client for session ${sessionId} is still initializing...`);
-        
-        // Check how long it's been since the session was created/updated
-        const { data: sessionData } = await supabase
-          .from('whatsapp_sessions')
-          .select('updated_at, created_at')
-          .eq('session_id', sessionId)
-          .single();
-        
-        if (sessionData) {
-          const lastUpdate = new Date(sessionData.updated_at || sessionData.created_at);
-          const minutesSinceUpdate = (Date.now() - lastUpdate.getTime()) / 1000 / 60;
-          
-          // If it's been more than 5 minutes, mark as disconnected
-          if (minutesSinceUpdate > 5) {
-            console.log(`⚠️ Session ${sessionId} has been initializing for ${minutesSinceUpdate.toFixed(1)} minutes - marking as disconnected`);
-            clients.delete(sessionId);
-            await supabase
-              .from('whatsapp_sessions')
-              .update({ status: 'disconnected' })
-              .eq('session_id', sessionId);
-            return res.status(400).json({ 
-              error: 'WhatsApp session failed to initialize. Please reconnect your account via the dashboard.',
-              sessionStatus: 'failed'
-            });
-          }
-        }
-        
-        return res.status(503).json({ 
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing'
-        });
-      }
-      
-      // Client is truly disconnected
-      console.error(`❌ Client for session ${sessionId} is not ready or disconnected`);
-      // Clean up the invalid client
-      clients.delete(sessionId);
-      await supabase
-        .from('whatsapp_sessions')
-        .update({ status: 'disconnected' })
-        .eq('session_id', sessionId);
-      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect your account.' });
+    if (!sessionId || !userId || !recipient || !otp) {
+      return res.status(400).json({ error: 'sessionId, userId, recipient and otp are required' });
     }
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(userId, 1);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        reason: rateLimitCheck.reason,
-        limit: rateLimitCheck.limit,
-        current: rateLimitCheck.current
-      });
+    // Normalize the phone number (national formats use the account's default country)
+    const phone = await normalizeAccountPhoneNumber(userId, recipient);
+    if (phone.error) {
+      return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
     }
+    const formattedNumber = phone.number;
 
-    // Check and deduct wallet balance
-    const balanceCheck = await deductBalance(userId, sessionId, `OTP sent to ${recipient}`, `otp_${Date.now()}`);
-    if (!balanceCheck.success) {
-      return res.status(402).json({
-        error: balanceCheck.error || 'Insufficient balance',
-        currentBalance: balanceCheck.currentBalance,
-        required: MESSAGE_COST_IQD,
-        message: `You need ${MESSAGE_COST_IQD} IQD to send this message. Your current balance is ${balanceCheck.currentBalance || 0} IQD.`
-      });
+    const { client, status, body } = await acquireSessionClient(userId, sessionId, { restore: true });
+    if (!client) {
+      return res.status(status).json(body);
     }
 
-    // Concise but informative OTP message format
-    // Default to Arabic/English bilingual if no language specified
+    // The caller checks the code itself; it is valid for the configured OTP lifetime
     const messageLanguage = language || 'ar'; // 'ar' or 'en'
-    let message;
-    if (messageLanguage === 'en') {
-      message = `Your verification code is: ${otp}\nValid for 5 minutes.`;
-    } else {
-      message = `رمز التحقق الخاص بك هو: ${otp}\nصالح لمدة 5 دقائق.`;
-    }
-    
-    // Format phone number (remove any non-digits except +, then remove +)
-    const formattedNumber = recipient.replace(/[^\d+]/g, '').replace(/^\+/, '');
-    
-    // Validate phone number format (should be digits only, 9-15 digits)
-    if (!/^\d{9,15}$/.test(formattedNumber)) {
-      // Refund balance
-      if (balanceCheck.success) {
-        const { data: userProfile } = await supabase
-          .from('user_profiles')
-          .select('wallet_balance')
-          .eq('id', userId)
-          .single();
-        if (userProfile) {
-          const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-          await supabase
-            .from('user_profiles')
-            .update({ wallet_balance: refundedBalance })
-            .eq('id', userId);
-        }
-      }
-      return res.status(400).json({ 
-        error: 'Invalid phone number format. Please use international format without + (e.g., 9647812345678)',
-        received: recipient
-      });
-    }
-    
+    const message = formatOtpMessage(otp, messageLanguage, OTP_DEFAULT_TTL_SECONDS);
+
     console.log(`📱 Sending OTP to ${formattedNumber}`);
-    
-    try {
-      // Try to get the number ID (LID) first - required for sending messages
-      let numberId;
-      try {
-        numberId = await client.getNumberId(formattedNumber);
-        if (!numberId || !numberId._serialized) {
-          // Refund balance
-          if (balanceCheck.success) {
-            const { data: userProfile } = await supabase
-              .from('user_profiles')
-              .select('wallet_balance')
-              .eq('id', userId)
-              .single();
-            if (userProfile) {
-              const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-              await supabase
-                .from('user_profiles')
-                .update({ wallet_balance: refundedBalance })
-                .eq('id', userId);
-            }
-          }
-          return res.status(400).json({ 
-            error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp or may be invalid.`,
-            recipient: formattedNumber,
-            hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without +'
-          });
-        }
-        var chatId = numberId._serialized;
-        console.log(`✅ Resolved LID for ${formattedNumber}: ${chatId}`);
-      } catch (lidError) {
-        console.error(`❌ Error resolving LID for ${formattedNumber}:`, lidError.message);
-        // Refund balance
-        if (balanceCheck.success) {
-          const { data: userProfile } = await supabase
-            .from('user_profiles')
-            .select('wallet_balance')
-            .eq('id', userId)
-            .single();
-          if (userProfile) {
-            const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-            await supabase
-              .from('user_profiles')
-              .update({ wallet_balance: refundedBalance })
-              .eq('id', userId);
-          }
-        }
-        return res.status(400).json({ 
-          error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp.`,
-          recipient: formattedNumber,
-          details: lidError.message,
-          hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without + (e.g., 9647812345678)'
-        });
-      }
-      
-    await client.sendMessage(chatId, message);
-    console.log('✅ OTP sent successfully');
 
-    // Log to database
-    await supabase.from('automation_logs').insert({
-      user_id: userId,
-      session_id: sessionId,
-      type: 'otp',
-      recipient,
-      message: `OTP: ${otp}`,
-      status: 'sent',
+    const maskedOtp = '*'.repeat(String(otp).length);
+    const result = await dispatchMessage(client, {
+      userId,
+      sessionId,
+      recipient: formattedNumber,
+      content: message,
+      messageType: 'otp',
+      label: 'OTP',
+      recordBody: message.replace(otp, maskedOtp), // Don't persist the code itself
+      logMessage: `OTP: ${maskedOtp}`,
+      reference: 'otp',
+      webhook: { type: 'otp', event: 'otp', payload: { otp } },
+      expiresAt: new Date(Date.now() + OTP_DEFAULT_TTL_SECONDS * 1000), // As long as the message says the code is valid
+      skipSuppression: true
     });
-
-      res.json({ 
-        success: true,
-        balance: balanceCheck.balanceAfter,
-        message: 'OTP sent successfully'
-      });
-
-      // Trigger webhooks for successful OTP send (async, don't wait)
-      triggerWebhooks(userId, sessionId, 'otp', {
-        success: true,
-        event: 'otp_sent',
-        recipient: formattedNumber,
-        otp: otp,
-        timestamp: new Date().toISOString(),
-        message: 'OTP sent successfully'
-      }).catch(err => console.error('Webhook error (non-blocking):', err));
-
-      } catch (sendError) {
-      console.error('❌ Error sending OTP message:', sendError);
-      
-      // Refund the balance if message failed
-      const { data: userProfile } = await supabase
-        .from('user_profiles')
-        .select('wallet_balance')
-        .eq('id', userId)
-        .single();
-      
-      if (userProfile && balanceCheck.success) {
-        const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-        await supabase
-          .from('user_profiles')
-          .update({ wallet_balance: refundedBalance })
-          .eq('id', userId);
-        
-        await supabase.from('wallet_transactions').insert({
-          user_id: userId,
-          session_id: sessionId,
-          transaction_type: 'credit',
-          amount: MESSAGE_COST_IQD,
-          balance_before: balanceCheck.balanceAfter,
-          balance_after: refundedBalance,
-          description: `Refund: Failed to send OTP to ${recipient}`,
-          reference_id: `refund_otp_${Date.now()}`
-        });
-        console.log('💰 Balance refunded due to send failure');
-      }
-
-      // Trigger webhooks for failed OTP send (async, don't wait)
-      triggerWebhooks(userId, sessionId, 'otp', {
-        success: false,
-        event: 'otp_failed',
-        recipient: formattedNumber,
-        otp: otp,
-        timestamp: new Date().toISOString(),
-        error: sendError.message || 'Failed to send OTP'
-      }).catch(err => console.error('Webhook error (non-blocking):', err));
-      
-      // If session is closed, clean up the client
-      if (sendError.message && sendError.message.includes('Session closed')) {
-        console.log(`🧹 Cleaning up disconnected client for session ${sessionId}`);
-        clients.delete(sessionId);
-        await supabase
-          .from('whatsapp_sessions')
-          .update({ status: 'disconnected' })
-          .eq('session_id', sessionId);
-        return res.status(400).json({ 
-          error: 'WhatsApp session was closed. Please reconnect your account and try again.' 
-        });
-      }
-      
-      throw sendError;
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), recipient: formattedNumber, e164: phone.e164 });
     }
+
+    console.log('✅ OTP sent successfully');
+    res.json({ 
+      success: true,
+      balance: result.balance,
+      message: 'OTP sent successfully',
+      messageId: result.outboundMessageId,
+      recipient: formattedNumber,
+      e164: phone.e164
+    });
   } catch (error) {
     console.error('❌ Error sending OTP:', error);
     res.status(500).json({ error: error.message || 'Failed to send OTP. Please try again.' });
@@ -1182,266 +1025,148 @@ app.post('/api/whatsapp/send-otp', async (req, res) => {
 app.post('/api/whatsapp/send-announcement', async (req, res) => {
   try {
     console.log('📢 Send announcement request:', req.body);
-    const { sessionId, recipients, message, userId } = req.body;
+    const { sessionId, userId, sendAt } = req.body;
 
-    const client = clients.get(sessionId);
-    if (!client) {
-      console.error(`❌ Session ${sessionId} not found`);
-      return res.status(404).json({ error: 'Session not found. Please reconnect your WhatsApp account.' });
+    const { template, status: templateStatus, error: templateError } = await resolveMessageTemplate(userId, req.body);
+    if (templateError) {
+      return res.status(templateStatus).json({ error: templateError });
     }
 
-    // Check if client is still ready
-    if (!isClientReady(client)) {
-      // Check if client exists but isn't ready yet (still initializing)
-      if (client && !client.info) {
-        console.log(`⏳ Client for session ${sessionId} is still initializing...`);
-        return res.status(503).json({ 
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing'
-        });
-      }
-      
-      // Client is truly disconnected
-      console.error(`❌ Client for session ${sessionId} is not ready or disconnected`);
-      // Clean up the invalid client
-      clients.delete(sessionId);
-      await supabase
-        .from('whatsapp_sessions')
-        .update({ status: 'disconnected' })
-        .eq('session_id', sessionId);
-      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect your account.' });
+    if (!sessionId || !userId || (!template && !req.body.message)) {
+      return res.status(400).json({ error: 'sessionId, userId, message (or templateId) and a non-empty recipients array (or listId / segment) are required' });
     }
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(userId, recipients.length);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        reason: rateLimitCheck.reason,
-        limit: rateLimitCheck.limit,
-        current: rateLimitCheck.current
-      });
+    // A contact list and/or segment can stand in for the recipients array
+    const audience = await resolveAudienceRecipients(userId, req.body);
+    if (audience.error) {
+      return res.status(audience.status).json({ error: audience.error });
+    }
+    const { recipients } = audience;
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: 'sessionId, userId, message (or templateId) and a non-empty recipients array (or listId / segment) are required' });
     }
 
-    // Calculate total cost
-    const totalCost = recipients.length * MESSAGE_COST_IQD;
-    
-    // Get current balance from user_profiles (Supabase Auth)
-    const { data: userProfile } = await supabase
-      .from('user_profiles')
-      .select('wallet_balance')
-      .eq('id', userId)
+    // Invalid numbers, missing variables, opted-out numbers and (in strict consent mode) numbers
+    // without consent are reported per recipient and never charged
+    const { entries: prepared, errors: invalid, body: message } = prepareBulkRecipients(recipients, {
+      message: req.body.message,
+      template,
+      variables: req.body.variables,
+      defaultCountry: await getAccountDefaultCountry(userId)
+    });
+    const { entries: deliverable, errors: suppressed } = await filterSuppressedRecipients(userId, prepared);
+    // Strict consent mode only sends to recipients with active consent on record
+    const { entries, errors: unconsented } = req.body.strictConsent === true
+      ? await filterUnconsentedRecipients(userId, deliverable)
+      : { entries: deliverable, errors: [] };
+    const errors = [...invalid, ...suppressed, ...unconsented];
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'None of the recipients can be sent to', errors });
+    }
+
+    const { data: session } = await supabase
+      .from('whatsapp_sessions')
+      .select('session_id')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
       .single();
 
-    const currentBalance = userProfile?.wallet_balance || 0;
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    // Check if sufficient balance
-    if (currentBalance < totalCost) {
+    // Store for later delivery when sendAt is given
+    if (sendAt !== undefined) {
+      const { date, error: sendAtError } = parseSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ error: sendAtError });
+      }
+
+      const result = await scheduleMessage({
+        userId,
+        sessionId,
+        messageType: 'announcement',
+        recipients: entries.map(toScheduledRecipient),
+        message,
+        sendAt: date,
+        strictConsent: req.body.strictConsent === true
+      });
+      if (!result.success) {
+        return res.status(402).json({
+          error: result.balanceCheck.error || 'Insufficient balance',
+          currentBalance: result.balanceCheck.currentBalance,
+          required: result.reservedAmount,
+          recipients: entries.length,
+          costPerMessage: MESSAGE_COST_IQD
+        });
+      }
+      return res.status(202).json({ ...formatScheduledResponse(result), errors });
+    }
+
+    const { client, status: clientStatus, body: clientBody } = await acquireSessionClient(userId, sessionId);
+    if (!client) {
+      return res.status(clientStatus).json(clientBody);
+    }
+
+    // Reserve the cost and hand the recipients to the background worker
+    const result = await createBulkJob({
+      userId,
+      sessionId,
+      jobType: 'announcement',
+      recipients: entries,
+      message,
+      batchId: `announcement_${Date.now()}`,
+      strictConsent: req.body.strictConsent === true
+    });
+    if (!result.success) {
+      const totalCost = result.reservedAmount;
+      const currentBalance = result.balanceCheck.currentBalance;
       return res.status(402).json({
-        error: 'Insufficient balance',
+        error: result.balanceCheck.error || 'Insufficient balance',
         currentBalance,
         required: totalCost,
-        recipients: recipients.length,
+        recipients: entries.length,
         costPerMessage: MESSAGE_COST_IQD,
-        message: `You need ${totalCost} IQD to send ${recipients.length} messages. Your current balance is ${currentBalance} IQD.`
+        message: `You need ${totalCost} IQD to send ${entries.length} messages. Your current balance is ${currentBalance} IQD.`
       });
     }
 
-    // Deduct total cost upfront
-    const newBalance = currentBalance - totalCost;
-    await supabase
-      .from('user_profiles')
-      .update({ wallet_balance: newBalance })
-      .eq('id', userId);
+    console.log(`📱 Announcement to ${entries.length} recipients queued as job ${result.job.id}`);
+    res.status(202).json({ ...formatBulkJobResponse(result, entries), errors });
+  } catch (error) {
+    console.error('❌ Error sending announcement:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Log transaction
-    await supabase.from('wallet_transactions').insert({
-      user_id: userId,
-      session_id: sessionId,
-      transaction_type: 'debit',
-      amount: totalCost,
-      balance_before: currentBalance,
-      balance_after: newBalance,
-      description: `Announcement to ${recipients.length} recipients`,
-      reference_id: `announcement_${Date.now()}`
+// API Key Authentication Middleware
+async function authenticateApiKey(req, res, next) {
+  try {
+    // Get API key from headers (case-insensitive)
+    const apiKey = req.headers['x-api-key'] || 
+                   req.headers['X-API-Key'] ||
+                   req.headers['X-API-KEY'] ||
+                   req.headers['authorization']?.replace('Bearer ', '') ||
+                   req.headers['Authorization']?.replace('Bearer ', '');
+    
+    console.log('🔑 API Key auth check:', {
+      hasHeader: !!req.headers['x-api-key'] || !!req.headers['X-API-Key'],
+      headerKeys: Object.keys(req.headers).filter(k => k.toLowerCase().includes('api') || k.toLowerCase().includes('authorization')),
+      apiKeyPrefix: apiKey ? apiKey.substring(0, 10) + '...' : 'none'
     });
+    
+    if (!apiKey) {
+      console.error('❌ No API key found in headers');
+      return res.status(401).json({ error: 'API key is required' });
+    }
 
-    let sent = 0;
-    const errors = [];
-    let refundAmount = 0;
-
-    console.log(`📱 Sending to ${recipients.length} recipients`);
-    for (const recipient of recipients) {
-      try {
-        // Check client before each message
-        if (!isClientReady(client)) {
-          console.error(`❌ Client disconnected during sending to ${recipient}`);
-          errors.push({ 
-            recipient, 
-            error: 'WhatsApp session was disconnected. Please reconnect and try again.' 
-          });
-          refundAmount += MESSAGE_COST_IQD;
-          // Clean up the invalid client
-          clients.delete(sessionId);
-          await supabase
-            .from('whatsapp_sessions')
-            .update({ status: 'disconnected' })
-            .eq('session_id', sessionId);
-          break; // Stop sending to remaining recipients
-        }
-
-        // Format phone number
-        const formattedRecipient = recipient.replace(/[^\d+]/g, '').replace(/^\+/, '');
-        
-        // Validate phone number format
-        if (!/^\d{9,15}$/.test(formattedRecipient)) {
-          console.error(`⚠️ Invalid phone number format: ${recipient}`);
-          errors.push({ 
-            recipient, 
-            error: 'Invalid phone number format. Use international format without + (e.g., 9647812345678)' 
-          });
-          refundAmount += MESSAGE_COST_IQD;
-          continue;
-        }
-        
-        // Try to resolve number ID (LID) - required for sending messages
-        let chatId;
-        try {
-          const numberId = await client.getNumberId(formattedRecipient);
-          if (!numberId || !numberId._serialized) {
-            console.error(`⚠️ Could not resolve LID for ${formattedRecipient}`);
-            errors.push({ 
-              recipient, 
-              error: `Unable to resolve WhatsApp account. The number may not be registered on WhatsApp.` 
-            });
-            refundAmount += MESSAGE_COST_IQD;
-            continue;
-          }
-          chatId = numberId._serialized;
-        } catch (lidError) {
-          console.error(`❌ Error resolving LID for ${formattedRecipient}:`, lidError.message);
-          errors.push({ 
-            recipient, 
-            error: `Unable to resolve WhatsApp account: ${lidError.message}` 
-          });
-          refundAmount += MESSAGE_COST_IQD;
-          continue;
-        }
-        
-        await client.sendMessage(chatId, message);
-        sent++;
-        console.log(`✅ Sent to ${recipient}`);
-      } catch (error) {
-        console.error(`❌ Failed to send to ${recipient}:`, error.message);
-        refundAmount += MESSAGE_COST_IQD;
-        
-        // If session is closed, stop sending and clean up
-        if (error.message && error.message.includes('Session closed')) {
-          console.log(`🧹 Client disconnected, stopping announcement send`);
-          clients.delete(sessionId);
-          await supabase
-            .from('whatsapp_sessions')
-            .update({ status: 'disconnected' })
-            .eq('session_id', sessionId);
-          errors.push({ 
-            recipient, 
-            error: 'WhatsApp session was closed. Please reconnect your account and try again.' 
-          });
-          break; // Stop sending to remaining recipients
-        }
-        
-        errors.push({ recipient, error: error.message });
-      }
-    }
-
-    // Refund failed messages
-    if (refundAmount > 0) {
-      const finalBalance = newBalance + refundAmount;
-      await supabase
-        .from('user_profiles')
-        .update({ wallet_balance: finalBalance })
-        .eq('id', userId);
-
-      await supabase.from('wallet_transactions').insert({
-        user_id: userId,
-        session_id: sessionId,
-        transaction_type: 'credit',
-        amount: refundAmount,
-        balance_before: newBalance,
-        balance_after: finalBalance,
-        description: `Refund: Failed to send ${errors.length} messages`,
-        reference_id: `refund_announcement_${Date.now()}`
-      });
-      console.log(`💰 Refunded ${refundAmount} IQD for failed messages`);
-    }
-
-    // Log to database
-    await supabase.from('automation_logs').insert({
-      user_id: userId,
-      session_id: sessionId,
-      type: 'announcement',
-      recipients: JSON.stringify(recipients), // Store as JSON string
-      message,
-      status: sent > 0 ? 'sent' : 'failed',
-      error_message: errors.length > 0 ? JSON.stringify(errors) : null,
-    });
-
-    console.log(`✅ Announcement sent: ${sent}/${recipients.length} successful`);
-
-    // Trigger webhooks for announcement (async, don't wait)
-    triggerWebhooks(userId, sessionId, 'announcement', {
-      success: sent > 0,
-      event: 'announcement_sent',
-      totalRecipients: recipients.length,
-      successfulSends: sent,
-      failedSends: errors.length,
-      errors: errors,
-      message: message,
-      timestamp: new Date().toISOString()
-    }).catch(err => console.error('Webhook error (non-blocking):', err));
-    res.json({ 
-      success: true, 
-      sent, 
-      failed: errors.length,
-      errors,
-      balance: refundAmount > 0 ? newBalance + refundAmount : newBalance,
-      totalCost: sent * MESSAGE_COST_IQD,
-      refunded: refundAmount
-    });
-  } catch (error) {
-    console.error('❌ Error sending announcement:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// API Key Authentication Middleware
-async function authenticateApiKey(req, res, next) {
-  try {
-    // Get API key from headers (case-insensitive)
-    const apiKey = req.headers['x-api-key'] || 
-                   req.headers['X-API-Key'] ||
-                   req.headers['X-API-KEY'] ||
-                   req.headers['authorization']?.replace('Bearer ', '') ||
-                   req.headers['Authorization']?.replace('Bearer ', '');
-    
-    console.log('🔑 API Key auth check:', {
-      hasHeader: !!req.headers['x-api-key'] || !!req.headers['X-API-Key'],
-      headerKeys: Object.keys(req.headers).filter(k => k.toLowerCase().includes('api') || k.toLowerCase().includes('authorization')),
-      apiKeyPrefix: apiKey ? apiKey.substring(0, 10) + '...' : 'none'
-    });
-    
-    if (!apiKey) {
-      console.error('❌ No API key found in headers');
-      return res.status(401).json({ error: 'API key is required' });
-    }
-
-    // Find API key in database
-    const { data: apiKeyData, error } = await supabase
-      .from('api_keys')
-      .select('*, whatsapp_sessions(*)')
-      .eq('api_key', apiKey)
-      .eq('is_active', true)
-      .single();
+    // Find API key in database
+    const { data: apiKeyData, error } = await supabase
+      .from('api_keys')
+      .select('*, whatsapp_sessions(*)')
+      .eq('api_key', apiKey)
+      .eq('is_active', true)
+      .single();
 
     if (error || !apiKeyData) {
       return res.status(401).json({ error: 'Invalid API key' });
@@ -1462,6 +1187,20 @@ async function authenticateApiKey(req, res, next) {
     req.sessionId = apiKeyData.session_id;
     req.phoneNumber = apiKeyData.phone_number;
 
+    // Report the message rate limit on every response, as it stands once the request has been handled.
+    // The 401s above have no sender to report on, so they go without the headers, and so do responses
+    // while the sender's usage can't be loaded (sends are refused with 503 then).
+    try {
+      const rateLimitBucket = await loadRateLimitBucket({ userId: req.userId, sessionId: req.sessionId, apiKeyId: apiKeyData.id });
+      const writeHead = res.writeHead;
+      res.writeHead = function (...args) {
+        setRateLimitHeaders(res, rateLimitBucket);
+        return writeHead.apply(this, args);
+      };
+    } catch (rateLimitError) {
+      console.error('⚠️ Error loading rate limit usage:', rateLimitError.message);
+    }
+
     next();
   } catch (error) {
     console.error('❌ API key authentication error:', error);
@@ -1469,6 +1208,513 @@ async function authenticateApiKey(req, res, next) {
   }
 }
 
+// ==================== PHONE NUMBERS ====================
+
+// Country for national-format numbers (e.g. 07812345678) when an account hasn't chosen one
+const DEFAULT_PHONE_COUNTRY = isSupportedCountry(process.env.DEFAULT_PHONE_COUNTRY)
+  ? process.env.DEFAULT_PHONE_COUNTRY.toUpperCase()
+  : DEFAULT_COUNTRY;
+
+// The account's default country for national-format numbers
+async function getAccountDefaultCountry(userId) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select('default_country')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching default country:', error);
+  }
+  return settings && isSupportedCountry(settings.default_country)
+    ? settings.default_country.toUpperCase()
+    : DEFAULT_PHONE_COUNTRY;
+}
+
+// Normalize a number the way the account typed it; see services/phone-numbers.js
+async function normalizeAccountPhoneNumber(userId, input) {
+  return normalizePhoneNumber(input, { defaultCountry: await getAccountDefaultCountry(userId) });
+}
+
+// 400 response body for a number that could not be normalized
+function invalidPhoneNumberBody(phone, received) {
+  return {
+    error: `Invalid phone number: ${phone.error}`,
+    received,
+    hint: 'Use international format (e.g. +9647812345678) or a national number for your default country (e.g. 07812345678)'
+  };
+}
+
+// ==================== IDEMPOTENCY ====================
+
+// How long a stored response is replayed for a repeated Idempotency-Key
+const IDEMPOTENCY_KEY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted keys, so the same body in a different key order hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Fingerprint of a request (method, path, body and any uploaded file)
+function hashIdempotentRequest(req) {
+  const hash = crypto.createHash('sha256')
+    .update(req.method)
+    .update(req.path)
+    .update(stableStringify(req.body || {}));
+  if (req.file) {
+    hash.update(req.file.buffer);
+  }
+  return hash.digest('hex');
+}
+
+// Reserve an Idempotency-Key. Returns { reserved: true } or { existing } with the stored row.
+async function reserveIdempotencyKey(req, key, requestHash) {
+  const record = {
+    user_id: req.userId,
+    api_key_id: req.apiKey.id,
+    idempotency_key: key,
+    request_method: req.method,
+    request_path: req.path,
+    request_hash: requestHash,
+    status: 'processing',
+    expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  };
+
+  const { error } = await supabase.from('idempotency_keys').insert(record);
+  if (!error) {
+    return { reserved: true };
+  }
+  if (error.code !== '23505') { // Anything other than a unique constraint violation
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('api_key_id', req.apiKey.id)
+    .eq('idempotency_key', key)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  // An expired key is free to be used again
+  if (new Date(existing.expires_at).getTime() <= Date.now()) {
+    await supabase.from('idempotency_keys').delete().eq('id', existing.id);
+    return reserveIdempotencyKey(req, key, requestHash);
+  }
+
+  return { existing };
+}
+
+// Idempotency-Key middleware for v1 send endpoints (must run after authenticateApiKey)
+// Replays the first response for a repeated key, and rejects a reused key with a different body with 409
+async function handleIdempotencyKey(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const requestHash = hashIdempotentRequest(req);
+    const { reserved, existing } = await reserveIdempotencyKey(req, key, requestHash);
+
+    if (!reserved) {
+      if (existing.request_hash !== requestHash || existing.request_path !== req.path) {
+        return res.status(409).json({
+          error: 'Idempotency-Key has already been used with a different request',
+          idempotencyKey: key
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+          idempotencyKey: key
+        });
+      }
+
+      console.log(`🔁 Replaying stored response for Idempotency-Key ${key}`);
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the response so retries can replay it
+    const originalJson = res.json.bind(res);
+    let captured = false;
+    res.json = (body) => {
+      captured = true;
+      // Transient failures (rate limit, session not ready, server errors) release the key so a retry runs again
+      const shouldStore = res.statusCode < 500 && res.statusCode !== 429;
+      const update = shouldStore
+        ? supabase
+            .from('idempotency_keys')
+            .update({
+              status: 'completed',
+              response_status: res.statusCode,
+              response_body: body,
+              completed_at: new Date().toISOString()
+            })
+            .eq('api_key_id', req.apiKey.id)
+            .eq('idempotency_key', key)
+        : supabase
+            .from('idempotency_keys')
+            .delete()
+            .eq('api_key_id', req.apiKey.id)
+            .eq('idempotency_key', key);
+
+      update.then(({ error }) => {
+        if (error) console.error('⚠️ Error storing idempotent response:', error.message);
+      });
+
+      return originalJson(body);
+    };
+
+    // Release the key if the handler finished without a JSON response
+    res.on('finish', () => {
+      if (!captured) {
+        supabase
+          .from('idempotency_keys')
+          .delete()
+          .eq('api_key_id', req.apiKey.id)
+          .eq('idempotency_key', key)
+          .then(() => {});
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('❌ Idempotency check error:', error);
+    res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+}
+
+// Remove expired idempotency keys
+async function purgeExpiredIdempotencyKeys() {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('⚠️ Error purging expired idempotency keys:', error.message);
+  }
+}
+
+// ==================== OTP VERIFICATION ====================
+
+const OTP_DEFAULT_LENGTH = parseInt(process.env.OTP_DEFAULT_LENGTH) || 6;
+const OTP_DEFAULT_TTL_SECONDS = parseInt(process.env.OTP_DEFAULT_TTL_SECONDS) || 300;
+const OTP_DEFAULT_MAX_ATTEMPTS = parseInt(process.env.OTP_DEFAULT_MAX_ATTEMPTS) || 5;
+const OTP_LENGTH_RANGE = { min: 4, max: 10 };
+const OTP_TTL_RANGE_SECONDS = { min: 60, max: 3600 };
+const OTP_MAX_ATTEMPTS_RANGE = { min: 1, max: 10 };
+// Codes are short, so a plain hash could be brute-forced; an HMAC with a server secret can't.
+// Falls back to the service role key so existing deployments work without new config.
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+
+// HMAC of a code, bound to its verification id
+function hashOtpCode(verificationId, code) {
+  return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`${verificationId}:${code}`).digest('hex');
+}
+
+// Validate the OTP options of a send request; generates the code unless the caller supplied one
+function buildOtpOptions({ otp, codeLength, ttlSeconds, maxAttempts }) {
+  const inRange = (value, range) => Number.isInteger(value) && value >= range.min && value <= range.max;
+
+  const length = codeLength !== undefined ? codeLength : OTP_DEFAULT_LENGTH;
+  if (!inRange(length, OTP_LENGTH_RANGE)) {
+    return { error: `codeLength must be an integer from ${OTP_LENGTH_RANGE.min} to ${OTP_LENGTH_RANGE.max}` };
+  }
+  const ttl = ttlSeconds !== undefined ? ttlSeconds : OTP_DEFAULT_TTL_SECONDS;
+  if (!inRange(ttl, OTP_TTL_RANGE_SECONDS)) {
+    return { error: `ttlSeconds must be an integer from ${OTP_TTL_RANGE_SECONDS.min} to ${OTP_TTL_RANGE_SECONDS.max}` };
+  }
+  const attempts = maxAttempts !== undefined ? maxAttempts : OTP_DEFAULT_MAX_ATTEMPTS;
+  if (!inRange(attempts, OTP_MAX_ATTEMPTS_RANGE)) {
+    return { error: `maxAttempts must be an integer from ${OTP_MAX_ATTEMPTS_RANGE.min} to ${OTP_MAX_ATTEMPTS_RANGE.max}` };
+  }
+
+  if (otp !== undefined && otp !== null && otp !== '') {
+    const code = String(otp).trim();
+    if (!/^[A-Za-z0-9]{4,10}$/.test(code)) {
+      return { error: 'otp must be 4 to 10 letters or digits. Omit it to have the code generated for you' };
+    }
+    return { code, generated: false, ttlSeconds: ttl, maxAttempts: attempts };
+  }
+
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(0, 10);
+  }
+  return { code, generated: true, ttlSeconds: ttl, maxAttempts: attempts };
+}
+
+// OTP message text with the real validity period
+function formatOtpMessage(code, language, ttlSeconds) {
+  const minutes = Math.max(1, Math.ceil(ttlSeconds / 60));
+
+  if (language === 'en') {
+    return `Your verification code is: ${code}\nValid for ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`;
+  }
+
+  let duration;
+  if (minutes === 1) duration = 'دقيقة واحدة';
+  else if (minutes === 2) duration = 'دقيقتين';
+  else if (minutes <= 10) duration = `${minutes} دقائق`;
+  else duration = `${minutes} دقيقة`;
+  return `رمز التحقق الخاص بك هو: ${code}\nصالح لمدة ${duration}.`;
+}
+
+// Store a pending verification for a code about to be sent. Returns the row.
+async function createOtpVerification({ userId, sessionId, apiKeyId, recipient, clientReference, options }) {
+  const verificationId = crypto.randomUUID();
+
+  const { data, error } = await supabase
+    .from('otp_verifications')
+    .insert({
+      id: verificationId,
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      recipient,
+      country_code: getDialingCode(recipient),
+      client_reference: clientReference || null,
+      code_hash: hashOtpCode(verificationId, options.code),
+      code_length: options.code.length,
+      generated: options.generated,
+      max_attempts: options.maxAttempts,
+      expires_at: new Date(Date.now() + options.ttlSeconds * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// Defaults for accounts without OTP protection settings (0 disables a limit)
+const DEFAULT_OTP_PROTECTION_SETTINGS = {
+  otp_limit_per_number_per_hour: 5,
+  otp_limit_per_number_per_day: 10,
+  otp_limit_per_country_per_hour: 200,
+  otp_country_mode: 'off',
+  otp_country_codes: [],
+  otp_sequential_burst_threshold: 5,
+  otp_sequential_window_minutes: 10
+};
+// Values accepted in account settings; 0 disables a limit or burst detection
+const OTP_PROTECTION_SETTING_RANGES = {
+  otp_limit_per_number_per_hour: { min: 0, max: 1000 },
+  otp_limit_per_number_per_day: { min: 0, max: 10000 },
+  otp_limit_per_country_per_hour: { min: 0, max: 100000 },
+  otp_sequential_burst_threshold: { min: 0, max: 1000 },
+  otp_sequential_window_minutes: { min: 1, max: 24 * 60 }
+};
+const OTP_COUNTRY_MODES = ['off', 'allow', 'deny'];
+const MAX_OTP_COUNTRY_CODES = 300;
+const OTP_SEQUENTIAL_MAX_DISTANCE = 100; // Numbers this close (same length) count as sequential
+const OTP_BLOCK_CODES = ['otp_number_limit', 'otp_country_limit', 'otp_country_blocked', 'otp_sequential_burst'];
+
+// Count OTPs this account sent (or reserved) from since up to a reservation, filtered by recipient or country.
+// Codes that were never sent (cancelled) don't count, and neither does the reservation itself.
+async function countRecentOtps(userId, since, reservation, { recipient, countryCode } = {}) {
+  let query = supabase
+    .from('otp_verifications')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .neq('id', reservation.id)
+    .neq('status', 'cancelled')
+    .gte('created_at', since.toISOString())
+    .lte('created_at', reservation.created_at);
+
+  if (recipient) query = query.eq('recipient', recipient);
+  if (countryCode) query = query.eq('country_code', countryCode);
+
+  const { count, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return count || 0;
+}
+
+// Run the account's OTP safeguards for a recipient. reservation is the send's verification row, inserted
+// first so that concurrent sends see each other: only OTPs reserved before it count against the limits.
+// Returns { allowed: true, countryCode } or { allowed: false, status, code, error, details }.
+async function checkOtpProtection(userId, recipient, reservation) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select(Object.keys(DEFAULT_OTP_PROTECTION_SETTINGS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching OTP protection settings:', error);
+  }
+  const config = { ...DEFAULT_OTP_PROTECTION_SETTINGS };
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (value !== null && value !== undefined) config[key] = value;
+  }
+
+  const countryCode = getDialingCode(recipient);
+  const now = new Date(reservation.created_at).getTime();
+
+  // Country allow / deny list
+  const listed = (config.otp_country_codes || []).map(code => String(code).replace(/^\+/, ''));
+  if ((config.otp_country_mode === 'allow' && !listed.includes(countryCode)) ||
+      (config.otp_country_mode === 'deny' && listed.includes(countryCode))) {
+    return {
+      allowed: false,
+      status: 403,
+      code: 'otp_country_blocked',
+      error: countryCode
+        ? `OTPs to +${countryCode} numbers are not allowed for this account`
+        : 'OTPs to numbers with an unknown country code are not allowed for this account',
+      details: { countryCode, mode: config.otp_country_mode }
+    };
+  }
+
+  // Per-recipient limits
+  const numberWindows = [
+    { limit: config.otp_limit_per_number_per_hour, windowSeconds: 60 * 60 },
+    { limit: config.otp_limit_per_number_per_day, windowSeconds: 24 * 60 * 60 }
+  ];
+  for (const { limit, windowSeconds } of numberWindows) {
+    if (!limit || limit <= 0) continue;
+    const current = await countRecentOtps(userId, new Date(now - windowSeconds * 1000), reservation, { recipient });
+    if (current >= limit) {
+      return {
+        allowed: false,
+        status: 429,
+        code: 'otp_number_limit',
+        error: `Too many OTPs sent to this number. At most ${limit} per ${windowSeconds === 3600 ? 'hour' : 'day'}.`,
+        details: { limit, current, windowSeconds, retryAfter: windowSeconds }
+      };
+    }
+  }
+
+  // Per-country limit
+  if (countryCode && config.otp_limit_per_country_per_hour > 0) {
+    const limit = config.otp_limit_per_country_per_hour;
+    const current = await countRecentOtps(userId, new Date(now - 60 * 60 * 1000), reservation, { countryCode });
+    if (current >= limit) {
+      return {
+        allowed: false,
+        status: 429,
+        code: 'otp_country_limit',
+        error: `Too many OTPs sent to +${countryCode} numbers. At most ${limit} per hour.`,
+        details: { countryCode, limit, current, windowSeconds: 3600, retryAfter: 3600 }
+      };
+    }
+  }
+
+  // Sequential-number bursts (e.g. 9647812345670, ...671, ...672) are typical of toll fraud
+  if (config.otp_sequential_burst_threshold > 1) {
+    const windowMinutes = config.otp_sequential_window_minutes || DEFAULT_OTP_PROTECTION_SETTINGS.otp_sequential_window_minutes;
+    const { data: recent, error: recentError } = await supabase
+      .from('otp_verifications')
+      .select('recipient')
+      .eq('user_id', userId)
+      .neq('status', 'cancelled')
+      .gte('created_at', new Date(now - windowMinutes * 60 * 1000).toISOString())
+      .lte('created_at', reservation.created_at)
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (recentError) {
+      throw recentError;
+    }
+
+    const target = BigInt(recipient);
+    const neighbours = [...new Set((recent || []).map(row => row.recipient))].filter(number => {
+      if (number === recipient || number.length !== recipient.length || !/^\d+$/.test(number)) return false;
+      const distance = BigInt(number) - target;
+      return (distance < 0n ? -distance : distance) <= BigInt(OTP_SEQUENTIAL_MAX_DISTANCE);
+    });
+
+    if (neighbours.length + 1 >= config.otp_sequential_burst_threshold) {
+      return {
+        allowed: false,
+        status: 429,
+        code: 'otp_sequential_burst',
+        error: 'OTP blocked: codes are being sent to a run of sequential numbers',
+        details: { threshold: config.otp_sequential_burst_threshold, windowMinutes, neighbours: neighbours.slice(0, 20), retryAfter: windowMinutes * 60 }
+      };
+    }
+  }
+
+  return { allowed: true, countryCode };
+}
+
+// Record a blocked OTP send for the dashboard report (never throws)
+async function recordOtpBlockedAttempt({ userId, sessionId, apiKeyId, recipient, block }) {
+  try {
+    await supabase.from('otp_blocked_attempts').insert({
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      recipient,
+      country_code: getDialingCode(recipient),
+      code: block.code,
+      details: block.details
+    });
+  } catch (error) {
+    console.error('⚠️ Error recording blocked OTP attempt:', error.message);
+  }
+}
+
+// Undo the reservation of an OTP that its safeguards blocked
+async function releaseOtpVerification(verificationId) {
+  const { error } = await supabase
+    .from('otp_verifications')
+    .delete()
+    .eq('id', verificationId);
+
+  if (error) {
+    console.error('⚠️ Error releasing OTP verification:', error.message);
+  }
+}
+
+// Close a verification whose code could not be sent
+async function cancelOtpVerification(verificationId) {
+  const { error } = await supabase
+    .from('otp_verifications')
+    .update({ status: 'cancelled' })
+    .eq('id', verificationId)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error('⚠️ Error cancelling OTP verification:', error.message);
+  }
+}
+
+// Close the verification of an OTP whose queued retry was given up, so its code can't be checked
+async function cancelOtpVerificationForMessage(outboundMessageId) {
+  const { error } = await supabase
+    .from('otp_verifications')
+    .update({ status: 'cancelled' })
+    .eq('outbound_message_id', outboundMessageId)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error('⚠️ Error cancelling OTP verification:', error.message);
+  }
+}
+
 // ==================== EXTERNAL API ENDPOINTS (API Key Auth) ====================
 
 // Get wallet balance (API Key)
@@ -1523,484 +1769,298 @@ app.get('/api/v1/wallet/transactions', authenticateApiKey, async (req, res) => {
   }
 });
 
-// Send OTP via API Key (separate endpoint with fixed message format)
-app.post('/api/v1/otp/send', authenticateApiKey, async (req, res) => {
+// Send OTP via API Key (separate endpoint with fixed message format).
+// The code is generated server-side unless the caller passes otp; either way it can be checked with /api/v1/otp/verify.
+app.post('/api/v1/otp/send', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
   try {
-    const { recipient, otp, language } = req.body;
+    const { recipient, language, clientReference } = req.body;
 
-    if (!recipient || !otp) {
-      return res.status(400).json({ error: 'recipient and otp are required' });
+    if (!recipient) {
+      return res.status(400).json({ error: 'recipient is required' });
     }
 
-    let client = clients.get(req.sessionId);
-    if (!client) {
-      // Check if session exists in database and try to restore it
-      const { data: sessionData } = await supabase
-        .from('whatsapp_sessions')
-        .select('status, updated_at, created_at')
-        .eq('session_id', req.sessionId)
-        .eq('user_id', req.userId)
-        .single();
+    const otpOptions = buildOtpOptions(req.body);
+    if (otpOptions.error) {
+      return res.status(400).json({ error: otpOptions.error });
+    }
+    const otp = otpOptions.code;
 
-      if (sessionData) {
-        // Check if session has been stuck for >5 minutes
-        const lastUpdate = new Date(sessionData.updated_at || sessionData.created_at);
-        const minutesSinceUpdate = (Date.now() - lastUpdate.getTime()) / 1000 / 60;
-        
-        if (minutesSinceUpdate > 5 && (sessionData.status === 'connected' || sessionData.status === 'connecting')) {
-          // Session stuck, mark as disconnected
-          await supabase
-            .from('whatsapp_sessions')
-            .update({ status: 'disconnected' })
-            .eq('session_id', req.sessionId);
-          return res.status(400).json({ 
-            error: 'WhatsApp session timed out. Please reconnect your account via the dashboard.',
-            sessionStatus: 'failed'
-          });
-        }
-        
-        if (sessionData.status === 'connected' || sessionData.status === 'connecting') {
-          // Try to restore session on demand
-          console.log(`🔄 Attempting on-demand restoration for session ${req.sessionId}`);
-          try {
-            await restoreSession(req.sessionId);
-            client = await restoreClient(req.userId, req.sessionId);
-            // Wait a bit for client to potentially become ready
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          } catch (restoreError) {
-            console.error(`❌ Failed to restore session ${req.sessionId}:`, restoreError.message);
-            return res.status(503).json({ 
-              error: 'Failed to restore WhatsApp session. Please reconnect your account via the dashboard.',
-              sessionStatus: 'failed'
-            });
-          }
-        } else {
-          return res.status(400).json({ 
-            error: `WhatsApp session is ${sessionData.status}. Please reconnect via the dashboard.`,
-            sessionStatus: sessionData.status
-          });
-        }
-      } else {
-        return res.status(404).json({ error: 'WhatsApp session not found. Please reconnect via the dashboard.' });
-      }
+    // Normalize the phone number (national formats use the account's default country)
+    const phone = await normalizeAccountPhoneNumber(req.userId, recipient);
+    if (phone.error) {
+      return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
     }
+    const formattedNumber = phone.number;
 
-    // Wait for client to become ready if it exists but isn't ready yet
-    if (client && !isClientReady(client)) {
-      console.log(`⏳ Waiting for session ${req.sessionId} to become ready...`);
-      
-      // Check how long it's been initializing
-      const { data: sessionData } = await supabase
-        .from('whatsapp_sessions')
-        .select('updated_at, created_at, status')
-        .eq('session_id', req.sessionId)
-        .single();
-      
-      if (sessionData) {
-        const lastUpdate = new Date(sessionData.updated_at || sessionData.created_at);
-        const minutesSinceUpdate = (Date.now() - lastUpdate.getTime()) / 1000 / 60;
-        
-        if (minutesSinceUpdate > 5) {
-          // Been stuck for >5 minutes
-          console.log(`⚠️ Session ${req.sessionId} has been initializing for ${minutesSinceUpdate.toFixed(1)} minutes - marking as disconnected`);
-          clients.delete(req.sessionId);
-          await supabase
-            .from('whatsapp_sessions')
-            .update({ status: 'disconnected' })
-            .eq('session_id', req.sessionId);
-          return res.status(400).json({ 
-            error: 'WhatsApp session initialization timed out. Please reconnect your account via the dashboard.',
-            sessionStatus: 'failed'
-          });
-        }
-      }
-      
-      // Poll for readiness for up to 15 seconds
-      const maxWaitTime = 15000; // 15 seconds
-      const pollInterval = 500; // Check every 500ms
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < maxWaitTime) {
-        if (isClientReady(client)) {
-          console.log(`✅ Session ${req.sessionId} became ready after ${Date.now() - startTime}ms`);
-          break;
-        }
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-      }
-      
-      // Check one more time after polling
-      if (!isClientReady(client)) {
-        return res.status(503).json({ 
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing',
-          hint: 'The session may need a few more seconds. Please try again in 10-15 seconds.'
-        });
-      }
-    } else if (!client) {
-      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect via the dashboard.' });
+    const { client, status, body } = await acquireSessionClient(req.userId, req.sessionId, { restore: true });
+    if (!client) {
+      return res.status(status).json(body);
     }
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(req.userId, 1);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        reason: rateLimitCheck.reason,
-        limit: rateLimitCheck.limit,
-        current: rateLimitCheck.current
-      });
-    }
+    // Reserve the verification before the safeguards, so concurrent sends count each other.
+    // Only the HMAC of the code is stored.
+    const verification = await createOtpVerification({
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: formattedNumber,
+      clientReference,
+      options: otpOptions
+    });
 
-    // Check and deduct balance
-    const balanceCheck = await deductBalance(req.userId, req.sessionId, `OTP sent to ${recipient} via API`, `api_otp_${Date.now()}`);
-    if (!balanceCheck.success) {
-      return res.status(402).json({
-        error: balanceCheck.error || 'Insufficient balance',
-        currentBalance: balanceCheck.currentBalance,
-        required: MESSAGE_COST_IQD
+    // Per-number, per-country and sequential-burst safeguards against OTP pumping
+    let otpProtection;
+    try {
+      otpProtection = await checkOtpProtection(req.userId, formattedNumber, verification);
+    } catch (protectionError) {
+      await releaseOtpVerification(verification.id);
+      throw protectionError;
+    }
+    if (!otpProtection.allowed) {
+      await releaseOtpVerification(verification.id);
+      await recordOtpBlockedAttempt({
+        userId: req.userId,
+        sessionId: req.sessionId,
+        apiKeyId: req.apiKey.id,
+        recipient: formattedNumber,
+        block: otpProtection
+      });
+      console.log(`🛡️ OTP to ${formattedNumber} blocked (${otpProtection.code})`);
+      // Neighbouring numbers stay in the dashboard report only
+      const { neighbours, ...details } = otpProtection.details;
+      return res.status(otpProtection.status).json({
+        error: otpProtection.error,
+        code: otpProtection.code,
+        recipient: formattedNumber,
+        ...details
       });
     }
 
     // Concise but informative OTP message format
     // Default to Arabic/English bilingual if no language specified
     const messageLanguage = language || 'ar'; // 'ar' or 'en'
-    let message;
-    if (messageLanguage === 'en') {
-      message = `Your verification code is: ${otp}\nValid for 5 minutes.`;
-    } else {
-      message = `رمز التحقق الخاص بك هو: ${otp}\nصالح لمدة 5 دقائق.`;
-    }
+    const message = formatOtpMessage(otp, messageLanguage, otpOptions.ttlSeconds);
+    const maskedOtp = '*'.repeat(String(otp).length);
 
-    // Format phone number
-    const formattedNumber = recipient.replace(/[^\d+]/g, '').replace(/^\+/, '');
-    
-    // Validate phone number format (should be digits only, 9-15 digits)
-    if (!/^\d{9,15}$/.test(formattedNumber)) {
-      return res.status(400).json({ 
-        error: 'Invalid phone number format. Please use international format without + (e.g., 9647812345678)',
-        received: recipient
-      });
+    const result = await dispatchMessage(client, {
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: formattedNumber,
+      content: message,
+      messageType: 'otp',
+      label: 'OTP',
+      recordBody: message.replace(otp, maskedOtp), // Don't persist the code itself
+      logMessage: `OTP: ${maskedOtp}`,
+      clientReference,
+      reference: 'api_otp',
+      // Generated codes never leave the server except to the recipient
+      webhook: { type: 'otp', event: 'otp', payload: { otp: otpOptions.generated ? null : otp, verificationId: verification.id } },
+      // A retried code is useless once it has expired
+      expiresAt: new Date(Date.now() + otpOptions.ttlSeconds * 1000),
+      skipSuppression: true
+    });
+    if (result.status) {
+      await cancelOtpVerification(verification.id);
+      return res.status(result.status).json(result.body);
     }
 
-    try {
-      // Try to resolve number ID (LID) - required for sending messages
-      let numberId;
-      try {
-        numberId = await client.getNumberId(formattedNumber);
-        if (!numberId || !numberId._serialized) {
-          return res.status(400).json({ 
-            error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp or may be invalid.`,
-            recipient: formattedNumber,
-            hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without +'
-          });
-        }
-        var chatId = numberId._serialized;
-        console.log(`✅ Resolved LID for ${formattedNumber}: ${chatId}`);
-      } catch (lidError) {
-        console.error(`❌ Error resolving LID for ${formattedNumber}:`, lidError.message);
-        return res.status(400).json({ 
-          error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp.`,
-          recipient: formattedNumber,
-          details: lidError.message,
-          hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without + (e.g., 9647812345678)'
-        });
-      }
-
-      await client.sendMessage(chatId, message);
-
-      // Log to database
-      await supabase.from('automation_logs').insert({
-        user_id: req.userId,
-        session_id: req.sessionId,
-        type: 'otp',
-        recipient: formattedNumber,
-        message: `OTP: ${otp}`,
-        status: 'sent',
-      });
-
-      // Trigger webhooks for successful OTP send (async, don't wait)
-      triggerWebhooks(req.userId, req.sessionId, 'otp', {
-        success: true,
-        event: 'otp_sent',
-        recipient: formattedNumber,
-        otp: otp,
-        timestamp: new Date().toISOString(),
-        message: 'OTP sent successfully via API'
-      }).catch(err => console.error('Webhook error (non-blocking):', err));
-
-      res.json({
-        success: true,
-        message: 'OTP sent successfully',
-        balance: balanceCheck.balanceAfter,
+    await supabase
+      .from('otp_verifications')
+      .update({ outbound_message_id: result.outboundMessageId })
+      .eq('id', verification.id);
+
+    if (result.queued) {
+      return res.status(202).json({
+        ...formatQueuedSendResponse(result),
+        verificationId: verification.id,
+        expiresAt: verification.expires_at,
+        clientReference: clientReference || null,
         recipient: formattedNumber,
-        sentAt: new Date().toISOString()
+        e164: phone.e164
       });
-    } catch (sendError) {
-      // Refund balance if message failed
-      const { data: userProfile } = await supabase
-        .from('user_profiles')
-        .select('wallet_balance')
-        .eq('id', req.userId)
-        .single();
-      
-      if (userProfile && balanceCheck.success) {
-        const refundAmount = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-        await supabase
-          .from('user_profiles')
-          .update({ wallet_balance: refundAmount })
-          .eq('id', req.userId);
-        
-        await supabase.from('wallet_transactions').insert({
-          user_id: req.userId,
-          session_id: req.sessionId,
-          transaction_type: 'credit',
-          amount: MESSAGE_COST_IQD,
-          balance_before: balanceCheck.balanceAfter,
-          balance_after: refundAmount,
-          description: `Refund: Failed to send OTP to ${formattedNumber} via API`,
-          reference_id: `refund_api_otp_${Date.now()}`
-        });
-      }
-
-      // Trigger webhooks for failed OTP send (async, don't wait)
-      triggerWebhooks(req.userId, req.sessionId, 'otp', {
-        success: false,
-        event: 'otp_failed',
-        recipient: formattedNumber,
-        otp: otp,
-        timestamp: new Date().toISOString(),
-        error: sendError.message || 'Failed to send OTP via API'
-      }).catch(err => console.error('Webhook error (non-blocking):', err));
-
-      throw sendError;
     }
+
+    res.json({
+      success: true,
+      message: 'OTP sent successfully',
+      messageId: result.outboundMessageId,
+      verificationId: verification.id,
+      expiresAt: verification.expires_at,
+      maxAttempts: verification.max_attempts,
+      codeLength: verification.code_length,
+      clientReference: clientReference || null,
+      balance: result.balance,
+      recipient: formattedNumber,
+      e164: phone.e164,
+      sentAt: new Date().toISOString()
+    });
   } catch (error) {
     console.error('❌ Error sending OTP via API:', error);
     res.status(500).json({ error: error.message || 'Failed to send OTP. Please try again.' });
   }
 });
 
-// Send message via API Key
-app.post('/api/v1/messages/send', authenticateApiKey, async (req, res) => {
+// Verify an OTP via API Key - single use, limited attempts, expires after its TTL
+app.post('/api/v1/otp/verify', authenticateApiKey, async (req, res) => {
   try {
-    const { recipient, message } = req.body;
+    const { verificationId, code } = req.body;
 
-    if (!recipient || !message) {
-      return res.status(400).json({ error: 'recipient and message are required' });
+    if (!verificationId || code === undefined || code === null || code === '') {
+      return res.status(400).json({ error: 'verificationId and code are required' });
+    }
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(verificationId))) {
+      return res.status(400).json({ error: 'verificationId must be the UUID returned by /api/v1/otp/send' });
     }
 
-    const client = clients.get(req.sessionId);
-    if (!client) {
-      return res.status(404).json({ error: 'WhatsApp session not found. Please reconnect via the dashboard.' });
+    const { data: verification, error } = await supabase
+      .from('otp_verifications')
+      .select('id, code_hash, recipient, client_reference')
+      .eq('id', verificationId)
+      .eq('user_id', req.userId)
+      .eq('session_id', req.sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!verification) {
+      return res.status(404).json({ error: 'Verification not found', reason: 'not_found' });
     }
 
-    if (!isClientReady(client)) {
-      // Check if client exists but isn't ready yet
-      if (client && !client.info) {
-        return res.status(503).json({ 
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing'
-        });
-      }
-      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect via the dashboard.' });
+    const expected = Buffer.from(verification.code_hash, 'hex');
+    const actual = Buffer.from(hashOtpCode(verification.id, String(code).trim()), 'hex');
+    const codeMatches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+    // Attempts, expiry and single use are enforced atomically in the database
+    const { data: attempt, error: attemptError } = await supabase.rpc('consume_otp_attempt', {
+      p_verification_id: verification.id,
+      p_code_matches: codeMatches
+    });
+
+    if (attemptError) {
+      throw attemptError;
     }
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(req.userId, 1);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        reason: rateLimitCheck.reason,
-        limit: rateLimitCheck.limit,
-        current: rateLimitCheck.current,
-        retryAfter: rateLimitCheck.reason === 'rate_limit_minute' ? 60 : 
-                   rateLimitCheck.reason === 'rate_limit_hour' ? 3600 : 86400
-      });
+    const details = {
+      verificationId: verification.id,
+      recipient: verification.recipient,
+      clientReference: verification.client_reference || null,
+      attempts: attempt.attempts,
+      attemptsRemaining: Math.max(0, (attempt.max_attempts || 0) - (attempt.attempts || 0))
+    };
+
+    switch (attempt.result) {
+      case 'verified':
+        return res.json({ success: true, verified: true, ...details, verifiedAt: attempt.verified_at });
+      case 'invalid_code':
+        return res.status(400).json({ success: false, verified: false, error: 'Invalid code', reason: 'invalid_code', ...details });
+      case 'expired':
+        return res.status(410).json({ success: false, verified: false, error: 'Code has expired. Request a new one.', reason: 'expired', ...details });
+      case 'max_attempts_exceeded':
+        return res.status(429).json({ success: false, verified: false, error: 'Too many attempts. Request a new code.', reason: 'max_attempts_exceeded', ...details });
+      case 'already_verified':
+        return res.status(409).json({ success: false, verified: false, error: 'Code has already been used', reason: 'already_verified', ...details });
+      case 'cancelled':
+        return res.status(409).json({ success: false, verified: false, error: 'The code was never delivered. Request a new one.', reason: 'cancelled', ...details });
+      default:
+        return res.status(404).json({ error: 'Verification not found', reason: 'not_found' });
     }
+  } catch (error) {
+    console.error('❌ Error verifying OTP via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to verify OTP' });
+  }
+});
 
-    // Check and deduct balance
-    const balanceCheck = await deductBalance(req.userId, req.sessionId, `Message sent to ${recipient} via API`, `api_${Date.now()}`);
-    if (!balanceCheck.success) {
-      return res.status(402).json({
-        error: balanceCheck.error || 'Insufficient balance',
-        currentBalance: balanceCheck.currentBalance,
-        required: MESSAGE_COST_IQD
-      });
+// Send message via API Key
+app.post('/api/v1/messages/send', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
+  try {
+    const { recipient, clientReference, sendAt } = req.body;
+
+    const content = await resolveMessageContent(req.userId, req.body);
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error, missingVariables: content.missingVariables });
     }
+    const { message } = content;
 
-    // Format phone number (remove any non-digits except +, then remove +)
-    const formattedNumber = recipient.replace(/[^\d+]/g, '').replace(/^\+/, '');
-    
-    // Validate phone number format (should be digits only, 9-15 digits)
-    if (!/^\d{9,15}$/.test(formattedNumber)) {
-      // Refund balance
-      if (balanceCheck.success) {
-        const { data: userProfile } = await supabase
-          .from('user_profiles')
-          .select('wallet_balance')
-          .eq('id', req.userId)
-          .single();
-        if (userProfile) {
-          const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-          await supabase
-            .from('user_profiles')
-            .update({ wallet_balance: refundedBalance })
-            .eq('id', req.userId);
-        }
-      }
-      return res.status(400).json({ 
-        error: 'Invalid phone number format. Please use international format without + (e.g., 9647812345678)',
-        received: recipient
-      });
+    if (!recipient || !message) {
+      return res.status(400).json({ error: 'recipient and message (or templateId) are required' });
     }
-    
-    try {
-      // Try to get the number ID (LID) first - required for sending messages
-      let numberId;
-      try {
-        numberId = await client.getNumberId(formattedNumber);
-        if (!numberId || !numberId._serialized) {
-          // Refund balance
-          if (balanceCheck.success) {
-            const { data: userProfile } = await supabase
-              .from('user_profiles')
-              .select('wallet_balance')
-              .eq('id', req.userId)
-              .single();
-            if (userProfile) {
-              const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-              await supabase
-                .from('user_profiles')
-                .update({ wallet_balance: refundedBalance })
-                .eq('id', req.userId);
-            }
-          }
-          return res.status(400).json({ 
-            error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp or may be invalid.`,
-            recipient: formattedNumber,
-            hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without +'
-          });
-        }
-        var chatId = numberId._serialized;
-        console.log(`✅ Resolved LID for ${formattedNumber}: ${chatId}`);
-      } catch (lidError) {
-        console.error(`❌ Error resolving LID for ${formattedNumber}:`, lidError.message);
-        // Refund balance
-        if (balanceCheck.success) {
-          const { data: userProfile } = await supabase
-            .from('user_profiles')
-            .select('wallet_balance')
-            .eq('id', req.userId)
-            .single();
-          if (userProfile) {
-            const refundedBalance = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-            await supabase
-              .from('user_profiles')
-              .update({ wallet_balance: refundedBalance })
-              .eq('id', req.userId);
-          }
-        }
-        return res.status(400).json({ 
-          error: `Unable to resolve WhatsApp account for number ${formattedNumber}. The number may not be registered on WhatsApp.`,
-          recipient: formattedNumber,
-          details: lidError.message,
-          hint: 'Ensure the phone number is registered on WhatsApp and uses the correct international format without + (e.g., 9647812345678)'
-        });
+
+    // Normalize the phone number (national formats use the account's default country)
+    const phone = await normalizeAccountPhoneNumber(req.userId, recipient);
+    if (phone.error) {
+      return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
+    }
+    const formattedNumber = phone.number;
+
+    // Store for later delivery when sendAt is given
+    if (sendAt !== undefined) {
+      // Opted-out recipients are skipped before anything is reserved (immediate sends check in dispatchMessage)
+      if (await isRecipientSuppressed(req.userId, formattedNumber)) {
+        return res.status(403).json({ error: SUPPRESSED_RECIPIENT_ERROR, code: 'recipient_opted_out', recipient: formattedNumber, e164: phone.e164 });
       }
-      
-      const messageResult = await client.sendMessage(chatId, message);
 
-      // Log to database
-      await supabase.from('automation_logs').insert({
-        user_id: req.userId,
-        session_id: req.sessionId,
-        type: 'api_message',
-        recipient,
-        message,
-        status: 'sent',
-      });
-      
-      // Track message delivery (initial status: sent)
-      if (messageResult && messageResult.id) {
-        try {
-          await supabase.from('message_delivery_tracking').insert({
-            session_id: req.sessionId,
-            user_id: req.userId,
-            message_id: messageResult.id._serialized || messageResult.id.toString(),
-            recipient: formattedNumber,
-            status: 'sent',
-            sent_at: new Date().toISOString()
-          });
-        } catch (e) {
-          // Ignore errors if table doesn't exist yet
-        }
-        
-        // Set up delivery tracking listeners (if message object supports it)
-        if (messageResult.on) {
-          messageResult.on('delivery', async () => {
-            try {
-              await supabase.from('message_delivery_tracking')
-                .update({ 
-                  status: 'delivered',
-                  delivered_at: new Date().toISOString()
-                })
-                .eq('message_id', messageResult.id._serialized || messageResult.id.toString());
-            } catch (e) {
-              // Ignore errors
-            }
-          });
-          
-          messageResult.on('read', async () => {
-            try {
-              await supabase.from('message_delivery_tracking')
-                .update({ 
-                  status: 'read',
-                  read_at: new Date().toISOString()
-                })
-                .eq('message_id', messageResult.id._serialized || messageResult.id.toString());
-            } catch (e) {
-              // Ignore errors
-            }
-          });
-        }
+      const { date, error: sendAtError } = parseSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ error: sendAtError });
       }
 
-      res.json({
-        success: true,
-        message: 'Message sent successfully',
-        balance: balanceCheck.balanceAfter,
-        recipient,
-        sentAt: new Date().toISOString()
+      const result = await scheduleMessage({
+        userId: req.userId,
+        sessionId: req.sessionId,
+        apiKeyId: req.apiKey.id,
+        messageType: 'api_message',
+        recipients: [formattedNumber],
+        message,
+        clientReference,
+        sendAt: date
       });
-    } catch (sendError) {
-      // Refund balance if message failed
-      const { data: userProfile } = await supabase
-        .from('user_profiles')
-        .select('wallet_balance')
-        .eq('id', req.userId)
-        .single();
-      
-      if (userProfile && balanceCheck.success) {
-        const refundAmount = balanceCheck.balanceAfter + MESSAGE_COST_IQD;
-        await supabase
-          .from('user_profiles')
-          .update({ wallet_balance: refundAmount })
-          .eq('id', req.userId);
-        
-        await supabase.from('wallet_transactions').insert({
-          user_id: req.userId,
-          session_id: req.sessionId,
-          transaction_type: 'credit',
-          amount: MESSAGE_COST_IQD,
-          balance_before: balanceCheck.balanceAfter,
-          balance_after: refundAmount,
-          description: `Refund: Failed to send message to ${recipient} via API`,
-          reference_id: `refund_api_${Date.now()}`
+      if (!result.success) {
+        return res.status(402).json({
+          error: result.balanceCheck.error || 'Insufficient balance',
+          currentBalance: result.balanceCheck.currentBalance,
+          required: result.reservedAmount
         });
       }
+      return res.status(202).json({ ...formatScheduledResponse(result), recipient: formattedNumber, e164: phone.e164 });
+    }
 
-      throw sendError;
+    const { client, status, body } = await acquireSessionClient(req.userId, req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const result = await dispatchMessage(client, {
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: formattedNumber,
+      content: message,
+      messageType: 'api_message',
+      label: 'Message',
+      recordBody: message,
+      clientReference,
+      reference: 'api',
+      webhook: { type: 'message', event: 'message', payload: { clientReference: clientReference || null } }
+    });
+    if (result.status) {
+      return res.status(result.status).json(result.body);
     }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), clientReference: clientReference || null, recipient: formattedNumber, e164: phone.e164 });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message sent successfully',
+      messageId: result.outboundMessageId,
+      clientReference: clientReference || null,
+      balance: result.balance,
+      recipient: formattedNumber,
+      e164: phone.e164,
+      sentAt: new Date().toISOString()
+    });
   } catch (error) {
     console.error('❌ Error sending message via API:', error);
     res.status(500).json({ error: error.message || 'Failed to send message' });
@@ -2008,588 +2068,2683 @@ app.post('/api/v1/messages/send', authenticateApiKey, async (req, res) => {
 });
 
 // Send bulk messages via API Key
-app.post('/api/v1/messages/send-bulk', authenticateApiKey, async (req, res) => {
+app.post('/api/v1/messages/send-bulk', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
   try {
-    const { recipients, message } = req.body;
+    const { clientReference, sendAt } = req.body;
 
-    if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
-      return res.status(400).json({ error: 'recipients array is required and must not be empty' });
+    // A contact list and/or segment can stand in for the recipients array
+    const audience = await resolveAudienceRecipients(req.userId, req.body);
+    if (audience.error) {
+      return res.status(audience.status).json({ error: audience.error });
     }
-
-    if (!message) {
-      return res.status(400).json({ error: 'message is required' });
+    const { recipients } = audience;
+    if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: 'recipients array (or listId / segment) is required and must not be empty' });
     }
 
-    const client = clients.get(req.sessionId);
-    if (!client) {
-      return res.status(404).json({ error: 'WhatsApp session not found. Please reconnect via the dashboard.' });
+    const { template, status: templateStatus, error: templateError } = await resolveMessageTemplate(req.userId, req.body);
+    if (templateError) {
+      return res.status(templateStatus).json({ error: templateError });
     }
 
-    if (!isClientReady(client)) {
-      // Check if client exists but isn't ready yet
-      if (client && !client.info) {
-        return res.status(503).json({ 
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing'
-        });
-      }
-      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect via the dashboard.' });
+    if (!template && !req.body.message) {
+      return res.status(400).json({ error: 'message or templateId is required' });
     }
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(req.userId, recipients.length);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        reason: rateLimitCheck.reason,
-        limit: rateLimitCheck.limit,
-        current: rateLimitCheck.current
-      });
+    // Invalid numbers, missing variables, opted-out numbers and (in strict consent mode) numbers
+    // without consent are reported per recipient and never charged
+    const { entries: prepared, errors: invalid, body: message } = prepareBulkRecipients(recipients, {
+      message: req.body.message,
+      template,
+      variables: req.body.variables,
+      defaultCountry: await getAccountDefaultCountry(req.userId)
+    });
+    const { entries: deliverable, errors: suppressed } = await filterSuppressedRecipients(req.userId, prepared);
+    // Strict consent mode only sends to recipients with active consent on record
+    const { entries, errors: unconsented } = req.body.strictConsent === true
+      ? await filterUnconsentedRecipients(req.userId, deliverable)
+      : { entries: deliverable, errors: [] };
+    const errors = [...invalid, ...suppressed, ...unconsented];
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'None of the recipients can be sent to', errors });
     }
 
-    // Calculate total cost
-    const totalCost = recipients.length * MESSAGE_COST_IQD;
-    const { data: userProfile } = await supabase
-      .from('user_profiles')
-      .select('wallet_balance')
-      .eq('id', req.userId)
-      .single();
-
-    const currentBalance = userProfile?.wallet_balance || 0;
+    // Store for later delivery when sendAt is given
+    if (sendAt !== undefined) {
+      const { date, error: sendAtError } = parseSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ error: sendAtError });
+      }
 
-    if (currentBalance < totalCost) {
-      return res.status(402).json({
-        error: 'Insufficient balance',
-        currentBalance,
-        required: totalCost,
-        recipients: recipients.length,
-        costPerMessage: MESSAGE_COST_IQD
+      const result = await scheduleMessage({
+        userId: req.userId,
+        sessionId: req.sessionId,
+        apiKeyId: req.apiKey.id,
+        messageType: 'bulk',
+        recipients: entries.map(toScheduledRecipient),
+        message,
+        clientReference,
+        sendAt: date,
+        strictConsent: req.body.strictConsent === true
       });
+      if (!result.success) {
+        return res.status(402).json({
+          error: result.balanceCheck.error || 'Insufficient balance',
+          currentBalance: result.balanceCheck.currentBalance,
+          required: result.reservedAmount,
+          recipients: entries.length,
+          costPerMessage: MESSAGE_COST_IQD
+        });
+      }
+      return res.status(202).json({ ...formatScheduledResponse(result), errors });
     }
 
-    // Deduct total cost
-    const newBalance = currentBalance - totalCost;
-    await supabase
-      .from('user_profiles')
-      .update({ wallet_balance: newBalance })
-      .eq('id', req.userId);
-
-    await supabase.from('wallet_transactions').insert({
-      user_id: req.userId,
-      session_id: req.sessionId,
-      transaction_type: 'debit',
-      amount: totalCost,
-      balance_before: currentBalance,
-      balance_after: newBalance,
-      description: `Bulk message to ${recipients.length} recipients via API`,
-      reference_id: `api_bulk_${Date.now()}`
-    });
-
-    let sent = 0;
-    const errors = [];
-    let refundAmount = 0;
-
-    for (const recipient of recipients) {
-      try {
-        if (!isClientReady(client)) {
-          errors.push({ recipient, error: 'Session disconnected' });
-          refundAmount += MESSAGE_COST_IQD;
-          break;
-        }
-
-        const chatId = recipient.includes('@') ? recipient : `${recipient}@c.us`;
-        await client.sendMessage(chatId, message);
-        sent++;
-      } catch (error) {
-        errors.push({ recipient, error: error.message });
-        refundAmount += MESSAGE_COST_IQD;
-      }
+    const { client, status, body } = await acquireSessionClient(req.userId, req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
     }
 
-    // Refund failed messages
-    if (refundAmount > 0) {
-      const finalBalance = newBalance + refundAmount;
-      await supabase
-        .from('user_profiles')
-        .update({ wallet_balance: finalBalance })
-        .eq('id', req.userId);
-
-      await supabase.from('wallet_transactions').insert({
-        user_id: req.userId,
-        session_id: req.sessionId,
-        transaction_type: 'credit',
-        amount: refundAmount,
-        balance_before: newBalance,
-        balance_after: finalBalance,
-        description: `Refund: Failed to send ${errors.length} messages via API`,
-        reference_id: `refund_api_bulk_${Date.now()}`
+    // Reserve the cost and hand the recipients to the background worker
+    const result = await createBulkJob({
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      jobType: 'bulk',
+      recipients: entries,
+      message,
+      clientReference,
+      batchId: `api_bulk_${Date.now()}`,
+      strictConsent: req.body.strictConsent === true
+    });
+    if (!result.success) {
+      return res.status(402).json({
+        error: result.balanceCheck.error || 'Insufficient balance',
+        currentBalance: result.balanceCheck.currentBalance,
+        required: result.reservedAmount,
+        recipients: entries.length,
+        costPerMessage: MESSAGE_COST_IQD
       });
     }
 
-    res.json({
-      success: true,
-      sent,
-      failed: errors.length,
-      errors,
-      balance: newBalance + refundAmount,
-      totalCost: sent * MESSAGE_COST_IQD,
-      refunded: refundAmount
-    });
+    res.status(202).json({ ...formatBulkJobResponse(result, entries), errors });
   } catch (error) {
     console.error('❌ Error sending bulk messages via API:', error);
     res.status(500).json({ error: error.message || 'Failed to send messages' });
   }
 });
 
-// Get API key info
-app.get('/api/v1/auth/info', authenticateApiKey, async (req, res) => {
-  res.json({
-    success: true,
-    apiKey: {
-      phoneNumber: req.phoneNumber,
-      sessionId: req.sessionId,
-      lastUsedAt: req.apiKey.last_used_at,
-      usageCount: req.apiKey.usage_count,
-      createdAt: req.apiKey.created_at
+// Parse multipart uploads for the media endpoint, returning JSON errors instead of multer's defaults
+function handleMediaUpload(req, res, next) {
+  mediaUpload.single('file')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `File is too large. Maximum size is ${MAX_MEDIA_SIZE_BYTES / (1024 * 1024)} MB.`
+        });
+      }
+      return res.status(400).json({ error: `Invalid upload: ${error.message}` });
     }
+    next();
   });
-});
+}
 
-// Get session status (API Key)
-app.get('/api/v1/session/status', authenticateApiKey, async (req, res) => {
+// Map a mimetype to the WhatsApp media type it will be sent as
+function getMediaTypeFromMimetype(mimetype) {
+  if (!mimetype) return 'document';
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+// mediaUrl downloads may only reach public addresses: no loopback, private, link-local (cloud metadata),
+// carrier-grade NAT, multicast or other reserved ranges
+const BLOCKED_MEDIA_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+const MEDIA_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+const MAX_MEDIA_REDIRECTS = 3;
+
+function isBlockedMediaAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_MEDIA_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_MEDIA_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a mediaUrl host to one public address, refusing the host if any of its addresses is not public
+async function resolveMediaHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
   try {
-    const client = clients.get(req.sessionId);
-    const isReady = isClientReady(client);
-    
-    res.json({
-      success: true,
-      sessionId: req.sessionId,
-      isReady,
-      hasClient: !!client,
-      hasInfo: client ? !!client.info : false
-    });
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
   } catch (error) {
-    console.error('❌ Error checking session status:', error);
-    res.status(500).json({ error: error.message });
+    throw new Error(`Unable to resolve mediaUrl host ${host}`);
   }
-});
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedMediaAddress(address))) {
+    throw new Error('mediaUrl must point to a public address');
+  }
+  return addresses[0];
+}
 
-// ==================== USER ENDPOINTS (Dashboard) ====================
+// GET a mediaUrl over http(s) connected to the address that was checked (so DNS can't change in between),
+// without following redirects. Resolves with the response, or rejects once the body passes the size limit.
+async function requestRemoteMedia(urlObj) {
+  const { address, family } = await resolveMediaHost(urlObj.hostname);
+  const httpModule = urlObj.protocol === 'https:' ? https : http;
 
-// Get wallet balance
-app.get('/api/wallet/balance/:userId', async (req, res) => {
+  return new Promise((resolve, reject) => {
+    const req = httpModule.get(urlObj, {
+      headers: { accept: 'image/*, video/*, audio/*, application/*, text/*', 'User-Agent': 'Wassapi-Media/1.0' },
+      timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+      lookup: (hostname, options, callback) => (options && options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family))
+    }, resolve);
+
+    req.on('error', (error) => reject(new Error(`Media download failed: ${error.message}`)));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Media download timed out'));
+    });
+  });
+}
+
+// Download a mediaUrl as a MessageMedia. Only http(s) to public addresses; each redirect target is checked the same way.
+async function downloadRemoteMedia(mediaUrl, filename) {
+  let urlObj;
   try {
-    const { userId } = req.params;
-    const { data: userProfile, error } = await supabase
-      .from('user_profiles')
-      .select('wallet_balance')
-      .eq('id', userId)
-      .single();
+    urlObj = new URL(mediaUrl);
+  } catch {
+    throw new Error('Invalid mediaUrl format');
+  }
 
-    if (error) {
-      throw error;
+  for (let redirects = 0; ; redirects++) {
+    if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
+      throw new Error('mediaUrl must be an http or https URL');
+    }
+
+    const response = await requestRemoteMedia(urlObj);
+
+    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+      response.resume();
+      if (redirects >= MAX_MEDIA_REDIRECTS) {
+        throw new Error('mediaUrl redirected too many times');
+      }
+      urlObj = new URL(response.headers.location, urlObj);
+      continue;
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw new Error(`mediaUrl returned status ${response.statusCode}`);
+    }
+    if (Number(response.headers['content-length']) > MAX_MEDIA_SIZE_BYTES) {
+      response.destroy();
+      throw new Error(`File is too large. Maximum size is ${MAX_MEDIA_SIZE_BYTES / (1024 * 1024)} MB.`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > MAX_MEDIA_SIZE_BYTES) {
+        response.destroy();
+        throw new Error(`File is too large. Maximum size is ${MAX_MEDIA_SIZE_BYTES / (1024 * 1024)} MB.`);
+      }
+      chunks.push(chunk);
+    }
+
+    const dispositionName = (response.headers['content-disposition'] || '').match(/filename="?([^";]+)"?/i);
+    return new MessageMedia(
+      (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+      Buffer.concat(chunks).toString('base64'),
+      filename || (dispositionName ? dispositionName[1] : decodeURIComponent(urlObj.pathname.split('/').pop() || '') || 'file'),
+      size
+    );
+  }
+}
+
+// Build a MessageMedia from a multipart file, a base64 string or a URL (in that order of precedence)
+async function buildMessageMedia(req) {
+  const { mediaUrl, mediaBase64, mimetype, filename } = req.body;
+
+  if (req.file) {
+    return new MessageMedia(
+      req.file.mimetype,
+      req.file.buffer.toString('base64'),
+      filename || req.file.originalname || null,
+      req.file.size
+    );
+  }
+
+  if (mediaBase64) {
+    // Accept both raw base64 and data URLs (data:image/png;base64,...)
+    const dataUrlMatch = mediaBase64.match(/^data:([^;]+);base64,(.+)$/);
+    const resolvedMimetype = dataUrlMatch ? dataUrlMatch[1] : mimetype;
+    const data = dataUrlMatch ? dataUrlMatch[2] : mediaBase64;
+
+    if (!resolvedMimetype) {
+      throw new Error('mimetype is required when sending mediaBase64 without a data URL prefix');
+    }
+
+    const size = Buffer.byteLength(data, 'base64');
+    if (size > MAX_MEDIA_SIZE_BYTES) {
+      throw new Error(`File is too large. Maximum size is ${MAX_MEDIA_SIZE_BYTES / (1024 * 1024)} MB.`);
+    }
+
+    return new MessageMedia(resolvedMimetype, data, filename || null, size);
+  }
+
+  if (mediaUrl) {
+    const media = await downloadRemoteMedia(mediaUrl, filename || null);
+
+    if (!media.data) {
+      throw new Error('Downloaded media is empty');
+    }
+    if (mimetype) {
+      media.mimetype = mimetype;
+    }
+    return media;
+  }
+
+  return null;
+}
+
+// Send media message via API Key (image, document, audio or video by URL, base64 or multipart upload)
+app.post('/api/v1/messages/send-media', authenticateApiKey, handleMediaUpload, handleIdempotencyKey, async (req, res) => {
+  try {
+    const { recipient, type, clientReference } = req.body;
+
+    // Multipart form fields arrive as strings, so accept variables as JSON text too
+    let { variables } = req.body;
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        return res.status(400).json({ error: 'variables must be a JSON object' });
+      }
+    }
+
+    const content = await resolveMessageContent(req.userId, {
+      message: req.body.caption,
+      templateId: req.body.templateId || undefined,
+      variables,
+      language: req.body.language
+    });
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error, missingVariables: content.missingVariables });
+    }
+    const caption = content.message;
+
+    if (!recipient) {
+      return res.status(400).json({ error: 'recipient is required' });
+    }
+
+    if (!req.file && !req.body.mediaUrl && !req.body.mediaBase64) {
+      return res.status(400).json({ error: 'One of file (multipart), mediaUrl or mediaBase64 is required' });
+    }
+
+    if (type && !MEDIA_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${MEDIA_TYPES.join(', ')}` });
+    }
+
+    const { client, status, body } = await acquireSessionClient(req.userId, req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    // Normalize the phone number (national formats use the account's default country)
+    const phone = await normalizeAccountPhoneNumber(req.userId, recipient);
+    if (phone.error) {
+      return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
+    }
+    const formattedNumber = phone.number;
+
+    // Load the media before charging so a bad URL or payload costs nothing
+    let media;
+    try {
+      media = await buildMessageMedia(req);
+    } catch (mediaError) {
+      console.error('❌ Error loading media:', mediaError.message);
+      return res.status(400).json({ error: `Unable to load media: ${mediaError.message}` });
+    }
+
+    const mediaType = type || getMediaTypeFromMimetype(media.mimetype);
+
+    const result = await dispatchMessage(client, {
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: formattedNumber,
+      content: media,
+      sendOptions: {
+        caption: caption || undefined,
+        sendMediaAsDocument: mediaType === 'document'
+      },
+      messageType: 'api_media',
+      label: `Media message (${mediaType})`,
+      recordBody: caption || `[${mediaType}] ${media.filename || media.mimetype}`,
+      clientReference,
+      cost: MEDIA_MESSAGE_COST_IQD,
+      reference: 'api_media',
+      webhook: {
+        type: 'media',
+        event: 'media',
+        payload: { mediaType, mimetype: media.mimetype, filename: media.filename || null }
+      }
+    });
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), clientReference: clientReference || null, recipient: formattedNumber, e164: phone.e164 });
     }
 
     res.json({
       success: true,
-      balance: userProfile?.wallet_balance || DEFAULT_WALLET_BALANCE,
-      currency: 'IQD'
+      message: 'Media message sent successfully',
+      messageId: result.outboundMessageId,
+      whatsappMessageId: result.messageResult?.id?._serialized || null,
+      clientReference: clientReference || null,
+      mediaType,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      balance: result.balance,
+      cost: result.cost,
+      recipient: formattedNumber,
+      e164: phone.e164,
+      sentAt: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error fetching balance:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error sending media message via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send media message' });
   }
 });
 
-// Get wallet transactions
-app.get('/api/wallet/transactions/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+// Maximum options WhatsApp accepts in a poll
+const MAX_POLL_OPTIONS = 12;
 
-    const { data: transactions, error } = await supabase
-      .from('wallet_transactions')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+// Build a whatsapp-web.js Location from the request body
+function buildLocationContent({ latitude, longitude, name, address, url }) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === undefined || latitude === null || latitude === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: 'latitude is required and must be a number between -90 and 90' };
+  }
+  if (longitude === undefined || longitude === null || longitude === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: 'longitude is required and must be a number between -180 and 180' };
+  }
+  if (url !== undefined) {
+    try {
+      new URL(url);
+    } catch {
+      return { error: 'Invalid url format' };
+    }
+  }
+
+  return {
+    content: new Location(lat, lng, { name: name || undefined, address: address || undefined, url: url || undefined }),
+    summary: `[location] ${lat},${lng}${name ? ` ${name}` : ''}`
+  };
+}
+
+// Escape a value for a vCard property
+function escapeVCardValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Build a vCard string from the request body: either a raw vcard or contact fields
+function buildContactContent({ vcard, name, phone, organization, email }, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  if (vcard !== undefined) {
+    if (typeof vcard !== 'string' || !vcard.trim().startsWith('BEGIN:VCARD') || !vcard.includes('END:VCARD')) {
+      return { error: 'vcard must be a vCard string starting with BEGIN:VCARD and ending with END:VCARD' };
+    }
+    const formattedName = (vcard.match(/^FN:(.*)$/m) || [])[1];
+    return { content: vcard.trim(), summary: `[contact] ${formattedName ? formattedName.trim() : 'vCard'}` };
+  }
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required (or send a raw vcard)' };
+  }
+  const normalized = normalizePhoneNumber(phone, { defaultCountry });
+  if (normalized.error) {
+    return { error: `phone is required as a valid number (e.g., +9647812345678): ${normalized.error}` };
+  }
+  const contactPhone = normalized.number;
+
+  // waid lets WhatsApp show "Message" / "Add contact" buttons on the card
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCardValue(name.trim())}`,
+    `N:${escapeVCardValue(name.trim())};;;;`
+  ];
+  if (organization) lines.push(`ORG:${escapeVCardValue(organization)}`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${contactPhone}:+${contactPhone}`);
+  if (email) lines.push(`EMAIL:${escapeVCardValue(email)}`);
+  lines.push('END:VCARD');
+
+  return { content: lines.join('\n'), summary: `[contact] ${name.trim()} +${contactPhone}` };
+}
+
+// Build a whatsapp-web.js Poll from the request body
+function buildPollContent({ question, options, allowMultipleAnswers }) {
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    return { error: 'question is required' };
+  }
+  if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    return { error: `options must be an array of 2 to ${MAX_POLL_OPTIONS} choices` };
+  }
+  if (options.some(option => typeof option !== 'string' || !option.trim())) {
+    return { error: 'Each poll option must be a non-empty string' };
+  }
+  const trimmedOptions = options.map(option => option.trim());
+  if (new Set(trimmedOptions).size !== trimmedOptions.length) {
+    return { error: 'Poll options must be unique' };
+  }
+
+  return {
+    content: new Poll(question, trimmedOptions, { allowMultipleAnswers: allowMultipleAnswers === true }),
+    summary: `[poll] ${question.trim()} (${trimmedOptions.join(' / ')})`
+  };
+}
+
+// Shared send flow for location, contact and poll messages (billed as a regular message)
+async function sendStructuredMessage(req, res, { messageType, label, content, summary }) {
+  const { recipient, clientReference } = req.body;
+
+  if (!recipient) {
+    return res.status(400).json({ error: 'recipient is required' });
+  }
+
+  const { client, status, body } = await acquireSessionClient(req.userId, req.sessionId);
+  if (!client) {
+    return res.status(status).json(body);
+  }
+
+  // Normalize the phone number (national formats use the account's default country)
+  const phone = await normalizeAccountPhoneNumber(req.userId, recipient);
+  if (phone.error) {
+    return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
+  }
+  const formattedNumber = phone.number;
+
+  const result = await dispatchMessage(client, {
+    userId: req.userId,
+    sessionId: req.sessionId,
+    apiKeyId: req.apiKey.id,
+    recipient: formattedNumber,
+    content,
+    messageType,
+    label: `${label} message`,
+    recordBody: summary,
+    logType: 'api_message',
+    clientReference,
+    reference: `api_${messageType}`,
+    webhook: { type: 'message', event: messageType, payload: { clientReference: clientReference || null } }
+  });
+  if (result.status) {
+    return res.status(result.status).json(result.body);
+  }
+  if (result.queued) {
+    return res.status(202).json({ ...formatQueuedSendResponse(result), clientReference: clientReference || null, messageType, recipient: formattedNumber, e164: phone.e164 });
+  }
 
+  res.json({
+    success: true,
+    message: `${label} message sent successfully`,
+    messageId: result.outboundMessageId,
+    whatsappMessageId: result.messageResult?.id?._serialized || null,
+    clientReference: clientReference || null,
+    messageType,
+    balance: result.balance,
+    cost: result.cost,
+    recipient: formattedNumber,
+    e164: phone.e164,
+    sentAt: new Date().toISOString()
+  });
+}
+
+// Send a location pin via API Key
+app.post('/api/v1/messages/send-location', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
+  try {
+    const { content, summary, error } = buildLocationContent(req.body);
     if (error) {
-      throw error;
+      return res.status(400).json({ error });
     }
 
-    res.json({
-      success: true,
-      transactions,
-      count: transactions.length
-    });
+    await sendStructuredMessage(req, res, { messageType: 'location', label: 'Location', content, summary });
   } catch (error) {
-    console.error('❌ Error fetching transactions:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error sending location via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send location' });
   }
 });
 
-// Get API keys for user
-app.get('/api/api-keys/:userId', async (req, res) => {
+// Send a contact card (vCard) via API Key
+app.post('/api/v1/messages/send-contact', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { data: apiKeys, error } = await supabase
-      .from('api_keys')
-      .select('id, phone_number, session_id, is_active, created_at, last_used_at, usage_count')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+    const { content, summary, error } = buildContactContent(req.body, await getAccountDefaultCountry(req.userId));
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
+    await sendStructuredMessage(req, res, { messageType: 'contact', label: 'Contact', content, summary });
+  } catch (error) {
+    console.error('❌ Error sending contact via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send contact' });
+  }
+});
+
+// Send a poll via API Key - votes are forwarded to poll_vote webhooks
+app.post('/api/v1/messages/send-poll', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
+  try {
+    const { content, summary, error } = buildPollContent(req.body);
     if (error) {
-      throw error;
+      return res.status(400).json({ error });
     }
 
-    res.json({
-      success: true,
-      apiKeys: apiKeys.map(key => ({
-        ...key,
-        // Don't expose full API key, only show first 8 chars
-        apiKeyPrefix: key.api_key ? key.api_key.substring(0, 12) + '...' : null
-      }))
-    });
+    await sendStructuredMessage(req, res, { messageType: 'poll', label: 'Poll', content, summary });
   } catch (error) {
-    console.error('❌ Error fetching API keys:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error sending poll via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send poll' });
   }
 });
 
-// Get full API key (only for display)
-app.get('/api/api-keys/:userId/:sessionId', async (req, res) => {
+// List outbound message records (API Key) - filterable for delivery reconciliation
+app.get('/api/v1/messages', authenticateApiKey, async (req, res) => {
   try {
-    const { userId, sessionId } = req.params;
-    const { data: apiKey, error } = await supabase
-      .from('api_keys')
-      .select('api_key, phone_number, created_at')
-      .eq('user_id', userId)
-      .eq('session_id', sessionId)
-      .single();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { status, recipient, clientReference, batchId, type, since, until } = req.query;
 
-    if (error || !apiKey) {
-      return res.status(404).json({ error: 'API key not found' });
+    if (status && !OUTBOUND_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${OUTBOUND_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('outbound_messages')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.userId)
+      .eq('session_id', req.sessionId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (recipient) query = query.eq('recipient', recipient.replace(/[^\d]/g, ''));
+    if (clientReference) query = query.eq('client_reference', clientReference);
+    if (batchId) query = query.eq('batch_id', batchId);
+    if (type) query = query.eq('message_type', type);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lte('created_at', until);
+
+    const { data: messages, count, error } = await query;
+
+    if (error) {
+      throw error;
     }
 
     res.json({
       success: true,
-      apiKey: apiKey.api_key,
-      phoneNumber: apiKey.phone_number,
-      createdAt: apiKey.created_at
+      messages: messages || [],
+      count: messages ? messages.length : 0,
+      total: count
     });
   } catch (error) {
-    console.error('❌ Error fetching API key:', error);
+    console.error('❌ Error fetching messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Revoke API key
-app.post('/api/api-keys/revoke/:userId/:sessionId', async (req, res) => {
+// Get a single outbound message record (API Key) by its id or WhatsApp message id
+app.get('/api/v1/messages/:id', authenticateApiKey, async (req, res) => {
   try {
-    const { userId, sessionId } = req.params;
-    const { error } = await supabase
-      .from('api_keys')
-      .update({ is_active: false })
-      .eq('user_id', userId)
-      .eq('session_id', sessionId);
+    const { id } = req.params;
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+
+    const { data: message, error } = await supabase
+      .from('outbound_messages')
+      .select('*')
+      .eq(isUuid ? 'id' : 'whatsapp_message_id', id)
+      .eq('user_id', req.userId)
+      .eq('session_id', req.sessionId)
+      .maybeSingle();
 
     if (error) {
       throw error;
     }
 
-    res.json({ success: true, message: 'API key revoked successfully' });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Replies, reactions, edits and revokes performed on this message
+    const { data: operations } = await supabase
+      .from('message_operations')
+      .select('operation, content, result_message_id, status, error_message, created_at')
+      .eq('outbound_message_id', message.id)
+      .order('created_at', { ascending: true });
+
+    res.json({ success: true, message, operations: operations || [] });
   } catch (error) {
-    console.error('❌ Error revoking API key:', error);
+    console.error('❌ Error fetching message:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== WALLET TOPUP ENDPOINTS ====================
-
-// Create wallet topup request
-app.post('/api/wallet/topup', async (req, res) => {
+// Reply to a message, quoting it (API Key)
+app.post('/api/v1/messages/:id/reply', authenticateApiKey, handleIdempotencyKey, async (req, res) => {
   try {
-    const { userId, amount, paymentMethod, paymentReference } = req.body;
+    const { clientReference } = req.body;
 
-    if (!userId || !amount) {
-      return res.status(400).json({ error: 'userId and amount are required' });
+    const content = await resolveMessageContent(req.userId, req.body);
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error, missingVariables: content.missingVariables });
     }
+    const { message } = content;
 
-    if (amount < 1000) {
-      return res.status(400).json({ error: 'Minimum topup amount is 1,000 IQD' });
+    if (!message) {
+      return res.status(400).json({ error: 'message (or templateId) is required' });
     }
 
-    // Calculate bonus using the database function
-    const { data: bonusResult, error: bonusError } = await supabase
-      .rpc('calculate_topup_bonus', { amount });
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
 
-    if (bonusError) {
-      throw bonusError;
+    const target = await findSessionMessage(client, req.userId, req.sessionId, req.params.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
-    const bonusAmount = bonusResult || 0;
-    const totalCredited = amount + bonusAmount;
+    const chatId = target.message.id.remote;
+    const recipient = chatId.replace(/@.*$/, '');
 
-    // Create topup record
-    const { data: topup, error: topupError } = await supabase
-      .from('wallet_topups')
-      .insert({
-        user_id: userId,
-        amount_iqd: amount,
-        bonus_amount_iqd: bonusAmount,
-        total_credited_iqd: totalCredited,
-        payment_method: paymentMethod || 'manual',
-        payment_reference: paymentReference,
-        status: 'pending'
-      })
-      .select()
-      .single();
+    const result = await dispatchMessage(client, {
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: chatId.replace(/@c\.us$/, ''),
+      content: message,
+      sendOptions: { quotedMessageId: target.whatsappMessageId },
+      messageType: 'reply',
+      label: 'Reply',
+      recordBody: message,
+      logType: 'api_message',
+      clientReference,
+      reference: 'api_reply'
+    });
+    // Sends that got as far as a record are part of the message's operation history
+    if (result.outboundMessageId && !result.queued) {
+      await recordMessageOperation({
+        userId: req.userId,
+        sessionId: req.sessionId,
+        apiKeyId: req.apiKey.id,
+        target,
+        operation: 'reply',
+        content: message,
+        resultMessageId: result.messageResult?.id?._serialized || null,
+        errorMessage: result.status ? result.body.error : null
+      });
+    }
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), quotedMessageId: target.whatsappMessageId, clientReference: clientReference || null, recipient });
+    }
 
-    if (topupError) {
-      throw topupError;
+    res.json({
+      success: true,
+      message: 'Reply sent successfully',
+      messageId: result.outboundMessageId,
+      whatsappMessageId: result.messageResult?.id?._serialized || null,
+      quotedMessageId: target.whatsappMessageId,
+      clientReference: clientReference || null,
+      balance: result.balance,
+      recipient,
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error sending reply via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send reply' });
+  }
+});
+
+// React to a message with an emoji, or remove the reaction with an empty string (API Key)
+app.post('/api/v1/messages/:id/react', authenticateApiKey, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+
+    if (typeof emoji !== 'string') {
+      return res.status(400).json({ error: 'emoji is required (use an empty string to remove your reaction)' });
+    }
+
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const target = await findSessionMessage(client, req.userId, req.sessionId, req.params.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const operation = { userId: req.userId, sessionId: req.sessionId, apiKeyId: req.apiKey.id, target, operation: 'react', content: emoji };
+    try {
+      await target.message.react(emoji);
+    } catch (reactError) {
+      await recordMessageOperation({ ...operation, errorMessage: reactError.message });
+      throw reactError;
     }
+    await recordMessageOperation(operation);
 
     res.json({
       success: true,
-      topup: {
-        id: topup.id,
-        amount: amount,
-        bonus: bonusAmount,
-        total: totalCredited,
-        status: topup.status
-      }
+      messageId: target.outbound ? target.outbound.id : null,
+      whatsappMessageId: target.whatsappMessageId,
+      reaction: emoji || null
     });
   } catch (error) {
-    console.error('❌ Error creating topup:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error reacting to message via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to react to message' });
   }
 });
 
-// Complete wallet topup (admin/confirmation endpoint)
-app.post('/api/wallet/topup/:topupId/complete', async (req, res) => {
+// Edit the text of a recently sent message (API Key)
+app.post('/api/v1/messages/:id/edit', authenticateApiKey, async (req, res) => {
   try {
-    const { topupId } = req.params;
+    const { message } = req.body;
 
-    // Get topup
-    const { data: topup, error: topupError } = await supabase
-      .from('wallet_topups')
-      .select('*')
-      .eq('id', topupId)
-      .single();
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ error: 'message is required' });
+    }
 
-    if (topupError || !topup) {
-      return res.status(404).json({ error: 'Topup not found' });
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
     }
 
-    if (topup.status !== 'pending') {
-      return res.status(400).json({ error: `Topup is already ${topup.status}` });
+    const target = await findSessionMessage(client, req.userId, req.sessionId, req.params.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
-    // Get current balance
-    const { data: userProfile, error: profileError } = await supabase
-      .from('user_profiles')
-      .select('wallet_balance')
-      .eq('id', topup.user_id)
-      .single();
+    if (!target.message.fromMe) {
+      return res.status(403).json({ error: 'Only messages sent from this WhatsApp session can be edited' });
+    }
 
-    if (profileError) {
-      throw profileError;
+    const ageMinutes = (Date.now() - target.message.timestamp * 1000) / 1000 / 60;
+    if (ageMinutes > MESSAGE_EDIT_WINDOW_MINUTES) {
+      return res.status(409).json({ error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending` });
     }
 
-    const currentBalance = userProfile?.wallet_balance || 0;
-    const newBalance = currentBalance + topup.total_credited_iqd;
+    const operation = { userId: req.userId, sessionId: req.sessionId, apiKeyId: req.apiKey.id, target, operation: 'edit', content: message };
 
-    // Update wallet balance
-    const { error: balanceError } = await supabase
-      .from('user_profiles')
-      .update({ wallet_balance: newBalance })
-      .eq('id', topup.user_id);
+    let edited;
+    try {
+      edited = await target.message.edit(message);
+    } catch (editError) {
+      await recordMessageOperation({ ...operation, errorMessage: editError.message });
+      throw editError;
+    }
 
-    if (balanceError) {
-      throw balanceError;
+    if (!edited) {
+      await recordMessageOperation({ ...operation, errorMessage: 'WhatsApp did not allow this message to be edited' });
+      return res.status(409).json({ error: 'This message cannot be edited. Only text messages and captions sent from this session can be edited.' });
     }
 
-    // Create wallet transaction
-    await supabase.from('wallet_transactions').insert({
-      user_id: topup.user_id,
-      transaction_type: 'credit',
-      amount: topup.total_credited_iqd,
-      balance_before: currentBalance,
-      balance_after: newBalance,
-      description: `Topup: ${topup.amount_iqd} IQD + ${topup.bonus_amount_iqd} IQD bonus`,
-      reference_id: `topup_${topup.id}`
+    const editedAt = new Date().toISOString();
+    if (target.outbound) {
+      await supabase
+        .from('outbound_messages')
+        .update({ body: message, edited_at: editedAt })
+        .eq('id', target.outbound.id);
+    }
+    await recordMessageOperation(operation);
+
+    res.json({
+      success: true,
+      messageId: target.outbound ? target.outbound.id : null,
+      whatsappMessageId: target.whatsappMessageId,
+      body: message,
+      editedAt
     });
+  } catch (error) {
+    console.error('❌ Error editing message via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to edit message' });
+  }
+});
 
-    // Update topup status
-    const { error: updateError } = await supabase
-      .from('wallet_topups')
-      .update({
-        status: 'completed',
-        processed_at: new Date().toISOString()
-      })
-      .eq('id', topupId);
+// Revoke (delete for everyone) a sent message (API Key)
+app.post('/api/v1/messages/:id/revoke', authenticateApiKey, async (req, res) => {
+  try {
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
 
-    if (updateError) {
-      throw updateError;
+    const target = await findSessionMessage(client, req.userId, req.sessionId, req.params.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    if (!target.message.fromMe) {
+      return res.status(403).json({ error: 'Only messages sent from this WhatsApp session can be revoked' });
+    }
+
+    // Past the window whatsapp-web.js silently falls back to deleting only on this device
+    const ageHours = (Date.now() - target.message.timestamp * 1000) / 1000 / 60 / 60;
+    if (ageHours > MESSAGE_REVOKE_WINDOW_HOURS) {
+      return res.status(409).json({ error: `Messages can only be revoked within ${MESSAGE_REVOKE_WINDOW_HOURS} hours of sending` });
+    }
+
+    const operation = { userId: req.userId, sessionId: req.sessionId, apiKeyId: req.apiKey.id, target, operation: 'revoke' };
+    try {
+      await target.message.delete(true);
+    } catch (revokeError) {
+      await recordMessageOperation({ ...operation, errorMessage: revokeError.message });
+      throw revokeError;
+    }
+
+    const revokedAt = new Date().toISOString();
+    if (target.outbound) {
+      await supabase
+        .from('outbound_messages')
+        .update({ revoked_at: revokedAt })
+        .eq('id', target.outbound.id);
     }
+    await recordMessageOperation(operation);
 
     res.json({
       success: true,
-      balance: newBalance,
-      credited: topup.total_credited_iqd
+      messageId: target.outbound ? target.outbound.id : null,
+      whatsappMessageId: target.whatsappMessageId,
+      revokedAt
     });
   } catch (error) {
-    console.error('❌ Error completing topup:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error revoking message via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to revoke message' });
   }
 });
 
-// Get topup history
-app.get('/api/wallet/topups/:userId', async (req, res) => {
+// List scheduled messages (API Key)
+app.get('/api/v1/scheduled-messages', authenticateApiKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { data: topups, error } = await supabase
-      .from('wallet_topups')
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const status = req.query.status || 'pending';
+
+    if (status !== 'all' && !SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be 'all' or one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('scheduled_messages')
       .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(50);
+      .eq('user_id', req.userId)
+      .eq('session_id', req.sessionId)
+      .order('send_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: scheduledMessages, error } = await query;
 
     if (error) {
       throw error;
     }
 
-    res.json({ success: true, topups });
+    res.json({ success: true, scheduledMessages: scheduledMessages || [], count: scheduledMessages ? scheduledMessages.length : 0 });
   } catch (error) {
-    console.error('❌ Error fetching topups:', error);
+    console.error('❌ Error fetching scheduled messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== SETTINGS ENDPOINTS ====================
-
-// Get user settings
-app.get('/api/settings/:userId', async (req, res) => {
+// Reschedule a pending scheduled message (API Key)
+app.put('/api/v1/scheduled-messages/:scheduledId', authenticateApiKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    console.log(`📖 Fetching settings for user ${userId}`);
-    
-    const { data: settings, error } = await supabase
-      .from('user_settings')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-
-    if (error && error.code !== 'PGRST116') {
-      console.error('❌ Error fetching settings:', error);
-      throw error;
+    const { scheduledId } = req.params;
+    const { date, error: sendAtError } = parseSendAt(req.body.sendAt);
+    if (sendAtError) {
+      return res.status(400).json({ error: sendAtError });
     }
 
-    // Return default settings if none exist
-    if (!settings) {
-      console.log(`✨ No settings found for user ${userId}, returning defaults`);
-      const defaultSettings = {
-        rate_limit_per_minute: 10,
-        rate_limit_per_hour: 100,
-        rate_limit_per_day: 1000,
-        auto_retry_failed_messages: true,
-        max_retry_attempts: 3,
-        webhook_timeout_seconds: 30,
-        enable_message_logging: true,
-        notification_preferences: { email: true, webhook: true },
-        custom_settings: {}
-      };
-      res.json({
-        success: true,
-        settings: defaultSettings
-      });
-      return;
+    const filters = { user_id: req.userId, session_id: req.sessionId };
+    const scheduledMessage = await rescheduleScheduledMessage(filters, scheduledId, date);
+    if (!scheduledMessage) {
+      const { status, error } = await describeScheduledMessageState(filters, scheduledId);
+      return res.status(status).json({ error });
     }
 
-    console.log(`✅ Settings found for user ${userId}`);
-    res.json({ success: true, settings });
+    res.json({ success: true, scheduledMessage });
   } catch (error) {
-    console.error('❌ Error fetching settings:', error);
-    res.status(500).json({ error: error.message || 'Failed to fetch settings' });
+    console.error('❌ Error rescheduling message:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Update user settings
-app.put('/api/settings/:userId', async (req, res) => {
+// Cancel a pending scheduled message and refund it (API Key)
+app.post('/api/v1/scheduled-messages/:scheduledId/cancel', authenticateApiKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const updates = req.body;
-
-    console.log(`📝 Updating settings for user ${userId}:`, updates);
-
-    // Check if settings exist
-    const { data: existing, error: checkError } = await supabase
-      .from('user_settings')
-      .select('id')
-      .eq('user_id', userId)
-      .single();
-
-    let result;
-    if (checkError && checkError.code === 'PGRST116') {
-      // Create new settings
-      console.log(`✨ Creating new settings for user ${userId}`);
-      result = await supabase
-        .from('user_settings')
-        .insert({
-          user_id: userId,
-          ...updates,
-          updated_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-    } else {
-      // Update existing settings
-      console.log(`🔄 Updating existing settings for user ${userId}`);
-      result = await supabase
-        .from('user_settings')
-        .update({
-          ...updates,
-          updated_at: new Date().toISOString()
-        })
-        .eq('user_id', userId)
-        .select()
-        .single();
-    }
+    const { scheduledId } = req.params;
+    const filters = { user_id: req.userId, session_id: req.sessionId };
 
-    if (result.error) {
-      console.error('❌ Database error:', result.error);
-      throw result.error;
+    const result = await cancelScheduledMessage(filters, scheduledId);
+    if (!result) {
+      const { status, error } = await describeScheduledMessageState(filters, scheduledId);
+      return res.status(status).json({ error });
     }
 
-    console.log(`✅ Settings updated successfully for user ${userId}`);
-    res.json({ success: true, settings: result.data });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Error updating settings:', error);
-    res.status(500).json({ error: error.message || 'Failed to update settings' });
+    console.error('❌ Error cancelling scheduled message:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Update user profile (for registration and profile updates)
-app.post('/api/users/profile/:userId', async (req, res) => {
+// Check which numbers are registered on WhatsApp (API Key)
+app.post('/api/v1/contacts/check', authenticateApiKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { legalName, address, phoneNumber } = req.body;
+    const { numbers } = req.body;
 
-    const updates = {};
-    if (legalName !== undefined) updates.legal_name = legalName;
-    if (address !== undefined) updates.address = address;
-    if (phoneNumber !== undefined) updates.phone_number = phoneNumber;
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      return res.status(400).json({ error: 'numbers array is required and must not be empty' });
+    }
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+    if (numbers.length > MAX_CONTACT_CHECK_NUMBERS) {
+      return res.status(400).json({ error: `At most ${MAX_CONTACT_CHECK_NUMBERS} numbers can be checked per request` });
     }
 
-    const { data, error } = await supabase
-      .from('user_profiles')
-      .upsert({
-        id: userId,
+    const client = clients.get(req.sessionId);
+    if (!client) {
+      return res.status(404).json({ error: 'WhatsApp session not found. Please reconnect via the dashboard.' });
+    }
+
+    if (!isClientReady(client)) {
+      if (client && !client.info) {
+        return res.status(503).json({ 
+          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
+          sessionStatus: 'initializing'
+        });
+      }
+      return res.status(400).json({ error: 'WhatsApp session is disconnected. Please reconnect via the dashboard.' });
+    }
+
+    // Normalize, keeping the caller's order; duplicates are looked up (and charged) once
+    const defaultCountry = await getAccountDefaultCountry(req.userId);
+    const entries = numbers.map(input => {
+      const phone = normalizePhoneNumber(input, { defaultCountry });
+      return { input, phone, normalized: phone.number || null, valid: !phone.error };
+    });
+    const uniqueNumbers = [...new Set(entries.filter(entry => entry.valid).map(entry => entry.normalized))];
+
+    let lookups = new Map();
+    let cost = 0;
+    let balance = null;
+
+    if (uniqueNumbers.length > 0) {
+      let rateLimitCheck;
+      try {
+        rateLimitCheck = await checkContactCheckRateLimit(req.userId, uniqueNumbers.length);
+      } catch (rateLimitError) {
+        console.error('❌ Error loading contact check rate limit usage:', rateLimitError.message);
+        return res.status(503).json({ error: 'Contact check rate limit is temporarily unavailable. Please try again.' });
+      }
+      if (!rateLimitCheck.allowed) {
+        return res.status(429).json({
+          error: 'Contact check rate limit exceeded',
+          reason: rateLimitCheck.reason,
+          limit: rateLimitCheck.limit,
+          current: rateLimitCheck.current
+        });
+      }
+
+      const checkReference = `contact_check_${Date.now()}`;
+      const totalCost = uniqueNumbers.length * CONTACT_CHECK_COST_IQD;
+      const balanceCheck = await deductBalance(
+        req.userId,
+        req.sessionId,
+        `WhatsApp registration check for ${uniqueNumbers.length} numbers via API`,
+        checkReference,
+        totalCost
+      );
+      if (!balanceCheck.success) {
+        // Numbers that were never looked up don't count against the limit
+        releaseRateLimit(getContactCheckRateLimitKey(req.userId), CONTACT_CHECK_RATE_LIMITS, uniqueNumbers.length);
+        return res.status(402).json({
+          error: balanceCheck.error || 'Insufficient balance',
+          currentBalance: balanceCheck.currentBalance,
+          required: totalCost,
+          numbers: uniqueNumbers.length,
+          costPerNumber: CONTACT_CHECK_COST_IQD
+        });
+      }
+
+      lookups = await lookupWhatsAppNumbers(client, uniqueNumbers);
+
+      // Lookups that errored are not charged
+      const failedLookups = uniqueNumbers.filter(number => lookups.get(number).error).length;
+      cost = (uniqueNumbers.length - failedLookups) * CONTACT_CHECK_COST_IQD;
+      balance = balanceCheck.balanceAfter;
+      if (failedLookups > 0) {
+        const refund = await refundBalance(
+          req.userId,
+          req.sessionId,
+          failedLookups * CONTACT_CHECK_COST_IQD,
+          `Refund: ${failedLookups} failed registration checks`,
+          `refund_${checkReference}`
+        );
+        balance = refund.balanceAfter;
+      }
+
+      const { error: logError } = await supabase.from('contact_checks').insert(uniqueNumbers.map(number => {
+        const lookup = lookups.get(number);
+        return {
+          user_id: req.userId,
+          session_id: req.sessionId,
+          api_key_id: req.apiKey.id,
+          phone_number: number,
+          is_registered: lookup.error ? null : lookup.registered,
+          whatsapp_id: lookup.whatsappId || null,
+          error_message: lookup.error || null,
+          cost: lookup.error ? 0 : CONTACT_CHECK_COST_IQD
+        };
+      }));
+      if (logError) {
+        console.error('⚠️ Error logging contact checks:', logError.message);
+      }
+    }
+
+    const results = entries.map(({ input, phone, normalized, valid }) => {
+      if (!valid) {
+        return {
+          input,
+          normalized: null,
+          registered: false,
+          whatsappId: null,
+          error: `Invalid phone number: ${phone.error}`
+        };
+      }
+      const number = { input, normalized, e164: phone.e164, numberType: phone.type };
+      const lookup = lookups.get(normalized);
+      if (lookup.error) {
+        return { ...number, registered: null, whatsappId: null, error: lookup.error };
+      }
+      return { ...number, registered: lookup.registered, whatsappId: lookup.whatsappId };
+    });
+
+    res.json({
+      success: true,
+      results,
+      checked: uniqueNumbers.length,
+      registered: uniqueNumbers.filter(number => lookups.get(number).registered).length,
+      cost,
+      balance
+    });
+  } catch (error) {
+    console.error('❌ Error checking contacts via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the groups the session's number belongs to (API Key)
+app.get('/api/v1/groups', authenticateApiKey, async (req, res) => {
+  try {
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const chats = await client.getChats();
+    const groups = chats.filter(chat => chat.isGroup).map(chat => formatGroup(chat));
+
+    res.json({ success: true, groups, count: groups.length });
+  } catch (error) {
+    console.error('❌ Error listing groups via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a group with its participants (API Key)
+app.get('/api/v1/groups/:groupId', authenticateApiKey, async (req, res) => {
+  try {
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const { group, status: groupStatus, error } = await getSessionGroup(client, req.params.groupId);
+    if (!group) {
+      return res.status(groupStatus).json({ error });
+    }
+
+    res.json({
+      success: true,
+      group: {
+        ...formatGroup(group, { withParticipants: true }),
+        isAdmin: isSessionGroupAdmin(client, group)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching group via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a group (API Key)
+app.post('/api/v1/groups', authenticateApiKey, async (req, res) => {
+  try {
+    const { name, participants } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ error: 'participants must be a non-empty array of phone numbers' });
+    }
+    if (participants.length > MAX_GROUP_PARTICIPANTS_PER_REQUEST) {
+      return res.status(400).json({ error: `A maximum of ${MAX_GROUP_PARTICIPANTS_PER_REQUEST} participants can be added per request` });
+    }
+
+    const { ids, invalid } = toParticipantIds(participants, await getAccountDefaultCountry(req.userId));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid participant phone numbers', invalid });
+    }
+
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const result = await client.createGroup(name.trim(), ids);
+    // whatsapp-web.js reports failures as a plain string
+    if (typeof result === 'string') {
+      return res.status(400).json({ error: result });
+    }
+
+    console.log(`👥 Group "${result.title}" created for session ${req.sessionId}`);
+
+    res.json({
+      success: true,
+      groupId: result.gid._serialized,
+      name: result.title,
+      participants: result.participants
+    });
+  } catch (error) {
+    console.error('❌ Error creating group via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a text or media message to a group, optionally @mentioning participants (API Key)
+app.post('/api/v1/groups/:groupId/messages', authenticateApiKey, handleMediaUpload, handleIdempotencyKey, async (req, res) => {
+  try {
+    const { type, clientReference } = req.body;
+    const hasMedia = !!(req.file || req.body.mediaUrl || req.body.mediaBase64);
+
+    // Multipart form fields arrive as strings, so accept variables and mentions as JSON text too
+    let { variables, mentions } = req.body;
+    try {
+      if (typeof variables === 'string') variables = JSON.parse(variables);
+      if (typeof mentions === 'string') mentions = JSON.parse(mentions);
+    } catch {
+      return res.status(400).json({ error: 'variables and mentions must be valid JSON' });
+    }
+
+    const content = await resolveMessageContent(req.userId, {
+      message: hasMedia ? req.body.caption : req.body.message,
+      templateId: req.body.templateId || undefined,
+      variables,
+      language: req.body.language
+    });
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error, missingVariables: content.missingVariables });
+    }
+    const text = content.message;
+
+    if (!hasMedia && !text) {
+      return res.status(400).json({ error: 'message (or templateId) is required, or send media with an optional caption' });
+    }
+
+    if (type && !MEDIA_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${MEDIA_TYPES.join(', ')}` });
+    }
+
+    let mentionIds = [];
+    if (mentions !== undefined) {
+      if (!Array.isArray(mentions)) {
+        return res.status(400).json({ error: 'mentions must be an array of phone numbers' });
+      }
+      const { ids, invalid } = toParticipantIds(mentions, await getAccountDefaultCountry(req.userId));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid mention phone numbers', invalid });
+      }
+      mentionIds = ids;
+    }
+
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const { group, status: groupStatus, error } = await getSessionGroup(client, req.params.groupId);
+    if (!group) {
+      return res.status(groupStatus).json({ error });
+    }
+    const groupId = group.id._serialized;
+
+    // Load the media before charging so a bad URL or payload costs nothing
+    let media = null;
+    if (hasMedia) {
+      try {
+        media = await buildMessageMedia(req);
+      } catch (mediaError) {
+        console.error('❌ Error loading media:', mediaError.message);
+        return res.status(400).json({ error: `Unable to load media: ${mediaError.message}` });
+      }
+    }
+    const mediaType = media ? (type || getMediaTypeFromMimetype(media.mimetype)) : null;
+    const cost = media ? MEDIA_MESSAGE_COST_IQD : MESSAGE_COST_IQD;
+
+    const mentionOptions = { mentions: mentionIds.length > 0 ? mentionIds : undefined };
+    const result = await dispatchMessage(client, {
+      userId: req.userId,
+      sessionId: req.sessionId,
+      apiKeyId: req.apiKey.id,
+      recipient: groupId,
+      content: media || text,
+      sendOptions: media
+        ? { ...mentionOptions, caption: text || undefined, sendMediaAsDocument: mediaType === 'document' }
+        : mentionOptions,
+      messageType: media ? 'group_media' : 'group_message',
+      label: `Group ${media ? `media message (${mediaType})` : 'message'}`,
+      recordBody: text || `[${mediaType}] ${media.filename || media.mimetype}`,
+      logType: 'api_message',
+      logMessage: text || `[${mediaType}]`,
+      clientReference,
+      cost,
+      reference: 'api_group'
+    });
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), clientReference: clientReference || null, groupId, mediaType, mentions: mentionIds, cost });
+    }
+
+    res.json({
+      success: true,
+      message: 'Group message sent successfully',
+      messageId: result.outboundMessageId,
+      whatsappMessageId: result.messageResult?.id?._serialized || null,
+      clientReference: clientReference || null,
+      groupId,
+      mediaType,
+      mentions: mentionIds,
+      balance: result.balance,
+      cost,
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error sending group message via API:', error);
+    res.status(500).json({ error: error.message || 'Failed to send group message' });
+  }
+});
+
+// Add, remove, promote or demote group participants (API Key) - requires the session to be a group admin
+app.post('/api/v1/groups/:groupId/participants/:action', authenticateApiKey, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { participants } = req.body;
+
+    const method = GROUP_PARTICIPANT_ACTIONS[action];
+    if (!method) {
+      return res.status(404).json({ error: `Unknown action. Use one of: ${Object.keys(GROUP_PARTICIPANT_ACTIONS).join(', ')}` });
+    }
+    if (!Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ error: 'participants must be a non-empty array of phone numbers' });
+    }
+    if (participants.length > MAX_GROUP_PARTICIPANTS_PER_REQUEST) {
+      return res.status(400).json({ error: `A maximum of ${MAX_GROUP_PARTICIPANTS_PER_REQUEST} participants can be changed per request` });
+    }
+
+    const { ids, invalid } = toParticipantIds(participants, await getAccountDefaultCountry(req.userId));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid participant phone numbers', invalid });
+    }
+
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const { group, status: groupStatus, error } = await getSessionGroup(client, req.params.groupId);
+    if (!group) {
+      return res.status(groupStatus).json({ error });
+    }
+    if (!isSessionGroupAdmin(client, group)) {
+      return res.status(403).json({ error: 'The session must be an admin of the group to manage participants' });
+    }
+
+    const result = await group[method](ids);
+    // whatsapp-web.js reports failures as a plain string
+    if (typeof result === 'string') {
+      return res.status(400).json({ error: result });
+    }
+
+    console.log(`👥 ${action} ${ids.length} participant(s) in group ${group.id._serialized}`);
+
+    res.json({
+      success: true,
+      groupId: group.id._serialized,
+      action,
+      participants: ids,
+      // addParticipants returns a per-participant result; the others only a status
+      result
+    });
+  } catch (error) {
+    console.error('❌ Error updating group participants via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a group's invite link (API Key) - requires the session to be a group admin
+app.get('/api/v1/groups/:groupId/invite-link', authenticateApiKey, async (req, res) => {
+  try {
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const { group, status: groupStatus, error } = await getSessionGroup(client, req.params.groupId);
+    if (!group) {
+      return res.status(groupStatus).json({ error });
+    }
+    if (!isSessionGroupAdmin(client, group)) {
+      return res.status(403).json({ error: 'The session must be an admin of the group to get its invite link' });
+    }
+
+    const inviteCode = await group.getInviteCode();
+    if (!inviteCode) {
+      return res.status(400).json({ error: 'WhatsApp did not return an invite code for this group' });
+    }
+
+    res.json({
+      success: true,
+      groupId: group.id._serialized,
+      inviteCode,
+      inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+    });
+  } catch (error) {
+    console.error('❌ Error fetching group invite link via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a group's invite link and generate a new one (API Key)
+app.post('/api/v1/groups/:groupId/invite-link/revoke', authenticateApiKey, async (req, res) => {
+  try {
+    const { client, status, body } = getReadyClient(req.sessionId);
+    if (!client) {
+      return res.status(status).json(body);
+    }
+
+    const { group, status: groupStatus, error } = await getSessionGroup(client, req.params.groupId);
+    if (!group) {
+      return res.status(groupStatus).json({ error });
+    }
+    if (!isSessionGroupAdmin(client, group)) {
+      return res.status(403).json({ error: 'The session must be an admin of the group to revoke its invite link' });
+    }
+
+    const inviteCode = await group.revokeInvite();
+
+    res.json({
+      success: true,
+      groupId: group.id._serialized,
+      inviteCode,
+      inviteLink: inviteCode ? `https://chat.whatsapp.com/${inviteCode}` : null
+    });
+  } catch (error) {
+    console.error('❌ Error revoking group invite link via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List stored conversations, most recent first (API Key) - cursor paginated
+app.get('/api/v1/chats', authenticateApiKey, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { cursor, unread } = req.query;
+
+    let query = supabase
+      .from('conversations')
+      .select('id, chat_id, name, is_group, last_message_at, last_message_preview, last_message_direction, unread_count, last_read_at, created_at')
+      .eq('session_id', req.sessionId)
+      .order('last_message_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      const position = decodeConversationCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.or(`last_message_at.lt."${position.timestamp}",and(last_message_at.eq."${position.timestamp}",id.lt."${position.id}")`);
+    }
+    if (unread === 'true') {
+      query = query.gt('unread_count', 0);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    const chats = data.slice(0, limit);
+    const last = chats[chats.length - 1];
+
+    res.json({
+      success: true,
+      chats,
+      nextCursor: data.length > limit ? encodeConversationCursor(last.last_message_at, last.id) : null
+    });
+  } catch (error) {
+    console.error('❌ Error listing chats via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List messages of a stored conversation, newest first (API Key) - cursor paginated
+app.get('/api/v1/chats/:chatId/messages', authenticateApiKey, async (req, res) => {
+  try {
+    const { chatId, error: chatIdError } = await toConversationChatId(req.userId, req.params.chatId);
+    if (chatIdError) {
+      return res.status(400).json({ error: chatIdError });
+    }
+
+    const conversation = await getSessionConversation(req.sessionId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { cursor, direction } = req.query;
+
+    let query = supabase
+      .from('conversation_messages')
+      .select('id, whatsapp_message_id, direction, sender, message_type, body, has_media, media_id, quoted_message_id, status, read_at, message_at')
+      .eq('conversation_id', conversation.id)
+      .order('message_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      const position = decodeConversationCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.or(`message_at.lt."${position.timestamp}",and(message_at.eq."${position.timestamp}",id.lt."${position.id}")`);
+    }
+    if (direction) {
+      if (!['inbound', 'outbound'].includes(direction)) {
+        return res.status(400).json({ error: 'direction must be one of: inbound, outbound' });
+      }
+      query = query.eq('direction', direction);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    const messages = data.slice(0, limit);
+    const last = messages[messages.length - 1];
+
+    res.json({
+      success: true,
+      chat: conversation,
+      messages,
+      nextCursor: data.length > limit ? encodeConversationCursor(last.message_at, last.id) : null
+    });
+  } catch (error) {
+    console.error('❌ Error listing chat messages via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a conversation as read (API Key) - also sends read receipts on WhatsApp when the session is connected
+app.post('/api/v1/chats/:chatId/read', authenticateApiKey, async (req, res) => {
+  try {
+    const { chatId, error: chatIdError } = await toConversationChatId(req.userId, req.params.chatId);
+    if (chatIdError) {
+      return res.status(400).json({ error: chatIdError });
+    }
+
+    const conversation = await getSessionConversation(req.sessionId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const readAt = new Date().toISOString();
+
+    const { data: markedMessages, error: messagesError } = await supabase
+      .from('conversation_messages')
+      .update({ status: 'read', read_at: readAt })
+      .eq('conversation_id', conversation.id)
+      .eq('direction', 'inbound')
+      .eq('status', 'received')
+      .select('id');
+
+    if (messagesError) {
+      throw messagesError;
+    }
+
+    const { error: conversationError } = await supabase
+      .from('conversations')
+      .update({ unread_count: 0, last_read_at: readAt })
+      .eq('id', conversation.id);
+
+    if (conversationError) {
+      throw conversationError;
+    }
+
+    // Read receipts are best effort - the stored inbox is marked read either way
+    let whatsappSeen = false;
+    const { client } = getReadyClient(req.sessionId);
+    if (client) {
+      try {
+        whatsappSeen = await client.sendSeen(chatId);
+      } catch (seenError) {
+        console.error(`⚠️ Error sending read receipt for ${chatId}:`, seenError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      chatId,
+      markedRead: markedMessages.length,
+      whatsappSeen: !!whatsappSeen,
+      readAt
+    });
+  } catch (error) {
+    console.error('❌ Error marking chat as read via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a stored incoming media file with a fresh signed download URL (API Key)
+app.get('/api/v1/media/:mediaId', authenticateApiKey, async (req, res) => {
+  try {
+    const { data: record, error } = await supabase
+      .from('incoming_media')
+      .select('*')
+      .eq('id', req.params.mediaId)
+      .eq('session_id', req.sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!record) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (record.deleted_at) {
+      return res.status(410).json({
+        error: 'Media was deleted after the retention period',
+        deletedAt: record.deleted_at
+      });
+    }
+
+    res.json({
+      success: true,
+      media: {
+        ...(await formatIncomingMedia(record)),
+        mediaType: record.media_type,
+        whatsappMessageId: record.whatsapp_message_id,
+        chatId: record.chat_id,
+        createdAt: record.created_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching media via API:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List bulk send jobs (API Key)
+app.get('/api/v1/jobs', authenticateApiKey, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { status } = req.query;
+
+    if (status && !BULK_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BULK_JOB_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('bulk_jobs')
+      .select('*')
+      .eq('user_id', req.userId)
+      .eq('session_id', req.sessionId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      jobs: (jobs || []).map(job => ({ ...job, progress: getBulkJobProgress(job) })),
+      count: jobs ? jobs.length : 0
+    });
+  } catch (error) {
+    console.error('❌ Error fetching jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get bulk job progress and per-recipient results (API Key)
+app.get('/api/v1/jobs/:jobId', authenticateApiKey, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const { recipientStatus } = req.query;
+
+    if (recipientStatus && !BULK_JOB_RECIPIENT_STATUSES.includes(recipientStatus)) {
+      return res.status(400).json({ error: `recipientStatus must be one of: ${BULK_JOB_RECIPIENT_STATUSES.join(', ')}` });
+    }
+
+    const details = await getBulkJobDetails(
+      { user_id: req.userId, session_id: req.sessionId },
+      req.params.jobId,
+      { recipientStatus, limit, offset }
+    );
+    if (!details) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, ...details });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause a bulk job (API Key)
+app.post('/api/v1/jobs/:jobId/pause', authenticateApiKey, async (req, res) => {
+  try {
+    const filters = { user_id: req.userId, session_id: req.sessionId };
+    const job = await pauseBulkJob(filters, req.params.jobId);
+    if (!job) {
+      const { status, error } = await describeBulkJobState(filters, req.params.jobId, 'pause');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, job, progress: getBulkJobProgress(job) });
+  } catch (error) {
+    console.error('❌ Error pausing job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused bulk job (API Key)
+app.post('/api/v1/jobs/:jobId/resume', authenticateApiKey, async (req, res) => {
+  try {
+    const filters = { user_id: req.userId, session_id: req.sessionId };
+    const job = await resumeBulkJob(filters, req.params.jobId);
+    if (!job) {
+      const { status, error } = await describeBulkJobState(filters, req.params.jobId, 'resume');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, job, progress: getBulkJobProgress(job) });
+  } catch (error) {
+    console.error('❌ Error resuming job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a bulk job and refund unsent recipients (API Key)
+app.post('/api/v1/jobs/:jobId/cancel', authenticateApiKey, async (req, res) => {
+  try {
+    const filters = { user_id: req.userId, session_id: req.sessionId };
+    const result = await cancelBulkJob(filters, req.params.jobId);
+    if (!result) {
+      const { status, error } = await describeBulkJobState(filters, req.params.jobId, 'cancel');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List message templates (API Key)
+app.get('/api/v1/templates', authenticateApiKey, async (req, res) => {
+  try {
+    const templates = await listTemplates(req.userId, req.query);
+    res.json({ success: true, templates, count: templates.length });
+  } catch (error) {
+    console.error('❌ Error fetching templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a message template (API Key)
+app.get('/api/v1/templates/:templateId', authenticateApiKey, async (req, res) => {
+  try {
+    const { data: template, error } = await supabase
+      .from('message_templates')
+      .select('*')
+      .eq('id', req.params.templateId)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error fetching template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a message template (API Key)
+app.post('/api/v1/templates', authenticateApiKey, async (req, res) => {
+  try {
+    const { template, status, error } = await createTemplate(req.userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error creating template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a message template (API Key)
+app.put('/api/v1/templates/:templateId', authenticateApiKey, async (req, res) => {
+  try {
+    const { template, status, error } = await updateTemplate(req.userId, req.params.templateId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error updating template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a message template (API Key)
+app.delete('/api/v1/templates/:templateId', authenticateApiKey, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('message_templates')
+      .delete()
+      .eq('id', req.params.templateId)
+      .eq('user_id', req.userId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List suppressed (opted-out) numbers (API Key)
+app.get('/api/v1/suppressions', authenticateApiKey, async (req, res) => {
+  try {
+    const page = await listSuppressedNumbers(req.userId, req.query);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('❌ Error fetching suppression list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add numbers to the suppression list (API Key)
+app.post('/api/v1/suppressions', authenticateApiKey, async (req, res) => {
+  try {
+    const { numbers, invalid, error } = parseSuppressionRequest(req.body, await getAccountDefaultCountry(req.userId));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
+    }
+
+    const added = await addSuppressedNumbers(req.userId, numbers, { source: 'api', reason: req.body.reason || null });
+    res.json({
+      success: true,
+      added: added.length,
+      alreadySuppressed: new Set(numbers).size - added.length,
+      invalid
+    });
+  } catch (error) {
+    console.error('❌ Error adding suppressed numbers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a number from the suppression list (API Key)
+app.delete('/api/v1/suppressions/:phoneNumber', authenticateApiKey, async (req, res) => {
+  try {
+    const phoneNumber = toSuppressionNumber(req.params.phoneNumber, await getAccountDefaultCountry(req.userId));
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)' });
+    }
+
+    const removed = await removeSuppressedNumber(req.userId, phoneNumber);
+    if (!removed) {
+      return res.status(404).json({ error: 'Number is not on the suppression list' });
+    }
+
+    res.json({ success: true, message: 'Number removed from the suppression list', phoneNumber });
+  } catch (error) {
+    console.error('❌ Error removing suppressed number:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List contact lists (API Key)
+app.get('/api/v1/contact-lists', authenticateApiKey, async (req, res) => {
+  try {
+    const { data: lists, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, lists, count: lists.length });
+  } catch (error) {
+    console.error('❌ Error fetching contact lists:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a contact list (API Key)
+app.post('/api/v1/contact-lists', authenticateApiKey, async (req, res) => {
+  try {
+    const { list, status, error } = await createContactList(req.userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error creating contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a contact list (API Key)
+app.get('/api/v1/contact-lists/:listId', authenticateApiKey, async (req, res) => {
+  try {
+    const list = await getContactList(req.userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error fetching contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename or describe a contact list (API Key)
+app.put('/api/v1/contact-lists/:listId', authenticateApiKey, async (req, res) => {
+  try {
+    const { list, status, error } = await updateContactList(req.userId, req.params.listId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error updating contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a contact list and its contacts (API Key)
+app.delete('/api/v1/contact-lists/:listId', authenticateApiKey, async (req, res) => {
+  try {
+    const list = await getContactList(req.userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+
+    const { error } = await supabase
+      .from('contact_lists')
+      .delete()
+      .eq('id', list.id)
+      .eq('user_id', req.userId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Contact list deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List a contact list's contacts, optionally narrowed by a segment (API Key)
+app.get('/api/v1/contact-lists/:listId/contacts', authenticateApiKey, async (req, res) => {
+  try {
+    const list = await getContactList(req.userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+
+    const { status, error, ...page } = await listContactListContacts(req.userId, list.id, req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('❌ Error fetching contacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add or update contacts in a list (API Key)
+app.post('/api/v1/contact-lists/:listId/contacts', authenticateApiKey, async (req, res) => {
+  try {
+    const { result, status, error, errors } = await handleAddContacts(req.userId, req.params.listId, req.body);
+    if (error) {
+      return res.status(status).json({ error, errors });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error adding contacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a contact from a list (API Key)
+app.delete('/api/v1/contact-lists/:listId/contacts/:phone', authenticateApiKey, async (req, res) => {
+  try {
+    const removed = await removeContactFromList(req.userId, req.params.listId, req.params.phone);
+    if (!removed) {
+      return res.status(404).json({ error: 'Contact not found in this list' });
+    }
+
+    res.json({ success: true, message: 'Contact removed successfully' });
+  } catch (error) {
+    console.error('❌ Error removing contact:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record consent for one or more numbers (API Key)
+app.post('/api/v1/consents', authenticateApiKey, async (req, res) => {
+  try {
+    const { numbers, invalid, source, proof, capturedAt, error } = parseConsentRequest(req.body, 'granted', await getAccountDefaultCountry(req.userId));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
+    }
+
+    const recorded = await recordConsent(req.userId, numbers, {
+      action: 'granted',
+      source,
+      proof,
+      capturedAt,
+      recordedBy: 'api',
+      apiKeyId: req.apiKey.id
+    });
+
+    console.log(`📝 Consent granted for ${recorded} number(s) by user ${req.userId}`);
+    res.json({ success: true, status: 'granted', recorded, invalid });
+  } catch (error) {
+    console.error('❌ Error recording consent:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke consent for one or more numbers (API Key)
+app.post('/api/v1/consents/revoke', authenticateApiKey, async (req, res) => {
+  try {
+    const { numbers, invalid, source, proof, capturedAt, error } = parseConsentRequest(req.body, 'revoked', await getAccountDefaultCountry(req.userId));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
+    }
+
+    const recorded = await recordConsent(req.userId, numbers, {
+      action: 'revoked',
+      source,
+      proof,
+      capturedAt,
+      recordedBy: 'api',
+      apiKeyId: req.apiKey.id
+    });
+
+    console.log(`📝 Consent revoked for ${recorded} number(s) by user ${req.userId}`);
+    res.json({ success: true, status: 'revoked', recorded, invalid });
+  } catch (error) {
+    console.error('❌ Error revoking consent:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the consent history as JSON or CSV (API Key)
+app.get('/api/v1/consents/export', authenticateApiKey, async (req, res) => {
+  try {
+    await sendConsentExport(req.userId, req.query, res);
+  } catch (error) {
+    console.error('❌ Error exporting consent history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a number's consent and its history (API Key)
+app.get('/api/v1/consents/:phoneNumber', authenticateApiKey, async (req, res) => {
+  try {
+    const phoneNumber = toSuppressionNumber(req.params.phoneNumber, await getAccountDefaultCountry(req.userId));
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)' });
+    }
+
+    const { consent, events } = await getConsentHistory(req.userId, phoneNumber);
+    res.json({
+      success: true,
+      phoneNumber,
+      hasConsent: Boolean(consent && consent.status === 'granted'),
+      consent,
+      events
+    });
+  } catch (error) {
+    console.error('❌ Error fetching consent:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List messages waiting for a retry on this session (API Key). ?status=queued (default), sent, failed, expired, cancelled or all
+app.get('/api/v1/queue', authenticateApiKey, async (req, res) => {
+  try {
+    const page = await listQueueItems({ user_id: req.userId, session_id: req.sessionId }, req.query);
+    if (page.error) {
+      return res.status(page.status).json({ error: page.error });
+    }
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('❌ Error fetching outbound queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued message and refund it (API Key)
+app.delete('/api/v1/queue/:queueId', authenticateApiKey, async (req, res) => {
+  try {
+    const { item, status, error } = await cancelQueueItem({ user_id: req.userId, session_id: req.sessionId }, req.params.queueId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ success: true, message: 'Queued message cancelled and refunded', queueId: item.id, messageId: item.outbound_message_id });
+  } catch (error) {
+    console.error('❌ Error cancelling queued message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get API key info
+app.get('/api/v1/auth/info', authenticateApiKey, async (req, res) => {
+  res.json({
+    success: true,
+    apiKey: {
+      phoneNumber: req.phoneNumber,
+      sessionId: req.sessionId,
+      lastUsedAt: req.apiKey.last_used_at,
+      usageCount: req.apiKey.usage_count,
+      createdAt: req.apiKey.created_at
+    }
+  });
+});
+
+// Get session status (API Key)
+app.get('/api/v1/session/status', authenticateApiKey, async (req, res) => {
+  try {
+    const client = clients.get(req.sessionId);
+    const isReady = isClientReady(client);
+    
+    res.json({
+      success: true,
+      sessionId: req.sessionId,
+      isReady,
+      hasClient: !!client,
+      hasInfo: client ? !!client.info : false,
+      sendLanes: getSendLaneStats(req.sessionId)
+    });
+  } catch (error) {
+    console.error('❌ Error checking session status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== USER ENDPOINTS (Dashboard) ====================
+
+// Get wallet balance
+app.get('/api/wallet/balance/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data: userProfile, error } = await supabase
+      .from('user_profiles')
+      .select('wallet_balance')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      balance: userProfile?.wallet_balance || DEFAULT_WALLET_BALANCE,
+      currency: 'IQD'
+    });
+  } catch (error) {
+    console.error('❌ Error fetching balance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get wallet transactions
+app.get('/api/wallet/transactions/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data: transactions, error } = await supabase
+      .from('wallet_transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      transactions,
+      count: transactions.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get API keys for user
+app.get('/api/api-keys/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data: apiKeys, error } = await supabase
+      .from('api_keys')
+      .select('id, phone_number, session_id, is_active, created_at, last_used_at, usage_count')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(key => ({
+        ...key,
+        // Don't expose full API key, only show first 8 chars
+        apiKeyPrefix: key.api_key ? key.api_key.substring(0, 12) + '...' : null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching API keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get full API key (only for display)
+app.get('/api/api-keys/:userId/:sessionId', async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .select('api_key, phone_number, created_at')
+      .eq('user_id', userId)
+      .eq('session_id', sessionId)
+      .single();
+
+    if (error || !apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      success: true,
+      apiKey: apiKey.api_key,
+      phoneNumber: apiKey.phone_number,
+      createdAt: apiKey.created_at
+    });
+  } catch (error) {
+    console.error('❌ Error fetching API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke API key
+app.post('/api/api-keys/revoke/:userId/:sessionId', async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const { error } = await supabase
+      .from('api_keys')
+      .update({ is_active: false })
+      .eq('user_id', userId)
+      .eq('session_id', sessionId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== WALLET TOPUP ENDPOINTS ====================
+
+// Create wallet topup request
+app.post('/api/wallet/topup', async (req, res) => {
+  try {
+    const { userId, amount, paymentMethod, paymentReference } = req.body;
+
+    if (!userId || !amount) {
+      return res.status(400).json({ error: 'userId and amount are required' });
+    }
+
+    if (amount < 1000) {
+      return res.status(400).json({ error: 'Minimum topup amount is 1,000 IQD' });
+    }
+
+    // Calculate bonus using the database function
+    const { data: bonusResult, error: bonusError } = await supabase
+      .rpc('calculate_topup_bonus', { amount });
+
+    if (bonusError) {
+      throw bonusError;
+    }
+
+    const bonusAmount = bonusResult || 0;
+    const totalCredited = amount + bonusAmount;
+
+    // Create topup record
+    const { data: topup, error: topupError } = await supabase
+      .from('wallet_topups')
+      .insert({
+        user_id: userId,
+        amount_iqd: amount,
+        bonus_amount_iqd: bonusAmount,
+        total_credited_iqd: totalCredited,
+        payment_method: paymentMethod || 'manual',
+        payment_reference: paymentReference,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (topupError) {
+      throw topupError;
+    }
+
+    res.json({
+      success: true,
+      topup: {
+        id: topup.id,
+        amount: amount,
+        bonus: bonusAmount,
+        total: totalCredited,
+        status: topup.status
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error creating topup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Complete wallet topup (admin/confirmation endpoint)
+app.post('/api/wallet/topup/:topupId/complete', async (req, res) => {
+  try {
+    const { topupId } = req.params;
+
+    // Get topup
+    const { data: topup, error: topupError } = await supabase
+      .from('wallet_topups')
+      .select('*')
+      .eq('id', topupId)
+      .single();
+
+    if (topupError || !topup) {
+      return res.status(404).json({ error: 'Topup not found' });
+    }
+
+    if (topup.status !== 'pending') {
+      return res.status(400).json({ error: `Topup is already ${topup.status}` });
+    }
+
+    // Get current balance
+    const { data: userProfile, error: profileError } = await supabase
+      .from('user_profiles')
+      .select('wallet_balance')
+      .eq('id', topup.user_id)
+      .single();
+
+    if (profileError) {
+      throw profileError;
+    }
+
+    const currentBalance = userProfile?.wallet_balance || 0;
+    const newBalance = currentBalance + topup.total_credited_iqd;
+
+    // Update wallet balance
+    const { error: balanceError } = await supabase
+      .from('user_profiles')
+      .update({ wallet_balance: newBalance })
+      .eq('id', topup.user_id);
+
+    if (balanceError) {
+      throw balanceError;
+    }
+
+    // Create wallet transaction
+    await supabase.from('wallet_transactions').insert({
+      user_id: topup.user_id,
+      transaction_type: 'credit',
+      amount: topup.total_credited_iqd,
+      balance_before: currentBalance,
+      balance_after: newBalance,
+      description: `Topup: ${topup.amount_iqd} IQD + ${topup.bonus_amount_iqd} IQD bonus`,
+      reference_id: `topup_${topup.id}`
+    });
+
+    // Update topup status
+    const { error: updateError } = await supabase
+      .from('wallet_topups')
+      .update({
+        status: 'completed',
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', topupId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    res.json({
+      success: true,
+      balance: newBalance,
+      credited: topup.total_credited_iqd
+    });
+  } catch (error) {
+    console.error('❌ Error completing topup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get topup history
+app.get('/api/wallet/topups/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data: topups, error } = await supabase
+      .from('wallet_topups')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, topups });
+  } catch (error) {
+    console.error('❌ Error fetching topups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SETTINGS ENDPOINTS ====================
+
+// Get user settings
+app.get('/api/settings/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    console.log(`📖 Fetching settings for user ${userId}`);
+    
+    const { data: settings, error } = await supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      console.error('❌ Error fetching settings:', error);
+      throw error;
+    }
+
+    // Return default settings if none exist
+    if (!settings) {
+      console.log(`✨ No settings found for user ${userId}, returning defaults`);
+      const defaultSettings = {
+        ...DEFAULT_RATE_LIMIT_SETTINGS,
+        auto_retry_failed_messages: true,
+        max_retry_attempts: 3,
+        webhook_timeout_seconds: 30,
+        enable_message_logging: true,
+        notification_preferences: { email: true, webhook: true },
+        custom_settings: {},
+        default_country: DEFAULT_PHONE_COUNTRY,
+        ...DEFAULT_OTP_PROTECTION_SETTINGS,
+        ...DEFAULT_OPT_OUT_SETTINGS
+      };
+      res.json({
+        success: true,
+        settings: defaultSettings
+      });
+      return;
+    }
+
+    console.log(`✅ Settings found for user ${userId}`);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('❌ Error fetching settings:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch settings' });
+  }
+});
+
+// Update user settings
+app.put('/api/settings/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const updates = req.body;
+
+    console.log(`📝 Updating settings for user ${userId}:`, updates);
+
+    for (const [setting, { min, max }] of Object.entries(OTP_PROTECTION_SETTING_RANGES)) {
+      if (updates[setting] !== undefined && (!Number.isInteger(updates[setting]) || updates[setting] < min || updates[setting] > max)) {
+        return res.status(400).json({ error: `${setting} must be an integer from ${min} to ${max}` });
+      }
+    }
+    if (updates.otp_country_mode !== undefined && !OTP_COUNTRY_MODES.includes(updates.otp_country_mode)) {
+      return res.status(400).json({ error: `otp_country_mode must be one of: ${OTP_COUNTRY_MODES.join(', ')}` });
+    }
+    if (updates.otp_country_codes !== undefined) {
+      if (!Array.isArray(updates.otp_country_codes)) {
+        return res.status(400).json({ error: 'otp_country_codes must be an array of dialling codes (e.g. ["964"])' });
+      }
+      if (updates.otp_country_codes.length > MAX_OTP_COUNTRY_CODES) {
+        return res.status(400).json({ error: `otp_country_codes can have at most ${MAX_OTP_COUNTRY_CODES} dialling codes` });
+      }
+      const invalidCodes = updates.otp_country_codes.filter(code => !isDialingCode(code));
+      if (invalidCodes.length > 0) {
+        return res.status(400).json({ error: 'Unknown dialling codes in otp_country_codes', invalid: invalidCodes });
+      }
+      updates.otp_country_codes = [...new Set(updates.otp_country_codes.map(code => String(code).replace(/^\+/, '')))];
+    }
+
+    if (updates.default_country !== undefined) {
+      if (!isSupportedCountry(updates.default_country)) {
+        return res.status(400).json({ error: `default_country must be one of: ${SUPPORTED_COUNTRIES.join(', ')}` });
+      }
+      updates.default_country = updates.default_country.toUpperCase();
+    }
+
+    for (const { setting } of RATE_LIMIT_WINDOWS) {
+      if (updates[setting] !== undefined && (!Number.isInteger(updates[setting]) || updates[setting] < 1)) {
+        return res.status(400).json({ error: `${setting} must be a positive integer` });
+      }
+    }
+    if (updates.rate_limit_scope !== undefined && !Object.keys(RATE_LIMIT_SCOPE_COLUMNS).includes(updates.rate_limit_scope)) {
+      return res.status(400).json({ error: `rate_limit_scope must be one of: ${Object.keys(RATE_LIMIT_SCOPE_COLUMNS).join(', ')}` });
+    }
+
+    if (updates.auto_retry_failed_messages !== undefined && typeof updates.auto_retry_failed_messages !== 'boolean') {
+      return res.status(400).json({ error: 'auto_retry_failed_messages must be true or false' });
+    }
+    if (updates.max_retry_attempts !== undefined &&
+        (!Number.isInteger(updates.max_retry_attempts) || updates.max_retry_attempts < 0 || updates.max_retry_attempts > MAX_RETRY_ATTEMPTS_LIMIT)) {
+      return res.status(400).json({ error: `max_retry_attempts must be an integer from 0 to ${MAX_RETRY_ATTEMPTS_LIMIT}` });
+    }
+
+    for (const field of ['opt_out_keywords', 'opt_in_keywords']) {
+      if (updates[field] === undefined) continue;
+      if (!Array.isArray(updates[field]) || updates[field].some(keyword => typeof keyword !== 'string' || normalizeOptOutText(keyword) === '')) {
+        return res.status(400).json({ error: `${field} must be an array of non-empty keywords` });
+      }
+      if (updates[field].some(keyword => normalizeOptOutText(keyword).length > MAX_OPT_OUT_KEYWORD_LENGTH)) {
+        return res.status(400).json({ error: `Keywords in ${field} can be at most ${MAX_OPT_OUT_KEYWORD_LENGTH} characters` });
+      }
+    }
+
+    // Check if settings exist
+    const { data: existing, error: checkError } = await supabase
+      .from('user_settings')
+      .select('id')
+      .eq('user_id', userId)
+      .single();
+
+    let result;
+    if (checkError && checkError.code === 'PGRST116') {
+      // Create new settings
+      console.log(`✨ Creating new settings for user ${userId}`);
+      result = await supabase
+        .from('user_settings')
+        .insert({
+          user_id: userId,
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+    } else {
+      // Update existing settings
+      console.log(`🔄 Updating existing settings for user ${userId}`);
+      result = await supabase
+        .from('user_settings')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .select()
+        .single();
+    }
+
+    if (result.error) {
+      console.error('❌ Database error:', result.error);
+      throw result.error;
+    }
+
+    console.log(`✅ Settings updated successfully for user ${userId}`);
+    res.json({ success: true, settings: result.data });
+  } catch (error) {
+    console.error('❌ Error updating settings:', error);
+    res.status(500).json({ error: error.message || 'Failed to update settings' });
+  }
+});
+
+// Update user profile (for registration and profile updates)
+app.post('/api/users/profile/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { legalName, address, phoneNumber } = req.body;
+
+    const updates = {};
+    if (legalName !== undefined) updates.legal_name = legalName;
+    if (address !== undefined) updates.address = address;
+    if (phoneNumber !== undefined) updates.phone_number = phoneNumber;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .upsert({
+        id: userId,
         ...updates
       }, { onConflict: 'id' })
       .select()
@@ -2599,635 +4754,6677 @@ app.post('/api/users/profile/:userId', async (req, res) => {
       throw error;
     }
 
-    res.json({ success: true, profile: data });
+    res.json({ success: true, profile: data });
+  } catch (error) {
+    console.error('❌ Error updating user profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== OUTBOUND MESSAGE RECORDS ====================
+
+// Order of the delivery lifecycle - acks never move a record backwards
+const OUTBOUND_STATUS_ORDER = ['queued', 'sent', 'delivered', 'read'];
+const OUTBOUND_STATUSES = [...OUTBOUND_STATUS_ORDER, 'failed'];
+
+// Create a per-recipient outbound message record (starts as 'queued'). Returns the record id or null.
+async function createOutboundMessage({ userId, sessionId, apiKeyId = null, recipient, chatId = null, messageType, body = null, clientReference = null, batchId = null, quotedMessageId = null }) {
+  try {
+    const record = {
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      recipient,
+      chat_id: chatId,
+      message_type: messageType,
+      body,
+      client_reference: clientReference,
+      batch_id: batchId,
+      status: 'queued'
+    };
+    if (quotedMessageId) record.quoted_message_id = quotedMessageId;
+
+    const { data, error } = await supabase
+      .from('outbound_messages')
+      .insert(record)
+      .select('id')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return data.id;
+  } catch (error) {
+    // Never block a send because the record could not be written
+    console.error('⚠️ Error creating outbound message record:', error.message);
+    return null;
+  }
+}
+
+// Mark an outbound message as sent and store the WhatsApp message id for ack tracking
+async function markOutboundMessageSent(recordId, messageResult, chatId = null) {
+  if (!recordId) return;
+  try {
+    const updates = {
+      status: 'sent',
+      whatsapp_message_id: messageResult?.id?._serialized || null,
+      sent_at: new Date().toISOString()
+    };
+    if (chatId) updates.chat_id = chatId;
+
+    await supabase
+      .from('outbound_messages')
+      .update(updates)
+      .eq('id', recordId);
+  } catch (error) {
+    console.error('⚠️ Error updating outbound message record:', error.message);
+  }
+}
+
+// Mark an outbound message as failed
+async function markOutboundMessageFailed(recordId, errorMessage) {
+  if (!recordId) return;
+  try {
+    await supabase
+      .from('outbound_messages')
+      .update({
+        status: 'failed',
+        error_message: errorMessage || 'Unknown error',
+        failed_at: new Date().toISOString()
+      })
+      .eq('id', recordId);
+  } catch (error) {
+    console.error('⚠️ Error updating outbound message record:', error.message);
+  }
+}
+
+// Apply a message_ack to the matching outbound record (ack: -1 error, 1 server, 2 device, 3 read, 4 played)
+async function applyOutboundMessageAck(sessionId, whatsappMessageId, ack) {
+  let updates;
+  if (ack === -1) {
+    updates = { status: 'failed', failed_at: new Date().toISOString(), error_message: 'WhatsApp reported a delivery error' };
+  } else if (ack === 1) {
+    updates = { status: 'sent' };
+  } else if (ack === 2) {
+    updates = { status: 'delivered', delivered_at: new Date().toISOString() };
+  } else if (ack >= 3) {
+    updates = { status: 'read', read_at: new Date().toISOString() };
+  } else {
+    return;
+  }
+
+  // Only move forward through the lifecycle (acks can arrive out of order)
+  const earlierStatuses = updates.status === 'failed'
+    ? OUTBOUND_STATUS_ORDER
+    : OUTBOUND_STATUS_ORDER.slice(0, OUTBOUND_STATUS_ORDER.indexOf(updates.status));
+
+  if (earlierStatuses.length === 0) return;
+
+  const { error } = await supabase
+    .from('outbound_messages')
+    .update(updates)
+    .eq('session_id', sessionId)
+    .eq('whatsapp_message_id', whatsappMessageId)
+    .in('status', earlierStatuses);
+
+  if (error) {
+    console.error('⚠️ Error applying message ack to outbound record:', error.message);
+  }
+}
+
+// ==================== SEND SCHEDULING ====================
+// Every send on a session waits for a slot in its priority lane, so an OTP never queues behind a
+// running announcement: 'otp' (OTPs), 'single' (single API messages, replies, bot messages) and 'bulk'
+// (bulk jobs, scheduled batches). A lane starts sends while it is under its concurrency and no higher
+// lane has sends waiting. A send with an expiry (an OTP's TTL) is dropped if it is still waiting then.
+
+const SEND_LANES = ['otp', 'single', 'bulk']; // Highest priority first
+const SEND_LANE_CONCURRENCY = {
+  otp: parseInt(process.env.SEND_CONCURRENCY_OTP) || 2,
+  single: parseInt(process.env.SEND_CONCURRENCY_SINGLE) || 2,
+  bulk: parseInt(process.env.SEND_CONCURRENCY_BULK) || 1
+};
+
+const sendLanes = new Map(); // sessionId -> { [lane]: { running, waiting: [task] } }
+
+// Lane for a message sent on its own (bulk and scheduled workers pass theirs)
+function getSendLane(messageType) {
+  return messageType === 'otp' ? 'otp' : 'single';
+}
+
+// Start waiting sends in priority order and forget the session's lanes once they are idle
+function pumpSendLanes(sessionId) {
+  const lanes = sendLanes.get(sessionId);
+  if (!lanes) return;
+
+  for (const lane of SEND_LANES) {
+    const state = lanes[lane];
+    while (state.waiting.length > 0 && state.running < SEND_LANE_CONCURRENCY[lane]) {
+      const task = state.waiting.shift();
+      clearTimeout(task.expiryTimer);
+      state.running++;
+      Promise.resolve()
+        .then(task.send)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          state.running--;
+          pumpSendLanes(sessionId);
+        });
+    }
+    if (state.waiting.length > 0) break; // Lower lanes wait until this one has caught up
+  }
+
+  if (SEND_LANES.every(lane => lanes[lane].running === 0 && lanes[lane].waiting.length === 0)) {
+    sendLanes.delete(sessionId);
+  }
+}
+
+// Run send() in a session's lane. Rejects with an error flagged `expired` if expiresAt passes while
+// it is still waiting; once started it is not interrupted.
+function runInSendLane(sessionId, lane, send, { expiresAt = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!sendLanes.has(sessionId)) {
+      sendLanes.set(sessionId, Object.fromEntries(SEND_LANES.map(name => [name, { running: 0, waiting: [] }])));
+    }
+    const state = sendLanes.get(sessionId)[lane];
+    const task = { send, resolve, reject, expiryTimer: null };
+
+    if (expiresAt) {
+      const expiresInMs = new Date(expiresAt).getTime() - Date.now();
+      const expire = () => {
+        const index = state.waiting.indexOf(task);
+        if (index !== -1) state.waiting.splice(index, 1);
+        const error = new Error(`Expired after waiting to be sent (${lane} lane)`);
+        error.expired = true;
+        reject(error);
+        pumpSendLanes(sessionId);
+      };
+      if (expiresInMs <= 0) {
+        return expire();
+      }
+      task.expiryTimer = setTimeout(expire, expiresInMs);
+    }
+
+    state.waiting.push(task);
+    pumpSendLanes(sessionId);
+  });
+}
+
+// Sends running and waiting per lane, for the session status endpoints
+function getSendLaneStats(sessionId) {
+  const lanes = sendLanes.get(sessionId);
+  return Object.fromEntries(SEND_LANES.map(lane => [lane, {
+    running: lanes ? lanes[lane].running : 0,
+    waiting: lanes ? lanes[lane].waiting.length : 0,
+    concurrency: SEND_LANE_CONCURRENCY[lane]
+  }]));
+}
+
+// ==================== OUTBOUND DISPATCH ====================
+// Every send endpoint goes through the same steps in the same order: session client, rate limit,
+// charge, outbound record, chat resolution, send, then logs, delivery tracking and webhooks - or,
+// when anything after the charge fails, a refund written to wallet_transactions.
+
+// A session initializing for longer than this is treated as failed
+const SESSION_INIT_TIMEOUT_MINUTES = 5;
+// How long OTP sends wait for an initializing session to become ready
+const SESSION_READY_WAIT_MS = 15000;
+
+// Ready client for a session, or { status, body } to respond with. With restore, a session the database
+// still marks as connected is restored on demand and an initializing one is waited for (used by OTP sends).
+async function acquireSessionClient(userId, sessionId, { restore = false } = {}) {
+  let client = clients.get(sessionId);
+
+  if (!client) {
+    const { data: session } = await supabase
+      .from('whatsapp_sessions')
+      .select('status')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!session) {
+      return { status: 404, body: { error: 'WhatsApp session not found. Please reconnect via the dashboard.' } };
+    }
+    if (session.status !== 'connected' && session.status !== 'connecting') {
+      return {
+        status: 400,
+        body: { error: `WhatsApp session is ${session.status}. Please reconnect via the dashboard.`, sessionStatus: session.status }
+      };
+    }
+    if (!restore) {
+      return {
+        status: 503,
+        body: { error: 'Session is being restored. Please wait a moment and try again.', sessionStatus: 'restoring' }
+      };
+    }
+
+    console.log(`🔄 Attempting on-demand restoration for session ${sessionId}`);
+    try {
+      await restoreSession(sessionId);
+      client = await restoreClient(userId, sessionId);
+    } catch (restoreError) {
+      console.error(`❌ Failed to restore session ${sessionId}:`, restoreError.message);
+      return {
+        status: 503,
+        body: { error: 'Failed to restore WhatsApp session. Please reconnect your account via the dashboard.', sessionStatus: 'failed' }
+      };
+    }
+  }
+
+  if (restore && !isClientReady(client) && !client.info) {
+    const { data: session } = await supabase
+      .from('whatsapp_sessions')
+      .select('updated_at, created_at')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    const lastUpdate = session ? new Date(session.updated_at || session.created_at) : new Date();
+    const minutesSinceUpdate = (Date.now() - lastUpdate.getTime()) / 1000 / 60;
+    if (minutesSinceUpdate > SESSION_INIT_TIMEOUT_MINUTES) {
+      console.log(`⚠️ Session ${sessionId} has been initializing for ${minutesSinceUpdate.toFixed(1)} minutes - marking as disconnected`);
+      clients.delete(sessionId);
+      await supabase
+        .from('whatsapp_sessions')
+        .update({ status: 'disconnected' })
+        .eq('session_id', sessionId);
+      return {
+        status: 400,
+        body: { error: 'WhatsApp session initialization timed out. Please reconnect your account via the dashboard.', sessionStatus: 'failed' }
+      };
+    }
+
+    console.log(`⏳ Waiting for session ${sessionId} to become ready...`);
+    const startTime = Date.now();
+    while (Date.now() - startTime < SESSION_READY_WAIT_MS && !isClientReady(client)) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  return getReadyClient(sessionId, client);
+}
+
+// Take messageCount messages from the sender's rate limits ({ userId, sessionId, apiKeyId }); returns
+// { status, body } for a 429 (or a 503 when the sender's usage can't be loaded) or null when allowed
+async function checkDispatchRateLimit(sender, messageCount = 1) {
+  let rateLimitCheck;
+  try {
+    rateLimitCheck = await consumeRateLimit(sender, messageCount);
+  } catch (error) {
+    // Without the sender's recent usage the limit can't be enforced, so nothing is sent
+    console.error('❌ Error loading rate limit usage:', error.message);
+    return {
+      status: 503,
+      body: { error: 'Rate limit is temporarily unavailable. Please try again.', code: 'rate_limit_unavailable', retryAfter: RATE_LIMIT_UNAVAILABLE_RETRY_SECONDS }
+    };
+  }
+  if (rateLimitCheck.allowed) {
+    return null;
+  }
+  return {
+    status: 429,
+    body: {
+      error: rateLimitCheck.retryAfter === null
+        ? `Rate limit exceeded: ${messageCount} messages is more than the limit of ${rateLimitCheck.limit} allows at once`
+        : 'Rate limit exceeded',
+      reason: rateLimitCheck.reason,
+      limit: rateLimitCheck.limit,
+      current: rateLimitCheck.current,
+      remaining: rateLimitCheck.remaining,
+      retryAfter: rateLimitCheck.retryAfter
+    }
+  };
+}
+
+// WhatsApp chat id for a recipient. Phone numbers and @c.us ids are resolved through WhatsApp (which may
+// answer with a LID); other ids (@lid, @g.us) are used as-is. Returns { chatId } or { error, transient }.
+async function resolveRecipientChatId(client, recipient) {
+  if (recipient.includes('@') && !recipient.endsWith('@c.us')) {
+    return { chatId: recipient };
+  }
+  try {
+    const numberId = await client.getNumberId(recipient.replace(/@c\.us$/, ''));
+    if (!numberId || !numberId._serialized) {
+      return { error: 'Number is not registered on WhatsApp', transient: false };
+    }
+    return { chatId: numberId._serialized };
+  } catch (error) {
+    // The lookup itself failing says nothing about the number
+    console.error(`❌ Error resolving LID for ${recipient}:`, error.message);
+    return { error: error.message, transient: true };
+  }
+}
+
+// Errors from a session that is reconnecting or slow, as opposed to a message WhatsApp won't accept
+const TRANSIENT_SEND_ERROR_PATTERN = /session closed|target closed|protocol error|timed? ?out|execution context was destroyed|navigation|not ready|disconnected|ECONNRESET|ETIMEDOUT|socket hang up/i;
+
+function isTransientSendError(message) {
+  return TRANSIENT_SEND_ERROR_PATTERN.test(message || '');
+}
+
+// Resolve the chat and send in the session's send lane, creating the outbound record unless one is passed
+// in (retries reuse theirs). A send still waiting for its lane at expiresAt is dropped.
+// Returns { outboundMessageId, chatId, messageResult }, or { outboundMessageId, error, unresolved, transient, expired }.
+// The record is marked sent on success; on failure the caller decides whether it failed or is retried.
+async function deliverMessage(client, { userId, sessionId, apiKeyId = null, outboundMessageId = null, recipient, content, sendOptions = {}, messageType, lane = getSendLane(messageType), expiresAt = null, recordBody, clientReference = null, batchId = null }) {
+  const recordId = outboundMessageId || await createOutboundMessage({
+    userId,
+    sessionId,
+    apiKeyId,
+    recipient: recipient.replace(/@c\.us$/, ''),
+    messageType,
+    body: recordBody,
+    clientReference,
+    batchId,
+    quotedMessageId: sendOptions.quotedMessageId || null
+  });
+
+  if (!isClientReady(client)) {
+    return { outboundMessageId: recordId, error: 'WhatsApp session is not ready', transient: true };
+  }
+
+  try {
+    const delivery = await runInSendLane(sessionId, lane, async () => {
+      const resolved = await resolveRecipientChatId(client, recipient);
+      if (resolved.error) {
+        return { error: resolved.error, unresolved: !resolved.transient, transient: resolved.transient };
+      }
+      return { chatId: resolved.chatId, messageResult: await client.sendMessage(resolved.chatId, content, sendOptions) };
+    }, { expiresAt });
+    if (delivery.error) {
+      return { outboundMessageId: recordId, ...delivery };
+    }
+
+    await markOutboundMessageSent(recordId, delivery.messageResult, delivery.chatId);
+    return { outboundMessageId: recordId, ...delivery };
+  } catch (error) {
+    if (error.expired) {
+      return { outboundMessageId: recordId, error: error.message, expired: true, transient: false };
+    }
+    return { outboundMessageId: recordId, error: error.message, transient: isTransientSendError(error.message) };
+  }
+}
+
+// Record a sent message for the account strength delivery stats (the table is optional)
+async function trackMessageDelivery(userId, sessionId, recipient, messageResult) {
+  if (!messageResult || !messageResult.id) return;
+  try {
+    await supabase.from('message_delivery_tracking').insert({
+      session_id: sessionId,
+      user_id: userId,
+      message_id: messageResult.id._serialized || messageResult.id.toString(),
+      recipient,
+      status: 'sent',
+      sent_at: new Date().toISOString()
+    });
+  } catch (e) {
+    // Ignore errors if table doesn't exist yet
+  }
+}
+
+// Fire `${event}_sent` or `${event}_failed` for a dispatched message (if it has a webhook)
+function notifyDispatch(dispatch, success, extra = {}) {
+  const { webhook } = dispatch;
+  if (!webhook.type) return;
+  triggerWebhooks(dispatch.userId, dispatch.sessionId, webhook.type, {
+    success,
+    event: `${webhook.event}_${success ? 'sent' : 'failed'}`,
+    recipient: dispatch.recipient,
+    messageType: dispatch.messageType,
+    ...webhook.payload,
+    ...extra,
+    timestamp: new Date().toISOString()
+  }).catch(err => console.error('Webhook error (non-blocking):', err));
+}
+
+// Log a sent message to automation_logs, track it and fire the sent webhook
+async function completeDispatch(dispatch, delivery) {
+  await supabase.from('automation_logs').insert({
+    user_id: dispatch.userId,
+    session_id: dispatch.sessionId,
+    type: dispatch.logType,
+    recipient: dispatch.recipient,
+    message: dispatch.logMessage,
+    status: 'sent',
+  });
+  await trackMessageDelivery(dispatch.userId, dispatch.sessionId, dispatch.recipient, delivery.messageResult);
+  notifyDispatch(dispatch, true, { messageId: delivery.outboundMessageId });
+}
+
+// Give a failed message up: mark its record failed, refund the charge and fire the failed webhook
+async function failDispatch(dispatch, outboundMessageId, errorMessage) {
+  await markOutboundMessageFailed(outboundMessageId, errorMessage);
+  const channel = dispatch.apiKeyId ? ' via API' : '';
+  const refund = await refundBalance(
+    dispatch.userId,
+    dispatch.sessionId,
+    dispatch.cost,
+    `Refund: Failed to send ${dispatch.label.toLowerCase()} to ${dispatch.recipient}${channel}`,
+    `refund_${dispatch.reference}_${Date.now()}`
+  );
+  notifyDispatch(dispatch, false, { messageId: outboundMessageId, error: errorMessage });
+  return refund;
+}
+
+// Send one message to one recipient through the whole pipeline. The caller validates the request and
+// acquires the client; label names the message in wallet descriptions (e.g. 'OTP', 'Media message').
+// webhook is { type, event, payload }: `${event}_sent` or `${event}_failed` is fired with the payload
+// (replies, group and bot messages have none).
+// Recipients on the suppression list are refused with 403 before anything is charged, unless
+// skipSuppression is set (OTPs, which the recipient asked for).
+// expiresAt (an OTP's expiry) is how late the message may still go out: it is dropped if still waiting
+// for its send lane then, and a transient failure is queued for retry until then if auto-retry is on. Returns { outboundMessageId, chatId, messageResult, balance, cost } when
+// sent, { queued: true, outboundMessageId, queueItem, balance, cost } when queued, otherwise { status, body }
+// to respond with (and outboundMessageId once a record exists).
+async function dispatchMessage(client, {
+  userId,
+  sessionId,
+  apiKeyId = null,
+  recipient,
+  content,
+  sendOptions = {},
+  messageType,
+  label,
+  recordBody,
+  logType = messageType,
+  logMessage = recordBody,
+  clientReference = null,
+  cost = MESSAGE_COST_IQD,
+  reference,
+  webhook = null,
+  expiresAt = null,
+  skipSuppression = false
+}) {
+  if (!skipSuppression && await isRecipientSuppressed(userId, recipient)) {
+    const number = toSuppressionNumber(recipient); // Groups and @lid ids have no E.164 form
+    return {
+      status: 403,
+      body: { error: SUPPRESSED_RECIPIENT_ERROR, code: 'recipient_opted_out', recipient, ...(number && { e164: `+${number}` }) }
+    };
+  }
+
+  const rateLimited = await checkDispatchRateLimit({ userId, sessionId, apiKeyId }, 1);
+  if (rateLimited) {
+    return rateLimited;
+  }
+
+  const channel = apiKeyId ? ' via API' : '';
+  const balanceCheck = await deductBalance(userId, sessionId, `${label} sent to ${recipient}${channel}`, `${reference}_${Date.now()}`, cost);
+  if (!balanceCheck.success) {
+    // A message refused for its cost doesn't count against the rate limits
+    await releaseConsumedRateLimit({ userId, sessionId, apiKeyId }, 1);
+    return {
+      status: 402,
+      body: {
+        error: balanceCheck.error || 'Insufficient balance',
+        currentBalance: balanceCheck.currentBalance,
+        required: cost
+      }
+    };
+  }
+
+  const dispatch = {
+    userId,
+    sessionId,
+    apiKeyId,
+    recipient,
+    messageType,
+    label,
+    logType,
+    logMessage,
+    cost,
+    reference,
+    webhook: { payload: {}, ...webhook }
+  };
+
+  const delivery = await deliverMessage(client, {
+    userId,
+    sessionId,
+    apiKeyId,
+    recipient,
+    content,
+    sendOptions,
+    messageType,
+    expiresAt,
+    recordBody,
+    clientReference
+  });
+
+  if (!delivery.error) {
+    await completeDispatch(dispatch, delivery);
+    return {
+      outboundMessageId: delivery.outboundMessageId,
+      chatId: delivery.chatId,
+      messageResult: delivery.messageResult,
+      balance: balanceCheck.balanceAfter,
+      cost
+    };
+  }
+
+  console.error(`❌ Error sending ${label.toLowerCase()} to ${recipient}:`, delivery.error);
+
+  // A closed browser session won't recover by itself
+  const sessionClosed = delivery.error.includes('Session closed');
+  if (sessionClosed) {
+    console.log(`🧹 Cleaning up disconnected client for session ${sessionId}`);
+    clients.delete(sessionId);
+    await supabase
+      .from('whatsapp_sessions')
+      .update({ status: 'disconnected' })
+      .eq('session_id', sessionId);
+  }
+
+  if (delivery.transient) {
+    const queueItem = await enqueueOutboundMessage(dispatch, {
+      outboundMessageId: delivery.outboundMessageId,
+      content,
+      sendOptions,
+      error: delivery.error,
+      expiresAt
+    });
+    if (queueItem) {
+      return { queued: true, outboundMessageId: delivery.outboundMessageId, queueItem, balance: balanceCheck.balanceAfter, cost };
+    }
+  }
+
+  await failDispatch(dispatch, delivery.outboundMessageId, delivery.error);
+
+  if (delivery.unresolved) {
+    return {
+      outboundMessageId: delivery.outboundMessageId,
+      status: 400,
+      body: {
+        error: `Unable to resolve WhatsApp account for number ${recipient}. The number may not be registered on WhatsApp.`,
+        recipient,
+        details: delivery.error,
+        hint: 'Ensure the phone number is registered on WhatsApp and uses the correct format (e.g., +9647812345678)'
+      }
+    };
+  }
+  if (delivery.expired) {
+    return {
+      outboundMessageId: delivery.outboundMessageId,
+      status: 503,
+      body: {
+        error: `${label} expired before the session could send it. Please try again.`,
+        code: 'send_expired'
+      }
+    };
+  }
+  if (sessionClosed) {
+    return {
+      outboundMessageId: delivery.outboundMessageId,
+      status: 400,
+      body: { error: 'WhatsApp session was closed. Please reconnect your account and try again.' }
+    };
+  }
+  return { outboundMessageId: delivery.outboundMessageId, status: 500, body: { error: delivery.error } };
+}
+
+// 202 response body for a message that failed transiently and is waiting on the outbound queue
+function formatQueuedSendResponse(result) {
+  return {
+    success: true,
+    status: 'queued',
+    message: 'The message could not be sent yet and will be retried automatically',
+    messageId: result.outboundMessageId,
+    queueId: result.queueItem.id,
+    attempts: result.queueItem.attempts,
+    maxAttempts: result.queueItem.max_attempts,
+    nextAttemptAt: result.queueItem.next_attempt_at,
+    expiresAt: result.queueItem.expires_at,
+    lastError: result.queueItem.last_error,
+    balance: result.balance
+  };
+}
+
+// ==================== OUTBOUND QUEUE ====================
+// Messages that failed for a transient reason (session reconnecting, timeout) wait here, persisted,
+// and are retried with exponential backoff up to the account's max_retry_attempts. Items are only
+// attempted while their session is ready and are drained as soon as it becomes ready again.
+
+const OUTBOUND_QUEUE_POLL_INTERVAL_MS = 5 * 1000;
+const OUTBOUND_QUEUE_BATCH_SIZE = 20;
+const OUTBOUND_RETRY_BASE_DELAY_SECONDS = 30; // Doubles with every attempt
+const OUTBOUND_RETRY_MAX_DELAY_SECONDS = 15 * 60;
+const OUTBOUND_QUEUE_MAX_AGE_HOURS = parseFloat(process.env.OUTBOUND_QUEUE_MAX_AGE_HOURS) || 24; // Then refunded as expired
+const OUTBOUND_QUEUE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'expired', 'cancelled'];
+const DEFAULT_RETRY_SETTINGS = { auto_retry_failed_messages: true, max_retry_attempts: 3 };
+const MAX_RETRY_ATTEMPTS_LIMIT = 10;
+
+// Everything the worker reads from a queue row
+const OUTBOUND_QUEUE_WORKER_COLUMNS = 'id, user_id, session_id, api_key_id, outbound_message_id, recipient, message_type, label, content, send_options, log_type, log_message, cost, reference, webhook, status, attempts, max_attempts, expires_at, last_error';
+
+const activeQueueSessions = new Set(); // Sessions a queue worker is currently draining
+let outboundQueueInterval = null;
+
+// The account's retry settings
+async function getRetrySettings(userId) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select(Object.keys(DEFAULT_RETRY_SETTINGS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching retry settings:', error);
+  }
+  const config = { ...DEFAULT_RETRY_SETTINGS };
+  for (const key of Object.keys(config)) {
+    if (settings && settings[key] !== null && settings[key] !== undefined) {
+      config[key] = settings[key];
+    }
+  }
+  return config;
+}
+
+// Delay before retry number `attempt` (1-based)
+function getRetryDelaySeconds(attempt) {
+  return Math.min(OUTBOUND_RETRY_BASE_DELAY_SECONDS * 2 ** (attempt - 1), OUTBOUND_RETRY_MAX_DELAY_SECONDS);
+}
+
+// Store message content as JSON: text (including vCards), media, location or poll.
+// Media goes to the storage bucket and only its path is kept in the row.
+async function serializeMessageContent(content, sessionId) {
+  if (content instanceof MessageMedia) {
+    const storagePath = await storeOutboundMedia(sessionId, crypto.randomUUID(), content);
+    return { type: 'media', storagePath, mimetype: content.mimetype, filename: content.filename || null, filesize: content.filesize || null };
+  }
+  if (content instanceof Location) {
+    return { type: 'location', latitude: content.latitude, longitude: content.longitude, name: content.name, address: content.address, url: content.url };
+  }
+  if (content instanceof Poll) {
+    return {
+      type: 'poll',
+      question: content.pollName,
+      options: content.pollOptions.map(option => option.name),
+      allowMultipleAnswers: content.options.allowMultipleAnswers === true
+    };
+  }
+  return { type: 'text', text: String(content) };
+}
+
+// Rebuild what serializeMessageContent stored
+async function deserializeMessageContent(payload) {
+  switch (payload.type) {
+    case 'media':
+      return new MessageMedia(payload.mimetype, await loadMedia(payload.storagePath), payload.filename, payload.filesize);
+    case 'location':
+      return new Location(payload.latitude, payload.longitude, { name: payload.name, address: payload.address, url: payload.url });
+    case 'poll':
+      return new Poll(payload.question, payload.options, { allowMultipleAnswers: payload.allowMultipleAnswers });
+    default:
+      return payload.text;
+  }
+}
+
+// Delete the stored media of content that will not be sent again
+async function releaseMessageContent(payload) {
+  if (payload && payload.type === 'media' && payload.storagePath) {
+    await deleteMedia([payload.storagePath]);
+  }
+}
+
+// Queue a transiently failed message for retry. Returns the queue row, or null when the account has
+// auto-retry off (or the row can't be written) so the caller fails the message instead.
+async function enqueueOutboundMessage(dispatch, { outboundMessageId, content, sendOptions, error, expiresAt }) {
+  const settings = await getRetrySettings(dispatch.userId);
+  const maxAttempts = Math.min(Number(settings.max_retry_attempts) || 0, MAX_RETRY_ATTEMPTS_LIMIT);
+  if (!settings.auto_retry_failed_messages || maxAttempts <= 0) {
+    return null;
+  }
+
+  let storedContent;
+  try {
+    storedContent = await serializeMessageContent(content, dispatch.sessionId);
+  } catch (storeError) {
+    console.error('❌ Error storing message content for retry:', storeError.message);
+    return null;
+  }
+
+  const maxAge = new Date(Date.now() + OUTBOUND_QUEUE_MAX_AGE_HOURS * 60 * 60 * 1000);
+  const { data: item, error: insertError } = await supabase
+    .from('outbound_queue')
+    .insert({
+      user_id: dispatch.userId,
+      session_id: dispatch.sessionId,
+      api_key_id: dispatch.apiKeyId,
+      outbound_message_id: outboundMessageId,
+      recipient: dispatch.recipient,
+      message_type: dispatch.messageType,
+      label: dispatch.label,
+      content: storedContent,
+      send_options: sendOptions || {},
+      log_type: dispatch.logType,
+      log_message: dispatch.logMessage,
+      cost: dispatch.cost,
+      reference: dispatch.reference,
+      webhook: dispatch.webhook,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      next_attempt_at: new Date(Date.now() + getRetryDelaySeconds(1) * 1000).toISOString(),
+      expires_at: (expiresAt && new Date(expiresAt) < maxAge ? new Date(expiresAt) : maxAge).toISOString(),
+      last_error: error
+    })
+    .select('id, attempts, max_attempts, next_attempt_at, expires_at, last_error')
+    .single();
+
+  if (insertError) {
+    console.error('❌ Error queueing message for retry:', insertError.message);
+    await releaseMessageContent(storedContent);
+    return null;
+  }
+
+  console.log(`🔁 Queued ${dispatch.label.toLowerCase()} to ${dispatch.recipient} for retry (${error})`);
+  return item;
+}
+
+// Queue a bulk job or scheduled send that failed transiently, as dispatchMessage does for single sends.
+// Its cost was reserved with the batch, so from here the queue refunds it if it is given up.
+// Returns the queue row, or null when the failure is permanent or can't be queued.
+async function enqueueBatchDelivery({ userId, sessionId, apiKeyId, recipient, messageType, label, content, reference, cost }, delivery) {
+  if (!delivery.transient) return null;
+  const dispatch = {
+    userId,
+    sessionId,
+    apiKeyId,
+    recipient,
+    messageType,
+    label,
+    logType: messageType === 'announcement' ? 'announcement' : 'api_message',
+    logMessage: content,
+    cost,
+    reference,
+    webhook: { payload: {} }
+  };
+  return enqueueOutboundMessage(dispatch, { outboundMessageId: delivery.outboundMessageId, content, error: delivery.error });
+}
+
+// The dispatch a queue row was created from
+function toQueuedDispatch(item) {
+  return {
+    userId: item.user_id,
+    sessionId: item.session_id,
+    apiKeyId: item.api_key_id,
+    recipient: item.recipient,
+    messageType: item.message_type,
+    label: item.label,
+    logType: item.log_type,
+    logMessage: item.log_message,
+    cost: Number(item.cost),
+    reference: item.reference,
+    webhook: item.webhook
+  };
+}
+
+// Close a queue item that will not be sent: fail the record, refund and notify (and cancel an OTP's verification)
+async function closeQueueItem(item, status, errorMessage) {
+  const { data: closed } = await supabase
+    .from('outbound_queue')
+    .update({ status, last_error: errorMessage, completed_at: new Date().toISOString() })
+    .eq('id', item.id)
+    .in('status', ['queued', 'sending'])
+    .select('id')
+    .maybeSingle();
+
+  if (!closed) return false; // Someone else already closed it
+
+  await failDispatch(toQueuedDispatch(item), item.outbound_message_id, errorMessage);
+  if (item.message_type === 'otp' && item.outbound_message_id) {
+    await cancelOtpVerificationForMessage(item.outbound_message_id);
+  }
+  await releaseMessageContent(item.content);
+  console.log(`🚫 Queued message ${item.id} ${status}: ${errorMessage}`);
+  return true;
+}
+
+// Make one retry attempt for a claimed queue item
+async function retryQueueItem(item, client) {
+  const dispatch = toQueuedDispatch(item);
+  const attempts = item.attempts + 1;
+
+  let delivery;
+  try {
+    delivery = await deliverMessage(client, {
+      userId: item.user_id,
+      sessionId: item.session_id,
+      outboundMessageId: item.outbound_message_id,
+      recipient: item.recipient,
+      content: await deserializeMessageContent(item.content),
+      sendOptions: item.send_options || {},
+      lane: getSendLane(item.message_type),
+      expiresAt: item.expires_at
+    });
+  } catch (error) {
+    // The stored media could not be loaded; tried again like any other transient failure
+    delivery = { outboundMessageId: item.outbound_message_id, error: error.message, transient: true };
+  }
+
+  if (!delivery.error) {
+    await supabase
+      .from('outbound_queue')
+      .update({ status: 'sent', attempts, last_error: null, completed_at: new Date().toISOString() })
+      .eq('id', item.id);
+    await releaseMessageContent(item.content);
+    await completeDispatch(dispatch, delivery);
+    console.log(`✅ Queued message ${item.id} sent on attempt ${attempts}`);
+    return;
+  }
+
+  if (!delivery.transient || attempts >= item.max_attempts) {
+    await supabase.from('outbound_queue').update({ attempts }).eq('id', item.id);
+    await closeQueueItem(item, delivery.expired ? 'expired' : 'failed', delivery.error);
+    return;
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelaySeconds(attempts + 1) * 1000);
+  await supabase
+    .from('outbound_queue')
+    .update({ status: 'queued', attempts, last_error: delivery.error, next_attempt_at: nextAttemptAt.toISOString() })
+    .eq('id', item.id);
+  console.log(`🔁 Queued message ${item.id} attempt ${attempts}/${item.max_attempts} failed (${delivery.error}), next at ${nextAttemptAt.toISOString()}`);
+}
+
+// Work through a session's due queue items, oldest first, while the session stays ready
+async function drainOutboundQueue(sessionId) {
+  if (activeQueueSessions.has(sessionId)) return;
+  activeQueueSessions.add(sessionId);
+  try {
+    while (true) {
+      const client = clients.get(sessionId);
+      if (!isClientReady(client)) return; // Drained again once the session is ready
+
+      const { data: items, error } = await supabase
+        .from('outbound_queue')
+        .select(OUTBOUND_QUEUE_WORKER_COLUMNS)
+        .eq('session_id', sessionId)
+        .eq('status', 'queued')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(OUTBOUND_QUEUE_BATCH_SIZE);
+
+      if (error) {
+        throw error;
+      }
+      if (!items || items.length === 0) return;
+
+      for (const item of items) {
+        if (new Date(item.expires_at) <= new Date()) {
+          await closeQueueItem(item, 'expired', `Expired before it could be sent (last error: ${item.last_error})`);
+          continue;
+        }
+
+        // Claim it so a second worker can't send it too
+        const { data: claimed } = await supabase
+          .from('outbound_queue')
+          .update({ status: 'sending' })
+          .eq('id', item.id)
+          .eq('status', 'queued')
+          .select(OUTBOUND_QUEUE_WORKER_COLUMNS)
+          .maybeSingle();
+
+        if (claimed) {
+          await retryQueueItem(claimed, clients.get(sessionId));
+        }
+      }
+    }
+  } finally {
+    activeQueueSessions.delete(sessionId);
+  }
+}
+
+// A session just became ready: everything it has queued is due now
+async function resumeOutboundQueue(sessionId) {
+  try {
+    const { data: items, error } = await supabase
+      .from('outbound_queue')
+      .update({ next_attempt_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .eq('status', 'queued')
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    if (items && items.length > 0) {
+      console.log(`🔁 Session ${sessionId} is ready - draining ${items.length} queued message(s)`);
+      await drainOutboundQueue(sessionId);
+    }
+  } catch (error) {
+    console.error(`❌ Error resuming outbound queue for session ${sessionId}:`, error);
+  }
+}
+
+// Expire items past their deadline (whatever their session's state) and drain sessions with due items
+async function processOutboundQueue() {
+  try {
+    const now = new Date().toISOString();
+
+    const { data: expired, error: expiredError } = await supabase
+      .from('outbound_queue')
+      .select(OUTBOUND_QUEUE_WORKER_COLUMNS)
+      .eq('status', 'queued')
+      .lte('expires_at', now)
+      .limit(50);
+
+    if (expiredError) {
+      console.error('❌ Error fetching expired queue items:', expiredError.message);
+    }
+    for (const item of expired || []) {
+      await closeQueueItem(item, 'expired', `Expired before it could be sent (last error: ${item.last_error})`);
+    }
+
+    const { data: due, error } = await supabase
+      .from('outbound_queue')
+      .select('session_id')
+      .eq('status', 'queued')
+      .lte('next_attempt_at', now)
+      .limit(200);
+
+    if (error) {
+      console.error('❌ Error fetching queued messages:', error.message);
+      return;
+    }
+
+    for (const sessionId of new Set((due || []).map(item => item.session_id))) {
+      drainOutboundQueue(sessionId).catch(err => console.error(`❌ Error draining outbound queue for session ${sessionId}:`, err));
+    }
+  } catch (error) {
+    console.error('❌ Error processing outbound queue:', error);
+  }
+}
+
+// Cancel a queued message and refund it
+async function cancelQueueItem(filters, queueId) {
+  let query = supabase
+    .from('outbound_queue')
+    .select(OUTBOUND_QUEUE_WORKER_COLUMNS)
+    .eq('id', queueId);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: item, error } = await query.maybeSingle();
+  if (error && error.code !== '22P02') {
+    throw error;
+  }
+  if (!item) {
+    return { status: 404, error: 'Queued message not found' };
+  }
+  if (item.status !== 'queued') {
+    return { status: 409, error: `Queued message is already ${item.status}` };
+  }
+
+  const cancelled = await closeQueueItem(item, 'cancelled', 'Cancelled before it was sent');
+  if (!cancelled) {
+    return { status: 409, error: 'Queued message is already being sent' };
+  }
+  return { item: { ...item, status: 'cancelled' } };
+}
+
+// List queue items (newest first) with counts per status
+async function listQueueItems(filters, query) {
+  const limit = Math.min(parseInt(query.limit) || 50, 100);
+  const offset = parseInt(query.offset) || 0;
+  const status = query.status || 'queued';
+
+  if (status !== 'all' && !OUTBOUND_QUEUE_STATUSES.includes(status)) {
+    return { status: 400, error: `status must be 'all' or one of: ${OUTBOUND_QUEUE_STATUSES.join(', ')}` };
+  }
+
+  let itemsQuery = supabase
+    .from('outbound_queue')
+    .select('id, session_id, outbound_message_id, recipient, message_type, status, attempts, max_attempts, next_attempt_at, expires_at, last_error, created_at, completed_at')
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  for (const [column, value] of Object.entries(filters)) {
+    itemsQuery = itemsQuery.eq(column, value);
+  }
+  if (status !== 'all') {
+    itemsQuery = itemsQuery.eq('status', status);
+  }
+
+  const { data: items, error } = await itemsQuery;
+  if (error) {
+    throw error;
+  }
+
+  const counts = {};
+  for (const itemStatus of ['queued', 'sending']) {
+    let countQuery = supabase
+      .from('outbound_queue')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', itemStatus);
+    for (const [column, value] of Object.entries(filters)) {
+      countQuery = countQuery.eq(column, value);
+    }
+    const { count } = await countQuery;
+    counts[itemStatus] = count || 0;
+  }
+
+  return { items: items || [], counts, pagination: { limit, offset } };
+}
+
+// Fail items left mid-send by a restart (delivery unknown, refunded rather than risk a duplicate) and start the poller
+async function restoreOutboundQueue() {
+  try {
+    console.log('🔄 Restoring outbound queue...');
+
+    const { data: interrupted, error: interruptedError } = await supabase
+      .from('outbound_queue')
+      .select(OUTBOUND_QUEUE_WORKER_COLUMNS)
+      .eq('status', 'sending');
+
+    if (interruptedError) {
+      console.error('❌ Error fetching interrupted queue items:', interruptedError);
+    }
+    for (const item of interrupted || []) {
+      await closeQueueItem(item, 'failed', 'Interrupted by a server restart; delivery status unknown');
+    }
+
+    const { count, error } = await supabase
+      .from('outbound_queue')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'queued');
+
+    if (error) {
+      console.error('❌ Error counting queued messages:', error);
+    } else {
+      console.log(`🔁 ${count || 0} queued message(s) waiting for retry`);
+    }
+
+    if (!outboundQueueInterval) {
+      outboundQueueInterval = setInterval(processOutboundQueue, OUTBOUND_QUEUE_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('❌ Error restoring outbound queue:', error);
+  }
+}
+
+// ==================== MESSAGE OPERATIONS ====================
+
+const MESSAGE_EDIT_WINDOW_MINUTES = 15; // WhatsApp only allows edits shortly after sending
+const MESSAGE_REVOKE_WINDOW_HOURS = 48; // After this WhatsApp can only delete for the sender, not everyone
+
+// Live client for a session, or the status and body to respond with when it can't be used
+function getReadyClient(sessionId, client = clients.get(sessionId)) {
+  if (!client) {
+    return { status: 404, body: { error: 'WhatsApp session not found. Please reconnect via the dashboard.' } };
+  }
+
+  if (!isClientReady(client)) {
+    // Check if client exists but isn't ready yet
+    if (!client.info) {
+      return {
+        status: 503,
+        body: {
+          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
+          sessionStatus: 'initializing'
+        }
+      };
+    }
+    return { status: 400, body: { error: 'WhatsApp session is disconnected. Please reconnect via the dashboard.' } };
+  }
+
+  return { client };
+}
+
+// Load a whatsapp-web.js Message by outbound record id or WhatsApp id, scoped to the user's session
+async function findSessionMessage(client, userId, sessionId, id) {
+  const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+
+  const { data: outbound, error } = await supabase
+    .from('outbound_messages')
+    .select('*')
+    .eq(isUuid ? 'id' : 'whatsapp_message_id', id)
+    .eq('user_id', userId)
+    .eq('session_id', sessionId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (isUuid && !outbound) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  const whatsappMessageId = isUuid ? outbound.whatsapp_message_id : id;
+  if (!whatsappMessageId) {
+    return { status: 409, error: `Message has not been sent (status: ${outbound.status})` };
+  }
+
+  // Looked up through this session's own client, so other sessions' messages are never reachable
+  const message = await client.getMessageById(whatsappMessageId);
+  if (!message) {
+    return { status: 404, error: 'Message not found in this WhatsApp session' };
+  }
+
+  return { message, outbound, whatsappMessageId };
+}
+
+// Add an entry to a message's operation history (never throws)
+async function recordMessageOperation({ userId, sessionId, apiKeyId = null, target, operation, content = null, resultMessageId = null, errorMessage = null }) {
+  try {
+    const { error } = await supabase.from('message_operations').insert({
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      outbound_message_id: target.outbound ? target.outbound.id : null,
+      target_message_id: target.whatsappMessageId,
+      operation,
+      content,
+      result_message_id: resultMessageId,
+      status: errorMessage ? 'failed' : 'success',
+      error_message: errorMessage
+    });
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('⚠️ Error recording message operation:', error.message);
+  }
+}
+
+// ==================== SCHEDULED MESSAGES ====================
+
+const SCHEDULER_POLL_INTERVAL_MS = 30 * 1000;
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+// A due message whose session stays disconnected this long is failed and refunded
+const SCHEDULED_MESSAGE_MAX_DELAY_MINUTES = 60;
+const SCHEDULED_MESSAGE_STATUSES = ['pending', 'processing', 'sent', 'partially_sent', 'failed', 'cancelled'];
+
+let schedulerInterval = null;
+let isProcessingScheduledMessages = false;
+
+// Validate a sendAt value: an ISO 8601 timestamp with an explicit timezone, in the future
+function parseSendAt(sendAt) {
+  if (typeof sendAt !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(sendAt)) {
+    return { error: 'sendAt must be an ISO 8601 timestamp with a timezone (e.g., 2025-12-11T09:00:00+03:00)' };
+  }
+
+  const date = new Date(sendAt);
+  if (isNaN(date.getTime())) {
+    return { error: 'sendAt is not a valid date' };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (date.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `sendAt cannot be more than ${MAX_SCHEDULE_AHEAD_DAYS} days ahead` };
+  }
+
+  return { date };
+}
+
+// Store a message for later delivery, reserving its full cost now
+async function scheduleMessage({ userId, sessionId, apiKeyId = null, messageType, recipients, message, clientReference = null, sendAt, strictConsent = false }) {
+  const reservedAmount = recipients.length * MESSAGE_COST_IQD;
+
+  const balanceCheck = await deductBalance(
+    userId,
+    sessionId,
+    `Scheduled ${messageType} to ${recipients.length} recipient(s) at ${sendAt.toISOString()}`,
+    `scheduled_${Date.now()}`,
+    reservedAmount
+  );
+  if (!balanceCheck.success) {
+    return { success: false, balanceCheck, reservedAmount };
+  }
+
+  const { data: scheduledMessage, error } = await supabase
+    .from('scheduled_messages')
+    .insert({
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      message_type: messageType,
+      recipients,
+      message,
+      client_reference: clientReference,
+      send_at: sendAt.toISOString(),
+      status: 'pending',
+      reserved_amount: reservedAmount,
+      strict_consent: strictConsent
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await refundBalance(userId, sessionId, reservedAmount, 'Refund: Failed to schedule message', `refund_scheduled_${Date.now()}`);
+    throw error;
+  }
+
+  console.log(`🗓️ Scheduled ${messageType} ${scheduledMessage.id} for ${scheduledMessage.send_at}`);
+  return { success: true, scheduledMessage, balanceCheck, reservedAmount };
+}
+
+// Scheduled recipients are stored as phone strings, or { recipient, message } when personalized
+function toScheduledRecipient(entry) {
+  return entry.message ? { recipient: entry.recipient, message: entry.message } : entry.recipient;
+}
+
+// Response body for a newly scheduled message
+function formatScheduledResponse(result) {
+  return {
+    success: true,
+    scheduled: true,
+    scheduledMessageId: result.scheduledMessage.id,
+    sendAt: result.scheduledMessage.send_at,
+    recipients: result.scheduledMessage.recipients.length,
+    reserved: result.reservedAmount,
+    balance: result.balanceCheck.balanceAfter
+  };
+}
+
+// Change the delivery time of a pending scheduled message
+async function rescheduleScheduledMessage(filters, scheduledId, sendAt) {
+  let query = supabase
+    .from('scheduled_messages')
+    .update({ send_at: sendAt.toISOString() })
+    .eq('id', scheduledId)
+    .eq('status', 'pending');
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// Cancel a pending scheduled message and refund its reserved cost
+async function cancelScheduledMessage(filters, scheduledId) {
+  // Conditional update so a message the scheduler already picked up can't be cancelled
+  let query = supabase
+    .from('scheduled_messages')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+    .eq('id', scheduledId)
+    .eq('status', 'pending');
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: cancelled, error } = await query.select().maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (!cancelled) {
+    return null;
+  }
+
+  const refund = await refundBalance(
+    cancelled.user_id,
+    cancelled.session_id,
+    Number(cancelled.reserved_amount),
+    `Refund: Cancelled scheduled ${cancelled.message_type} to ${cancelled.recipients.length} recipient(s)`,
+    `refund_scheduled_${cancelled.id}`
+  );
+
+  console.log(`🗓️ Cancelled scheduled message ${cancelled.id}`);
+  return { scheduledMessage: cancelled, refunded: Number(cancelled.reserved_amount), balance: refund.balanceAfter };
+}
+
+// Look up a scheduled message, returning a 404/409 friendly reason when it is not pending
+async function describeScheduledMessageState(filters, scheduledId) {
+  let query = supabase
+    .from('scheduled_messages')
+    .select('status')
+    .eq('id', scheduledId);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+  const { data } = await query.maybeSingle();
+  if (!data) {
+    return { status: 404, error: 'Scheduled message not found' };
+  }
+  return { status: 409, error: `Scheduled message is already ${data.status}` };
+}
+
+// Outbound records already written for a scheduled message's batch, by recipient. Each send writes its
+// record before it goes out, so a delivery resumed after a restart or an error knows who to skip.
+async function loadScheduledDeliveryProgress(batchId) {
+  const progress = new Map();
+  const pageSize = 1000;
+  for (let offset = 0; ; offset += pageSize) {
+    const { data: records, error } = await supabase
+      .from('outbound_messages')
+      .select('id, recipient, status, error_message')
+      .eq('batch_id', batchId)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+    for (const record of records || []) {
+      progress.set(record.recipient, record);
+    }
+
+    // Records handed to the outbound queue are its to send or refund
+    const ids = (records || []).map(record => record.id);
+    if (ids.length > 0) {
+      const { data: queueItems, error: queueError } = await supabase
+        .from('outbound_queue')
+        .select('outbound_message_id')
+        .in('outbound_message_id', ids);
+
+      if (queueError) {
+        throw queueError;
+      }
+      const retried = new Set(queueItems.map(item => item.outbound_message_id));
+      for (const record of records) {
+        record.retried = retried.has(record.id);
+      }
+    }
+
+    if (!records || records.length < pageSize) {
+      return progress;
+    }
+  }
+}
+
+// Deliver one due scheduled message (already claimed as 'processing'). Recipients attempted by an earlier,
+// interrupted or rate-limited run are not sent again: sent ones count as sent, and ones whose send was cut off
+// count as failed.
+async function deliverScheduledMessage(scheduled) {
+  const { id, user_id: userId, session_id: sessionId, recipients, message } = scheduled;
+  const client = clients.get(sessionId);
+  const batchId = `scheduled_${id}`;
+  const progress = await loadScheduledDeliveryProgress(batchId);
+
+  if (!isClientReady(client)) {
+    const minutesLate = (Date.now() - new Date(scheduled.send_at).getTime()) / 1000 / 60;
+    if (minutesLate < SCHEDULED_MESSAGE_MAX_DELAY_MINUTES) {
+      // Session may still be restoring - try again on the next poll
+      await supabase.from('scheduled_messages').update({ status: 'pending' }).eq('id', id);
+      return;
+    }
+
+    console.error(`❌ Scheduled message ${id} failed: session ${sessionId} not connected`);
+    // An interrupted earlier run may already have sent to some recipients; only the rest is refunded
+    const alreadySent = [...progress.values()].filter(record => record.retried || !['queued', 'failed'].includes(record.status)).length;
+    const refundAmount = Math.max(0, Number(scheduled.reserved_amount) - alreadySent * MESSAGE_COST_IQD);
+    const refund = refundAmount > 0
+      ? await refundBalance(userId, sessionId, refundAmount, `Refund: Scheduled message ${id} could not be delivered`, `refund_scheduled_${id}`)
+      : {};
+    await supabase
+      .from('scheduled_messages')
+      .update({
+        status: alreadySent > 0 ? 'partially_sent' : 'failed',
+        error_message: 'WhatsApp session was not connected at the scheduled time',
+        result: { sent: alreadySent, failed: recipients.length - alreadySent, errors: [], refunded: refundAmount },
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', id);
+
+    triggerWebhooks(userId, sessionId, 'scheduled', {
+      success: false,
+      event: 'scheduled_message_failed',
+      scheduledMessageId: id,
+      error: 'WhatsApp session was not connected at the scheduled time',
+      refunded: refundAmount,
+      balance: refund.balanceAfter,
+      timestamp: new Date().toISOString()
+    }).catch(err => console.error('Webhook error (non-blocking):', err));
+    return;
+  }
+
+  const lane = recipients.length > 1 ? 'bulk' : 'single';
+  let sent = 0;
+  let queued = 0; // Failed transiently and handed to the outbound queue
+  const errors = [];
+
+  console.log(`🗓️ Delivering scheduled message ${id} to ${recipients.length} recipient(s)${progress.size > 0 ? ` (resuming, ${progress.size} already attempted)` : ''}`);
+  const phones = recipients.map(entry => (typeof entry === 'object' ? entry.recipient : String(entry)));
+
+  for (let i = 0; i < recipients.length; i++) {
+    const recipient = phones[i];
+    const text = typeof recipients[i] === 'object' && recipients[i].message ? recipients[i].message : message;
+    try {
+      if (!isClientReady(client)) {
+        // Session dropped mid-delivery - everything not yet sent is refunded
+        for (const remaining of phones.slice(i)) {
+          errors.push({ recipient: remaining, error: 'WhatsApp session was disconnected during delivery' });
+        }
+        break;
+      }
+
+      // Stored recipients were normalized when the message was scheduled
+      const phone = normalizePhoneNumber(recipient, { defaultCountry: null });
+      if (phone.error) {
+        errors.push({ recipient, error: `Invalid phone number: ${phone.error}` });
+        continue;
+      }
+      const formattedRecipient = phone.number;
+
+      const attempted = progress.get(formattedRecipient);
+      if (attempted) {
+        if (attempted.retried) {
+          queued++;
+        } else if (attempted.status === 'queued') {
+          // Cut off mid-send: delivery status unknown, refunded rather than risk a duplicate
+          const interruptedError = 'Interrupted by a server restart; delivery status unknown';
+          await markOutboundMessageFailed(attempted.id, interruptedError);
+          errors.push({ recipient, error: interruptedError });
+        } else if (attempted.status === 'failed') {
+          errors.push({ recipient, error: attempted.error_message || 'Failed to send' });
+        } else {
+          sent++;
+        }
+        continue;
+      }
+
+      // The contact may have opted out since the message was scheduled
+      if (await isRecipientSuppressed(userId, formattedRecipient)) {
+        errors.push({ recipient, error: SUPPRESSED_RECIPIENT_ERROR, code: 'recipient_opted_out' });
+        continue;
+      }
+      if (scheduled.strict_consent && !(await hasRecipientConsent(userId, formattedRecipient))) {
+        errors.push({ recipient, error: CONSENT_REQUIRED_ERROR, code: 'consent_required' });
+        continue;
+      }
+
+      // Each send takes its place in the sender's rate limits. Without room the message goes back to
+      // pending and the next poll resumes it after the recipients attempted so far.
+      const rateLimited = await checkDispatchRateLimit({ userId, sessionId, apiKeyId: scheduled.api_key_id }, 1);
+      if (rateLimited) {
+        console.log(`⏳ Scheduled message ${id} waiting for the rate limit (${rateLimited.body.reason || rateLimited.body.code})`);
+        await supabase.from('scheduled_messages').update({ status: 'pending' }).eq('id', id);
+        return;
+      }
+
+      const delivery = await deliverMessage(client, {
+        userId,
+        sessionId,
+        apiKeyId: scheduled.api_key_id,
+        recipient: formattedRecipient,
+        content: text,
+        messageType: scheduled.message_type,
+        lane,
+        recordBody: text,
+        clientReference: scheduled.client_reference,
+        batchId
+      });
+      if (delivery.error) {
+        console.error(`❌ Scheduled send to ${recipient} failed:`, delivery.error);
+        const queueItem = await enqueueBatchDelivery({
+          userId,
+          sessionId,
+          apiKeyId: scheduled.api_key_id,
+          recipient: formattedRecipient,
+          messageType: scheduled.message_type,
+          label: 'Scheduled message',
+          content: text,
+          reference: batchId,
+          cost: MESSAGE_COST_IQD
+        }, delivery);
+        if (queueItem) {
+          queued++;
+          continue;
+        }
+
+        await markOutboundMessageFailed(delivery.outboundMessageId, delivery.error);
+        errors.push({
+          recipient,
+          error: delivery.unresolved ? 'Unable to resolve WhatsApp account. The number may not be registered on WhatsApp.' : delivery.error
+        });
+        continue;
+      }
+      sent++;
+    } catch (error) {
+      console.error(`❌ Scheduled send to ${recipient} failed:`, error.message);
+      errors.push({ recipient, error: error.message });
+    }
+  }
+
+  const refundAmount = errors.length * MESSAGE_COST_IQD;
+  if (refundAmount > 0) {
+    await refundBalance(userId, sessionId, refundAmount, `Refund: Failed to send ${errors.length} scheduled messages`, `refund_scheduled_${id}`);
+  }
+
+  const status = sent + queued === recipients.length ? 'sent' : sent + queued > 0 ? 'partially_sent' : 'failed';
+  await supabase
+    .from('scheduled_messages')
+    .update({
+      status,
+      result: { sent, queued, failed: errors.length, errors, refunded: refundAmount },
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', id);
+
+  await supabase.from('automation_logs').insert({
+    user_id: userId,
+    session_id: sessionId,
+    type: scheduled.message_type === 'announcement' ? 'announcement' : 'api_message',
+    recipient: phones.length === 1 ? phones[0] : null,
+    recipients: phones.length > 1 ? JSON.stringify(phones) : null,
+    message,
+    status: sent > 0 ? 'sent' : 'failed',
+    error_message: errors.length > 0 ? JSON.stringify(errors) : null,
+  });
+
+  console.log(`✅ Scheduled message ${id} delivered: ${sent}/${recipients.length} successful`);
+
+  triggerWebhooks(userId, sessionId, 'scheduled', {
+    success: sent > 0,
+    event: 'scheduled_message_sent',
+    scheduledMessageId: id,
+    clientReference: scheduled.client_reference,
+    totalRecipients: recipients.length,
+    successfulSends: sent,
+    queuedSends: queued,
+    failedSends: errors.length,
+    errors,
+    refunded: refundAmount,
+    timestamp: new Date().toISOString()
+  }).catch(err => console.error('Webhook error (non-blocking):', err));
+}
+
+// Claim and deliver every scheduled message that is due
+async function processDueScheduledMessages() {
+  if (isProcessingScheduledMessages) return;
+  isProcessingScheduledMessages = true;
+
+  try {
+    const { data: dueMessages, error } = await supabase
+      .from('scheduled_messages')
+      .select('id')
+      .eq('status', 'pending')
+      .lte('send_at', new Date().toISOString())
+      .order('send_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      console.error('❌ Error fetching due scheduled messages:', error.message);
+      return;
+    }
+
+    for (const { id } of dueMessages || []) {
+      // Claim it - skips messages cancelled (or claimed) since the select
+      const { data: claimed } = await supabase
+        .from('scheduled_messages')
+        .update({ status: 'processing' })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+      if (!claimed) continue;
+
+      try {
+        await deliverScheduledMessage(claimed);
+      } catch (deliveryError) {
+        console.error(`❌ Error delivering scheduled message ${id}:`, deliveryError);
+        await supabase.from('scheduled_messages').update({ status: 'pending' }).eq('id', id);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error processing scheduled messages:', error);
+  } finally {
+    isProcessingScheduledMessages = false;
+  }
+}
+
+// Pick up scheduled messages on server startup and start the scheduler
+async function restoreScheduledMessages() {
+  try {
+    console.log('🔄 Restoring scheduled messages...');
+
+    // Messages interrupted mid-delivery by a restart go back to the queue; delivery resumes after the
+    // recipients that were already attempted
+    const { data: interrupted, error: resetError } = await supabase
+      .from('scheduled_messages')
+      .update({ status: 'pending' })
+      .eq('status', 'processing')
+      .select('id');
+
+    if (resetError) {
+      console.error('❌ Error resetting interrupted scheduled messages:', resetError);
+    } else if (interrupted && interrupted.length > 0) {
+      console.log(`⚠️ Re-queued ${interrupted.length} scheduled message(s) interrupted by a restart; sent recipients are skipped`);
+    }
+
+    const { count, error } = await supabase
+      .from('scheduled_messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error('❌ Error counting scheduled messages:', error);
+    } else {
+      console.log(`🗓️ ${count || 0} pending scheduled message(s)`);
+    }
+
+    if (!schedulerInterval) {
+      schedulerInterval = setInterval(processDueScheduledMessages, SCHEDULER_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('❌ Error restoring scheduled messages:', error);
+  }
+}
+
+// ==================== BULK SEND JOBS ====================
+
+const BULK_JOB_POLL_INTERVAL_MS = 5 * 1000;
+const BULK_JOB_BATCH_SIZE = 20; // Recipients fetched per worker round trip
+const BULK_JOB_INSERT_CHUNK_SIZE = 500;
+const BULK_JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'cancelled'];
+const BULK_JOB_RECIPIENT_STATUSES = ['pending', 'sending', 'queued', 'sent', 'failed', 'cancelled'];
+
+const activeBulkJobs = new Map(); // jobId -> sessionId, for jobs a worker is currently sending
+const rateLimitedBulkJobs = new Map(); // jobId -> time (ms) the sender's rate limits have room again
+let bulkJobInterval = null;
+
+// Reserve the cost of a bulk send and queue it for the background worker; recipients come from prepareBulkRecipients
+async function createBulkJob({ userId, sessionId, apiKeyId = null, jobType, recipients, message, clientReference = null, batchId, strictConsent = false }) {
+  const reservedAmount = recipients.length * MESSAGE_COST_IQD;
+
+  const balanceCheck = await deductBalance(
+    userId,
+    sessionId,
+    jobType === 'announcement'
+      ? `Announcement to ${recipients.length} recipients`
+      : `Bulk message to ${recipients.length} recipients via API`,
+    batchId,
+    reservedAmount
+  );
+  if (!balanceCheck.success) {
+    return { success: false, balanceCheck, reservedAmount };
+  }
+
+  const { data: job, error } = await supabase
+    .from('bulk_jobs')
+    .insert({
+      user_id: userId,
+      session_id: sessionId,
+      api_key_id: apiKeyId,
+      job_type: jobType,
+      message,
+      client_reference: clientReference,
+      batch_id: batchId,
+      status: 'queued',
+      total_recipients: recipients.length,
+      cost_per_message: MESSAGE_COST_IQD,
+      reserved_amount: reservedAmount,
+      strict_consent: strictConsent
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await refundBalance(userId, sessionId, reservedAmount, 'Refund: Failed to create bulk job', `refund_${batchId}`);
+    throw error;
+  }
+
+  try {
+    for (let start = 0; start < recipients.length; start += BULK_JOB_INSERT_CHUNK_SIZE) {
+      const rows = recipients.slice(start, start + BULK_JOB_INSERT_CHUNK_SIZE).map((entry, index) => ({
+        job_id: job.id,
+        position: start + index,
+        recipient: entry.recipient,
+        message: entry.message || null // Personalized text; NULL means the job's message
+      }));
+      const { error: recipientsError } = await supabase.from('bulk_job_recipients').insert(rows);
+      if (recipientsError) {
+        throw recipientsError;
+      }
+    }
+  } catch (recipientsError) {
+    await supabase.from('bulk_jobs').delete().eq('id', job.id);
+    await refundBalance(userId, sessionId, reservedAmount, 'Refund: Failed to create bulk job', `refund_${batchId}`);
+    throw recipientsError;
+  }
+
+  console.log(`📦 Queued ${jobType} job ${job.id} for ${recipients.length} recipients`);
+
+  // Start right away instead of waiting for the next poll
+  runBulkJob(job.id).catch(err => console.error(`❌ Error running bulk job ${job.id}:`, err));
+
+  return { success: true, job, balanceCheck, reservedAmount };
+}
+
+// Response body for a newly queued bulk job
+function formatBulkJobResponse(result, entries) {
+  return {
+    success: true,
+    jobId: result.job.id,
+    status: result.job.status,
+    totalRecipients: result.job.total_recipients,
+    batchId: result.job.batch_id,
+    reserved: result.reservedAmount,
+    balance: result.balanceCheck.balanceAfter,
+    // Each accepted number as it was sent and as it will be sent to
+    recipients: entries.map(({ input, recipient, e164 }) => ({ input, recipient, e164 }))
+  };
+}
+
+// Progress summary derived from a bulk_jobs row
+function getBulkJobProgress(job) {
+  const processed = job.sent_count + job.failed_count + job.queued_count + job.cancelled_count;
+  return {
+    total: job.total_recipients,
+    sent: job.sent_count,
+    failed: job.failed_count,
+    queued: job.queued_count, // Handed to the outbound queue for retry
+    cancelled: job.cancelled_count,
+    pending: Math.max(job.total_recipients - processed, 0),
+    percent: job.total_recipients > 0 ? Math.round((processed / job.total_recipients) * 100) : 100
+  };
+}
+
+// Send one recipient of a job, returning the outbound record id and either the WhatsApp id or an error
+// (with queued set when a transient failure was handed to the outbound queue), or { rateLimited } when
+// the sender's rate limits have no room and the recipient should wait
+async function sendBulkJobRecipient(job, client, recipient, message) {
+  // Full WhatsApp ids (e.g. 9647812345678@c.us) are sent as-is; phone numbers are normalized first
+  const phone = recipient.includes('@') ? null : normalizePhoneNumber(recipient, { defaultCountry: null });
+  if (phone && phone.error) {
+    return { error: `Invalid phone number: ${phone.error}` };
+  }
+
+  // The contact may have opted out after the job was queued; unsent recipients are refunded
+  if (await isRecipientSuppressed(job.user_id, recipient)) {
+    return { error: SUPPRESSED_RECIPIENT_ERROR };
+  }
+  // Strict consent jobs also skip recipients whose consent was revoked since
+  if (job.strict_consent && !(await hasRecipientConsent(job.user_id, recipient))) {
+    return { error: CONSENT_REQUIRED_ERROR };
+  }
+
+  // Each send takes its place in the sender's rate limits; while they are used up the job waits
+  const rateLimited = await checkDispatchRateLimit({ userId: job.user_id, sessionId: job.session_id, apiKeyId: job.api_key_id }, 1);
+  if (rateLimited) {
+    return { rateLimited: rateLimited.body };
+  }
+
+  const delivery = await deliverMessage(client, {
+    userId: job.user_id,
+    sessionId: job.session_id,
+    apiKeyId: job.api_key_id,
+    recipient: phone ? phone.number : recipient,
+    content: message,
+    messageType: job.job_type,
+    lane: 'bulk',
+    recordBody: message,
+    clientReference: job.client_reference,
+    batchId: job.batch_id
+  });
+  if (delivery.error) {
+    const queueItem = await enqueueBatchDelivery({
+      userId: job.user_id,
+      sessionId: job.session_id,
+      apiKeyId: job.api_key_id,
+      recipient: phone ? phone.number : recipient,
+      messageType: job.job_type,
+      label: job.job_type === 'announcement' ? 'Announcement' : 'Bulk message',
+      content: message,
+      reference: job.batch_id,
+      cost: Number(job.cost_per_message)
+    }, delivery);
+    if (queueItem) {
+      return { outboundMessageId: delivery.outboundMessageId, queued: true, error: delivery.error };
+    }
+
+    await markOutboundMessageFailed(delivery.outboundMessageId, delivery.error);
+    return {
+      outboundMessageId: delivery.outboundMessageId,
+      error: delivery.unresolved ? 'Unable to resolve WhatsApp account. The number may not be registered on WhatsApp.' : delivery.error
+    };
+  }
+  return { outboundMessageId: delivery.outboundMessageId, whatsappMessageId: delivery.messageResult?.id?._serialized || null };
+}
+
+// Refund failed and cancelled recipients that have not been refunded yet
+async function settleBulkJobRefund(jobId) {
+  const { data: job, error } = await supabase
+    .from('bulk_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { count: unsent } = await supabase
+    .from('bulk_job_recipients')
+    .select('*', { count: 'exact', head: true })
+    .eq('job_id', jobId)
+    .in('status', ['failed', 'cancelled']);
+
+  const alreadyRefunded = Number(job.refunded_amount);
+  const due = (unsent || 0) * Number(job.cost_per_message) - alreadyRefunded;
+  if (due <= 0) {
+    return { job, refunded: 0, balance: null };
+  }
+
+  // Record the refund first, conditional on nobody else having settled in between
+  const { data: updated } = await supabase
+    .from('bulk_jobs')
+    .update({ refunded_amount: alreadyRefunded + due })
+    .eq('id', jobId)
+    .eq('refunded_amount', job.refunded_amount)
+    .select()
+    .maybeSingle();
+
+  if (!updated) {
+    return { job, refunded: 0, balance: null };
+  }
+
+  const refund = await refundBalance(
+    job.user_id,
+    job.session_id,
+    due,
+    `Refund: ${job.job_type === 'announcement' ? 'Announcement' : 'Bulk'} job ${jobId} unsent messages`,
+    `refund_${job.batch_id}`
+  );
+  console.log(`💰 Refunded ${due} IQD for bulk job ${jobId}`);
+
+  return { job: updated, refunded: due, balance: refund.balanceAfter };
+}
+
+// Mark a job completed once every recipient has been processed, then refund, log and notify
+async function finishBulkJob(jobId) {
+  const { data: job } = await supabase
+    .from('bulk_jobs')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'running')
+    .select()
+    .maybeSingle();
+
+  if (!job) return;
+
+  const { refunded } = await settleBulkJobRefund(jobId);
+
+  const { data: jobRecipients } = await supabase
+    .from('bulk_job_recipients')
+    .select('recipient, status, error_message')
+    .eq('job_id', jobId)
+    .order('position', { ascending: true })
+    .range(0, job.total_recipients - 1);
+
+  const errors = (jobRecipients || [])
+    .filter(entry => entry.status === 'failed')
+    .map(entry => ({ recipient: entry.recipient, error: entry.error_message }));
+
+  await supabase.from('automation_logs').insert({
+    user_id: job.user_id,
+    session_id: job.session_id,
+    type: job.job_type === 'announcement' ? 'announcement' : 'api_message',
+    recipients: JSON.stringify((jobRecipients || []).map(entry => entry.recipient)), // Store as JSON string
+    message: job.message,
+    status: job.sent_count > 0 ? 'sent' : 'failed',
+    error_message: errors.length > 0 ? JSON.stringify(errors) : null,
+  });
+
+  console.log(`✅ Bulk job ${jobId} completed: ${job.sent_count}/${job.total_recipients} successful`);
+
+  triggerWebhooks(job.user_id, job.session_id, job.job_type, {
+    success: job.sent_count > 0,
+    event: job.job_type === 'announcement' ? 'announcement_sent' : 'bulk_job_completed',
+    jobId,
+    batchId: job.batch_id,
+    clientReference: job.client_reference,
+    totalRecipients: job.total_recipients,
+    successfulSends: job.sent_count,
+    failedSends: job.failed_count,
+    queuedSends: job.queued_count,
+    errors,
+    refunded,
+    message: job.message,
+    timestamp: new Date().toISOString()
+  }).catch(err => console.error('Webhook error (non-blocking):', err));
+}
+
+// Work through a job's pending recipients until it finishes, is paused or cancelled, or the session drops
+async function runBulkJob(jobId) {
+  if (activeBulkJobs.has(jobId)) return;
+  if (rateLimitedBulkJobs.get(jobId) > Date.now()) return;
+
+  const { data: job } = await supabase
+    .from('bulk_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .in('status', ['queued', 'running'])
+    .maybeSingle();
+
+  if (!job || activeBulkJobs.has(jobId)) return;
+
+  // One job at a time per WhatsApp session, in creation order
+  if ([...activeBulkJobs.values()].includes(job.session_id)) return;
+
+  const client = clients.get(job.session_id);
+  if (!isClientReady(client)) return; // Picked up again by the poller once the session is back
+
+  activeBulkJobs.set(jobId, job.session_id);
+  try {
+    const { data: claimed } = await supabase
+      .from('bulk_jobs')
+      .update({ status: 'running', started_at: job.started_at || new Date().toISOString() })
+      .eq('id', jobId)
+      .in('status', ['queued', 'running'])
+      .select()
+      .maybeSingle();
+
+    if (!claimed) return;
+
+    let sent = claimed.sent_count;
+    let failed = claimed.failed_count;
+    let queued = claimed.queued_count;
+    let status = claimed.status;
+    console.log(`📦 Running bulk job ${jobId} (${sent + failed + queued}/${claimed.total_recipients} done)`);
+
+    while (status === 'running') {
+      const { data: batch, error } = await supabase
+        .from('bulk_job_recipients')
+        .select('id, recipient, message')
+        .eq('job_id', jobId)
+        .eq('status', 'pending')
+        .order('position', { ascending: true })
+        .limit(BULK_JOB_BATCH_SIZE);
+
+      if (error) {
+        throw error;
+      }
+
+      if (!batch || batch.length === 0) {
+        await finishBulkJob(jobId);
+        return;
+      }
+
+      for (const entry of batch) {
+        if (!isClientReady(client)) {
+          console.log(`⏸️ Bulk job ${jobId} waiting for session ${job.session_id} to reconnect`);
+          return;
+        }
+
+        // Claim the recipient - skips ones cancelled since the select
+        const { data: claimedEntry } = await supabase
+          .from('bulk_job_recipients')
+          .update({ status: 'sending' })
+          .eq('id', entry.id)
+          .eq('status', 'pending')
+          .select('id')
+          .maybeSingle();
+
+        if (!claimedEntry) continue;
+
+        const result = await sendBulkJobRecipient(claimed, client, entry.recipient, entry.message || claimed.message);
+        if (result.rateLimited) {
+          // Put the recipient back and pick the job up again once there is room
+          await supabase.from('bulk_job_recipients').update({ status: 'pending' }).eq('id', entry.id);
+          const waitSeconds = result.rateLimited.retryAfter || RATE_LIMIT_UNAVAILABLE_RETRY_SECONDS;
+          rateLimitedBulkJobs.set(jobId, Date.now() + waitSeconds * 1000);
+          console.log(`⏳ Bulk job ${jobId} waiting ${waitSeconds}s for the rate limit (${result.rateLimited.reason || result.rateLimited.code})`);
+          return;
+        }
+
+        await supabase
+          .from('bulk_job_recipients')
+          .update({
+            status: result.queued ? 'queued' : result.error ? 'failed' : 'sent',
+            outbound_message_id: result.outboundMessageId || null,
+            whatsapp_message_id: result.whatsappMessageId || null,
+            error_message: result.error || null,
+            processed_at: new Date().toISOString()
+          })
+          .eq('id', entry.id);
+
+        if (result.queued) {
+          queued++;
+        } else if (result.error) {
+          failed++;
+          console.error(`❌ Bulk job ${jobId}: failed to send to ${entry.recipient}:`, result.error);
+        } else {
+          sent++;
+        }
+
+        // If session is closed, stop sending and clean up
+        if (result.error && result.error.includes('Session closed')) {
+          clients.delete(job.session_id);
+          await supabase
+            .from('whatsapp_sessions')
+            .update({ status: 'disconnected' })
+            .eq('session_id', job.session_id);
+        }
+
+        // Save progress and pick up any pause/cancel made through the API meanwhile
+        const { data: progress } = await supabase
+          .from('bulk_jobs')
+          .update({ sent_count: sent, failed_count: failed, queued_count: queued })
+          .eq('id', jobId)
+          .select('status')
+          .single();
+
+        status = progress ? progress.status : status;
+        if (status !== 'running') break;
+      }
+    }
+
+    if (status === 'cancelled') {
+      await settleBulkJobRefund(jobId);
+    }
+    console.log(`⏸️ Bulk job ${jobId} stopped: ${status}`);
+  } finally {
+    activeBulkJobs.delete(jobId);
+  }
+}
+
+// Start any queued or interrupted jobs whose session is free
+async function processBulkJobs() {
+  try {
+    const { data: jobs, error } = await supabase
+      .from('bulk_jobs')
+      .select('id')
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      console.error('❌ Error fetching bulk jobs:', error.message);
+      return;
+    }
+
+    // Forget waits that are over, including ones of jobs paused or cancelled meanwhile
+    for (const [id, until] of rateLimitedBulkJobs) {
+      if (until <= Date.now()) rateLimitedBulkJobs.delete(id);
+    }
+
+    for (const { id } of jobs || []) {
+      if (activeBulkJobs.has(id)) continue;
+      runBulkJob(id).catch(err => console.error(`❌ Error running bulk job ${id}:`, err));
+    }
+  } catch (error) {
+    console.error('❌ Error processing bulk jobs:', error);
+  }
+}
+
+// Pause a queued or running job; the worker stops after the recipient it is sending
+async function pauseBulkJob(filters, jobId) {
+  let query = supabase
+    .from('bulk_jobs')
+    .update({ status: 'paused' })
+    .eq('id', jobId)
+    .in('status', ['queued', 'running']);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: job, error } = await query.select().maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (job) {
+    console.log(`⏸️ Paused bulk job ${jobId}`);
+  }
+  return job;
+}
+
+// Put a paused job back in the queue
+async function resumeBulkJob(filters, jobId) {
+  let query = supabase
+    .from('bulk_jobs')
+    .update({ status: 'queued' })
+    .eq('id', jobId)
+    .eq('status', 'paused');
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: job, error } = await query.select().maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (job) {
+    console.log(`▶️ Resumed bulk job ${jobId}`);
+    runBulkJob(jobId).catch(err => console.error(`❌ Error running bulk job ${jobId}:`, err));
+  }
+  return job;
+}
+
+// Cancel a job, skip its pending recipients and refund everything not sent
+async function cancelBulkJob(filters, jobId) {
+  let query = supabase
+    .from('bulk_jobs')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .in('status', ['queued', 'running', 'paused']);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: cancelled, error } = await query.select().maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (!cancelled) {
+    return null;
+  }
+
+  const { data: skipped } = await supabase
+    .from('bulk_job_recipients')
+    .update({ status: 'cancelled', processed_at: new Date().toISOString() })
+    .eq('job_id', jobId)
+    .eq('status', 'pending')
+    .select('id');
+
+  await supabase
+    .from('bulk_jobs')
+    .update({ cancelled_count: skipped ? skipped.length : 0 })
+    .eq('id', jobId);
+
+  const { job, refunded, balance } = await settleBulkJobRefund(jobId);
+
+  console.log(`🛑 Cancelled bulk job ${jobId}, skipped ${skipped ? skipped.length : 0} recipients`);
+  return { job, progress: getBulkJobProgress(job), refunded, balance };
+}
+
+// Look up a job, returning a 404/409 friendly reason when an action does not apply to its status
+async function describeBulkJobState(filters, jobId, action) {
+  let query = supabase
+    .from('bulk_jobs')
+    .select('status')
+    .eq('id', jobId);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+  const { data } = await query.maybeSingle();
+  if (!data) {
+    return { status: 404, error: 'Job not found' };
+  }
+  return { status: 409, error: `Cannot ${action} a job that is ${data.status}` };
+}
+
+// Load a job with its progress and one page of per-recipient results
+async function getBulkJobDetails(filters, jobId, { recipientStatus, limit, offset }) {
+  let query = supabase
+    .from('bulk_jobs')
+    .select('*')
+    .eq('id', jobId);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: job, error } = await query.maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (!job) {
+    return null;
+  }
+
+  let recipientsQuery = supabase
+    .from('bulk_job_recipients')
+    .select('position, recipient, status, outbound_message_id, whatsapp_message_id, error_message, processed_at')
+    .eq('job_id', jobId)
+    .order('position', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (recipientStatus) {
+    recipientsQuery = recipientsQuery.eq('status', recipientStatus);
+  }
+
+  const { data: recipients, error: recipientsError } = await recipientsQuery;
+  if (recipientsError) {
+    throw recipientsError;
+  }
+
+  return { job, progress: getBulkJobProgress(job), recipients: recipients || [] };
+}
+
+// Pick up jobs on server startup and start the worker
+async function restoreBulkJobs() {
+  try {
+    console.log('🔄 Restoring bulk jobs...');
+
+    // A restart mid-send leaves the recipient's delivery unknown - fail it (refunded) rather than risk a duplicate
+    const { data: interrupted, error: resetError } = await supabase
+      .from('bulk_job_recipients')
+      .update({
+        status: 'failed',
+        error_message: 'Interrupted by a server restart; delivery status unknown',
+        processed_at: new Date().toISOString()
+      })
+      .eq('status', 'sending')
+      .select('job_id');
+
+    if (resetError) {
+      console.error('❌ Error resetting interrupted bulk job recipients:', resetError);
+    } else if (interrupted && interrupted.length > 0) {
+      console.log(`⚠️ Marked ${interrupted.length} interrupted bulk job recipient(s) as failed`);
+      for (const jobId of new Set(interrupted.map(entry => entry.job_id))) {
+        const { count } = await supabase
+          .from('bulk_job_recipients')
+          .select('*', { count: 'exact', head: true })
+          .eq('job_id', jobId)
+          .eq('status', 'failed');
+        await supabase.from('bulk_jobs').update({ failed_count: count || 0 }).eq('id', jobId);
+      }
+    }
+
+    const { count, error } = await supabase
+      .from('bulk_jobs')
+      .select('*', { count: 'exact', head: true })
+      .in('status', ['queued', 'running']);
+
+    if (error) {
+      console.error('❌ Error counting bulk jobs:', error);
+    } else {
+      console.log(`📦 ${count || 0} bulk job(s) to resume`);
+    }
+
+    if (!bulkJobInterval) {
+      bulkJobInterval = setInterval(processBulkJobs, BULK_JOB_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('❌ Error restoring bulk jobs:', error);
+  }
+}
+
+// ==================== MESSAGE TEMPLATES ====================
+
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const TEMPLATE_LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const DEFAULT_TEMPLATE_LANGUAGE = 'en';
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_TEMPLATE_BODY_LENGTH = 4096;
+
+// List the distinct {{variable}} names used in a template body
+function extractTemplateVariables(body) {
+  const variables = new Set();
+  for (const match of body.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    variables.add(match[1]);
+  }
+  return [...variables];
+}
+
+// Validate template input and map it to columns; with partial, only fields present are checked
+function buildTemplateFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    if (input.name.trim().length > MAX_TEMPLATE_NAME_LENGTH) {
+      return { error: `name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters` };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (!partial || input.language !== undefined) {
+    const language = String(input.language || DEFAULT_TEMPLATE_LANGUAGE).trim().toLowerCase();
+    if (!TEMPLATE_LANGUAGE_PATTERN.test(language)) {
+      return { error: "language must be a language code such as 'en', 'ar' or 'ku'" };
+    }
+    fields.language = language;
+  }
+
+  if (!partial || input.body !== undefined) {
+    if (typeof input.body !== 'string' || !input.body.trim()) {
+      return { error: 'body is required' };
+    }
+    if (input.body.length > MAX_TEMPLATE_BODY_LENGTH) {
+      return { error: `body must be at most ${MAX_TEMPLATE_BODY_LENGTH} characters` };
+    }
+    // Braces left over after removing valid placeholders are almost always a typo
+    const leftover = input.body.replace(TEMPLATE_VARIABLE_PATTERN, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) {
+      return { error: 'body contains a malformed placeholder. Use {{variableName}} (letters, digits and underscores)' };
+    }
+    fields.body = input.body;
+    fields.variables = extractTemplateVariables(input.body);
+  }
+
+  if (input.description !== undefined) fields.description = input.description || null;
+  if (input.isActive !== undefined) fields.is_active = Boolean(input.isActive);
+
+  return { fields };
+}
+
+// Substitute variables into a template, reporting any required ones that are missing
+function renderTemplate(template, variables = {}) {
+  const missingVariables = (template.variables || []).filter(name =>
+    variables[name] === undefined || variables[name] === null || String(variables[name]).trim() === ''
+  );
+  if (missingVariables.length > 0) {
+    return { error: 'Missing template variables', missingVariables };
+  }
+
+  return { text: template.body.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => String(variables[name])) };
+}
+
+// Load a template for a user, switching to the requested language variant of the same name
+async function resolveTemplate(userId, templateId, language) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(templateId))) {
+    return { status: 400, error: 'templateId must be a template UUID' };
+  }
+
+  const { data: template, error } = await supabase
+    .from('message_templates')
+    .select('*')
+    .eq('id', templateId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!template) {
+    return { status: 404, error: 'Template not found' };
+  }
+
+  let resolved = template;
+  const requestedLanguage = language ? String(language).trim().toLowerCase() : null;
+  if (requestedLanguage && requestedLanguage !== template.language) {
+    const { data: variant, error: variantError } = await supabase
+      .from('message_templates')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('name', template.name)
+      .eq('language', requestedLanguage)
+      .maybeSingle();
+
+    if (variantError) {
+      throw variantError;
+    }
+    if (!variant) {
+      return { status: 404, error: `Template '${template.name}' has no '${requestedLanguage}' variant` };
+    }
+    resolved = variant;
+  }
+
+  if (!resolved.is_active) {
+    return { status: 400, error: `Template '${resolved.name}' (${resolved.language}) is inactive` };
+  }
+
+  return { template: resolved };
+}
+
+// Resolve the templateId of a send request to its template; plain message requests resolve to no template
+async function resolveMessageTemplate(userId, { message, templateId, variables, language }) {
+  if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+    return { status: 400, error: 'variables must be an object of name/value pairs' };
+  }
+  if (templateId === undefined || templateId === null) {
+    return { template: null };
+  }
+  if (!userId) {
+    return { status: 400, error: 'userId is required when sending with templateId' };
+  }
+  if (message) {
+    return { status: 400, error: 'Provide either message or templateId, not both' };
+  }
+
+  return resolveTemplate(userId, templateId, language);
+}
+
+// Turn the message/templateId/variables fields of a send request into the text to send
+async function resolveMessageContent(userId, fields) {
+  const { template, status, error } = await resolveMessageTemplate(userId, fields);
+  if (error) {
+    return { status, error };
+  }
+  if (!template) {
+    return { message: fields.message };
+  }
+
+  const rendered = renderTemplate(template, fields.variables || {});
+  if (rendered.error) {
+    return { status: 400, error: rendered.error, missingVariables: rendered.missingVariables };
+  }
+
+  return { message: rendered.text, template };
+}
+
+// Validate bulk recipients (phone strings or { phone, variables } objects) and render each one's message.
+// Entries are { input, recipient, e164, message }; e164 is null for WhatsApp ids that aren't phone numbers.
+// Request-level variables apply to everyone; a recipient's own variables override them.
+// Phone numbers are normalized against defaultCountry; full WhatsApp ids other than @c.us are kept as-is.
+// A number given more than once (in any format) is sent to once, for its first entry; the rest are reported.
+function prepareBulkRecipients(recipients, { message, template, variables = {}, defaultCountry = DEFAULT_PHONE_COUNTRY }) {
+  const isPersonalized = Boolean(template) ||
+    Object.keys(variables).length > 0 ||
+    recipients.some(entry => entry && typeof entry === 'object' && entry.variables);
+
+  // A plain message is only treated as a template when the request asks for personalization
+  const body = template || (isPersonalized ? { body: message, variables: extractTemplateVariables(message) } : null);
+
+  const entries = [];
+  const errors = [];
+  const seen = new Set(); // Normalized recipients already accepted
+
+  for (const entry of recipients) {
+    const isObject = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const phone = isObject ? entry.phone : entry;
+
+    if ((typeof phone !== 'string' && typeof phone !== 'number') || String(phone).trim() === '') {
+      errors.push({ recipient: phone ?? null, error: 'Each recipient needs a phone number' });
+      continue;
+    }
+
+    const input = String(phone).trim();
+    let recipient = input;
+    let e164 = null;
+    if (!recipient.includes('@') || recipient.endsWith('@c.us')) {
+      const normalized = normalizePhoneNumber(recipient, { defaultCountry });
+      if (normalized.error) {
+        errors.push({ recipient, error: `Invalid phone number: ${normalized.error}` });
+        continue;
+      }
+      recipient = normalized.number;
+      e164 = normalized.e164;
+    }
+
+    if (seen.has(recipient)) {
+      errors.push({ recipient, input, error: 'Duplicate recipient; it is sent to once', code: 'duplicate_recipient' });
+      continue;
+    }
+
+    if (!body) {
+      seen.add(recipient);
+      entries.push({ input, recipient, e164 });
+      continue;
+    }
+
+    const recipientVariables = isObject ? entry.variables : undefined;
+    if (recipientVariables !== undefined && (typeof recipientVariables !== 'object' || recipientVariables === null || Array.isArray(recipientVariables))) {
+      errors.push({ recipient, error: 'variables must be an object of name/value pairs' });
+      continue;
+    }
+
+    const rendered = renderTemplate(body, { ...variables, ...recipientVariables });
+    if (rendered.error) {
+      errors.push({ recipient, error: rendered.error, missingVariables: rendered.missingVariables });
+      continue;
+    }
+
+    seen.add(recipient);
+    entries.push({ input, recipient, e164, message: rendered.text });
+  }
+
+  return { entries, errors, body: body ? body.body : message };
+}
+
+// Insert a template, or return a 400/409 reason
+async function createTemplate(userId, input) {
+  const { fields, error: validationError } = buildTemplateFields(input);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+
+  const { data: template, error } = await supabase
+    .from('message_templates')
+    .insert({ user_id: userId, ...fields })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return { status: 409, error: `Template '${fields.name}' already has a '${fields.language}' variant` };
+    }
+    throw error;
+  }
+
+  return { template };
+}
+
+// Update a template, or return a 400/404/409 reason
+async function updateTemplate(userId, templateId, input) {
+  const { fields, error: validationError } = buildTemplateFields(input, { partial: true });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (Object.keys(fields).length === 0) {
+    return { status: 400, error: 'No template fields to update' };
+  }
+
+  const { data: template, error } = await supabase
+    .from('message_templates')
+    .update(fields)
+    .eq('id', templateId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { status: 409, error: 'Another template already uses this name and language' };
+    }
+    throw error;
+  }
+  if (!template) {
+    return { status: 404, error: 'Template not found' };
+  }
+
+  return { template };
+}
+
+// List a user's templates, optionally filtered by name and language
+async function listTemplates(userId, { name, language } = {}) {
+  let query = supabase
+    .from('message_templates')
+    .select('*')
+    .eq('user_id', userId)
+    .order('name', { ascending: true })
+    .order('language', { ascending: true });
+
+  if (name) {
+    query = query.eq('name', name);
+  }
+  if (language) {
+    query = query.eq('language', String(language).toLowerCase());
+  }
+
+  const { data: templates, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return templates || [];
+}
+
+// ==================== CONTACT CHECKS ====================
+
+const MAX_CONTACT_CHECK_NUMBERS = 100; // Per request
+const CONTACT_CHECK_CONCURRENCY = 5; // Lookups in flight at once, to stay gentle on the WhatsApp session
+const CONTACT_CHECK_RATE_LIMITS = [
+  { name: 'rate_limit_minute', windowMs: 60 * 1000, limit: parseInt(process.env.CONTACT_CHECK_LIMIT_PER_MINUTE) || 300 },
+  { name: 'rate_limit_hour', windowMs: 60 * 60 * 1000, limit: parseInt(process.env.CONTACT_CHECK_LIMIT_PER_HOUR) || 3000 },
+  { name: 'rate_limit_day', windowMs: 24 * 60 * 60 * 1000, limit: parseInt(process.env.CONTACT_CHECK_LIMIT_PER_DAY) || 20000 }
+];
+
+// Limiter key of an account's registration checks
+function getContactCheckRateLimitKey(userId) {
+  return `contact_check:${userId}`;
+}
+
+// Registration checks have their own limits in the shared limiter, counted in looked-up numbers rather than
+// messages and seeded from contact_checks after a restart. Takes numberCount numbers and returns { allowed: true }
+// or { allowed: false, reason, limit, current }; throws when past usage can't be loaded, so callers fail closed.
+async function checkContactCheckRateLimit(userId, numberCount) {
+  const key = getContactCheckRateLimitKey(userId);
+  await seedRateLimitWindows(key, CONTACT_CHECK_RATE_LIMITS, async (from, to) => {
+    const { count, error } = await supabase
+      .from('contact_checks')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .gte('checked_at', from.toISOString())
+      .lt('checked_at', to.toISOString());
+    if (error) {
+      throw error;
+    }
+    return count || 0;
+  });
+
+  const { allowed, window } = takeRateLimit(key, CONTACT_CHECK_RATE_LIMITS, numberCount);
+  if (allowed) {
+    return { allowed: true };
+  }
+  return { allowed: false, reason: window.name, limit: window.limit, current: window.used };
+}
+
+// Look up whether each number is on WhatsApp, a few at a time
+async function lookupWhatsAppNumbers(client, numbers) {
+  const results = new Map();
+  let next = 0;
+
+  const worker = async () => {
+    while (next < numbers.length) {
+      const number = numbers[next++];
+      try {
+        const numberId = await client.getNumberId(number);
+        results.set(number, {
+          registered: Boolean(numberId && numberId._serialized),
+          whatsappId: numberId && numberId._serialized ? numberId._serialized : null
+        });
+      } catch (error) {
+        results.set(number, { error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONTACT_CHECK_CONCURRENCY, numbers.length) }, worker));
+  return results;
+}
+
+// ==================== GROUPS ====================
+
+const GROUP_PARTICIPANT_ACTIONS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants'
+};
+const MAX_GROUP_PARTICIPANTS_PER_REQUEST = 50;
+
+// Accept a full group id (1203...@g.us) or just its numeric part
+function toGroupChatId(groupId) {
+  const value = String(groupId || '').trim();
+  if (/^[\d-]+@g\.us$/.test(value)) return value;
+  if (/^[\d-]+$/.test(value)) return `${value}@g.us`;
+  return null;
+}
+
+// Normalize phone numbers (or existing @c.us / @lid ids) into WhatsApp participant ids
+function toParticipantIds(participants, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const ids = [];
+  const invalid = [];
+
+  for (const participant of participants) {
+    const value = String(participant || '').trim();
+    if (/^\d+@(c\.us|lid)$/.test(value)) {
+      ids.push(value);
+      continue;
+    }
+    const phone = normalizePhoneNumber(value, { defaultCountry });
+    if (!phone.error) {
+      ids.push(`${phone.number}@c.us`);
+    } else {
+      invalid.push(participant);
+    }
+  }
+
+  return { ids: [...new Set(ids)], invalid };
+}
+
+// Format a group chat for API responses
+function formatGroup(chat, { withParticipants = false } = {}) {
+  const metadata = chat.groupMetadata || {};
+  const participants = metadata.participants || [];
+  const group = {
+    groupId: chat.id._serialized,
+    name: chat.name,
+    description: metadata.desc || null,
+    owner: metadata.owner ? metadata.owner._serialized : null,
+    createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    participantCount: participants.length,
+    unreadCount: chat.unreadCount || 0
+  };
+
+  if (withParticipants) {
+    group.participants = participants.map(participant => ({
+      id: participant.id._serialized,
+      phone: participant.id.server === 'c.us' ? participant.id.user : null,
+      isAdmin: !!participant.isAdmin,
+      isSuperAdmin: !!participant.isSuperAdmin
+    }));
+  }
+
+  return group;
+}
+
+// Load a group chat of the session, or an error to return
+async function getSessionGroup(client, groupId) {
+  const chatId = toGroupChatId(groupId);
+  if (!chatId) {
+    return { status: 400, error: 'Invalid group id. Use the groupId returned by GET /api/v1/groups (e.g., 120363012345678901@g.us)' };
+  }
+
+  let chat;
+  try {
+    chat = await client.getChatById(chatId);
+  } catch {
+    chat = null;
+  }
+  if (!chat || !chat.isGroup) {
+    return { status: 404, error: 'Group not found. The session must be a member of the group.' };
+  }
+
+  return { group: chat };
+}
+
+// Whether the session's own number is an admin of the group
+function isSessionGroupAdmin(client, group) {
+  const me = client.info && client.info.wid ? client.info.wid.user : null;
+  const participants = (group.groupMetadata && group.groupMetadata.participants) || [];
+  return participants.some(participant => participant.id.user === me && (participant.isAdmin || participant.isSuperAdmin));
+}
+
+// ==================== CONVERSATIONS ====================
+
+// WhatsApp system messages that are not part of the conversation
+const CONVERSATION_IGNORED_TYPES = ['e2e_notification', 'notification', 'notification_template', 'gp2', 'protocol', 'call_log', 'ciphertext', 'revoked'];
+const CONVERSATION_STATUS_ORDER = ['sent', 'delivered', 'read'];
+
+// Store an inbound or outbound WhatsApp message in the conversation history (never throws)
+async function recordConversationMessage(userId, sessionId, message, direction) {
+  try {
+    if (CONVERSATION_IGNORED_TYPES.includes(message.type)) return;
+
+    const chatId = direction === 'inbound' ? message.from : message.to;
+    if (!chatId || chatId === 'status@broadcast') return;
+
+    const isGroup = chatId.endsWith('@g.us');
+    let chatName = null;
+    if (isGroup) {
+      try {
+        chatName = (await message.getChat()).name || null;
+      } catch {
+        chatName = null;
+      }
+    } else if (direction === 'inbound') {
+      chatName = message._data?.notifyName || null;
+    }
+
+    let quotedMessageId = null;
+    if (message.hasQuotedMsg) {
+      try {
+        quotedMessageId = (await message.getQuotedMessage())?.id?._serialized || null;
+      } catch {
+        quotedMessageId = null;
+      }
+    }
+
+    const { error } = await supabase.rpc('record_conversation_message', {
+      p_user_id: userId,
+      p_session_id: sessionId,
+      p_chat_id: chatId,
+      p_chat_name: chatName,
+      p_is_group: isGroup,
+      p_whatsapp_message_id: message.id._serialized,
+      p_direction: direction,
+      p_sender: direction === 'inbound' ? (message.author || message.from) : message.from,
+      p_message_type: message.type,
+      p_body: message.body || null,
+      p_has_media: !!message.hasMedia,
+      p_quoted_message_id: quotedMessageId,
+      p_message_at: new Date((message.timestamp || Date.now() / 1000) * 1000).toISOString()
+    });
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('⚠️ Error storing conversation message:', error.message);
+  }
+}
+
+// Move a stored outbound message forward on a message_ack (never backwards)
+async function applyConversationMessageAck(sessionId, whatsappMessageId, ack) {
+  let updates;
+  if (ack === -1) {
+    updates = { status: 'failed' };
+  } else if (ack === 2) {
+    updates = { status: 'delivered' };
+  } else if (ack >= 3) {
+    updates = { status: 'read', read_at: new Date().toISOString() };
+  } else {
+    return;
+  }
+
+  const earlierStatuses = updates.status === 'failed'
+    ? CONVERSATION_STATUS_ORDER
+    : CONVERSATION_STATUS_ORDER.slice(0, CONVERSATION_STATUS_ORDER.indexOf(updates.status));
+
+  const { error } = await supabase
+    .from('conversation_messages')
+    .update(updates)
+    .eq('session_id', sessionId)
+    .eq('whatsapp_message_id', whatsappMessageId)
+    .in('status', earlierStatuses);
+
+  if (error) {
+    console.error('⚠️ Error applying message ack to conversation:', error.message);
+  }
+}
+
+// Accept a WhatsApp chat id or a phone number (national formats use the account's default country).
+// Returns { chatId } or { error }.
+async function toConversationChatId(userId, chatId) {
+  const value = String(chatId || '').trim();
+  if (/^[\d-]+@(c\.us|lid|g\.us)$/.test(value)) return { chatId: value };
+
+  const phone = await normalizeAccountPhoneNumber(userId, value);
+  if (phone.error) {
+    return { error: `Invalid chat id: ${phone.error}. Use a chatId from GET /api/v1/chats or a phone number` };
+  }
+  return { chatId: `${phone.number}@c.us` };
+}
+
+// Opaque keyset cursor for (timestamp, id) ordered lists
+function encodeConversationCursor(timestamp, id) {
+  return Buffer.from(JSON.stringify([new Date(timestamp).toISOString(), id])).toString('base64url');
+}
+
+function decodeConversationCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // Both parts end up in a PostgREST filter, so only a valid date and a UUID are accepted
+    if (isNaN(new Date(timestamp).getTime())) return null;
+    if (typeof id !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) return null;
+    return { timestamp: new Date(timestamp).toISOString(), id };
+  } catch {
+    return null;
+  }
+}
+
+// Load a stored conversation of the session by chat id
+async function getSessionConversation(sessionId, chatId) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('session_id', sessionId)
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// ==================== INCOMING MEDIA ====================
+
+const INCOMING_MEDIA_RETENTION_DAYS = parseInt(process.env.INCOMING_MEDIA_RETENTION_DAYS) || 30;
+const MEDIA_SIGNED_URL_TTL_SECONDS = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS) || 24 * 60 * 60;
+
+// Format a stored media row (with a fresh signed URL) for webhooks and API responses
+async function formatIncomingMedia(record) {
+  const url = await createMediaSignedUrl(record.storage_path, MEDIA_SIGNED_URL_TTL_SECONDS);
+  return {
+    mediaId: record.id,
+    url,
+    urlExpiresAt: new Date(Date.now() + MEDIA_SIGNED_URL_TTL_SECONDS * 1000).toISOString(),
+    mimetype: record.mimetype,
+    filename: record.filename,
+    size: record.size_bytes,
+    sha256: record.sha256,
+    expiresAt: record.expires_at
+  };
+}
+
+// Download the media of an incoming message, upload it to storage and record it
+async function storeIncomingMessageMedia(userId, sessionId, message, mediaType) {
+  const media = await message.downloadMedia();
+  if (!media || !media.data) {
+    throw new Error('Media is no longer available on WhatsApp');
+  }
+
+  const stored = await storeMedia(sessionId, message.id._serialized, media);
+
+  const { data: record, error } = await supabase
+    .from('incoming_media')
+    .upsert({
+      user_id: userId,
+      session_id: sessionId,
+      whatsapp_message_id: message.id._serialized,
+      chat_id: message.from,
+      media_type: mediaType,
+      storage_path: stored.path,
+      mimetype: stored.mimetype,
+      filename: stored.filename,
+      size_bytes: stored.size,
+      sha256: stored.sha256,
+      expires_at: new Date(Date.now() + INCOMING_MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }, { onConflict: 'session_id,whatsapp_message_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  // Link the stored conversation message to its media
+  await supabase
+    .from('conversation_messages')
+    .update({ media_id: record.id })
+    .eq('session_id', sessionId)
+    .eq('whatsapp_message_id', message.id._serialized);
+
+  return formatIncomingMedia(record);
+}
+
+// Delete media files past their retention period (rows are kept with deleted_at set)
+async function purgeExpiredIncomingMedia() {
+  try {
+    const { data: expired, error } = await supabase
+      .from('incoming_media')
+      .select('id, storage_path')
+      .is('deleted_at', null)
+      .lt('expires_at', new Date().toISOString())
+      .limit(500);
+
+    if (error) {
+      throw error;
+    }
+    if (!expired || expired.length === 0) return;
+
+    const deleted = await deleteMedia(expired.map(record => record.storage_path));
+    if (!deleted) return;
+
+    await supabase
+      .from('incoming_media')
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', expired.map(record => record.id));
+
+    console.log(`🗑️ Deleted ${expired.length} incoming media file(s) past retention`);
+  } catch (error) {
+    console.error('⚠️ Error purging expired incoming media:', error.message);
+  }
+}
+
+// ==================== AUTO-REPLY RULES ====================
+
+const AUTO_REPLY_MATCH_TYPES = ['keyword', 'contains', 'exact', 'regex'];
+const MAX_AUTO_REPLY_PATTERN_LENGTH = 500;
+const AUTO_REPLY_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_AUTO_REPLY_TIMEZONE = 'Asia/Baghdad';
+
+// Tenant regexes run on the shared event loop: only the start of a message is matched, under a time limit
+const MAX_REGEX_INPUT_LENGTH = 1000;
+const REGEX_MATCH_TIMEOUT_MS = 50;
+const regexSandbox = vm.createContext({});
+const regexExecScript = new vm.Script('regex.exec(input)');
+
+// Compile a tenant-supplied pattern; returns { regex } or { error } for invalid or catastrophic patterns
+function compileTenantRegex(pattern, flags = '') {
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (regexError) {
+    return { error: `is not a valid regular expression: ${regexError.message}` };
+  }
+  if (!safeRegex(regex)) {
+    return { error: 'uses nested repetition that can take too long to match; simplify the pattern' };
+  }
+  return { regex };
+}
+
+// Run a tenant regex on text; a match that runs past the time limit counts as no match
+function execTenantRegex(regex, text) {
+  regexSandbox.regex = regex;
+  regexSandbox.input = text.slice(0, MAX_REGEX_INPUT_LENGTH);
+  try {
+    return regexExecScript.runInContext(regexSandbox, { timeout: REGEX_MATCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      console.warn(`⚠️ Regex /${regex.source}/ timed out after ${REGEX_MATCH_TIMEOUT_MS}ms; treated as no match`);
+    }
+    return null;
+  } finally {
+    regexSandbox.regex = null;
+    regexSandbox.input = null;
+  }
+}
+
+// Validate rule input and map it to columns; with partial, only fields present are checked
+function buildAutoReplyRuleFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (!partial || input.matchType !== undefined) {
+    const matchType = input.matchType || 'keyword';
+    if (!AUTO_REPLY_MATCH_TYPES.includes(matchType)) {
+      return { error: `matchType must be one of: ${AUTO_REPLY_MATCH_TYPES.join(', ')}` };
+    }
+    fields.match_type = matchType;
+  }
+
+  if (!partial || input.pattern !== undefined) {
+    if (typeof input.pattern !== 'string' || !input.pattern.trim()) {
+      return { error: 'pattern is required' };
+    }
+    if (input.pattern.length > MAX_AUTO_REPLY_PATTERN_LENGTH) {
+      return { error: `pattern must be at most ${MAX_AUTO_REPLY_PATTERN_LENGTH} characters` };
+    }
+    fields.pattern = input.pattern.trim();
+  }
+
+  // A regex pattern must compile and be safe to run; checked whenever either field changes
+  if ((fields.match_type || input.matchType) === 'regex' && fields.pattern) {
+    const { error: regexError } = compileTenantRegex(fields.pattern);
+    if (regexError) {
+      return { error: `pattern ${regexError}` };
+    }
+  }
+
+  if (input.caseSensitive !== undefined) fields.case_sensitive = Boolean(input.caseSensitive);
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority)) {
+      return { error: 'priority must be an integer (lower runs first)' };
+    }
+    fields.priority = input.priority;
+  }
+
+  if (input.replyMessage !== undefined) {
+    if (input.replyMessage !== null && (typeof input.replyMessage !== 'string' || !input.replyMessage.trim())) {
+      return { error: 'replyMessage must be a non-empty string' };
+    }
+    fields.reply_message = input.replyMessage;
+  }
+
+  if (input.templateId !== undefined) {
+    if (input.templateId !== null && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(input.templateId))) {
+      return { error: 'templateId must be a template UUID' };
+    }
+    fields.template_id = input.templateId;
+  }
+  if (input.templateLanguage !== undefined) {
+    fields.template_language = input.templateLanguage ? String(input.templateLanguage).trim().toLowerCase() : null;
+  }
+
+  if (!partial && !fields.reply_message && !fields.template_id) {
+    return { error: 'replyMessage or templateId is required' };
+  }
+
+  if (input.activeFrom !== undefined || input.activeTo !== undefined) {
+    const activeFrom = input.activeFrom || null;
+    const activeTo = input.activeTo || null;
+    if (!!activeFrom !== !!activeTo) {
+      return { error: 'activeFrom and activeTo must be set together (HH:MM), or both null' };
+    }
+    if (activeFrom && (!AUTO_REPLY_TIME_PATTERN.test(activeFrom) || !AUTO_REPLY_TIME_PATTERN.test(activeTo))) {
+      return { error: 'activeFrom and activeTo must use 24-hour HH:MM format' };
+    }
+    fields.active_from = activeFrom;
+    fields.active_to = activeTo;
+  }
+
+  if (input.activeDays !== undefined) {
+    if (input.activeDays !== null && (!Array.isArray(input.activeDays) || input.activeDays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: 'activeDays must be an array of weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    fields.active_days = input.activeDays && input.activeDays.length > 0 ? [...new Set(input.activeDays)] : null;
+  }
+
+  if (input.timezone !== undefined) {
+    const timezone = input.timezone || DEFAULT_AUTO_REPLY_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return { error: `Unknown timezone '${timezone}'. Use an IANA name such as Asia/Baghdad` };
+    }
+    fields.timezone = timezone;
+  }
+
+  if (input.cooldownMinutes !== undefined) {
+    if (!Number.isInteger(input.cooldownMinutes) || input.cooldownMinutes < 0) {
+      return { error: 'cooldownMinutes must be a non-negative integer' };
+    }
+    fields.cooldown_minutes = input.cooldownMinutes;
+  }
+
+  if (input.isActive !== undefined) fields.is_active = Boolean(input.isActive);
+
+  return { fields };
+}
+
+// Check that a template referenced by a rule belongs to the user
+async function verifyAutoReplyTemplate(userId, templateId) {
+  if (!templateId) return null;
+
+  const { data: template, error } = await supabase
+    .from('message_templates')
+    .select('id')
+    .eq('id', templateId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return template ? null : 'Template not found';
+}
+
+// Insert a rule for one of the user's sessions, or return a 400/404 reason
+async function createAutoReplyRule(userId, input) {
+  const { sessionId } = input;
+  if (!sessionId) {
+    return { status: 400, error: 'sessionId is required' };
+  }
+
+  const { fields, error: validationError } = buildAutoReplyRuleFields(input);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+
+  // Verify session belongs to user
+  const { data: session } = await supabase
+    .from('whatsapp_sessions')
+    .select('session_id')
+    .eq('session_id', sessionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const templateError = await verifyAutoReplyTemplate(userId, fields.template_id);
+  if (templateError) {
+    return { status: 404, error: templateError };
+  }
+
+  const { data: rule, error } = await supabase
+    .from('auto_reply_rules')
+    .insert({ user_id: userId, session_id: sessionId, ...fields })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { rule };
+}
+
+// Update a rule, or return a 400/404 reason
+async function updateAutoReplyRule(userId, ruleId, input) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('auto_reply_rules')
+    .select('*')
+    .eq('id', ruleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+  if (!existing) {
+    return { status: 404, error: 'Rule not found' };
+  }
+
+  // Validate the regex against the stored match type/pattern when only one of them changes
+  const { fields, error: validationError } = buildAutoReplyRuleFields({
+    ...input,
+    matchType: input.matchType !== undefined ? input.matchType : (input.pattern !== undefined ? existing.match_type : undefined),
+    pattern: input.pattern !== undefined ? input.pattern : (input.matchType !== undefined ? existing.pattern : undefined)
+  }, { partial: true });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (Object.keys(fields).length === 0) {
+    return { status: 400, error: 'No rule fields to update' };
+  }
+
+  const replyMessage = fields.reply_message !== undefined ? fields.reply_message : existing.reply_message;
+  const templateId = fields.template_id !== undefined ? fields.template_id : existing.template_id;
+  if (!replyMessage && !templateId) {
+    return { status: 400, error: 'A rule needs a replyMessage or a templateId' };
+  }
+
+  const templateError = await verifyAutoReplyTemplate(userId, fields.template_id);
+  if (templateError) {
+    return { status: 404, error: templateError };
+  }
+
+  const { data: rule, error } = await supabase
+    .from('auto_reply_rules')
+    .update(fields)
+    .eq('id', ruleId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { rule };
+}
+
+// Match incoming text against a rule; returns template variables from the match, or null
+function matchAutoReplyRule(rule, text) {
+  const flags = rule.case_sensitive ? '' : 'i';
+  const normalize = value => (rule.case_sensitive ? value : value.toLowerCase());
+  const body = text.trim();
+
+  if (rule.match_type === 'exact') {
+    return normalize(body) === normalize(rule.pattern) ? {} : null;
+  }
+
+  if (rule.match_type === 'contains') {
+    return normalize(body).includes(normalize(rule.pattern)) ? {} : null;
+  }
+
+  if (rule.match_type === 'keyword') {
+    // Whole-word match on any of the comma-separated keywords (works for Arabic script too)
+    const keywords = rule.pattern.split(',').map(keyword => keyword.trim()).filter(Boolean);
+    const words = normalize(body).split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    const joined = ` ${words.join(' ')} `;
+    const matched = keywords.find(keyword => joined.includes(` ${normalize(keyword).split(/[^\p{L}\p{N}_]+/u).filter(Boolean).join(' ')} `));
+    return matched ? { keyword: matched } : null;
+  }
+
+  // Rules saved before the safety check are still refused here
+  const { regex } = compileTenantRegex(rule.pattern, flags);
+  const match = regex ? execTenantRegex(regex, body) : null;
+  return match ? { ...(match.groups || {}) } : null;
+}
+
+// Whether a rule is inside its active hours and days (in the rule's timezone)
+function isAutoReplyRuleActiveNow(rule, now = new Date()) {
+  if (!rule.active_from && (!rule.active_days || rule.active_days.length === 0)) return true;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: rule.timezone || DEFAULT_AUTO_REPLY_TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+
+  if (rule.active_days && rule.active_days.length > 0) {
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+    if (!rule.active_days.includes(weekday)) return false;
+  }
+
+  if (rule.active_from && rule.active_to) {
+    const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+    const toMinutes = value => parseInt(value.slice(0, 2)) * 60 + parseInt(value.slice(3, 5));
+    const from = toMinutes(rule.active_from);
+    const to = toMinutes(rule.active_to);
+    // A window like 22:00-06:00 wraps past midnight
+    return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  }
+
+  return true;
+}
+
+// Whether the rule already replied to this contact within its cooldown
+async function isAutoReplyInCooldown(rule, chatId) {
+  if (!rule.cooldown_minutes) return false;
+
+  const { data, error } = await supabase
+    .from('auto_reply_events')
+    .select('id')
+    .eq('rule_id', rule.id)
+    .eq('chat_id', chatId)
+    .eq('status', 'sent')
+    .gt('created_at', new Date(Date.now() - rule.cooldown_minutes * 60 * 1000).toISOString())
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+  return data.length > 0;
+}
+
+// Record a matched message and bump the rule's counters
+async function recordAutoReplyEvent(rule, message, status, { outboundMessageId = null, errorMessage = null } = {}) {
+  await supabase.from('auto_reply_events').insert({
+    rule_id: rule.id,
+    user_id: rule.user_id,
+    session_id: rule.session_id,
+    chat_id: message.from,
+    incoming_message_id: message.id._serialized,
+    outbound_message_id: outboundMessageId,
+    status,
+    error_message: errorMessage
+  });
+
+  await supabase.rpc('increment_auto_reply_rule_counters', {
+    p_rule_id: rule.id,
+    p_replied: status === 'sent'
+  });
+}
+
+// Build the reply text for a rule: a fixed message or a rendered template
+async function renderAutoReply(rule, message, matchVariables) {
+  if (!rule.template_id) {
+    return { text: rule.reply_message };
+  }
+
+  const { template, error } = await resolveTemplate(rule.user_id, rule.template_id, rule.template_language);
+  if (error) {
+    return { error };
+  }
+
+  const rendered = renderTemplate(template, {
+    name: message._data?.notifyName || '',
+    phone: message.from.replace(/@.*$/, ''),
+    message: message.body,
+    ...matchVariables
+  });
+  if (rendered.error) {
+    return { error: `${rendered.error}: ${rendered.missingVariables.join(', ')}` };
+  }
+  return { text: rendered.text };
+}
+
+// Send a bot message (auto-reply, flow step or opt-out confirmation) to a chat, billed and logged like any
+// other outbound message. It answers a message the contact just sent, so the suppression list doesn't apply.
+// Returns { sent, outboundMessageId } (queued for retry counts as sent) or { sent: false, status, error }.
+async function sendAutomatedMessage(client, { userId, sessionId, chatId, text, messageType, label }) {
+  const result = await dispatchMessage(client, {
+    userId,
+    sessionId,
+    recipient: chatId.replace(/@c\.us$/, ''),
+    content: text,
+    messageType,
+    label,
+    recordBody: text,
+    reference: messageType,
+    skipSuppression: true
+  });
+
+  if (!result.status) {
+    return { sent: true, outboundMessageId: result.outboundMessageId };
+  }
+  const status = { 429: 'rate_limited', 402: 'insufficient_balance' }[result.status] || 'failed';
+  return { sent: false, status, error: result.body.reason || result.body.error, outboundMessageId: result.outboundMessageId };
+}
+
+// Send the reply for a matched rule and record the outcome
+async function sendAutoReply(client, rule, message, text) {
+  const result = await sendAutomatedMessage(client, {
+    userId: rule.user_id,
+    sessionId: rule.session_id,
+    chatId: message.from,
+    text,
+    messageType: 'auto_reply',
+    label: `Auto-reply '${rule.name}'`
+  });
+
+  await recordAutoReplyEvent(rule, message, result.sent ? 'sent' : result.status, {
+    outboundMessageId: result.outboundMessageId || null,
+    errorMessage: result.error || null
+  });
+
+  if (result.sent) {
+    console.log(`🤖 Auto-reply '${rule.name}' sent to ${message.from.replace(/@.*$/, '')}`);
+  }
+}
+
+// Evaluate a session's rules against an incoming one-to-one text message; the first match wins
+async function processAutoReplyRules(client, userId, sessionId, message) {
+  try {
+    if (message.fromMe || message.type !== 'chat' || !message.body || message.from.endsWith('@g.us')) return;
+
+    const { data: rules, error } = await supabase
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    for (const rule of rules || []) {
+      if (!isAutoReplyRuleActiveNow(rule)) continue;
+
+      const matchVariables = matchAutoReplyRule(rule, message.body);
+      if (!matchVariables) continue;
+
+      if (await isAutoReplyInCooldown(rule, message.from)) {
+        await recordAutoReplyEvent(rule, message, 'cooldown');
+        return;
+      }
+
+      const reply = await renderAutoReply(rule, message, matchVariables);
+      if (reply.error) {
+        await recordAutoReplyEvent(rule, message, 'template_error', { errorMessage: reply.error });
+        return;
+      }
+
+      await sendAutoReply(client, rule, message, reply.text);
+      return;
+    }
+  } catch (error) {
+    console.error('Error processing auto-reply rules:', error);
+  }
+}
+
+// ==================== CHATBOT FLOWS ====================
+
+const FLOW_STEP_TYPES = ['message', 'question', 'menu', 'end'];
+const FLOW_VALIDATION_TYPES = ['text', 'number', 'phone', 'email', 'regex'];
+const MAX_FLOW_STEPS = 50;
+const MAX_FLOW_MENU_OPTIONS = 10;
+const MAX_FLOW_STEPS_PER_MESSAGE = 20; // Guards against message steps that loop into each other
+const DEFAULT_FLOW_MAX_ATTEMPTS = 3;
+const DEFAULT_FLOW_INVALID_MESSAGE = "Sorry, I didn't understand that. Please try again.";
+const FLOW_TIMEOUT_POLL_INTERVAL_MS = 60 * 1000;
+const FLOW_VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Check a flow definition; returns an error message or null
+function validateFlowDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'definition must be an object with start and steps';
+  }
+
+  const { start, steps, cancelKeywords, timeoutMessage } = definition;
+  if (!steps || typeof steps !== 'object' || Array.isArray(steps)) {
+    return 'definition.steps must be an object keyed by step id';
+  }
+
+  const stepIds = Object.keys(steps);
+  if (stepIds.length === 0 || stepIds.length > MAX_FLOW_STEPS) {
+    return `definition.steps must have 1 to ${MAX_FLOW_STEPS} steps`;
+  }
+  if (!start || !steps[start]) {
+    return 'definition.start must be the id of a step';
+  }
+  if (cancelKeywords !== undefined && (!Array.isArray(cancelKeywords) || cancelKeywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+    return 'definition.cancelKeywords must be an array of strings';
+  }
+  if (timeoutMessage !== undefined && typeof timeoutMessage !== 'string') {
+    return 'definition.timeoutMessage must be a string';
+  }
+
+  const hasNext = (stepId, next) => {
+    if (!next || !steps[next]) {
+      return `Step '${stepId}' points to unknown step '${next}'`;
+    }
+    return null;
+  };
+
+  for (const [stepId, step] of Object.entries(steps)) {
+    if (!step || !FLOW_STEP_TYPES.includes(step.type)) {
+      return `Step '${stepId}' must have a type of: ${FLOW_STEP_TYPES.join(', ')}`;
+    }
+    if (step.message !== undefined && typeof step.message !== 'string') {
+      return `Step '${stepId}' message must be a string`;
+    }
+    if (step.type !== 'end' && !step.message) {
+      return `Step '${stepId}' needs a message`;
+    }
+
+    if (step.type === 'message') {
+      const nextError = hasNext(stepId, step.next);
+      if (nextError) return nextError;
+    }
+
+    if (step.type === 'question') {
+      if (!FLOW_VARIABLE_NAME_PATTERN.test(step.variable || '')) {
+        return `Step '${stepId}' needs a variable name (letters, digits and underscores)`;
+      }
+      const nextError = hasNext(stepId, step.next);
+      if (nextError) return nextError;
+
+      const validation = step.validation;
+      if (validation !== undefined) {
+        if (!validation || !FLOW_VALIDATION_TYPES.includes(validation.type)) {
+          return `Step '${stepId}' validation.type must be one of: ${FLOW_VALIDATION_TYPES.join(', ')}`;
+        }
+        if (validation.type === 'regex') {
+          if (typeof validation.pattern !== 'string' || validation.pattern.length > MAX_AUTO_REPLY_PATTERN_LENGTH) {
+            return `Step '${stepId}' validation.pattern must be a string of at most ${MAX_AUTO_REPLY_PATTERN_LENGTH} characters`;
+          }
+          const { error: regexError } = compileTenantRegex(validation.pattern);
+          if (regexError) {
+            return `Step '${stepId}' validation.pattern ${regexError}`;
+          }
+        }
+      }
+    }
+
+    if (step.type === 'menu') {
+      if (!FLOW_VARIABLE_NAME_PATTERN.test(step.variable || '')) {
+        return `Step '${stepId}' needs a variable name (letters, digits and underscores)`;
+      }
+      if (!Array.isArray(step.options) || step.options.length === 0 || step.options.length > MAX_FLOW_MENU_OPTIONS) {
+        return `Step '${stepId}' needs 1 to ${MAX_FLOW_MENU_OPTIONS} options`;
+      }
+      for (const option of step.options) {
+        if (!option || typeof option.label !== 'string' || !option.label.trim()) {
+          return `Step '${stepId}' options need a label`;
+        }
+        const nextError = hasNext(stepId, option.next || step.next);
+        if (nextError) return nextError;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Validate flow input and map it to columns; with partial, only fields present are checked
+function buildChatbotFlowFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = input.name.trim();
+  }
+
+  // The trigger uses the same matching (and validation) as auto-reply rules
+  if (!partial || input.matchType !== undefined || input.pattern !== undefined) {
+    const { fields: triggerFields, error } = buildAutoReplyRuleFields({
+      name: 'trigger',
+      matchType: input.matchType,
+      pattern: input.pattern,
+      replyMessage: 'trigger'
+    }, { partial });
+    if (error) {
+      return { error };
+    }
+    if (triggerFields.match_type !== undefined) fields.match_type = triggerFields.match_type;
+    if (triggerFields.pattern !== undefined) fields.pattern = triggerFields.pattern;
+  }
+
+  if (input.caseSensitive !== undefined) fields.case_sensitive = Boolean(input.caseSensitive);
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority)) {
+      return { error: 'priority must be an integer (lower is checked first)' };
+    }
+    fields.priority = input.priority;
+  }
+
+  if (!partial || input.definition !== undefined) {
+    const definitionError = validateFlowDefinition(input.definition);
+    if (definitionError) {
+      return { error: definitionError };
+    }
+    fields.definition = input.definition;
+  }
+
+  if (input.timeoutMinutes !== undefined) {
+    if (!Number.isInteger(input.timeoutMinutes) || input.timeoutMinutes <= 0) {
+      return { error: 'timeoutMinutes must be a positive integer' };
+    }
+    fields.timeout_minutes = input.timeoutMinutes;
+  }
+
+  if (input.isActive !== undefined) fields.is_active = Boolean(input.isActive);
+
+  return { fields };
+}
+
+// Fill {{variable}} placeholders from the collected answers (unknown ones become empty)
+function renderFlowText(text, variables) {
+  return String(text || '').replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  );
+}
+
+// Validate an answer to a question step; returns { value } or { error }
+function validateFlowAnswer(step, text) {
+  const answer = text.trim();
+  const validation = step.validation || { type: 'text' };
+
+  if (!answer) {
+    return { error: true };
+  }
+
+  switch (validation.type) {
+    case 'number': {
+      const value = Number(answer.replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit)));
+      if (!Number.isFinite(value)) return { error: true };
+      if (validation.min !== undefined && value < validation.min) return { error: true };
+      if (validation.max !== undefined && value > validation.max) return { error: true };
+      return { value };
+    }
+    case 'phone': {
+      const phone = normalizePhoneNumber(answer, { defaultCountry: DEFAULT_PHONE_COUNTRY });
+      return phone.error ? { error: true } : { value: phone.number };
+    }
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(answer) ? { value: answer } : { error: true };
+    case 'regex': {
+      // Steps saved before the safety check are still refused here; answers too long to match in full are too
+      const { regex } = compileTenantRegex(validation.pattern, validation.caseSensitive ? '' : 'i');
+      if (!regex || answer.length > MAX_REGEX_INPUT_LENGTH) return { error: true };
+      return execTenantRegex(regex, answer) ? { value: answer } : { error: true };
+    }
+    default:
+      if (validation.minLength !== undefined && answer.length < validation.minLength) return { error: true };
+      if (validation.maxLength !== undefined && answer.length > validation.maxLength) return { error: true };
+      return { value: answer };
+  }
+}
+
+// Pick a menu option by its number (1-based, Arabic digits too) or its label
+function selectFlowMenuOption(step, text) {
+  const answer = text.trim().replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit));
+  if (/^\d+$/.test(answer)) {
+    return step.options[parseInt(answer) - 1] || null;
+  }
+  return step.options.find(option => option.label.trim().toLowerCase() === answer.toLowerCase()) || null;
+}
+
+// Text sent for a step; menus get their numbered options appended
+function formatFlowStepMessage(step, variables) {
+  const text = renderFlowText(step.message, variables);
+  if (step.type !== 'menu') return text;
+  const options = step.options.map((option, index) => `${index + 1}. ${renderFlowText(option.label, variables)}`);
+  return `${text}\n\n${options.join('\n')}`;
+}
+
+// Send one flow message; ends the run as failed when it can't be sent
+async function sendFlowMessage(client, flow, state, text) {
+  const result = await sendAutomatedMessage(client, {
+    userId: flow.user_id,
+    sessionId: flow.session_id,
+    chatId: state.chat_id,
+    text,
+    messageType: 'chatbot_flow',
+    label: `Flow '${flow.name}' message`
+  });
+
+  if (!result.sent) {
+    await endFlowSession(flow, state, 'failed', { errorMessage: `${result.status}: ${result.error}` });
+  }
+  return result.sent;
+}
+
+// Close a contact's run; completed runs are reported to flow_completed webhooks
+async function endFlowSession(flow, state, status, { errorMessage = null } = {}) {
+  const endedAt = new Date().toISOString();
+
+  const { data: ended } = await supabase
+    .from('chatbot_flow_sessions')
+    .update({
+      status,
+      variables: state.variables,
+      current_step: state.current_step,
+      error_message: errorMessage,
+      ended_at: endedAt
+    })
+    .eq('id', state.id)
+    .eq('status', 'active')
+    .select('id');
+
+  // Another handler already closed this run
+  if (!ended || ended.length === 0) return;
+
+  if (status !== 'completed') return;
+
+  await supabase.rpc('increment_chatbot_flow_counter', { p_flow_id: flow.id, p_counter: 'completed' });
+  console.log(`🤖 Flow '${flow.name}' completed by ${state.chat_id.replace(/@.*$/, '')}`);
+
+  triggerWebhooks(flow.user_id, flow.session_id, 'flow_completed', {
+    success: true,
+    event: 'flow_completed',
+    flowId: flow.id,
+    flowName: flow.name,
+    runId: state.id,
+    contact: state.chat_id.replace(/@.*$/, ''),
+    chatId: state.chat_id,
+    variables: state.variables,
+    startedAt: state.started_at,
+    completedAt: endedAt,
+    timestamp: endedAt
+  }).catch(err => console.error('Webhook error (non-blocking):', err));
+}
+
+// Send steps from stepId until the flow waits for an answer or ends
+async function runFlowSteps(client, flow, state, stepId) {
+  const { steps } = flow.definition;
+  let currentId = stepId;
+
+  for (let i = 0; i < MAX_FLOW_STEPS_PER_MESSAGE; i++) {
+    const step = steps[currentId];
+    state.current_step = currentId;
+
+    if (step.type === 'end') {
+      if (step.message && !(await sendFlowMessage(client, flow, state, renderFlowText(step.message, state.variables)))) return;
+      await endFlowSession(flow, state, 'completed');
+      return;
+    }
+
+    if (!(await sendFlowMessage(client, flow, state, formatFlowStepMessage(step, state.variables)))) return;
+
+    if (step.type === 'message') {
+      currentId = step.next;
+      continue;
+    }
+
+    // question / menu: wait for the contact's answer
+    await supabase
+      .from('chatbot_flow_sessions')
+      .update({
+        current_step: currentId,
+        variables: state.variables,
+        attempts: 0,
+        last_activity_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + flow.timeout_minutes * 60 * 1000).toISOString()
+      })
+      .eq('id', state.id);
+    return;
+  }
+
+  await endFlowSession(flow, state, 'failed', { errorMessage: 'Flow looped through too many message steps' });
+}
+
+// Handle a contact's answer to the step their run is waiting on
+async function handleFlowAnswer(client, flow, state, text) {
+  const { steps, cancelKeywords } = flow.definition;
+  const step = steps[state.current_step];
+
+  if (!step) {
+    return endFlowSession(flow, state, 'failed', { errorMessage: `Step '${state.current_step}' no longer exists in the flow` });
+  }
+
+  if ((cancelKeywords || []).some(keyword => keyword.trim().toLowerCase() === text.trim().toLowerCase())) {
+    if (flow.definition.cancelMessage) {
+      await sendFlowMessage(client, flow, state, renderFlowText(flow.definition.cancelMessage, state.variables));
+    }
+    return endFlowSession(flow, state, 'cancelled');
+  }
+
+  let nextStepId = null;
+  if (step.type === 'menu') {
+    const option = selectFlowMenuOption(step, text);
+    if (option) {
+      state.variables = { ...state.variables, [step.variable]: option.value !== undefined ? option.value : option.label };
+      nextStepId = option.next || step.next;
+    }
+  } else {
+    const answer = validateFlowAnswer(step, text);
+    if (!answer.error) {
+      state.variables = { ...state.variables, [step.variable]: answer.value };
+      nextStepId = step.next;
+    }
+  }
+
+  if (nextStepId) {
+    return runFlowSteps(client, flow, state, nextStepId);
+  }
+
+  // Invalid answer: ask again, or give up after maxAttempts
+  const attempts = (state.attempts || 0) + 1;
+  if (attempts >= (step.maxAttempts || DEFAULT_FLOW_MAX_ATTEMPTS)) {
+    if (step.failMessage) {
+      await sendFlowMessage(client, flow, state, renderFlowText(step.failMessage, state.variables));
+    }
+    return endFlowSession(flow, state, 'failed', { errorMessage: `Too many invalid answers to step '${state.current_step}'` });
+  }
+
+  await supabase
+    .from('chatbot_flow_sessions')
+    .update({
+      attempts,
+      last_activity_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + flow.timeout_minutes * 60 * 1000).toISOString()
+    })
+    .eq('id', state.id);
+
+  await sendFlowMessage(client, flow, state, renderFlowText(step.errorMessage || DEFAULT_FLOW_INVALID_MESSAGE, state.variables));
+}
+
+// Start a flow for a contact (the unique index stops two runs starting at once)
+async function startFlowSession(client, flow, chatId) {
+  const { data: state, error } = await supabase
+    .from('chatbot_flow_sessions')
+    .insert({
+      flow_id: flow.id,
+      user_id: flow.user_id,
+      session_id: flow.session_id,
+      chat_id: chatId,
+      current_step: flow.definition.start,
+      variables: {},
+      expires_at: new Date(Date.now() + flow.timeout_minutes * 60 * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return; // Already running a flow
+    throw error;
+  }
+
+  await supabase.rpc('increment_chatbot_flow_counter', { p_flow_id: flow.id, p_counter: 'started' });
+  console.log(`🤖 Flow '${flow.name}' started for ${chatId.replace(/@.*$/, '')}`);
+
+  await runFlowSteps(client, flow, state, flow.definition.start);
+}
+
+// Continue a contact's active flow or start one whose trigger matches.
+// Returns true when the message was handled by a flow (so auto-reply rules are skipped).
+async function processChatbotFlows(client, userId, sessionId, message) {
+  try {
+    if (message.fromMe || message.type !== 'chat' || !message.body || message.from.endsWith('@g.us')) return false;
+
+    const { data: state, error: stateError } = await supabase
+      .from('chatbot_flow_sessions')
+      .select('*, chatbot_flows(*)')
+      .eq('session_id', sessionId)
+      .eq('chat_id', message.from)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (stateError) {
+      throw stateError;
+    }
+
+    if (state) {
+      const flow = state.chatbot_flows;
+      if (new Date(state.expires_at) > new Date() && flow && flow.is_active) {
+        await handleFlowAnswer(client, flow, state, message.body);
+        return true;
+      }
+      // Expired (or the flow was disabled) - close it and treat the message as new
+      await endFlowSession(flow || { id: state.flow_id }, state, flow && flow.is_active ? 'timed_out' : 'cancelled');
+    }
+
+    const { data: flows, error } = await supabase
+      .from('chatbot_flows')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const flow = (flows || []).find(candidate => matchAutoReplyRule(candidate, message.body));
+    if (!flow) return false;
+
+    await startFlowSession(client, flow, message.from);
+    return true;
+  } catch (error) {
+    console.error('Error processing chatbot flows:', error);
+    return false;
+  }
+}
+
+// Time out runs whose contact stopped answering, sending the flow's timeoutMessage if it has one
+async function processExpiredFlowSessions() {
+  try {
+    const { data: expired, error } = await supabase
+      .from('chatbot_flow_sessions')
+      .select('*, chatbot_flows(*)')
+      .eq('status', 'active')
+      .lt('expires_at', new Date().toISOString())
+      .limit(100);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const state of expired || []) {
+      const flow = state.chatbot_flows;
+      const { data: ended } = await supabase
+        .from('chatbot_flow_sessions')
+        .update({ status: 'timed_out', ended_at: new Date().toISOString() })
+        .eq('id', state.id)
+        .eq('status', 'active')
+        .select('id');
+
+      if (!ended || ended.length === 0 || !flow || !flow.definition.timeoutMessage) continue;
+
+      const client = clients.get(state.session_id);
+      if (!client || !isClientReady(client)) continue;
+
+      await sendAutomatedMessage(client, {
+        userId: flow.user_id,
+        sessionId: flow.session_id,
+        chatId: state.chat_id,
+        text: renderFlowText(flow.definition.timeoutMessage, state.variables),
+        messageType: 'chatbot_flow',
+        label: `Flow '${flow.name}' timeout message`
+      });
+    }
+  } catch (error) {
+    console.error('⚠️ Error timing out chatbot flows:', error.message);
+  }
+}
+
+// Insert a flow for one of the user's sessions, or return a 400/404 reason
+async function createChatbotFlow(userId, input) {
+  const { sessionId } = input;
+  if (!sessionId) {
+    return { status: 400, error: 'sessionId is required' };
+  }
+
+  const { fields, error: validationError } = buildChatbotFlowFields(input);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+
+  // Verify session belongs to user
+  const { data: session } = await supabase
+    .from('whatsapp_sessions')
+    .select('session_id')
+    .eq('session_id', sessionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const { data: flow, error } = await supabase
+    .from('chatbot_flows')
+    .insert({ user_id: userId, session_id: sessionId, ...fields })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { flow };
+}
+
+// Update a flow, or return a 400/404 reason. Contacts mid-run continue with the new definition.
+async function updateChatbotFlow(userId, flowId, input) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('chatbot_flows')
+    .select('match_type, pattern')
+    .eq('id', flowId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+  if (!existing) {
+    return { status: 404, error: 'Flow not found' };
+  }
+
+  // Validate the trigger regex against the stored match type/pattern when only one of them changes
+  const triggerChanged = input.matchType !== undefined || input.pattern !== undefined;
+  const { fields, error: validationError } = buildChatbotFlowFields({
+    ...input,
+    matchType: triggerChanged ? (input.matchType !== undefined ? input.matchType : existing.match_type) : undefined,
+    pattern: triggerChanged ? (input.pattern !== undefined ? input.pattern : existing.pattern) : undefined
+  }, { partial: true });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (Object.keys(fields).length === 0) {
+    return { status: 400, error: 'No flow fields to update' };
+  }
+
+  const { data: flow, error } = await supabase
+    .from('chatbot_flows')
+    .update(fields)
+    .eq('id', flowId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { flow };
+}
+
+// ==================== OPT-OUTS ====================
+
+// Defaults for accounts without opt-out settings
+const DEFAULT_OPT_OUT_SETTINGS = {
+  opt_out_enabled: true,
+  // Only words that mean unsubscribing: a whole message like CANCEL or END is usually an answer to a bot
+  opt_out_keywords: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'إيقاف', 'ايقاف', 'توقف', 'الغاء الاشتراك'],
+  opt_in_keywords: ['START', 'UNSTOP', 'SUBSCRIBE', 'اشتراك', 'تفعيل'],
+  opt_out_confirmation: null,
+  opt_in_confirmation: null
+};
+const MAX_SUPPRESSIONS_PER_REQUEST = 1000;
+const SUPPRESSION_QUERY_CHUNK_SIZE = 500;
+const SUPPRESSED_RECIPIENT_ERROR = 'Recipient has opted out of messages from this account';
+
+// Digits of a phone number or @c.us id, or null when it isn't a valid number.
+// Stored and WhatsApp numbers are international; pass the account's default country for typed input.
+function toSuppressionNumber(value, defaultCountry = null) {
+  const text = String(value ?? '').trim();
+  if (text.includes('@') && !text.endsWith('@c.us')) return null;
+  return normalizePhoneNumber(text, { defaultCountry }).number || null;
+}
+
+// Phone number of the contact who sent a one-to-one message (resolves @lid senders through the contact)
+async function getMessageSenderNumber(message) {
+  if (message.from.endsWith('@c.us')) {
+    return toSuppressionNumber(message.from);
+  }
+  try {
+    const contact = await message.getContact();
+    return toSuppressionNumber(contact && contact.number);
+  } catch (error) {
+    console.error(`⚠️ Could not resolve the number of ${message.from}:`, error.message);
+    return null;
+  }
+}
+
+// Account opt-out settings merged over the defaults
+async function getOptOutSettings(userId) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select(Object.keys(DEFAULT_OPT_OUT_SETTINGS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching opt-out settings:', error);
+  }
+  const config = { ...DEFAULT_OPT_OUT_SETTINGS };
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (value !== null && value !== undefined) config[key] = value;
+  }
+  return config;
+}
+
+// Which of these numbers are on the account's suppression list
+async function getSuppressedNumbers(userId, numbers) {
+  const unique = [...new Set(numbers.filter(Boolean))];
+  const suppressed = new Set();
+
+  for (let start = 0; start < unique.length; start += SUPPRESSION_QUERY_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('suppressed_numbers')
+      .select('phone_number')
+      .eq('user_id', userId)
+      .in('phone_number', unique.slice(start, start + SUPPRESSION_QUERY_CHUNK_SIZE));
+
+    if (error) {
+      throw error;
+    }
+    for (const row of data) {
+      suppressed.add(row.phone_number);
+    }
+  }
+
+  return suppressed;
+}
+
+// Whether a single recipient has opted out
+async function isRecipientSuppressed(userId, recipient) {
+  const number = toSuppressionNumber(recipient);
+  if (!number) return false;
+  const suppressed = await getSuppressedNumbers(userId, [number]);
+  return suppressed.has(number);
+}
+
+// Drop suppressed recipients from prepareBulkRecipients entries; they are reported per recipient and never charged
+async function filterSuppressedRecipients(userId, entries) {
+  const suppressed = await getSuppressedNumbers(userId, entries.map(entry => toSuppressionNumber(entry.recipient)));
+  if (suppressed.size === 0) {
+    return { entries, errors: [] };
+  }
+
+  const allowed = [];
+  const errors = [];
+  for (const entry of entries) {
+    if (suppressed.has(toSuppressionNumber(entry.recipient))) {
+      errors.push({ recipient: entry.recipient, error: SUPPRESSED_RECIPIENT_ERROR, code: 'recipient_opted_out' });
+    } else {
+      allowed.push(entry);
+    }
+  }
+  return { entries: allowed, errors };
+}
+
+// Add numbers to the suppression list, keeping existing entries as they are; returns the newly added rows
+async function addSuppressedNumbers(userId, numbers, { source, keyword = null, sessionId = null, reason = null }) {
+  const rows = [...new Set(numbers)].map(phoneNumber => ({
+    user_id: userId,
+    phone_number: phoneNumber,
+    source,
+    keyword,
+    session_id: sessionId,
+    reason
+  }));
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('suppressed_numbers')
+    .upsert(rows, { onConflict: 'user_id,phone_number', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+// Remove a number from the suppression list; returns whether it was on it
+async function removeSuppressedNumber(userId, phoneNumber) {
+  const { data, error } = await supabase
+    .from('suppressed_numbers')
+    .delete()
+    .eq('user_id', userId)
+    .eq('phone_number', phoneNumber)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+  return data.length > 0;
+}
+
+// Suppression list page, newest first, optionally filtered by source or a number prefix
+async function listSuppressedNumbers(userId, { limit, offset, source, search } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  let query = supabase
+    .from('suppressed_numbers')
+    .select('phone_number, source, keyword, session_id, reason, created_at', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (source) query = query.eq('source', source);
+  if (search) query = query.like('phone_number', `${String(search).replace(/\D/g, '')}%`);
+
+  const { data, count, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return { numbers: data, total: count || 0, limit: pageSize, offset: start };
+}
+
+// Validate the numbers of an add request (a single phoneNumber or a phoneNumbers array)
+function parseSuppressionRequest(body, defaultCountry) {
+  const input = Array.isArray(body.phoneNumbers) ? body.phoneNumbers : body.phoneNumber !== undefined ? [body.phoneNumber] : [];
+  if (input.length === 0) {
+    return { error: 'phoneNumber or a non-empty phoneNumbers array is required' };
+  }
+  if (input.length > MAX_SUPPRESSIONS_PER_REQUEST) {
+    return { error: `At most ${MAX_SUPPRESSIONS_PER_REQUEST} numbers can be added per request` };
+  }
+
+  const numbers = [];
+  const invalid = [];
+  for (const value of input) {
+    const number = toSuppressionNumber(value, defaultCountry);
+    if (number) numbers.push(number);
+    else invalid.push(value);
+  }
+  return { numbers, invalid };
+}
+
+// Handle opt-out / opt-in keywords from contacts; returns true when the message was one, so nothing else answers it.
+// Opt-in keywords only count from suppressed senders, so a flow trigger like START still reaches flows.
+async function processOptOutKeywords(client, userId, sessionId, message) {
+  try {
+    if (message.fromMe || message.type !== 'chat' || !message.body || message.from.endsWith('@g.us')) return false;
+    if (!isOptOutKeywordCandidate(message.body)) return false;
+
+    const settings = await getOptOutSettings(userId);
+    let phoneNumber;
+    const match = await matchOptOutKeyword(message.body, settings, async () => {
+      phoneNumber = await getMessageSenderNumber(message);
+      if (!phoneNumber) return false;
+      const suppressed = await getSuppressedNumbers(userId, [phoneNumber]);
+      return suppressed.has(phoneNumber);
+    });
+    if (!match) return false;
+
+    const optOut = match === 'opt_out';
+    if (optOut) phoneNumber = await getMessageSenderNumber(message);
+    if (!phoneNumber) {
+      console.warn(`⚠️ Opt-${optOut ? 'out' : 'in'} keyword from ${message.from} ignored: sender number unknown`);
+      return false;
+    }
+
+    const keyword = message.body.trim();
+    if (optOut) {
+      await addSuppressedNumbers(userId, [phoneNumber], { source: 'keyword', keyword, sessionId });
+      console.log(`🚫 ${phoneNumber} opted out ("${keyword}")`);
+    } else {
+      await removeSuppressedNumber(userId, phoneNumber);
+      console.log(`✅ ${phoneNumber} opted back in ("${keyword}")`);
+    }
+
+    // An opt-out keyword also revokes consent. An opt-in keyword only restores consent the contact had revoked,
+    // under its own source, so it never reads as a marketing opt-in for a number that never gave one.
+    if (optOut || await getConsentStatus(userId, phoneNumber) === 'revoked') {
+      await recordConsent(userId, [phoneNumber], {
+        action: optOut ? 'revoked' : 'granted',
+        source: optOut ? 'whatsapp_keyword' : 'whatsapp_opt_in_keyword',
+        proof: `Replied "${keyword}" on WhatsApp`,
+        capturedAt: new Date(message.timestamp * 1000),
+        recordedBy: 'keyword'
+      });
+    }
+
+    const event = optOut ? 'opt_out' : 'opt_in';
+    triggerWebhooks(userId, sessionId, event, {
+      success: true,
+      event,
+      phoneNumber,
+      keyword,
+      timestamp: new Date().toISOString()
+    }).catch(err => console.error('Webhook error (non-blocking):', err));
+
+    const confirmation = optOut ? settings.opt_out_confirmation : settings.opt_in_confirmation;
+    if (confirmation) {
+      const result = await sendAutomatedMessage(client, {
+        userId,
+        sessionId,
+        chatId: message.from,
+        text: confirmation,
+        messageType: `${event}_confirmation`,
+        label: `Opt-${optOut ? 'out' : 'in'} confirmation`
+      });
+      if (!result.sent) {
+        console.error(`⚠️ Opt-${optOut ? 'out' : 'in'} confirmation to ${phoneNumber} not sent: ${result.status} ${result.error}`);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error processing opt-out keywords:', error);
+    return false;
+  }
+}
+
+// ==================== CONTACT LISTS ====================
+
+const MAX_CONTACT_LIST_NAME_LENGTH = 100;
+const MAX_CONTACTS_PER_REQUEST = 5000;
+const MAX_CONTACT_TAGS = 20;
+const MAX_CONTACT_CUSTOM_FIELDS = 30;
+const CONTACT_INSERT_CHUNK_SIZE = 500;
+const CONTACT_PAGE_SIZE = 1000; // Rows fetched per round trip when loading a whole audience
+const CONTACT_FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,49}$/;
+const CONTACT_SEGMENT_FIELDS = ['tag', 'name', 'city', 'phone']; // Anything else is a custom field
+const CONTACT_SEGMENT_CONDITION_PATTERN = /^\s*([A-Za-z_][\w.]*)\s*(!=|=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))\s*/;
+
+// Validate contact list fields; partial for updates
+function buildContactListFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    if (input.name.trim().length > MAX_CONTACT_LIST_NAME_LENGTH) {
+      return { error: `name must be at most ${MAX_CONTACT_LIST_NAME_LENGTH} characters` };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.description !== undefined) fields.description = input.description || null;
+
+  return { fields };
+}
+
+// Insert a contact list, or return a 400/409 reason
+async function createContactList(userId, input) {
+  const { fields, error: validationError } = buildContactListFields(input);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+
+  const { data: list, error } = await supabase
+    .from('contact_lists')
+    .insert({ user_id: userId, ...fields })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return { status: 409, error: `A contact list named '${fields.name}' already exists` };
+    }
+    throw error;
+  }
+
+  return { list };
+}
+
+// Update a contact list's name or description, or return a 400/404/409 reason
+async function updateContactList(userId, listId, input) {
+  const { fields, error: validationError } = buildContactListFields(input, { partial: true });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (Object.keys(fields).length === 0) {
+    return { status: 400, error: 'No contact list fields to update' };
+  }
+
+  const { data: list, error } = await supabase
+    .from('contact_lists')
+    .update(fields)
+    .eq('id', listId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { status: 409, error: 'Another contact list already uses this name' };
+    }
+    if (error.code !== '22P02') {
+      throw error;
+    }
+  }
+  if (!list) {
+    return { status: 404, error: 'Contact list not found' };
+  }
+
+  return { list };
+}
+
+// Get one of the user's contact lists, or null
+async function getContactList(userId, listId) {
+  const { data: list, error } = await supabase
+    .from('contact_lists')
+    .select('*')
+    .eq('id', listId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error && error.code !== '22P02') { // Invalid UUID is just "not found"
+    throw error;
+  }
+  return list || null;
+}
+
+// Recount a list's contacts after they change
+async function refreshContactListCount(listId) {
+  const { count, error } = await supabase
+    .from('contact_list_contacts')
+    .select('*', { count: 'exact', head: true })
+    .eq('list_id', listId);
+
+  if (error) {
+    throw error;
+  }
+
+  await supabase
+    .from('contact_lists')
+    .update({ contact_count: count || 0 })
+    .eq('id', listId);
+  return count || 0;
+}
+
+// Validate one contact (a phone number, or { phone, name, city, tags, fields }) into a row
+function normalizeContact(entry, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const isObject = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+  const phone = isObject ? entry.phone : entry;
+
+  if ((typeof phone !== 'string' && typeof phone !== 'number') || String(phone).trim() === '') {
+    return { error: 'Each contact needs a phone number' };
+  }
+  const normalized = normalizePhoneNumber(phone, { defaultCountry });
+  if (normalized.error) {
+    return { error: `Invalid phone number: ${normalized.error}` };
+  }
+
+  const contact = { phone_number: normalized.number, name: null, city: null, tags: [], custom_fields: {} };
+  if (!isObject) {
+    return { contact };
+  }
+
+  for (const field of ['name', 'city']) {
+    if (entry[field] === undefined || entry[field] === null) continue;
+    if (typeof entry[field] !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    contact[field] = entry[field].trim() || null;
+  }
+
+  if (entry.tags !== undefined && entry.tags !== null) {
+    const tags = typeof entry.tags === 'string' ? entry.tags.split(',') : entry.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    contact.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (contact.tags.length > MAX_CONTACT_TAGS) {
+      return { error: `A contact can have at most ${MAX_CONTACT_TAGS} tags` };
+    }
+  }
+
+  if (entry.fields !== undefined && entry.fields !== null) {
+    if (typeof entry.fields !== 'object' || Array.isArray(entry.fields)) {
+      return { error: 'fields must be an object of name/value pairs' };
+    }
+    const names = Object.keys(entry.fields);
+    if (names.length > MAX_CONTACT_CUSTOM_FIELDS) {
+      return { error: `A contact can have at most ${MAX_CONTACT_CUSTOM_FIELDS} custom fields` };
+    }
+    for (const name of names) {
+      const value = entry.fields[name];
+      if (!CONTACT_FIELD_NAME_PATTERN.test(name)) {
+        return { error: `Invalid custom field name '${name}'. Use letters, digits and underscores` };
+      }
+      if (value === null || value === undefined) continue;
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        return { error: `Custom field '${name}' must be a string, number or boolean` };
+      }
+      contact.custom_fields[name] = String(value);
+    }
+  }
+
+  return { contact };
+}
+
+// Validate and de-duplicate contacts; a number given twice keeps its last entry
+function prepareContacts(entries, defaultCountry) {
+  const contacts = new Map();
+  const errors = [];
+  let duplicates = 0;
+
+  for (const entry of entries) {
+    const { contact, error } = normalizeContact(entry, defaultCountry);
+    if (error) {
+      const phone = entry !== null && typeof entry === 'object' ? entry.phone : entry;
+      errors.push({ phone: phone ?? null, error });
+      continue;
+    }
+    if (contacts.has(contact.phone_number)) {
+      duplicates++;
+    }
+    contacts.set(contact.phone_number, contact);
+  }
+
+  return { contacts: [...contacts.values()], errors, duplicates };
+}
+
+// Add or update contacts in a list; numbers already in the list have their fields replaced
+async function addContactsToList(list, contacts) {
+  let added = 0;
+  let updated = 0;
+
+  for (let start = 0; start < contacts.length; start += CONTACT_INSERT_CHUNK_SIZE) {
+    const chunk = contacts.slice(start, start + CONTACT_INSERT_CHUNK_SIZE);
+
+    const { data: existing, error: existingError } = await supabase
+      .from('contact_list_contacts')
+      .select('phone_number')
+      .eq('list_id', list.id)
+      .in('phone_number', chunk.map(contact => contact.phone_number));
+
+    if (existingError) {
+      throw existingError;
+    }
+
+    const { error } = await supabase
+      .from('contact_list_contacts')
+      .upsert(
+        chunk.map(contact => ({ list_id: list.id, user_id: list.user_id, ...contact })),
+        { onConflict: 'list_id,phone_number' }
+      );
+
+    if (error) {
+      throw error;
+    }
+
+    updated += existing.length;
+    added += chunk.length - existing.length;
+  }
+
+  const total = await refreshContactListCount(list.id);
+  return { added, updated, total };
+}
+
+// Parse a segment such as "tag = vip AND city = Baghdad" into conditions.
+// Fields: tag, name, city, phone, or any custom field (optionally written fields.<name>).
+function parseSegment(segment) {
+  if (typeof segment !== 'string' || !segment.trim()) {
+    return { error: 'segment must be a non-empty string such as "tag = vip AND city = Baghdad"' };
+  }
+
+  const conditions = [];
+  let rest = segment.trim();
+  while (rest) {
+    const match = rest.match(CONTACT_SEGMENT_CONDITION_PATTERN);
+    if (!match) {
+      return { error: `Invalid segment near '${rest.slice(0, 30)}'. Use conditions like field = value joined with AND` };
+    }
+
+    const name = match[1].toLowerCase() === 'tags' ? 'tag' : match[1];
+    const field = CONTACT_SEGMENT_FIELDS.includes(name.toLowerCase()) ? name.toLowerCase() : name.replace(/^fields\./i, '');
+    conditions.push({ field, negate: match[2] === '!=', value: match[3] ?? match[4] ?? match[5] });
+
+    rest = rest.slice(match[0].length);
+    if (!rest) break;
+    const joiner = rest.match(/^AND\s+/i);
+    if (!joiner) {
+      return { error: `Expected AND near '${rest.slice(0, 30)}'. Only AND is supported between conditions` };
+    }
+    rest = rest.slice(joiner[0].length);
+  }
+
+  return { conditions };
+}
+
+// Whether a contact row satisfies every segment condition (values compare case-insensitively)
+function matchesSegment(contact, conditions) {
+  return conditions.every(({ field, negate, value }) => {
+    const expected = value.trim().toLowerCase();
+    let matched;
+    if (field === 'tag') {
+      matched = (contact.tags || []).includes(expected);
+    } else if (field === 'phone') {
+      matched = contact.phone_number === value.replace(/[^\d]/g, '');
+    } else {
+      const actual = field === 'name' || field === 'city' ? contact[field] : (contact.custom_fields || {})[field];
+      matched = actual !== null && actual !== undefined && String(actual).trim().toLowerCase() === expected;
+    }
+    return negate ? !matched : matched;
+  });
+}
+
+// Load the contacts of a list (or of every list) that match optional segment conditions, one per number
+async function loadContacts(userId, { listId = null, conditions = [] } = {}) {
+  const contacts = new Map();
+
+  for (let start = 0; ; start += CONTACT_PAGE_SIZE) {
+    let query = supabase
+      .from('contact_list_contacts')
+      .select('phone_number, name, city, tags, custom_fields, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(start, start + CONTACT_PAGE_SIZE - 1);
+
+    if (listId) query = query.eq('list_id', listId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    for (const contact of data) {
+      if (!contacts.has(contact.phone_number) && matchesSegment(contact, conditions)) {
+        contacts.set(contact.phone_number, contact);
+      }
+    }
+    if (data.length < CONTACT_PAGE_SIZE) break;
+  }
+
+  return [...contacts.values()];
+}
+
+// Template variables a contact brings to a send: name, city and its custom fields
+function getContactVariables(contact) {
+  const variables = { ...(contact.custom_fields || {}) };
+  if (contact.name) variables.name = contact.name;
+  if (contact.city) variables.city = contact.city;
+  return variables;
+}
+
+// Recipients for a send request: the raw recipients array, or the contacts of a listId and/or segment
+async function resolveAudienceRecipients(userId, { recipients, listId, segment }) {
+  if (listId === undefined && segment === undefined) {
+    return { recipients };
+  }
+  if (recipients !== undefined) {
+    return { status: 400, error: 'Send either recipients or listId / segment, not both' };
+  }
+
+  let conditions = [];
+  if (segment !== undefined) {
+    const parsed = parseSegment(segment);
+    if (parsed.error) {
+      return { status: 400, error: parsed.error };
+    }
+    conditions = parsed.conditions;
+  }
+
+  if (listId !== undefined && !(await getContactList(userId, listId))) {
+    return { status: 404, error: 'Contact list not found' };
+  }
+
+  const contacts = await loadContacts(userId, { listId: listId || null, conditions });
+  if (contacts.length === 0) {
+    return { status: 400, error: listId ? 'No contacts in this list match the request' : 'No contacts match this segment' };
+  }
+
+  return {
+    recipients: contacts.map(contact => ({ phone: contact.phone_number, variables: getContactVariables(contact) }))
+  };
+}
+
+// Page of a list's contacts, optionally narrowed by a segment
+async function listContactListContacts(userId, listId, { limit, offset, segment } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  if (segment !== undefined) {
+    const parsed = parseSegment(segment);
+    if (parsed.error) {
+      return { status: 400, error: parsed.error };
+    }
+    const contacts = await loadContacts(userId, { listId, conditions: parsed.conditions });
+    return { contacts: contacts.slice(start, start + pageSize), total: contacts.length, limit: pageSize, offset: start };
+  }
+
+  const { data: contacts, count, error } = await supabase
+    .from('contact_list_contacts')
+    .select('phone_number, name, city, tags, custom_fields, created_at, updated_at', { count: 'exact' })
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .range(start, start + pageSize - 1);
+
+  if (error) {
+    throw error;
+  }
+  return { contacts, total: count || 0, limit: pageSize, offset: start };
+}
+
+// Bulk-add request shared by the API and dashboard endpoints
+async function handleAddContacts(userId, listId, body) {
+  const list = await getContactList(userId, listId);
+  if (!list) {
+    return { status: 404, error: 'Contact list not found' };
+  }
+
+  const entries = Array.isArray(body.contacts) ? body.contacts : null;
+  if (!entries || entries.length === 0) {
+    return { status: 400, error: 'contacts must be a non-empty array' };
+  }
+  if (entries.length > MAX_CONTACTS_PER_REQUEST) {
+    return { status: 400, error: `At most ${MAX_CONTACTS_PER_REQUEST} contacts can be added per request` };
+  }
+
+  const { contacts, errors, duplicates } = prepareContacts(entries, await getAccountDefaultCountry(userId));
+  if (contacts.length === 0) {
+    return { status: 400, error: 'None of the contacts are valid', errors };
+  }
+
+  const { added, updated, total } = await addContactsToList(list, contacts);
+  console.log(`📇 Contact list ${listId}: ${added} added, ${updated} updated, ${errors.length} invalid`);
+  return { result: { added, updated, duplicates, invalid: errors.length, errors, total } };
+}
+
+// Remove one number from a list; returns whether it was there
+async function removeContactFromList(userId, listId, phone) {
+  const phoneNumber = String(phone || '').replace(/[^\d]/g, '');
+  const { data, error } = await supabase
+    .from('contact_list_contacts')
+    .delete()
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+    .eq('phone_number', phoneNumber)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') return false; // Invalid list id
+    throw error;
+  }
+  if (data.length > 0) {
+    await refreshContactListCount(listId);
+  }
+  return data.length > 0;
+}
+
+// ==================== CONSENT RECORDS ====================
+
+const MAX_CONSENTS_PER_REQUEST = 1000;
+const MAX_CONSENT_SOURCE_LENGTH = 100;
+const MAX_CONSENT_PROOF_LENGTH = 2000;
+const CONSENT_QUERY_CHUNK_SIZE = 500;
+const CONSENT_EXPORT_PAGE_SIZE = 1000;
+const CONSENT_EXPORT_COLUMNS = ['phone_number', 'action', 'source', 'proof', 'captured_at', 'recorded_by', 'api_key_id', 'created_at'];
+const CONSENT_REQUIRED_ERROR = 'Recipient has no active consent on record';
+
+// Validate a capture / revoke request: numbers plus the source, proof and time of the change
+function parseConsentRequest(body, action, defaultCountry) {
+  const input = Array.isArray(body.phoneNumbers) ? body.phoneNumbers : body.phoneNumber !== undefined ? [body.phoneNumber] : [];
+  if (input.length === 0) {
+    return { error: 'phoneNumber or a non-empty phoneNumbers array is required' };
+  }
+  if (input.length > MAX_CONSENTS_PER_REQUEST) {
+    return { error: `At most ${MAX_CONSENTS_PER_REQUEST} numbers can be recorded per request` };
+  }
+
+  const source = typeof body.source === 'string' ? body.source.trim() : '';
+  if (action === 'granted' && !source) {
+    return { error: "source is required (where consent was given, e.g. 'web_form' or 'in_store')" };
+  }
+  if (source.length > MAX_CONSENT_SOURCE_LENGTH) {
+    return { error: `source must be at most ${MAX_CONSENT_SOURCE_LENGTH} characters` };
+  }
+
+  const proof = typeof body.proof === 'string' ? body.proof.trim() : '';
+  if (action === 'granted' && !proof) {
+    return { error: 'proof is required (e.g. the wording the contact agreed to, or a form submission reference)' };
+  }
+  if (proof.length > MAX_CONSENT_PROOF_LENGTH) {
+    return { error: `proof must be at most ${MAX_CONSENT_PROOF_LENGTH} characters` };
+  }
+
+  let capturedAt = new Date();
+  if (body.capturedAt !== undefined) {
+    capturedAt = new Date(body.capturedAt);
+    if (typeof body.capturedAt !== 'string' || isNaN(capturedAt.getTime())) {
+      return { error: 'capturedAt must be an ISO 8601 timestamp' };
+    }
+    if (capturedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+      return { error: 'capturedAt cannot be in the future' };
+    }
+  }
+
+  const numbers = [];
+  const invalid = [];
+  for (const value of input) {
+    const number = toSuppressionNumber(value, defaultCountry);
+    if (number) numbers.push(number);
+    else invalid.push(value);
+  }
+
+  return { numbers: [...new Set(numbers)], invalid, source: source || null, proof: proof || null, capturedAt };
+}
+
+// Record consent being granted or revoked: one history event per number, and the number's current state
+async function recordConsent(userId, numbers, { action, source, proof = null, capturedAt = new Date(), recordedBy, apiKeyId = null }) {
+  const resolvedSource = source || recordedBy;
+  const capturedAtIso = capturedAt.toISOString();
+
+  for (let start = 0; start < numbers.length; start += CONSENT_QUERY_CHUNK_SIZE) {
+    const chunk = numbers.slice(start, start + CONSENT_QUERY_CHUNK_SIZE);
+
+    const { error: eventsError } = await supabase.from('consent_events').insert(chunk.map(phoneNumber => ({
+      user_id: userId,
+      phone_number: phoneNumber,
+      action,
+      source: resolvedSource,
+      proof,
+      captured_at: capturedAtIso,
+      recorded_by: recordedBy,
+      api_key_id: apiKeyId
+    })));
+    if (eventsError) {
+      throw eventsError;
+    }
+
+    // The change captured last wins, whatever order changes are recorded in: a backdated change only goes
+    // into the history. A revocation wins a tie, so a grant never overrides a revocation captured at the same time.
+    const changed = action === 'granted'
+      ? await supabase
+        .from('consents')
+        .update({ status: action, source: resolvedSource, proof, granted_at: capturedAtIso, revoked_at: null })
+        .eq('user_id', userId)
+        .in('phone_number', chunk)
+        .or(`revoked_at.is.null,revoked_at.lt."${capturedAtIso}"`)
+        .or(`granted_at.is.null,granted_at.lte."${capturedAtIso}"`)
+        .select('phone_number')
+      // A revocation keeps the source, proof and granted_at of the grant it revokes (its own are in the history)
+      : await supabase
+        .from('consents')
+        .update({ status: action, revoked_at: capturedAtIso })
+        .eq('user_id', userId)
+        .in('phone_number', chunk)
+        .or(`revoked_at.is.null,revoked_at.lte."${capturedAtIso}"`)
+        .or(`granted_at.is.null,granted_at.lte."${capturedAtIso}"`)
+        .select('phone_number');
+    if (changed.error) {
+      throw changed.error;
+    }
+
+    // Numbers without a state yet; ones with a later change on record are left as they are
+    const changedNumbers = new Set(changed.data.map(row => row.phone_number));
+    const unknown = chunk.filter(phoneNumber => !changedNumbers.has(phoneNumber));
+    if (unknown.length > 0) {
+      const { error: stateError } = await supabase
+        .from('consents')
+        .upsert(unknown.map(phoneNumber => ({
+          user_id: userId,
+          phone_number: phoneNumber,
+          status: action,
+          source: resolvedSource,
+          proof,
+          granted_at: action === 'granted' ? capturedAtIso : null,
+          revoked_at: action === 'revoked' ? capturedAtIso : null
+        })), { onConflict: 'user_id,phone_number', ignoreDuplicates: true });
+      if (stateError) {
+        throw stateError;
+      }
+    }
+  }
+
+  return numbers.length;
+}
+
+// Current consent status of a number ('granted' or 'revoked'), or null when nothing is on record
+async function getConsentStatus(userId, phoneNumber) {
+  const { data, error } = await supabase
+    .from('consents')
+    .select('status')
+    .eq('user_id', userId)
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data ? data.status : null;
+}
+
+// Which of these numbers have active consent
+async function getConsentedNumbers(userId, numbers) {
+  const unique = [...new Set(numbers.filter(Boolean))];
+  const consented = new Set();
+
+  for (let start = 0; start < unique.length; start += CONSENT_QUERY_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('consents')
+      .select('phone_number')
+      .eq('user_id', userId)
+      .eq('status', 'granted')
+      .in('phone_number', unique.slice(start, start + CONSENT_QUERY_CHUNK_SIZE));
+
+    if (error) {
+      throw error;
+    }
+    for (const row of data) {
+      consented.add(row.phone_number);
+    }
+  }
+
+  return consented;
+}
+
+// Whether a recipient has active consent (strict consent jobs check again at send time)
+async function hasRecipientConsent(userId, recipient) {
+  const number = toSuppressionNumber(recipient);
+  if (!number) return false;
+  const consented = await getConsentedNumbers(userId, [number]);
+  return consented.has(number);
+}
+
+// Strict consent mode: drop prepareBulkRecipients entries without active consent, reported per recipient
+async function filterUnconsentedRecipients(userId, entries) {
+  const consented = await getConsentedNumbers(userId, entries.map(entry => toSuppressionNumber(entry.recipient)));
+
+  const allowed = [];
+  const errors = [];
+  for (const entry of entries) {
+    if (consented.has(toSuppressionNumber(entry.recipient))) {
+      allowed.push(entry);
+    } else {
+      errors.push({ recipient: entry.recipient, error: CONSENT_REQUIRED_ERROR, code: 'consent_required' });
+    }
+  }
+  return { entries: allowed, errors };
+}
+
+// A number's current consent and its full history, newest first
+async function getConsentHistory(userId, phoneNumber) {
+  const { data: consent, error } = await supabase
+    .from('consents')
+    .select('phone_number, status, source, proof, granted_at, revoked_at, updated_at')
+    .eq('user_id', userId)
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const { data: events, error: eventsError } = await supabase
+    .from('consent_events')
+    .select(CONSENT_EXPORT_COLUMNS.join(', '))
+    .eq('user_id', userId)
+    .eq('phone_number', phoneNumber)
+    .order('created_at', { ascending: false });
+
+  if (eventsError) {
+    throw eventsError;
+  }
+
+  return { consent: consent || null, events };
+}
+
+// Every consent event in a date range (oldest first), for audit exports
+async function exportConsentEvents(userId, { from, to, phoneNumber } = {}) {
+  const events = [];
+
+  for (let start = 0; ; start += CONSENT_EXPORT_PAGE_SIZE) {
+    let query = supabase
+      .from('consent_events')
+      .select(CONSENT_EXPORT_COLUMNS.join(', '))
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(start, start + CONSENT_EXPORT_PAGE_SIZE - 1);
+
+    if (from) query = query.gte('created_at', from.toISOString());
+    if (to) query = query.lte('created_at', to.toISOString());
+    if (phoneNumber) query = query.eq('phone_number', phoneNumber);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    events.push(...data);
+    if (data.length < CONSENT_EXPORT_PAGE_SIZE) break;
+  }
+
+  return events;
+}
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas are prefixed with '
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Send a consent export as JSON or as a CSV download
+async function sendConsentExport(userId, query, res) {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+  }
+
+  let phoneNumber = null;
+  if (query.phoneNumber) {
+    phoneNumber = toSuppressionNumber(query.phoneNumber, await getAccountDefaultCountry(userId));
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)' });
+    }
+  }
+
+  const events = await exportConsentEvents(userId, { from, to, phoneNumber });
+  console.log(`📤 Exporting ${events.length} consent events for user ${userId}`);
+
+  if (query.format === 'csv') {
+    const lines = [CONSENT_EXPORT_COLUMNS.join(',')]
+      .concat(events.map(event => CONSENT_EXPORT_COLUMNS.map(column => toCsvCell(event[column])).join(',')));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="consent-history-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(`\uFEFF${lines.join('\r\n')}\r\n`); // BOM so spreadsheet apps read Arabic text correctly
+  }
+
+  res.json({ success: true, events, count: events.length, exportedAt: new Date().toISOString() });
+}
+
+// ==================== RATE LIMITING HELPERS ====================
+// Message rate limits are sliding windows kept in memory and counted per recipient message, so a
+// 2,000-number announcement takes 2,000. They are scoped per account (default), API key or session
+// with rate_limit_scope. A counter not seen since the server started is seeded once from outbound_messages.
+
+const RATE_LIMIT_WINDOWS = [
+  { name: 'rate_limit_minute', setting: 'rate_limit_per_minute', windowMs: 60 * 1000 },
+  { name: 'rate_limit_hour', setting: 'rate_limit_per_hour', windowMs: 60 * 60 * 1000 },
+  { name: 'rate_limit_day', setting: 'rate_limit_per_day', windowMs: 24 * 60 * 60 * 1000 }
+];
+const DEFAULT_RATE_LIMIT_SETTINGS = {
+  rate_limit_per_minute: 10,
+  rate_limit_per_hour: 100,
+  rate_limit_per_day: 1000,
+  rate_limit_scope: 'user'
+};
+// Scope -> outbound_messages column it is counted by
+const RATE_LIMIT_SCOPE_COLUMNS = { user: 'user_id', api_key: 'api_key_id', session: 'session_id' };
+
+// `${key}:${windowMs}` -> seeding promise. Kept after seeding: a counter is only pruned once its windows
+// are empty, so it rightly restarts at zero.
+const rateLimitSeeds = new Map();
+const RATE_LIMIT_UNAVAILABLE_RETRY_SECONDS = 5; // When a sender's usage could not be loaded
+
+// The account's limits and scope
+async function getRateLimitSettings(userId) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select(Object.keys(DEFAULT_RATE_LIMIT_SETTINGS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching rate limit settings:', error); // The defaults still apply
+  }
+  const config = { ...DEFAULT_RATE_LIMIT_SETTINGS };
+  for (const key of Object.keys(config)) {
+    if (settings && settings[key] !== null && settings[key] !== undefined) {
+      config[key] = settings[key];
+    }
+  }
+  return config;
+}
+
+// The counter key and windows that apply to a send. Sends without an API key (dashboard, auto-replies)
+// count against their session under the api_key scope, and sends without a session against the account.
+function getRateLimitBucket(settings, { userId, sessionId = null, apiKeyId = null }) {
+  let scope = settings.rate_limit_scope;
+  if (scope === 'api_key' && !apiKeyId) scope = 'session';
+  if (scope === 'session' && !sessionId) scope = 'user';
+
+  const value = { user: userId, api_key: apiKeyId, session: sessionId }[scope];
+  return {
+    scope,
+    column: RATE_LIMIT_SCOPE_COLUMNS[scope] || 'user_id',
+    value,
+    key: `${scope}:${value}`,
+    windows: RATE_LIMIT_WINDOWS.map(({ name, setting, windowMs }) => ({ name, windowMs, limit: Number(settings[setting]) }))
+  };
+}
+
+// Load a limiter key's recent usage the first time it is used; countBetween(from, to) counts usage in [from, to).
+// Rejects when it can't be loaded, and loads again next time.
+async function seedRateLimitWindows(key, windows, countBetween) {
+  await Promise.all(windows.map(({ windowMs }) => {
+    const seedId = `${key}:${windowMs}`;
+    if (!rateLimitSeeds.has(seedId)) {
+      const seeding = seedRateLimitCounter(key, windowMs, countBetween).catch(error => {
+        rateLimitSeeds.delete(seedId);
+        throw error;
+      });
+      rateLimitSeeds.set(seedId, seeding);
+    }
+    return rateLimitSeeds.get(seedId);
+  }));
+}
+
+// Load a bucket's recent usage from outbound_messages the first time it is used.
+// Throws when it can't be loaded: counting from zero would let a restart reset every limit.
+async function ensureRateLimitSeeded(bucket) {
+  await seedRateLimitWindows(bucket.key, bucket.windows, async (from, to) => {
+    const { count, error } = await supabase
+      .from('outbound_messages')
+      .select('*', { count: 'exact', head: true })
+      .eq(bucket.column, bucket.value)
+      .gte('created_at', from.toISOString())
+      .lt('created_at', to.toISOString());
+    if (error) {
+      throw error;
+    }
+    return count || 0;
+  });
+}
+
+// Rate limit bucket for a sender, ready to check
+async function loadRateLimitBucket(sender) {
+  const bucket = getRateLimitBucket(await getRateLimitSettings(sender.userId), sender);
+  await ensureRateLimitSeeded(bucket);
+  return bucket;
+}
+
+// Take messageCount messages from the sender's limits ({ userId, sessionId, apiKeyId }).
+// Returns { allowed: true, limit, remaining } or { allowed: false, reason, limit, current, remaining, retryAfter }.
+async function consumeRateLimit(sender, messageCount = 1) {
+  const bucket = await loadRateLimitBucket(sender);
+  const { allowed, window } = takeRateLimit(bucket.key, bucket.windows, messageCount);
+  if (allowed) {
+    return { allowed: true, limit: window.limit, remaining: window.remaining };
+  }
+  return {
+    allowed: false,
+    reason: window.name,
+    limit: window.limit,
+    current: window.used,
+    remaining: window.remaining,
+    // More messages than the window allows can never go out at once
+    retryAfter: Number.isFinite(window.retryAfterMs) ? Math.max(1, Math.ceil(window.retryAfterMs / 1000)) : null
+  };
+}
+
+// Give back messages taken by consumeRateLimit for a send that was refused after all (e.g. insufficient balance)
+async function releaseConsumedRateLimit(sender, messageCount = 1) {
+  const bucket = getRateLimitBucket(await getRateLimitSettings(sender.userId), sender);
+  releaseRateLimit(bucket.key, bucket.windows, messageCount);
+}
+
+// Set X-RateLimit-Limit, X-RateLimit-Remaining and Retry-After (seconds until one more message fits) from
+// the window with the fewest messages left, as it stands when the response is written
+function setRateLimitHeaders(res, bucket) {
+  const window = getRateLimitStatus(bucket.key, bucket.windows);
+  res.setHeader('X-RateLimit-Limit', String(window.limit));
+  res.setHeader('X-RateLimit-Remaining', String(window.remaining));
+  res.setHeader('Retry-After', String(Number.isFinite(window.retryAfterMs) ? Math.ceil(window.retryAfterMs / 1000) : 0));
+}
+
+// Drop counters of senders that have been idle for a whole window
+function pruneRateLimits() {
+  const removed = pruneRateLimitCounters();
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} idle rate limit counter(s)`);
+  }
+}
+
+
+// ==================== WEBHOOK HELPERS ====================
+
+// Setup incoming message handlers for a client
+function setupIncomingMessageHandlers(client, userId, sessionId) {
+  // Handle incoming messages
+  client.on('message', async (message) => {
+    try {
+      // Skip messages from status broadcasts
+      if (message.from === 'status@broadcast') {
+        return;
+      }
+
+      // Store the message first so it is kept even if webhook delivery fails
+      await recordConversationMessage(userId, sessionId, message, 'inbound');
+
+      // Get message details
+      const from = message.from;
+      const body = message.body || '';
+      const hasMedia = message.hasMedia;
+      const type = message.type;
+      const timestamp = message.timestamp * 1000; // Convert to milliseconds
+      
+      // Determine message type and payload
+      let messageType = 'text';
+      let payload = {
+        success: true,
+        event: 'message_received',
+        from: from.replace('@c.us', ''),
+        timestamp: new Date(timestamp).toISOString(),
+        messageType: type,
+        hasMedia: hasMedia
+      };
+
+      // Group messages come from the group id; the sender is the participant (author)
+      if (from.endsWith('@g.us')) {
+        payload.isGroup = true;
+        payload.groupId = from;
+        payload.participant = message.author || null;
+        payload.participantPhone = message.author && message.author.endsWith('@c.us') ? message.author.replace('@c.us', '') : null;
+        payload.mentionedIds = (message.mentionedIds || []).map(id => (typeof id === 'string' ? id : id._serialized));
+      }
+
+      // Handle different message types
+      if (type === 'location') {
+        messageType = 'location';
+        const location = message.location;
+        payload.location = {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          name: location.name || null,
+          address: location.address || null
+        };
+      } else if (type === 'image' || type === 'video' || type === 'audio' || type === 'document') {
+        messageType = 'media';
+        payload.mediaType = type;
+        if (hasMedia) {
+          try {
+            payload.media = await storeIncomingMessageMedia(userId, sessionId, message, type);
+          } catch (e) {
+            console.error('Error storing incoming media:', e);
+            payload.media = null;
+            payload.mediaError = e.message;
+          }
+        }
+      } else if (type === 'sticker') {
+        messageType = 'sticker';
+      } else if (type === 'voice') {
+        messageType = 'voice';
+      } else {
+        // Text message
+        messageType = 'text';
+        payload.text = body;
+      }
+
+      // Trigger webhooks for incoming messages
+      await triggerWebhooks(userId, sessionId, `incoming_${messageType}`, payload);
+      
+      // Also trigger generic incoming message webhook
+      await triggerWebhooks(userId, sessionId, 'incoming_message', {
+        ...payload,
+        messageType: messageType
+      });
+
+      // Opt-out / opt-in keywords come first; otherwise continue or start a chatbot flow,
+      // then answer keyword / regex auto-reply rules
+      const handledByOptOut = await processOptOutKeywords(client, userId, sessionId, message);
+      const handledByFlow = !handledByOptOut && await processChatbotFlows(client, userId, sessionId, message);
+      if (!handledByOptOut && !handledByFlow) {
+        await processAutoReplyRules(client, userId, sessionId, message);
+      }
+
+    } catch (error) {
+      console.error('Error handling incoming message:', error);
+    }
+  });
+
+  // Store messages sent from this session (API, dashboard or the phone itself)
+  client.on('message_create', async (message) => {
+    if (message.fromMe) {
+      await recordConversationMessage(userId, sessionId, message, 'outbound');
+    }
+  });
+
+  // Forward poll votes so callers can run confirmations and surveys
+  client.on('vote_update', async (vote) => {
+    try {
+      const pollMessageId = vote.parentMessage?.id?._serialized || vote.parentMsgKey?._serialized || null;
+
+      // Link the vote to the poll we sent, when it went out through the API
+      const { data: outbound } = await supabase
+        .from('outbound_messages')
+        .select('id, client_reference')
+        .eq('session_id', sessionId)
+        .eq('whatsapp_message_id', pollMessageId)
+        .limit(1)
+        .maybeSingle();
+
+      await triggerWebhooks(userId, sessionId, 'poll_vote', {
+        success: true,
+        event: 'poll_vote',
+        voter: (vote.voter || '').replace(/@.*$/, ''),
+        pollMessageId,
+        messageId: outbound ? outbound.id : null,
+        clientReference: outbound ? outbound.client_reference : null,
+        pollName: vote.parentMessage?.pollName || null,
+        selectedOptions: vote.selectedOptions.map(option => ({ name: option.name || null, localId: option.localId })),
+        votedAt: vote.interractedAtTs ? new Date(vote.interractedAtTs).toISOString() : new Date().toISOString(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error handling poll vote:', error);
+    }
+  });
+
+  // Handle message acknowledgments (delivered, read)
+  client.on('message_ack', async (msg, ack) => {
+    try {
+      // Keep the per-recipient outbound record in step with WhatsApp
+      if (msg.fromMe) {
+        await applyOutboundMessageAck(sessionId, msg.id._serialized, ack);
+        await applyConversationMessageAck(sessionId, msg.id._serialized, ack);
+      }
+
+      if (ack === 3) { // Read
+        await triggerWebhooks(userId, sessionId, 'message_read', {
+          success: true,
+          event: 'message_read',
+          messageId: msg.id._serialized,
+          from: msg.from.replace('@c.us', ''),
+          timestamp: new Date().toISOString()
+        });
+      } else if (ack === 2) { // Delivered
+        await triggerWebhooks(userId, sessionId, 'message_delivered', {
+          success: true,
+          event: 'message_delivered',
+          messageId: msg.id._serialized,
+          from: msg.from.replace('@c.us', ''),
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('Error handling message ack:', error);
+    }
+  });
+}
+
+// Trigger webhooks for a given event (async, fire and forget)
+async function triggerWebhooks(userId, sessionId, eventType, payload) {
+  try {
+    // Get active webhooks for this user and session
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('session_id', sessionId)
+      .eq('is_active', true)
+      .in('webhook_type', [eventType, 'all']);
+
+    if (error || !webhooks || webhooks.length === 0) {
+      return; // No webhooks configured
+    }
+
+    // Trigger each webhook
+    for (const webhook of webhooks) {
+      // Determine which URL to use
+      let webhookUrl = webhook.webhook_url;
+      if (payload.success && webhook.success_webhook_url) {
+        webhookUrl = webhook.success_webhook_url;
+      } else if (!payload.success && webhook.failure_webhook_url) {
+        webhookUrl = webhook.failure_webhook_url;
+      }
+
+      if (!webhookUrl) continue;
+
+      // Merge custom payload with default payload
+      const finalPayload = {
+        ...payload,
+        ...(webhook.custom_payload || {})
+      };
+
+      // Call webhook asynchronously (don't block)
+      callWebhook(webhook.id, userId, sessionId, webhook, webhookUrl, payload, finalPayload)
+        .catch(err => console.error(`Webhook ${webhook.id} call failed:`, err.message));
+    }
+  } catch (error) {
+    console.error('Error triggering webhooks:', error);
+  }
+}
+
+// Call a single webhook with retry logic
+async function callWebhook(webhookId, userId, sessionId, webhookConfig, url, originalPayload, payload) {
+  const maxRetries = webhookConfig.max_retries || 3;
+  const retryDelay = (webhookConfig.retry_delay_seconds || 5) * 1000;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const isRetry = attempt > 1;
+      const result = await makeWebhookRequest(url, payload, webhookConfig.headers || {});
+
+      // Log successful call
+      await supabase.from('webhook_logs').insert({
+        webhook_id: webhookId,
+        user_id: userId,
+        session_id: sessionId,
+        event_type: originalPayload.event || 'unknown',
+        payload: payload,
+        response_status: result.status,
+        response_body: result.body?.substring(0, 1000), // Limit response body
+        success: true,
+        attempt_number: attempt,
+        is_retry: isRetry
+      });
+
+      // Update webhook stats
+      await supabase.rpc('update_webhook_stats', {
+        p_webhook_id: webhookId,
+        p_success: true
+      });
+
+      return result; // Success, exit retry loop
+    } catch (error) {
+      const isLastAttempt = attempt === maxRetries;
+
+      // Log failed call
+      await supabase.from('webhook_logs').insert({
+        webhook_id: webhookId,
+        user_id: userId,
+        session_id: sessionId,
+        event_type: originalPayload.event || 'unknown',
+        payload: payload,
+        response_status: error.status || null,
+        response_body: error.message?.substring(0, 1000),
+        success: false,
+        error_message: error.message,
+        attempt_number: attempt,
+        is_retry: attempt > 1
+      });
+
+      if (isLastAttempt) {
+        // Update webhook stats for final failure
+        await supabase.rpc('update_webhook_stats', {
+          p_webhook_id: webhookId,
+          p_success: false
+        });
+        throw error;
+      }
+
+      // Wait before retry
+      if (webhookConfig.retry_on_failure !== false) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+}
+
+// Make HTTP/HTTPS request to webhook URL
+function makeWebhookRequest(url, payload, headers) {
+  return new Promise((resolve, reject) => {
+    try {
+      const urlObj = new URL(url);
+      const isHttps = urlObj.protocol === 'https:';
+      const httpModule = isHttps ? https : http;
+
+      const defaultHeaders = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Wassapi-Webhook/1.0'
+      };
+
+      const finalHeaders = {
+        ...defaultHeaders,
+        ...headers
+      };
+
+      const postData = JSON.stringify(payload);
+
+      const options = {
+        hostname: urlObj.hostname,
+        port: urlObj.port || (isHttps ? 443 : 80),
+        path: urlObj.pathname + urlObj.search,
+        method: 'POST',
+        headers: {
+          ...finalHeaders,
+          'Content-Length': Buffer.byteLength(postData)
+        },
+        timeout: 10000 // 10 second timeout
+      };
+
+      const req = httpModule.request(options, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ status: res.statusCode, body });
+          } else {
+            reject(new Error(`Webhook returned status ${res.statusCode}: ${body.substring(0, 200)}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Webhook request failed: ${error.message}`));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Webhook request timeout'));
+      });
+
+      req.write(postData);
+      req.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// ==================== WEBHOOK ENDPOINTS ====================
+
+// Get webhooks for user/session
+app.get('/api/webhooks/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const sessionId = req.query.sessionId;
+
+    let query = supabase
+      .from('webhooks')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
+    }
+
+    const { data: webhooks, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, webhooks: webhooks || [] });
+  } catch (error) {
+    console.error('❌ Error fetching webhooks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get webhook by ID
+app.get('/api/webhooks/:userId/:webhookId', async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('id', webhookId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error('❌ Error fetching webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create webhook
+app.post('/api/webhooks/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sessionId, webhookUrl, webhookType, customPayload, successWebhookUrl, failureWebhookUrl, headers, retryOnFailure, maxRetries, retryDelaySeconds } = req.body;
+
+    if (!sessionId || !webhookUrl || !webhookType) {
+      return res.status(400).json({ error: 'sessionId, webhookUrl, and webhookType are required' });
+    }
+
+    // Validate webhook URL
+    try {
+      new URL(webhookUrl);
+    } catch {
+      return res.status(400).json({ error: 'Invalid webhook URL format' });
+    }
+
+    // Verify session belongs to user
+    const { data: session } = await supabase
+      .from('whatsapp_sessions')
+      .select('session_id')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .insert({
+        user_id: userId,
+        session_id: sessionId,
+        webhook_url: webhookUrl,
+        webhook_type: webhookType,
+        custom_payload: customPayload || {},
+        success_webhook_url: successWebhookUrl || null,
+        failure_webhook_url: failureWebhookUrl || null,
+        headers: headers || { 'Content-Type': 'application/json' },
+        retry_on_failure: retryOnFailure !== undefined ? retryOnFailure : true,
+        max_retries: maxRetries || 3,
+        retry_delay_seconds: retryDelaySeconds || 5
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(409).json({ error: 'Webhook already exists for this session and type' });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error('❌ Error creating webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update webhook
+app.put('/api/webhooks/:userId/:webhookId', async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+    const { webhookUrl, webhookType, customPayload, successWebhookUrl, failureWebhookUrl, headers, isActive, retryOnFailure, maxRetries, retryDelaySeconds } = req.body;
+
+    // Verify webhook belongs to user
+    const { data: existingWebhook } = await supabase
+      .from('webhooks')
+      .select('id')
+      .eq('id', webhookId)
+      .eq('user_id', userId)
+      .single();
+
+    if (!existingWebhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const updateData = {};
+    if (webhookUrl !== undefined) {
+      try {
+        new URL(webhookUrl);
+        updateData.webhook_url = webhookUrl;
+      } catch {
+        return res.status(400).json({ error: 'Invalid webhook URL format' });
+      }
+    }
+    if (webhookType !== undefined) updateData.webhook_type = webhookType;
+    if (customPayload !== undefined) updateData.custom_payload = customPayload;
+    if (successWebhookUrl !== undefined) updateData.success_webhook_url = successWebhookUrl || null;
+    if (failureWebhookUrl !== undefined) updateData.failure_webhook_url = failureWebhookUrl || null;
+    if (headers !== undefined) updateData.headers = headers;
+    if (isActive !== undefined) updateData.is_active = isActive;
+    if (retryOnFailure !== undefined) updateData.retry_on_failure = retryOnFailure;
+    if (maxRetries !== undefined) updateData.max_retries = maxRetries;
+    if (retryDelaySeconds !== undefined) updateData.retry_delay_seconds = retryDelaySeconds;
+    updateData.updated_at = new Date().toISOString();
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .update(updateData)
+      .eq('id', webhookId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error('❌ Error updating webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete webhook
+app.delete('/api/webhooks/:userId/:webhookId', async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+
+    const { error } = await supabase
+      .from('webhooks')
+      .delete()
+      .eq('id', webhookId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get webhook logs
+app.get('/api/webhooks/:userId/:webhookId/logs', async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Verify webhook belongs to user
+    const { data: webhook } = await supabase
+      .from('webhooks')
+      .select('id')
+      .eq('id', webhookId)
+      .eq('user_id', userId)
+      .single();
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { data: logs, error } = await supabase
+      .from('webhook_logs')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, logs: logs || [] });
+  } catch (error) {
+    console.error('❌ Error fetching webhook logs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test webhook (sends a test payload)
+app.post('/api/webhooks/:userId/:webhookId/test', async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+
+    const { data: webhook, error: fetchError } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('id', webhookId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const testPayload = {
+      success: true,
+      event: 'webhook_test',
+      timestamp: new Date().toISOString(),
+      message: 'This is a test webhook from Wassapi',
+      ...(webhook.custom_payload || {})
+    };
+
+    try {
+      await callWebhook(webhookId, userId, webhook.session_id, webhook, webhook.webhook_url, testPayload, testPayload);
+      res.json({ success: true, message: 'Test webhook sent successfully' });
+    } catch (error) {
+      res.status(500).json({ error: `Webhook test failed: ${error.message}` });
+    }
+  } catch (error) {
+    console.error('❌ Error testing webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SCHEDULED MESSAGE ENDPOINTS ====================
+
+// Get scheduled messages for user
+app.get('/api/scheduled-messages/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sessionId } = req.query;
+    const status = req.query.status || 'pending';
+
+    if (status !== 'all' && !SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be 'all' or one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('scheduled_messages')
+      .select('*')
+      .eq('user_id', userId)
+      .order('send_at', { ascending: true })
+      .limit(100);
+
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
+    }
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: scheduledMessages, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, scheduledMessages: scheduledMessages || [] });
+  } catch (error) {
+    console.error('❌ Error fetching scheduled messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reschedule a pending scheduled message
+app.put('/api/scheduled-messages/:userId/:scheduledId', async (req, res) => {
+  try {
+    const { userId, scheduledId } = req.params;
+    const { date, error: sendAtError } = parseSendAt(req.body.sendAt);
+    if (sendAtError) {
+      return res.status(400).json({ error: sendAtError });
+    }
+
+    const filters = { user_id: userId };
+    const scheduledMessage = await rescheduleScheduledMessage(filters, scheduledId, date);
+    if (!scheduledMessage) {
+      const { status, error } = await describeScheduledMessageState(filters, scheduledId);
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, scheduledMessage });
+  } catch (error) {
+    console.error('❌ Error rescheduling message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a pending scheduled message and refund it
+app.post('/api/scheduled-messages/:userId/:scheduledId/cancel', async (req, res) => {
+  try {
+    const { userId, scheduledId } = req.params;
+    const filters = { user_id: userId };
+
+    const result = await cancelScheduledMessage(filters, scheduledId);
+    if (!result) {
+      const { status, error } = await describeScheduledMessageState(filters, scheduledId);
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error cancelling scheduled message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== BULK JOB ENDPOINTS ====================
+
+// Get bulk jobs for user
+app.get('/api/jobs/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sessionId, status } = req.query;
+
+    if (status && !BULK_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BULK_JOB_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('bulk_jobs')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, jobs: (jobs || []).map(job => ({ ...job, progress: getBulkJobProgress(job) })) });
+  } catch (error) {
+    console.error('❌ Error fetching jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get bulk job progress and per-recipient results
+app.get('/api/jobs/:userId/:jobId', async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const { recipientStatus } = req.query;
+
+    if (recipientStatus && !BULK_JOB_RECIPIENT_STATUSES.includes(recipientStatus)) {
+      return res.status(400).json({ error: `recipientStatus must be one of: ${BULK_JOB_RECIPIENT_STATUSES.join(', ')}` });
+    }
+
+    const details = await getBulkJobDetails({ user_id: userId }, jobId, { recipientStatus, limit, offset });
+    if (!details) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, ...details });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause a bulk job
+app.post('/api/jobs/:userId/:jobId/pause', async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const job = await pauseBulkJob({ user_id: userId }, jobId);
+    if (!job) {
+      const { status, error } = await describeBulkJobState({ user_id: userId }, jobId, 'pause');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, job, progress: getBulkJobProgress(job) });
+  } catch (error) {
+    console.error('❌ Error pausing job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused bulk job
+app.post('/api/jobs/:userId/:jobId/resume', async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const job = await resumeBulkJob({ user_id: userId }, jobId);
+    if (!job) {
+      const { status, error } = await describeBulkJobState({ user_id: userId }, jobId, 'resume');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, job, progress: getBulkJobProgress(job) });
+  } catch (error) {
+    console.error('❌ Error resuming job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a bulk job and refund unsent recipients
+app.post('/api/jobs/:userId/:jobId/cancel', async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const result = await cancelBulkJob({ user_id: userId }, jobId);
+    if (!result) {
+      const { status, error } = await describeBulkJobState({ user_id: userId }, jobId, 'cancel');
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TEMPLATE ENDPOINTS ====================
+
+// Get templates for user
+app.get('/api/templates/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const templates = await listTemplates(userId, req.query);
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('❌ Error fetching templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific template
+app.get('/api/templates/:userId/:templateId', async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+
+    const { data: template, error } = await supabase
+      .from('message_templates')
+      .select('*')
+      .eq('id', templateId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error fetching template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create template
+app.post('/api/templates/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { template, status, error } = await createTemplate(userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error creating template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update template
+app.put('/api/templates/:userId/:templateId', async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const { template, status, error } = await updateTemplate(userId, templateId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error updating template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete template
+app.delete('/api/templates/:userId/:templateId', async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+
+    const { error } = await supabase
+      .from('message_templates')
+      .delete()
+      .eq('id', templateId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Template deleted successfully' });
   } catch (error) {
-    console.error('❌ Error updating user profile:', error);
+    console.error('❌ Error deleting template:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== RATE LIMITING HELPERS ====================
+// ==================== AUTO-REPLY RULE ENDPOINTS ====================
 
-// Check rate limits
-async function checkRateLimit(userId, messageCount = 1) {
+// Get auto-reply rules for user (optionally for one session), in evaluation order
+app.get('/api/auto-reply-rules/:userId', async (req, res) => {
   try {
-    const { data: settings, error } = await supabase
-      .from('user_settings')
-      .select('rate_limit_per_minute, rate_limit_per_hour, rate_limit_per_day')
+    const { userId } = req.params;
+    const { sessionId } = req.query;
+
+    let query = supabase
+      .from('auto_reply_rules')
+      .select('*')
       .eq('user_id', userId)
-      .single();
+      .order('session_id', { ascending: true })
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
 
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error fetching rate limit settings:', error);
-      return { allowed: true }; // Fallback: allow if check fails
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
     }
 
-    // If no settings, use defaults
-    const limits = settings || {
-      rate_limit_per_minute: 10,
-      rate_limit_per_hour: 100,
-      rate_limit_per_day: 1000
-    };
+    const { data: rules, error } = await query;
+    if (error) {
+      throw error;
+    }
 
-    // Check messages sent in last minute
-    const oneMinuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
-    const { count: minuteCount } = await supabase
-      .from('automation_logs')
-      .select('*', { count: 'exact', head: true })
+    res.json({ success: true, rules: rules || [] });
+  } catch (error) {
+    console.error('❌ Error fetching auto-reply rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific auto-reply rule with its recent matches
+app.get('/api/auto-reply-rules/:userId/:ruleId', async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+
+    const { data: rule, error } = await supabase
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('id', ruleId)
       .eq('user_id', userId)
-      .gte('created_at', oneMinuteAgo);
+      .single();
 
-    if (minuteCount + messageCount > limits.rate_limit_per_minute) {
-      return {
-        allowed: false,
-        reason: 'rate_limit_minute',
-        limit: limits.rate_limit_per_minute,
-        current: minuteCount
-      };
+    if (error || !rule) {
+      return res.status(404).json({ error: 'Rule not found' });
     }
 
-    // Check messages sent in last hour
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-    const { count: hourCount } = await supabase
-      .from('automation_logs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', oneHourAgo);
+    const { data: events, error: eventsError } = await supabase
+      .from('auto_reply_events')
+      .select('*')
+      .eq('rule_id', ruleId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
 
-    if (hourCount + messageCount > limits.rate_limit_per_hour) {
-      return {
-        allowed: false,
-        reason: 'rate_limit_hour',
-        limit: limits.rate_limit_per_hour,
-        current: hourCount
-      };
+    if (eventsError) {
+      throw eventsError;
     }
 
-    // Check messages sent in last day
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const { count: dayCount } = await supabase
-      .from('automation_logs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', oneDayAgo);
+    res.json({ success: true, rule, events: events || [] });
+  } catch (error) {
+    console.error('❌ Error fetching auto-reply rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (dayCount + messageCount > limits.rate_limit_per_day) {
-      return {
-        allowed: false,
-        reason: 'rate_limit_day',
-        limit: limits.rate_limit_per_day,
-        current: dayCount
-      };
+// Create auto-reply rule
+app.post('/api/auto-reply-rules/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { rule, status, error } = await createAutoReplyRule(userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    return { allowed: true };
+    res.json({ success: true, rule });
   } catch (error) {
-    console.error('Error in checkRateLimit:', error);
-    return { allowed: true }; // Fallback: allow if check fails
+    console.error('❌ Error creating auto-reply rule:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
+// Update auto-reply rule
+app.put('/api/auto-reply-rules/:userId/:ruleId', async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const { rule, status, error } = await updateAutoReplyRule(userId, ruleId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-// ==================== WEBHOOK HELPERS ====================
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('❌ Error updating auto-reply rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Setup incoming message handlers for a client
-function setupIncomingMessageHandlers(client, userId, sessionId) {
-  // Handle incoming messages
-  client.on('message', async (message) => {
-    try {
-      // Skip messages from status broadcasts
-      if (message.from === 'status@broadcast') {
-        return;
-      }
+// Delete auto-reply rule
+app.delete('/api/auto-reply-rules/:userId/:ruleId', async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
 
-      // Get message details
-      const from = message.from;
-      const body = message.body || '';
-      const hasMedia = message.hasMedia;
-      const type = message.type;
-      const timestamp = message.timestamp * 1000; // Convert to milliseconds
-      
-      // Determine message type and payload
-      let messageType = 'text';
-      let payload = {
-        success: true,
-        event: 'message_received',
-        from: from.replace('@c.us', ''),
-        timestamp: new Date(timestamp).toISOString(),
-        messageType: type,
-        hasMedia: hasMedia
-      };
+    const { error } = await supabase
+      .from('auto_reply_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('user_id', userId);
 
-      // Handle different message types
-      if (type === 'location') {
-        messageType = 'location';
-        const location = message.location;
-        payload.location = {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          name: location.name || null,
-          address: location.address || null
-        };
-      } else if (type === 'image' || type === 'video' || type === 'audio' || type === 'document') {
-        messageType = 'media';
-        payload.mediaType = type;
-        if (hasMedia) {
-          try {
-            const media = await message.downloadMedia();
-            payload.media = {
-              mimetype: media.mimetype,
-              data: media.data.substring(0, 100) + '...' // Truncate for webhook payload
-            };
-          } catch (e) {
-            console.error('Error downloading media:', e);
-          }
-        }
-      } else if (type === 'sticker') {
-        messageType = 'sticker';
-      } else if (type === 'voice') {
-        messageType = 'voice';
-      } else {
-        // Text message
-        messageType = 'text';
-        payload.text = body;
-      }
+    if (error) {
+      throw error;
+    }
 
-      // Trigger webhooks for incoming messages
-      await triggerWebhooks(userId, sessionId, `incoming_${messageType}`, payload);
-      
-      // Also trigger generic incoming message webhook
-      await triggerWebhooks(userId, sessionId, 'incoming_message', {
-        ...payload,
-        messageType: messageType
-      });
+    res.json({ success: true, message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting auto-reply rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    } catch (error) {
-      console.error('Error handling incoming message:', error);
+// ==================== CHATBOT FLOW ENDPOINTS ====================
+
+// Get chatbot flows for user (optionally for one session)
+app.get('/api/chatbot-flows/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sessionId } = req.query;
+
+    let query = supabase
+      .from('chatbot_flows')
+      .select('*')
+      .eq('user_id', userId)
+      .order('session_id', { ascending: true })
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
     }
-  });
 
-  // Handle message acknowledgments (delivered, read)
-  client.on('message_ack', async (msg, ack) => {
-    try {
-      if (ack === 3) { // Read
-        await triggerWebhooks(userId, sessionId, 'message_read', {
-          success: true,
-          event: 'message_read',
-          messageId: msg.id._serialized,
-          from: msg.from.replace('@c.us', ''),
-          timestamp: new Date().toISOString()
-        });
-      } else if (ack === 2) { // Delivered
-        await triggerWebhooks(userId, sessionId, 'message_delivered', {
-          success: true,
-          event: 'message_delivered',
-          messageId: msg.id._serialized,
-          from: msg.from.replace('@c.us', ''),
-          timestamp: new Date().toISOString()
-        });
-      }
-    } catch (error) {
-      console.error('Error handling message ack:', error);
+    const { data: flows, error } = await query;
+    if (error) {
+      throw error;
     }
-  });
-}
 
-// Trigger webhooks for a given event (async, fire and forget)
-async function triggerWebhooks(userId, sessionId, eventType, payload) {
+    res.json({ success: true, flows: flows || [] });
+  } catch (error) {
+    console.error('❌ Error fetching chatbot flows:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific chatbot flow with its recent runs
+app.get('/api/chatbot-flows/:userId/:flowId', async (req, res) => {
   try {
-    // Get active webhooks for this user and session
-    const { data: webhooks, error } = await supabase
-      .from('webhooks')
+    const { userId, flowId } = req.params;
+
+    const { data: flow, error } = await supabase
+      .from('chatbot_flows')
       .select('*')
+      .eq('id', flowId)
       .eq('user_id', userId)
-      .eq('session_id', sessionId)
-      .eq('is_active', true)
-      .in('webhook_type', [eventType, 'all']);
+      .single();
 
-    if (error || !webhooks || webhooks.length === 0) {
-      return; // No webhooks configured
+    if (error || !flow) {
+      return res.status(404).json({ error: 'Flow not found' });
     }
 
-    // Trigger each webhook
-    for (const webhook of webhooks) {
-      // Determine which URL to use
-      let webhookUrl = webhook.webhook_url;
-      if (payload.success && webhook.success_webhook_url) {
-        webhookUrl = webhook.success_webhook_url;
-      } else if (!payload.success && webhook.failure_webhook_url) {
-        webhookUrl = webhook.failure_webhook_url;
-      }
+    let runsQuery = supabase
+      .from('chatbot_flow_sessions')
+      .select('*')
+      .eq('flow_id', flowId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    if (req.query.status) {
+      runsQuery = runsQuery.eq('status', req.query.status);
+    }
+
+    const { data: runs, error: runsError } = await runsQuery;
+    if (runsError) {
+      throw runsError;
+    }
+
+    res.json({ success: true, flow, runs: runs || [] });
+  } catch (error) {
+    console.error('❌ Error fetching chatbot flow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (!webhookUrl) continue;
+// Create chatbot flow
+app.post('/api/chatbot-flows/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { flow, status, error } = await createChatbotFlow(userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-      // Merge custom payload with default payload
-      const finalPayload = {
-        ...payload,
-        ...(webhook.custom_payload || {})
-      };
+    res.json({ success: true, flow });
+  } catch (error) {
+    console.error('❌ Error creating chatbot flow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Call webhook asynchronously (don't block)
-      callWebhook(webhook.id, userId, sessionId, webhook, webhookUrl, payload, finalPayload)
-        .catch(err => console.error(`Webhook ${webhook.id} call failed:`, err.message));
+// Update chatbot flow
+app.put('/api/chatbot-flows/:userId/:flowId', async (req, res) => {
+  try {
+    const { userId, flowId } = req.params;
+    const { flow, status, error } = await updateChatbotFlow(userId, flowId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
     }
+
+    res.json({ success: true, flow });
   } catch (error) {
-    console.error('Error triggering webhooks:', error);
+    console.error('❌ Error updating chatbot flow:', error);
+    res.status(500).json({ error: error.message });
   }
-}
-
-// Call a single webhook with retry logic
-async function callWebhook(webhookId, userId, sessionId, webhookConfig, url, originalPayload, payload) {
-  const maxRetries = webhookConfig.max_retries || 3;
-  const retryDelay = (webhookConfig.retry_delay_seconds || 5) * 1000;
+});
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const isRetry = attempt > 1;
-      const result = await makeWebhookRequest(url, payload, webhookConfig.headers || {});
+// Delete chatbot flow (contacts mid-run are dropped with it)
+app.delete('/api/chatbot-flows/:userId/:flowId', async (req, res) => {
+  try {
+    const { userId, flowId } = req.params;
 
-      // Log successful call
-      await supabase.from('webhook_logs').insert({
-        webhook_id: webhookId,
-        user_id: userId,
-        session_id: sessionId,
-        event_type: originalPayload.event || 'unknown',
-        payload: payload,
-        response_status: result.status,
-        response_body: result.body?.substring(0, 1000), // Limit response body
-        success: true,
-        attempt_number: attempt,
-        is_retry: isRetry
-      });
+    const { error } = await supabase
+      .from('chatbot_flows')
+      .delete()
+      .eq('id', flowId)
+      .eq('user_id', userId);
 
-      // Update webhook stats
-      await supabase.rpc('update_webhook_stats', {
-        p_webhook_id: webhookId,
-        p_success: true
-      });
+    if (error) {
+      throw error;
+    }
 
-      return result; // Success, exit retry loop
-    } catch (error) {
-      const isLastAttempt = attempt === maxRetries;
+    res.json({ success: true, message: 'Flow deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting chatbot flow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Log failed call
-      await supabase.from('webhook_logs').insert({
-        webhook_id: webhookId,
-        user_id: userId,
-        session_id: sessionId,
-        event_type: originalPayload.event || 'unknown',
-        payload: payload,
-        response_status: error.status || null,
-        response_body: error.message?.substring(0, 1000),
-        success: false,
-        error_message: error.message,
-        attempt_number: attempt,
-        is_retry: attempt > 1
-      });
+// ==================== CONTACT LIST ENDPOINTS ====================
 
-      if (isLastAttempt) {
-        // Update webhook stats for final failure
-        await supabase.rpc('update_webhook_stats', {
-          p_webhook_id: webhookId,
-          p_success: false
-        });
-        throw error;
-      }
+// List contact lists
+app.get('/api/contact-lists/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data: lists, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
 
-      // Wait before retry
-      if (webhookConfig.retry_on_failure !== false) {
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-      }
+    if (error) {
+      throw error;
     }
+
+    res.json({ success: true, lists, count: lists.length });
+  } catch (error) {
+    console.error('❌ Error fetching contact lists:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Make HTTP/HTTPS request to webhook URL
-function makeWebhookRequest(url, payload, headers) {
-  return new Promise((resolve, reject) => {
-    try {
-      const urlObj = new URL(url);
-      const isHttps = urlObj.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
+// Create a contact list
+app.post('/api/contact-lists/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { list, status, error } = await createContactList(userId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-      const defaultHeaders = {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Wassapi-Webhook/1.0'
-      };
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error creating contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const finalHeaders = {
-        ...defaultHeaders,
-        ...headers
-      };
+// Get a contact list
+app.get('/api/contact-lists/:userId/:listId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const list = await getContactList(userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
 
-      const postData = JSON.stringify(payload);
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error fetching contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || (isHttps ? 443 : 80),
-        path: urlObj.pathname + urlObj.search,
-        method: 'POST',
-        headers: {
-          ...finalHeaders,
-          'Content-Length': Buffer.byteLength(postData)
-        },
-        timeout: 10000 // 10 second timeout
-      };
+// Rename or describe a contact list
+app.put('/api/contact-lists/:userId/:listId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { list, status, error } = await updateContactList(userId, req.params.listId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-      const req = httpModule.request(options, (res) => {
-        let body = '';
-        res.setEncoding('utf8');
-        res.on('data', (chunk) => { body += chunk; });
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve({ status: res.statusCode, body });
-          } else {
-            reject(new Error(`Webhook returned status ${res.statusCode}: ${body.substring(0, 200)}`));
-          }
-        });
-      });
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('❌ Error updating contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      req.on('error', (error) => {
-        reject(new Error(`Webhook request failed: ${error.message}`));
-      });
+// Delete a contact list and its contacts
+app.delete('/api/contact-lists/:userId/:listId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const list = await getContactList(userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
 
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Webhook request timeout'));
-      });
+    const { error } = await supabase
+      .from('contact_lists')
+      .delete()
+      .eq('id', list.id)
+      .eq('user_id', userId);
 
-      req.write(postData);
-      req.end();
-    } catch (error) {
-      reject(error);
+    if (error) {
+      throw error;
     }
-  });
-}
 
-// ==================== WEBHOOK ENDPOINTS ====================
+    res.json({ success: true, message: 'Contact list deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting contact list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Get webhooks for user/session
-app.get('/api/webhooks/:userId', async (req, res) => {
+// List a contact list's contacts, optionally narrowed by a segment
+app.get('/api/contact-lists/:userId/:listId/contacts', async (req, res) => {
   try {
     const { userId } = req.params;
-    const sessionId = req.query.sessionId;
-
-    let query = supabase
-      .from('webhooks')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+    const list = await getContactList(userId, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
 
-    if (sessionId) {
-      query = query.eq('session_id', sessionId);
+    const { status, error, ...page } = await listContactListContacts(userId, list.id, req.query);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const { data: webhooks, error } = await query;
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('❌ Error fetching contacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Add or update contacts in a list
+app.post('/api/contact-lists/:userId/:listId/contacts', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { result, status, error, errors } = await handleAddContacts(userId, req.params.listId, req.body);
     if (error) {
-      throw error;
+      return res.status(status).json({ error, errors });
     }
 
-    res.json({ success: true, webhooks: webhooks || [] });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Error fetching webhooks:', error);
+    console.error('❌ Error adding contacts:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get webhook by ID
-app.get('/api/webhooks/:userId/:webhookId', async (req, res) => {
+// Remove a contact from a list
+app.delete('/api/contact-lists/:userId/:listId/contacts/:phone', async (req, res) => {
   try {
-    const { userId, webhookId } = req.params;
+    const { userId } = req.params;
+    const removed = await removeContactFromList(userId, req.params.listId, req.params.phone);
+    if (!removed) {
+      return res.status(404).json({ error: 'Contact not found in this list' });
+    }
 
-    const { data: webhook, error } = await supabase
-      .from('webhooks')
-      .select('*')
-      .eq('id', webhookId)
-      .eq('user_id', userId)
-      .single();
+    res.json({ success: true, message: 'Contact removed successfully' });
+  } catch (error) {
+    console.error('❌ Error removing contact:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SUPPRESSION LIST ENDPOINTS ====================
+
+// Get suppressed (opted-out) numbers for user
+app.get('/api/suppressions/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = await listSuppressedNumbers(userId, req.query);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('❌ Error fetching suppression list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Add numbers to the suppression list
+app.post('/api/suppressions/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { numbers, invalid, error } = parseSuppressionRequest(req.body, await getAccountDefaultCountry(userId));
     if (error) {
-      throw error;
+      return res.status(400).json({ error });
+    }
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
     }
 
-    if (!webhook) {
-      return res.status(404).json({ error: 'Webhook not found' });
+    const added = await addSuppressedNumbers(userId, numbers, { source: 'dashboard', reason: req.body.reason || null });
+    res.json({
+      success: true,
+      added: added.length,
+      alreadySuppressed: new Set(numbers).size - added.length,
+      invalid
+    });
+  } catch (error) {
+    console.error('❌ Error adding suppressed numbers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a number from the suppression list
+app.delete('/api/suppressions/:userId/:phoneNumber', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const phoneNumber = toSuppressionNumber(req.params.phoneNumber, await getAccountDefaultCountry(userId));
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)' });
     }
 
-    res.json({ success: true, webhook });
+    const removed = await removeSuppressedNumber(userId, phoneNumber);
+    if (!removed) {
+      return res.status(404).json({ error: 'Number is not on the suppression list' });
+    }
+
+    res.json({ success: true, message: 'Number removed from the suppression list', phoneNumber });
   } catch (error) {
-    console.error('❌ Error fetching webhook:', error);
+    console.error('❌ Error removing suppressed number:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create webhook
-app.post('/api/webhooks/:userId', async (req, res) => {
+// ==================== CONSENT ENDPOINTS ====================
+
+// Record consent for one or more numbers
+app.post('/api/consents/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { sessionId, webhookUrl, webhookType, customPayload, successWebhookUrl, failureWebhookUrl, headers, retryOnFailure, maxRetries, retryDelaySeconds } = req.body;
-
-    if (!sessionId || !webhookUrl || !webhookType) {
-      return res.status(400).json({ error: 'sessionId, webhookUrl, and webhookType are required' });
+    const { numbers, invalid, source, proof, capturedAt, error } = parseConsentRequest(req.body, 'granted', await getAccountDefaultCountry(userId));
+    if (error) {
+      return res.status(400).json({ error });
     }
-
-    // Validate webhook URL
-    try {
-      new URL(webhookUrl);
-    } catch {
-      return res.status(400).json({ error: 'Invalid webhook URL format' });
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
     }
 
-    // Verify session belongs to user
-    const { data: session } = await supabase
-      .from('whatsapp_sessions')
-      .select('session_id')
-      .eq('session_id', sessionId)
-      .eq('user_id', userId)
-      .single();
-
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+    const recorded = await recordConsent(userId, numbers, {
+      action: 'granted',
+      source,
+      proof,
+      capturedAt,
+      recordedBy: 'dashboard',
+      apiKeyId: null
+    });
 
-    const { data: webhook, error } = await supabase
-      .from('webhooks')
-      .insert({
-        user_id: userId,
-        session_id: sessionId,
-        webhook_url: webhookUrl,
-        webhook_type: webhookType,
-        custom_payload: customPayload || {},
-        success_webhook_url: successWebhookUrl || null,
-        failure_webhook_url: failureWebhookUrl || null,
-        headers: headers || { 'Content-Type': 'application/json' },
-        retry_on_failure: retryOnFailure !== undefined ? retryOnFailure : true,
-        max_retries: maxRetries || 3,
-        retry_delay_seconds: retryDelaySeconds || 5
-      })
-      .select()
-      .single();
+    console.log(`📝 Consent granted for ${recorded} number(s) by user ${userId}`);
+    res.json({ success: true, status: 'granted', recorded, invalid });
+  } catch (error) {
+    console.error('❌ Error recording consent:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Revoke consent for one or more numbers
+app.post('/api/consents/:userId/revoke', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { numbers, invalid, source, proof, capturedAt, error } = parseConsentRequest(req.body, 'revoked', await getAccountDefaultCountry(userId));
     if (error) {
-      if (error.code === '23505') { // Unique constraint violation
-        return res.status(409).json({ error: 'Webhook already exists for this session and type' });
-      }
-      throw error;
+      return res.status(400).json({ error });
+    }
+    if (numbers.length === 0) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)', invalid });
     }
 
-    res.json({ success: true, webhook });
+    const recorded = await recordConsent(userId, numbers, {
+      action: 'revoked',
+      source,
+      proof,
+      capturedAt,
+      recordedBy: 'dashboard',
+      apiKeyId: null
+    });
+
+    console.log(`📝 Consent revoked for ${recorded} number(s) by user ${userId}`);
+    res.json({ success: true, status: 'revoked', recorded, invalid });
   } catch (error) {
-    console.error('❌ Error creating webhook:', error);
+    console.error('❌ Error revoking consent:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update webhook
-app.put('/api/webhooks/:userId/:webhookId', async (req, res) => {
+// Export the consent history as JSON or CSV
+app.get('/api/consents/:userId/export', async (req, res) => {
   try {
-    const { userId, webhookId } = req.params;
-    const { webhookUrl, webhookType, customPayload, successWebhookUrl, failureWebhookUrl, headers, isActive, retryOnFailure, maxRetries, retryDelaySeconds } = req.body;
-
-    // Verify webhook belongs to user
-    const { data: existingWebhook } = await supabase
-      .from('webhooks')
-      .select('id')
-      .eq('id', webhookId)
-      .eq('user_id', userId)
-      .single();
+    const { userId } = req.params;
+    await sendConsentExport(userId, req.query, res);
+  } catch (error) {
+    console.error('❌ Error exporting consent history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!existingWebhook) {
-      return res.status(404).json({ error: 'Webhook not found' });
+// Get a number's consent and its history
+app.get('/api/consents/:userId/:phoneNumber', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const phoneNumber = toSuppressionNumber(req.params.phoneNumber, await getAccountDefaultCountry(userId));
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Invalid phone number format. Use international format (e.g., +9647812345678) or a national number for your default country (e.g., 07812345678)' });
     }
 
-    const updateData = {};
-    if (webhookUrl !== undefined) {
-      try {
-        new URL(webhookUrl);
-        updateData.webhook_url = webhookUrl;
-      } catch {
-        return res.status(400).json({ error: 'Invalid webhook URL format' });
-      }
-    }
-    if (webhookType !== undefined) updateData.webhook_type = webhookType;
-    if (customPayload !== undefined) updateData.custom_payload = customPayload;
-    if (successWebhookUrl !== undefined) updateData.success_webhook_url = successWebhookUrl || null;
-    if (failureWebhookUrl !== undefined) updateData.failure_webhook_url = failureWebhookUrl || null;
-    if (headers !== undefined) updateData.headers = headers;
-    if (isActive !== undefined) updateData.is_active = isActive;
-    if (retryOnFailure !== undefined) updateData.retry_on_failure = retryOnFailure;
-    if (maxRetries !== undefined) updateData.max_retries = maxRetries;
-    if (retryDelaySeconds !== undefined) updateData.retry_delay_seconds = retryDelaySeconds;
-    updateData.updated_at = new Date().toISOString();
+    const { consent, events } = await getConsentHistory(userId, phoneNumber);
+    res.json({
+      success: true,
+      phoneNumber,
+      hasConsent: Boolean(consent && consent.status === 'granted'),
+      consent,
+      events
+    });
+  } catch (error) {
+    console.error('❌ Error fetching consent:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const { data: webhook, error } = await supabase
-      .from('webhooks')
-      .update(updateData)
-      .eq('id', webhookId)
-      .select()
-      .single();
+// ==================== OUTBOUND QUEUE ENDPOINTS ====================
 
-    if (error) {
-      throw error;
+// Get messages waiting for a retry (all sessions). ?status=queued (default), sent, failed, expired, cancelled or all
+app.get('/api/outbound-queue/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = await listQueueItems({ user_id: userId }, req.query);
+    if (page.error) {
+      return res.status(page.status).json({ error: page.error });
     }
-
-    res.json({ success: true, webhook });
+    res.json({ success: true, ...page });
   } catch (error) {
-    console.error('❌ Error updating webhook:', error);
+    console.error('❌ Error fetching outbound queue:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Delete webhook
-app.delete('/api/webhooks/:userId/:webhookId', async (req, res) => {
+// Cancel a queued message and refund it
+app.delete('/api/outbound-queue/:userId/:queueId', async (req, res) => {
   try {
-    const { userId, webhookId } = req.params;
-
-    const { error } = await supabase
-      .from('webhooks')
-      .delete()
-      .eq('id', webhookId)
-      .eq('user_id', userId);
-
+    const { userId, queueId } = req.params;
+    const { item, status, error } = await cancelQueueItem({ user_id: userId }, queueId);
     if (error) {
-      throw error;
+      return res.status(status).json({ error });
     }
-
-    res.json({ success: true, message: 'Webhook deleted successfully' });
+    res.json({ success: true, message: 'Queued message cancelled and refunded', queueId: item.id, messageId: item.outbound_message_id });
   } catch (error) {
-    console.error('❌ Error deleting webhook:', error);
+    console.error('❌ Error cancelling queued message:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get webhook logs
-app.get('/api/webhooks/:userId/:webhookId/logs', async (req, res) => {
+// ==================== OTP PROTECTION ENDPOINTS ====================
+
+// Report of OTP sends blocked by the abuse safeguards
+app.get('/api/otp-protection/:userId/report', async (req, res) => {
   try {
-    const { userId, webhookId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
+    const { userId } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
-    // Verify webhook belongs to user
-    const { data: webhook } = await supabase
-      .from('webhooks')
-      .select('id')
-      .eq('id', webhookId)
+    let blockedQuery = supabase
+      .from('otp_blocked_attempts')
+      .select('id, session_id, recipient, country_code, code, details, created_at')
       .eq('user_id', userId)
-      .single();
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(5000);
 
-    if (!webhook) {
-      return res.status(404).json({ error: 'Webhook not found' });
+    if (req.query.sessionId) {
+      blockedQuery = blockedQuery.eq('session_id', req.query.sessionId);
     }
 
-    const { data: logs, error } = await supabase
-      .from('webhook_logs')
-      .select('*')
-      .eq('webhook_id', webhookId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
+    const { data: blocked, error } = await blockedQuery;
     if (error) {
       throw error;
     }
 
-    res.json({ success: true, logs: logs || [] });
-  } catch (error) {
-    console.error('❌ Error fetching webhook logs:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Test webhook (sends a test payload)
-app.post('/api/webhooks/:userId/:webhookId/test', async (req, res) => {
-  try {
-    const { userId, webhookId } = req.params;
-
-    const { data: webhook, error: fetchError } = await supabase
-      .from('webhooks')
-      .select('*')
-      .eq('id', webhookId)
+    let sentQuery = supabase
+      .from('otp_verifications')
+      .select('*', { count: 'exact', head: true })
       .eq('user_id', userId)
-      .single();
+      .gte('created_at', since);
 
-    if (fetchError || !webhook) {
-      return res.status(404).json({ error: 'Webhook not found' });
+    if (req.query.sessionId) {
+      sentQuery = sentQuery.eq('session_id', req.query.sessionId);
     }
 
-    const testPayload = {
-      success: true,
-      event: 'webhook_test',
-      timestamp: new Date().toISOString(),
-      message: 'This is a test webhook from Wassapi',
-      ...(webhook.custom_payload || {})
-    };
+    const { count: sent, error: sentError } = await sentQuery;
+    if (sentError) {
+      throw sentError;
+    }
 
-    try {
-      await callWebhook(webhookId, userId, webhook.session_id, webhook, webhook.webhook_url, testPayload, testPayload);
-      res.json({ success: true, message: 'Test webhook sent successfully' });
-    } catch (error) {
-      res.status(500).json({ error: `Webhook test failed: ${error.message}` });
+    const byCode = Object.fromEntries(OTP_BLOCK_CODES.map(code => [code, 0]));
+    const byRecipient = {};
+    const byCountry = {};
+    for (const attempt of blocked) {
+      byCode[attempt.code] = (byCode[attempt.code] || 0) + 1;
+      byRecipient[attempt.recipient] = (byRecipient[attempt.recipient] || 0) + 1;
+      const country = attempt.country_code || 'unknown';
+      byCountry[country] = (byCountry[country] || 0) + 1;
     }
+    const top = counts => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10);
+
+    res.json({
+      success: true,
+      report: {
+        days,
+        since,
+        sent: sent || 0,
+        blocked: blocked.length,
+        byCode,
+        topRecipients: top(byRecipient).map(([recipient, count]) => ({ recipient, count })),
+        topCountries: top(byCountry).map(([countryCode, count]) => ({ countryCode, count })),
+        recent: blocked.slice(0, 100)
+      }
+    });
   } catch (error) {
-    console.error('❌ Error testing webhook:', error);
+    console.error('❌ Error fetching OTP protection report:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -3763,101 +11960,43 @@ app.post('/api/whatsapp/test-message', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const client = clients.get(sessionId);
-    if (!client) {
-      // Check if session exists and is being restored
-      const { data: sessionData } = await supabase
-        .from('whatsapp_sessions')
-        .select('status')
-        .eq('session_id', sessionId)
-        .single();
-
-      if (sessionData?.status === 'connected') {
-        return res.status(503).json({
-          error: 'Session is being restored. Please wait a moment and try again.',
-          sessionStatus: 'restoring'
-        });
-      }
-      return res.status(400).json({ error: 'WhatsApp session not found or disconnected' });
-    }
-
-    if (!isClientReady(client)) {
-      if (client && !client.info) {
-        return res.status(503).json({
-          error: 'WhatsApp session is still initializing. Please wait a moment and try again.',
-          sessionStatus: 'initializing'
-        });
-      }
-      return res.status(400).json({ error: 'WhatsApp session is disconnected' });
-    }
-
-    // Check wallet balance
-    const { data: userProfile } = await supabase
-      .from('user_profiles')
-      .select('wallet_balance')
-      .eq('id', userId)
-      .single();
-
-    const currentBalance = userProfile?.wallet_balance || 0;
-    if (currentBalance < MESSAGE_COST_IQD) {
-      return res.status(402).json({
-        error: 'Insufficient balance',
-        currentBalance,
-        required: MESSAGE_COST_IQD
-      });
+    const phone = await normalizeAccountPhoneNumber(userId, recipient);
+    if (phone.error) {
+      return res.status(400).json(invalidPhoneNumberBody(phone, recipient));
     }
+    const formattedNumber = phone.number;
 
-    // Format phone number
-    const formattedNumber = recipient.replace(/[^\d+]/g, '').replace(/^\+/, '');
-    let chatId = formattedNumber.includes('@') ? formattedNumber : `${formattedNumber}@c.us`;
-
-    // Try to resolve number ID
-    try {
-      const numberId = await client.getNumberId(formattedNumber);
-      if (numberId) {
-        chatId = numberId._serialized;
-      }
-    } catch (lidError) {
-      console.log(`⚠️ Could not resolve number ID for ${formattedNumber}, trying direct send...`);
+    const { client, status, body } = await acquireSessionClient(userId, sessionId);
+    if (!client) {
+      return res.status(status).json(body);
     }
 
-    // Send message
-    await client.sendMessage(chatId, message);
-
-    // Deduct balance
-    const newBalance = currentBalance - MESSAGE_COST_IQD;
-    await supabase
-      .from('user_profiles')
-      .update({ wallet_balance: newBalance })
-      .eq('id', userId);
-
-    // Log transaction
-    await supabase.from('wallet_transactions').insert({
-      user_id: userId,
-      session_id: sessionId,
-      transaction_type: 'debit',
-      amount: MESSAGE_COST_IQD,
-      balance_before: currentBalance,
-      balance_after: newBalance,
-      description: `Test message to ${formattedNumber}`,
-      reference_id: `test_msg_${Date.now()}`
-    });
-
-    // Log in automation_logs
-    await supabase.from('automation_logs').insert({
-      user_id: userId,
-      session_id: sessionId,
-      type: 'api_message',
+    const result = await dispatchMessage(client, {
+      userId,
+      sessionId,
       recipient: formattedNumber,
-      message: message,
-      status: 'sent'
+      content: message,
+      messageType: 'test_message',
+      label: 'Test message',
+      recordBody: message,
+      logType: 'api_message',
+      reference: 'test_msg',
+      webhook: { type: 'message', event: 'test_message' }
     });
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (result.queued) {
+      return res.status(202).json({ ...formatQueuedSendResponse(result), recipient: formattedNumber, e164: phone.e164 });
+    }
 
     res.json({
       success: true,
       message: 'Test message sent successfully',
+      messageId: result.outboundMessageId,
       recipient: formattedNumber,
-      balance: newBalance,
+      e164: phone.e164,
+      balance: result.balance,
       sentAt: new Date().toISOString()
     });
   } catch (error) {
@@ -3874,6 +12013,27 @@ async function startServer() {
   // Restore active sessions before starting server
   await restoreActiveSessions();
 
+  // Pick up scheduled messages and start the scheduler
+  await restoreScheduledMessages();
+
+  // Resume bulk send jobs interrupted by a restart
+  await restoreBulkJobs();
+
+  // Fail messages interrupted mid-retry and start the outbound queue worker
+  await restoreOutboundQueue();
+
+  // Purge expired idempotency keys hourly
+  setInterval(purgeExpiredIdempotencyKeys, 60 * 60 * 1000);
+
+  // Forget rate limit counters of idle senders hourly
+  setInterval(pruneRateLimits, 60 * 60 * 1000);
+
+  // Delete incoming media past its retention period hourly
+  setInterval(purgeExpiredIncomingMedia, 60 * 60 * 1000);
+
+  // Time out chatbot flow runs whose contact stopped answering
+  setInterval(processExpiredFlowSessions, FLOW_TIMEOUT_POLL_INTERVAL_MS);
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log('');
   console.log('🚀 Wassapi backend server running on port', PORT);
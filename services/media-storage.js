@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ Missing Supabase environment variables for media storage!');
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+const BUCKET_NAME = 'whatsapp-media';
+const MAX_MEDIA_FILE_SIZE = 104857600; // 100MB
+
+let bucketReady = false;
+
+/**
+ * Ensure the Supabase storage bucket for incoming media exists
+ */
+async function ensureMediaBucketExists() {
+  if (bucketReady) return true;
+
+  try {
+    const { data: buckets, error: listError } = await supabase.storage.listBuckets();
+    if (listError) {
+      console.error('Error listing buckets:', listError);
+      return false;
+    }
+
+    const bucketExists = buckets.some(bucket => bucket.name === BUCKET_NAME);
+    if (!bucketExists) {
+      console.log(`📦 Creating storage bucket: ${BUCKET_NAME}`);
+      const { error: createError } = await supabase.storage.createBucket(BUCKET_NAME, {
+        public: false,
+        fileSizeLimit: MAX_MEDIA_FILE_SIZE,
+      });
+
+      if (createError) {
+        console.error(`❌ Error creating bucket ${BUCKET_NAME}:`, createError);
+        return false;
+      }
+      console.log(`✅ Bucket ${BUCKET_NAME} created successfully`);
+    }
+
+    bucketReady = true;
+    return true;
+  } catch (error) {
+    console.error('❌ Error ensuring media bucket exists:', error);
+    return false;
+  }
+}
+
+// File extension for a mimetype, e.g. image/jpeg -> jpeg
+function getMediaExtension(mimetype) {
+  return (mimetype || '').split('/')[1]?.split(';')[0].replace(/[^A-Za-z0-9]/g, '') || 'bin';
+}
+
+/**
+ * Upload a downloaded whatsapp-web.js MessageMedia to storage.
+ * Returns { path, mimetype, filename, size, sha256 }; throws when the upload fails.
+ */
+async function storeMedia(sessionId, messageId, media) {
+  if (!(await ensureMediaBucketExists())) {
+    throw new Error(`Storage bucket ${BUCKET_NAME} is not available`);
+  }
+
+  const buffer = Buffer.from(media.data, 'base64');
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  // Message ids contain characters that are not safe in storage keys
+  const safeMessageId = messageId.replace(/[^A-Za-z0-9_-]/g, '_');
+  const storagePath = `${sessionId}/${new Date().toISOString().slice(0, 10)}/${safeMessageId}.${getMediaExtension(media.mimetype)}`;
+
+  const { error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .upload(storagePath, buffer, {
+      contentType: media.mimetype || 'application/octet-stream',
+      upsert: true, // Same message delivered twice overwrites the same file
+    });
+
+  if (error) {
+    throw new Error(`Error uploading ${storagePath}: ${error.message}`);
+  }
+
+  return {
+    path: storagePath,
+    mimetype: media.mimetype || 'application/octet-stream',
+    filename: media.filename || null,
+    size: buffer.length,
+    sha256,
+  };
+}
+
+/**
+ * Upload a MessageMedia waiting to be sent (e.g. a queued retry) under outbound/.
+ * key must be unique per message. Returns the storage path; throws when the upload fails.
+ */
+async function storeOutboundMedia(sessionId, key, media) {
+  if (!(await ensureMediaBucketExists())) {
+    throw new Error(`Storage bucket ${BUCKET_NAME} is not available`);
+  }
+
+  const storagePath = `outbound/${sessionId}/${key}.${getMediaExtension(media.mimetype)}`;
+  const { error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .upload(storagePath, Buffer.from(media.data, 'base64'), {
+      contentType: media.mimetype || 'application/octet-stream',
+      upsert: true,
+    });
+
+  if (error) {
+    throw new Error(`Error uploading ${storagePath}: ${error.message}`);
+  }
+  return storagePath;
+}
+
+/**
+ * Download a stored media file as base64
+ */
+async function loadMedia(storagePath) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .download(storagePath);
+
+  if (error) {
+    throw new Error(`Error downloading ${storagePath}: ${error.message}`);
+  }
+  return Buffer.from(await data.arrayBuffer()).toString('base64');
+}
+
+/**
+ * Create a time-limited download URL for a stored media file
+ */
+async function createMediaSignedUrl(storagePath, expiresInSeconds) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .createSignedUrl(storagePath, expiresInSeconds);
+
+  if (error) {
+    throw new Error(`Error signing ${storagePath}: ${error.message}`);
+  }
+
+  return data.signedUrl;
+}
+
+/**
+ * Delete stored media files
+ */
+async function deleteMedia(storagePaths) {
+  if (storagePaths.length === 0) return true;
+
+  const { error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .remove(storagePaths);
+
+  if (error) {
+    console.error('❌ Error deleting media from storage:', error);
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  storeMedia,
+  storeOutboundMedia,
+  loadMedia,
+  createMediaSignedUrl,
+  deleteMedia,
+  ensureMediaBucketExists,
+};
@@ -0,0 +1,60 @@
+/**
+ * Opt-out / opt-in keyword matching for messages from contacts.
+ *
+ * A whole message equal to one of the account's keywords (after normalizing case, Arabic
+ * diacritics and alef forms, punctuation and spacing) adds the sender to the suppression list
+ * or takes them off it again. Opt-in keywords are everyday words (START, SUBSCRIBE, اشتراك), so
+ * they only count from a sender who is suppressed; from anyone else they are left for chatbot
+ * flows and auto-reply rules.
+ */
+
+const MAX_OPT_OUT_KEYWORD_LENGTH = 40; // Longer messages are never keywords, so they skip the settings lookup
+
+/**
+ * Normalize text for keyword matching.
+ * @param {string} text
+ * @returns {string} Lowercase text without tashkeel or tatweel, alef forms folded, punctuation and spacing collapsed
+ */
+function normalizeOptOutText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '') // Tashkeel and tatweel
+    .replace(/[إأآ]/g, 'ا')
+    .replace(/[\s\p{P}\p{S}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Whether a message body is short enough to be a keyword at all.
+ * @param {string} body
+ * @returns {boolean}
+ */
+function isOptOutKeywordCandidate(body) {
+  const text = normalizeOptOutText(body);
+  return text !== '' && text.length <= MAX_OPT_OUT_KEYWORD_LENGTH;
+}
+
+/**
+ * Which keyword a message is for the account's settings.
+ * @param {string} body - Message text
+ * @param {Object} settings - opt_out_enabled, opt_out_keywords and opt_in_keywords
+ * @param {Function} isSuppressed - Async check whether the sender is on the suppression list; only called for opt-in keywords
+ * @returns {Promise<string|null>} 'opt_out', 'opt_in', or null when the message should go to flows and auto-replies
+ */
+async function matchOptOutKeyword(body, settings, isSuppressed) {
+  if (!settings.opt_out_enabled || !isOptOutKeywordCandidate(body)) return null;
+
+  const text = normalizeOptOutText(body);
+  const matches = keywords => (keywords || []).some(keyword => normalizeOptOutText(keyword) === text);
+
+  if (matches(settings.opt_out_keywords)) return 'opt_out';
+  if (matches(settings.opt_in_keywords) && await isSuppressed()) return 'opt_in';
+  return null;
+}
+
+module.exports = {
+  MAX_OPT_OUT_KEYWORD_LENGTH,
+  normalizeOptOutText,
+  isOptOutKeywordCandidate,
+  matchOptOutKeyword,
+};
@@ -0,0 +1,150 @@
+/**
+ * Phone number normalization.
+ *
+ * Turns what users type (07812345678, +964 781 234 5678, 00964..., Arabic-Indic digits)
+ * into one international form: digits only without + (what WhatsApp ids use) and E.164.
+ * National formats are read against a default country; numbers in countries with rules
+ * below are validated and typed as mobile or landline.
+ */
+const { getDialingCode } = require('./country-codes');
+
+const DEFAULT_COUNTRY = 'IQ';
+
+/**
+ * National numbering rules: dialling code, trunk prefix dropped in international form,
+ * patterns for mobile and landline national (significant) numbers, and the other lengths
+ * accepted as valid but of unknown type where the patterns don't cover the whole plan.
+ */
+const COUNTRY_RULES = {
+  IQ: { name: 'Iraq', dialingCode: '964', trunkPrefix: '0', otherLengths: [], mobile: /^7[3-9]\d{8}$/, landline: /^[1-6]\d{7,8}$/ },
+  SA: { name: 'Saudi Arabia', dialingCode: '966', trunkPrefix: '0', otherLengths: [8, 9], mobile: /^5\d{8}$/, landline: /^1\d{7,8}$/ },
+  AE: { name: 'United Arab Emirates', dialingCode: '971', trunkPrefix: '0', otherLengths: [8, 9], mobile: /^5[024568]\d{7}$/, landline: /^[2-79]\d{7}$/ },
+  KW: { name: 'Kuwait', dialingCode: '965', trunkPrefix: null, otherLengths: [8], mobile: /^[4569]\d{7}$/, landline: /^2\d{7}$/ },
+  JO: { name: 'Jordan', dialingCode: '962', trunkPrefix: '0', otherLengths: [8, 9], mobile: /^7[789]\d{7}$/, landline: /^[2-6]\d{7}$/ },
+  SY: { name: 'Syria', dialingCode: '963', trunkPrefix: '0', otherLengths: [8, 9], mobile: /^9\d{8}$/, landline: /^[1-5]\d{7,8}$/ },
+  LB: { name: 'Lebanon', dialingCode: '961', trunkPrefix: '0', otherLengths: [7, 8], mobile: /^(3\d{6}|7[01689]\d{6}|81\d{6})$/, landline: /^[1-9]\d{6}$/ },
+  TR: { name: 'Turkey', dialingCode: '90', trunkPrefix: '0', otherLengths: [10], mobile: /^5\d{9}$/, landline: /^[2-4]\d{9}$/ },
+  IR: { name: 'Iran', dialingCode: '98', trunkPrefix: '0', otherLengths: [10], mobile: /^9\d{9}$/, landline: /^[1-8]\d{9}$/ },
+  EG: { name: 'Egypt', dialingCode: '20', trunkPrefix: '0', otherLengths: [8, 9, 10], mobile: /^1[0125]\d{8}$/, landline: /^[2-9]\d{7,8}$/ },
+  GB: { name: 'United Kingdom', dialingCode: '44', trunkPrefix: '0', otherLengths: [9, 10], mobile: /^7\d{9}$/, landline: /^[123]\d{8,9}$/ },
+  DE: { name: 'Germany', dialingCode: '49', trunkPrefix: '0', otherLengths: [6, 7, 8, 9, 10, 11], mobile: /^1[5-7]\d{8,9}$/, landline: /^[2-9]\d{5,10}$/ },
+};
+
+const COUNTRY_BY_DIALING_CODE = Object.fromEntries(
+  Object.entries(COUNTRY_RULES).map(([country, rules]) => [rules.dialingCode, country])
+);
+
+const MIN_INTERNATIONAL_LENGTH = 8;
+const MAX_INTERNATIONAL_LENGTH = 15; // E.164
+
+/**
+ * Countries whose national formats can be parsed (ISO 3166-1 alpha-2)
+ */
+const SUPPORTED_COUNTRIES = Object.keys(COUNTRY_RULES);
+
+/**
+ * Whether a country can be used as a default country
+ */
+function isSupportedCountry(country) {
+  return typeof country === 'string' && Object.prototype.hasOwnProperty.call(COUNTRY_RULES, country.toUpperCase());
+}
+
+// Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII
+function toAsciiDigits(text) {
+  return text
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+// Mobile / landline / unknown for a national number; null when it is invalid for the country
+function detectNumberType(rules, nationalNumber) {
+  if (rules.mobile.test(nationalNumber)) return 'mobile';
+  if (rules.landline.test(nationalNumber)) return 'landline';
+  return rules.otherLengths.includes(nationalNumber.length) ? 'unknown' : null;
+}
+
+// Build the result for international digits, or an error
+function fromInternationalDigits(digits) {
+  if (digits.length < MIN_INTERNATIONAL_LENGTH || digits.length > MAX_INTERNATIONAL_LENGTH) {
+    return { error: `Phone numbers must have ${MIN_INTERNATIONAL_LENGTH}-${MAX_INTERNATIONAL_LENGTH} digits including the country code` };
+  }
+
+  const countryCode = getDialingCode(digits);
+  if (!countryCode) {
+    return { error: 'Unknown country code' };
+  }
+
+  const country = COUNTRY_BY_DIALING_CODE[countryCode] || null;
+  let nationalNumber = digits.slice(countryCode.length);
+  let type = 'unknown';
+
+  if (country) {
+    const rules = COUNTRY_RULES[country];
+    // A trunk prefix kept after the country code (+964 0781...) is a common mistake
+    if (rules.trunkPrefix && nationalNumber.startsWith(rules.trunkPrefix) &&
+        detectNumberType(rules, nationalNumber.slice(rules.trunkPrefix.length))) {
+      nationalNumber = nationalNumber.slice(rules.trunkPrefix.length);
+    }
+    type = detectNumberType(rules, nationalNumber);
+    if (!type) {
+      return { error: `Invalid phone number for ${rules.name} (+${countryCode})` };
+    }
+  }
+
+  const number = countryCode + nationalNumber;
+  return { number, e164: `+${number}`, countryCode, country, nationalNumber, type };
+}
+
+/**
+ * Normalize a phone number (or an @c.us WhatsApp id).
+ * defaultCountry (ISO code) is used for national formats; pass null to accept international numbers only.
+ * Returns { number, e164, countryCode, country, nationalNumber, type } or { error }.
+ */
+function normalizePhoneNumber(input, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return { error: 'Phone number is required' };
+  }
+
+  // Direction marks come along when numbers are copied from right-to-left text
+  const text = toAsciiDigits(String(input))
+    .replace(/[\u200E\u200F\u202A-\u202E]/g, '')
+    .trim()
+    .replace(/@(c\.us|s\.whatsapp\.net)$/, '');
+  if (!text) {
+    return { error: 'Phone number is required' };
+  }
+  if (!/^\+?[\d\s().\-]+$/.test(text)) {
+    return { error: 'Phone numbers can only contain digits, spaces, dashes, dots, parentheses and a leading +' };
+  }
+
+  const isInternational = text.startsWith('+') || text.replace(/\D/g, '').startsWith('00');
+  const digits = text.replace(/\D/g, '');
+  if (isInternational) {
+    return fromInternationalDigits(digits.replace(/^00/, ''));
+  }
+
+  const rules = defaultCountry ? COUNTRY_RULES[String(defaultCountry).toUpperCase()] : null;
+  if (rules) {
+    // National format with the trunk prefix (07812345678)
+    if (rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)) {
+      const nationalNumber = digits.slice(rules.trunkPrefix.length);
+      if (detectNumberType(rules, nationalNumber)) {
+        return fromInternationalDigits(rules.dialingCode + nationalNumber);
+      }
+    }
+    // National number without the trunk prefix (7812345678), unless it already carries the country code
+    if (!digits.startsWith(rules.dialingCode) && (rules.mobile.test(digits) || rules.landline.test(digits))) {
+      return fromInternationalDigits(rules.dialingCode + digits);
+    }
+  }
+
+  // Otherwise the digits are an international number without +
+  return fromInternationalDigits(digits);
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  SUPPORTED_COUNTRIES,
+  isSupportedCountry,
+  normalizePhoneNumber,
+};
@@ -0,0 +1,159 @@
+/**
+ * In-memory sliding-window rate limiting.
+ *
+ * Each key and window length keeps two counters: the current fixed window and the one before it.
+ * Usage over the sliding window is the current count plus the previous count weighted by how much
+ * of the previous window still overlaps it. That is constant time and memory per key, and close to
+ * an exact log of every send. Counts are per message, so one call can take several at once.
+ */
+
+const counters = new Map(); // `${windowMs}:${key}` -> { start, current, previous }
+
+// Counter for a key, rolled forward to the fixed window containing now
+function getCounter(key, windowMs, now) {
+  const id = `${windowMs}:${key}`;
+  const start = now - (now % windowMs);
+  let counter = counters.get(id);
+
+  if (!counter) {
+    counter = { start, current: 0, previous: 0 };
+    counters.set(id, counter);
+  } else if (counter.start !== start) {
+    counter.previous = start - counter.start === windowMs ? counter.current : 0;
+    counter.current = 0;
+    counter.start = start;
+  }
+  return counter;
+}
+
+// Messages counted in the sliding window ending now
+function getUsage(counter, windowMs, now) {
+  const overlap = 1 - (now - counter.start) / windowMs;
+  return counter.current + counter.previous * overlap;
+}
+
+// Milliseconds until count more messages fit under limit (Infinity if they never can)
+function getWaitMs(counter, windowMs, limit, count, now) {
+  if (count > limit) return Infinity;
+
+  const elapsed = now - counter.start;
+  if (counter.current + count <= limit) {
+    if (counter.previous === 0) return 0;
+    // Wait for enough of the previous window to slide out
+    const needed = windowMs * (1 - (limit - counter.current - count) / counter.previous) - elapsed;
+    return Math.max(0, Math.ceil(needed));
+  }
+
+  // The current window is full: wait for the next one and for enough of this one to slide out
+  const needed = windowMs * (1 - (limit - count) / counter.current);
+  return windowMs - elapsed + Math.max(0, Math.ceil(needed));
+}
+
+// Usage of one window, as reported to callers
+function describeWindow(counter, window, count, now) {
+  const used = Math.ceil(getUsage(counter, window.windowMs, now));
+  return {
+    name: window.name,
+    limit: window.limit,
+    used,
+    remaining: Math.max(0, window.limit - used),
+    retryAfterMs: getWaitMs(counter, window.windowMs, window.limit, count, now)
+  };
+}
+
+/**
+ * Start a key's counter from usage recorded elsewhere (e.g. after a restart).
+ * countBetween(from, to) returns how many messages were sent in [from, to); it is asked for the
+ * previous and the current fixed window.
+ */
+async function seedRateLimitCounter(key, windowMs, countBetween, now = Date.now()) {
+  const start = now - (now % windowMs);
+  const [previous, current] = await Promise.all([
+    countBetween(new Date(start - windowMs), new Date(start)),
+    countBetween(new Date(start), new Date(now))
+  ]);
+
+  // Messages taken while the counts were loading are kept
+  const counter = getCounter(key, windowMs, Date.now());
+  if (counter.start === start) {
+    counter.previous += previous;
+    counter.current += current;
+  } else if (counter.start === start + windowMs) {
+    counter.previous += current;
+  }
+}
+
+/**
+ * Take count messages from every window ({ name, windowMs, limit }) of a key, or from none.
+ * Returns { allowed: true, window } with the tightest window afterwards, or { allowed: false, window }
+ * with the full window that frees up last. window is { name, limit, used, remaining, retryAfterMs }.
+ */
+function takeRateLimit(key, windows, count = 1, now = Date.now()) {
+  let blocking = null;
+  for (const window of windows) {
+    const counter = getCounter(key, window.windowMs, now);
+    if (getUsage(counter, window.windowMs, now) + count > window.limit) {
+      const status = describeWindow(counter, window, count, now);
+      if (!blocking || status.retryAfterMs > blocking.retryAfterMs) {
+        blocking = status;
+      }
+    }
+  }
+  if (blocking) {
+    return { allowed: false, window: blocking };
+  }
+
+  for (const window of windows) {
+    getCounter(key, window.windowMs, now).current += count;
+  }
+  return { allowed: true, window: getRateLimitStatus(key, windows, now) };
+}
+
+/**
+ * Give back count messages taken from every window of a key, when what they were taken for was refused after all
+ */
+function releaseRateLimit(key, windows, count = 1, now = Date.now()) {
+  for (const window of windows) {
+    const counter = getCounter(key, window.windowMs, now);
+    const fromCurrent = Math.min(count, counter.current);
+    counter.current -= fromCurrent;
+    counter.previous = Math.max(0, counter.previous - (count - fromCurrent));
+  }
+}
+
+/**
+ * The window of a key with the fewest messages left (the shortest on a tie), without taking any
+ */
+function getRateLimitStatus(key, windows, now = Date.now()) {
+  let tightest = null;
+  for (const window of windows) {
+    const status = describeWindow(getCounter(key, window.windowMs, now), window, 1, now);
+    if (!tightest || status.remaining < tightest.remaining) {
+      tightest = status;
+    }
+  }
+  return tightest;
+}
+
+/**
+ * Forget counters with nothing left in their sliding window
+ */
+function pruneRateLimitCounters(now = Date.now()) {
+  let removed = 0;
+  for (const [id, counter] of counters) {
+    const windowMs = Number(id.slice(0, id.indexOf(':')));
+    if (now - counter.start >= 2 * windowMs) {
+      counters.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  seedRateLimitCounter,
+  takeRateLimit,
+  releaseRateLimit,
+  getRateLimitStatus,
+  pruneRateLimitCounters,
+};
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { matchOptOutKeyword, isOptOutKeywordCandidate } = require('./services/opt-out-keywords');
+
+console.log('🧪 Testing opt-out / opt-in keyword matching...\n');
+
+const settings = {
+  opt_out_enabled: true,
+  opt_out_keywords: ['STOP', 'إيقاف'],
+  opt_in_keywords: ['START', 'اشتراك']
+};
+
+// isSuppressed stub that records whether the suppression list was looked up
+function suppressionCheck(suppressed) {
+  const check = async () => {
+    check.calls++;
+    return suppressed;
+  };
+  check.calls = 0;
+  return check;
+}
+
+const tests = [
+  ['opt-out keyword matches for any sender', async () => {
+    const check = suppressionCheck(false);
+    assert.strictEqual(await matchOptOutKeyword('Stop!', settings, check), 'opt_out');
+    assert.strictEqual(check.calls, 0);
+  }],
+
+  ['Arabic keywords match without diacritics or alef forms', async () => {
+    assert.strictEqual(await matchOptOutKeyword('ايقاف', settings, suppressionCheck(false)), 'opt_out');
+  }],
+
+  ['opt-in keyword from a suppressed sender opts them back in', async () => {
+    assert.strictEqual(await matchOptOutKeyword('start', settings, suppressionCheck(true)), 'opt_in');
+  }],
+
+  ['flow trigger equal to an opt-in keyword reaches flows when the sender is not suppressed', async () => {
+    // A chatbot flow triggered by "start" (or a flow answer "اشتراك") must not be swallowed
+    assert.strictEqual(await matchOptOutKeyword('start', settings, suppressionCheck(false)), null);
+    assert.strictEqual(await matchOptOutKeyword('اشتراك', settings, suppressionCheck(false)), null);
+  }],
+
+  ['other messages never look up the suppression list', async () => {
+    const check = suppressionCheck(true);
+    assert.strictEqual(await matchOptOutKeyword('start the order', settings, check), null);
+    assert.strictEqual(check.calls, 0);
+  }],
+
+  ['nothing matches when opt-outs are disabled', async () => {
+    assert.strictEqual(await matchOptOutKeyword('STOP', { ...settings, opt_out_enabled: false }, suppressionCheck(true)), null);
+  }],
+
+  ['long messages are never keywords', async () => {
+    assert.strictEqual(isOptOutKeywordCandidate('stop '.repeat(20)), false);
+    assert.strictEqual(isOptOutKeywordCandidate('  ...  '), false);
+  }]
+];
+
+// Run tests
+async function runTests() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log('Error:', error.message);
+    }
+  }
+
+  if (failed > 0) {
+    console.log(`\n❌ ${failed} of ${tests.length} tests failed!`);
+    process.exit(1);
+  }
+  console.log(`\n✅ All ${tests.length} tests passed!`);
+  process.exit(0);
+}
+
+runTests();